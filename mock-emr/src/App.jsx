@@ -1,35 +1,109 @@
 import { useState, useEffect } from 'react'
+import ScreeningActions from './ScreeningActions'
+import PatientChart from './PatientChart'
+import WhatIfPanel from './WhatIfPanel'
+import Worklist from './Worklist'
+import { PRACTITIONER_ID, localToday } from './actions'
+import { fetchChart, evaluateLibrary, fetchExclusionValueSets, searchAll } from './fhir'
+
+// Initial evaluation date (YYYY-MM-DD), e.g. the asOf recorded in tests/generated/*/_metadata.json;
+// it can be changed in the page. When unset the server's Today() applies.
+const AS_OF_DATE = import.meta.env.VITE_AS_OF_DATE || ''
+
+// When set, act as a CDS Hooks client of the patient-view service behind
+// /cds-services (npm run cds:serve) instead of calling $evaluate directly.
+const CDS_HOOKS = import.meta.env.VITE_CDS_HOOKS === 'true'
+
+// Fill {{context.x}} tokens of a prefetch template and read it through /fhir
+async function fetchPrefetch(template, context) {
+  const path = template.replace(/\{\{\s*context\.(\w+)\s*\}\}/g, (token, name) => encodeURIComponent(context[name]))
+  const response = await fetch(`/fhir/${path}`)
+  if (response.status === 404) return null
+  if (!response.ok) throw new Error(`Prefetch ${path} failed: ${response.status}`)
+  return response.json()
+}
+
+// Prefetch for a template from a what-if chart: the Patient or a searchset of one type
+function prefetchFromChart(template, chart) {
+  const type = template.split(/[/?]/)[0]
+  if (type === 'Patient') return chart.patient
+  const resources = [...chart.observations, ...chart.conditions, ...chart.procedures].filter(r => r.resourceType === type)
+  return { resourceType: 'Bundle', type: 'searchset', entry: resources.map(resource => ({ resource })) }
+}
+
+// Call the discovered patient-view service with its prefetch filled in, from
+// the what-if chart when there is one (then without fhirServer, so nothing
+// stored is read)
+async function callPatientView(service, patientId, { asOf, data } = {}) {
+  const context = { userId: `Practitioner/${PRACTITIONER_ID}`, patientId }
+  const prefetch = {}
+  for (const [key, template] of Object.entries(service.prefetch || {})) {
+    prefetch[key] = data ? prefetchFromChart(template, data) : await fetchPrefetch(template, context)
+  }
+  const response = await fetch(`/cds-services/${service.id}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      hook: 'patient-view',
+      hookInstance: crypto.randomUUID(),
+      ...(data ? {} : { fhirServer: `${window.location.origin}/fhir` }),
+      context,
+      prefetch,
+      ...(asOf ? { extension: { 'org.example.as-of': asOf } } : {})
+    })
+  })
+  const body = await response.json()
+  if (!response.ok) throw new Error(body.error || `CDS service returned ${response.status}`)
+  return body.cards || []
+}
 
 function App() {
+  const [view, setView] = useState('patient')
   const [patients, setPatients] = useState([])
   const [selectedPatientId, setSelectedPatientId] = useState('')
-  const [selectedPatient, setSelectedPatient] = useState(null)
+  const [chart, setChart] = useState(null)
+  const [whatIf, setWhatIf] = useState(null)
+  const [asOfDate, setAsOfDate] = useState(AS_OF_DATE)
+  const [exclusionValueSets, setExclusionValueSets] = useState([])
+  // Kept apart from `error`, which each evaluation clears
+  const [valueSetError, setValueSetError] = useState(null)
   const [cdsResult, setCdsResult] = useState(null)
+  const [cdsService, setCdsService] = useState(null)
+  const [cards, setCards] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [actionMessage, setActionMessage] = useState(null)
 
   // Fetch patients on mount
   useEffect(() => {
     fetchPatients()
+    fetchExclusionValueSets()
+      .then(setExclusionValueSets)
+      .catch(err => setValueSetError('Failed to load the exclusion ValueSets (what-if cannot add a mastectomy): ' + err.message))
+    if (CDS_HOOKS) discoverCdsService()
   }, [])
 
-  // Evaluate CDS when patient is selected
+  // Load the chart and evaluate CDS when patient is selected
   useEffect(() => {
+    setActionMessage(null)
     if (selectedPatientId) {
-      evaluateCds(selectedPatientId)
+      loadPatient(selectedPatientId)
     } else {
       setCdsResult(null)
-      setSelectedPatient(null)
+      setCards(null)
+      setChart(null)
+      setWhatIf(null)
     }
-  }, [selectedPatientId])
+  }, [selectedPatientId, cdsService])
+
+  // Re-evaluate (the what-if chart, if any) when the evaluation date changes
+  useEffect(() => {
+    if (chart) evaluateCds(chart.patient.id, whatIf)
+  }, [asOfDate])
 
   async function fetchPatients() {
     try {
-      const response = await fetch(
-        '/fhir/Patient?_tag=http://example.org/test-lifecycle%7Cbcs-test&_count=100'
-      )
-      const bundle = await response.json()
-      const patientList = bundle.entry?.map(e => e.resource) || []
+      const patientList = await searchAll('Patient?_tag=http://example.org/test-lifecycle%7Cbcs-test')
       // Sort by ID for consistent ordering
       patientList.sort((a, b) => a.id.localeCompare(b.id))
       setPatients(patientList)
@@ -38,23 +112,42 @@ function App() {
     }
   }
 
-  async function evaluateCds(patientId) {
+  async function discoverCdsService() {
+    try {
+      const response = await fetch('/cds-services')
+      const { services = [] } = await response.json()
+      const service = services.find(s => s.hook === 'patient-view')
+      if (!service) throw new Error('no patient-view service')
+      setCdsService(service)
+    } catch (err) {
+      setError('CDS Hooks discovery failed: ' + err.message)
+    }
+  }
+
+  async function loadPatient(patientId) {
+    if (CDS_HOOKS && !cdsService) return
+    setWhatIf(null)
+    try {
+      setChart(await fetchChart(patientId))
+    } catch (err) {
+      setError('Failed to load the chart: ' + err.message)
+      return
+    }
+    await evaluateCds(patientId, null)
+  }
+
+  // Evaluate the stored chart, or `data` (a what-if chart) instead of it.
+  // $evaluate results mark the chart; in CDS Hooks mode the cards come from the service.
+  async function evaluateCds(patientId, data) {
     setLoading(true)
     setError(null)
     setCdsResult(null)
+    setCards(null)
 
     try {
-      // Fetch patient details
-      const patientResponse = await fetch(`/fhir/Patient/${patientId}`)
-      const patient = await patientResponse.json()
-      setSelectedPatient(patient)
-
-      // Evaluate CDS
-      const cdsResponse = await fetch(
-        `/fhir/Library/BreastCancerScreening/$evaluate?subject=Patient/${patientId}`
-      )
-      const result = await cdsResponse.json()
-      setCdsResult(result)
+      const options = { asOf: asOfDate || undefined, data: data || undefined }
+      setCdsResult(await evaluateLibrary(patientId, options))
+      if (CDS_HOOKS) setCards(await callPatientView(cdsService, patientId, options))
     } catch (err) {
       setError('Failed to evaluate CDS: ' + err.message)
     } finally {
@@ -62,6 +155,22 @@ function App() {
     }
   }
 
+  // After a card action writes to /fhir, show what it did and reload the chart
+  function handleRecorded(message) {
+    setActionMessage(message)
+    loadPatient(selectedPatientId)
+  }
+
+  function toggleWhatIf(enabled) {
+    setWhatIf(enabled ? structuredClone(chart) : null)
+    if (!enabled) evaluateCds(chart.patient.id, null)
+  }
+
+  function removeFromWhatIf(resource) {
+    const key = { Observation: 'observations', Condition: 'conditions', Procedure: 'procedures' }[resource.resourceType]
+    setWhatIf({ ...whatIf, [key]: whatIf[key].filter(r => r.id !== resource.id) })
+  }
+
   function getPatientDisplayName(patient) {
     if (!patient) return ''
     const name = patient.name?.[0]
@@ -79,7 +188,11 @@ function App() {
     // "1950-12-27" should be Dec 27 local, not UTC (which shifts to Dec 26 in Hawaii)
     const [year, month, day] = patient.birthDate.split('-').map(Number)
     const birth = new Date(year, month - 1, day) // month is 0-indexed
-    const today = new Date()
+    let today = new Date()
+    if (asOfDate) {
+      const [asOfYear, asOfMonth, asOfDay] = asOfDate.split('-').map(Number)
+      today = new Date(asOfYear, asOfMonth - 1, asOfDay)
+    }
     let age = today.getFullYear() - birth.getFullYear()
     const monthDiff = today.getMonth() - birth.getMonth()
     if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
@@ -99,96 +212,200 @@ function App() {
   }
 
   const recommendMammogram = cdsResult ? getParameterValue(cdsResult, 'RecommendMammogram') : null
+  const shownChart = whatIf || chart
+  const selectedPatient = shownChart?.patient
+  // Card actions write real data, so they are hidden while exploring what-ifs
+  const showActions = !whatIf
 
   return (
     <div className="app">
       <header className="header">
         <h1>Breast Cancer Screening CDS</h1>
-        <p className="subtitle">Mock EMR Demonstration</p>
+        <p className="subtitle">Mock EMR Demonstration{asOfDate && ` — as of ${asOfDate}`}</p>
+        <nav className="header-nav">
+          {[['patient', 'Patient'], ['worklist', 'Worklist']].map(([id, label]) => (
+            <button key={id} type="button" className={view === id ? 'active' : ''} onClick={() => setView(id)}>
+              {label}
+            </button>
+          ))}
+          <label>
+            Evaluate as of
+            <input type="date" value={asOfDate} onChange={(e) => setAsOfDate(e.target.value)} />
+          </label>
+          {asOfDate && <button type="button" onClick={() => setAsOfDate('')}>Use today</button>}
+        </nav>
       </header>
 
-      <main className="main">
-        <section className="patient-selector">
-          <label htmlFor="patient-select">Select Patient:</label>
-          <select
-            id="patient-select"
-            value={selectedPatientId}
-            onChange={(e) => setSelectedPatientId(e.target.value)}
-          >
-            <option value="">-- Select a patient --</option>
-            {patients.map(patient => (
-              <option key={patient.id} value={patient.id}>
-                {patient.id}
-              </option>
-            ))}
-          </select>
-        </section>
-
-        {error && (
-          <div className="error-card">
-            {error}
-          </div>
-        )}
-
-        {loading && (
-          <div className="loading">
-            Evaluating CDS...
-          </div>
-        )}
-
-        {selectedPatient && !loading && (
-          <section className="patient-info">
-            <h2>Patient Information</h2>
-            <dl>
-              <dt>ID</dt>
-              <dd>{selectedPatient.id}</dd>
-              <dt>Name</dt>
-              <dd>{getPatientDisplayName(selectedPatient)}</dd>
-              <dt>Gender</dt>
-              <dd>{selectedPatient.gender || 'Unknown'}</dd>
-              <dt>Birth Date</dt>
-              <dd>{selectedPatient.birthDate || 'Unknown'}</dd>
-              <dt>Age</dt>
-              <dd>{getPatientAge(selectedPatient) ?? 'Unknown'} years</dd>
-            </dl>
+      {view === 'worklist' && (
+        <main className="main wide">
+          <Worklist
+            patients={patients}
+            asOfDate={asOfDate}
+            onOpenPatient={(id) => {
+              setSelectedPatientId(id)
+              setView('patient')
+            }}
+          />
+        </main>
+      )}
+
+      {view === 'patient' && (
+        <main className="main">
+          <section className="patient-selector">
+            <label htmlFor="patient-select">Select Patient:</label>
+            <select
+              id="patient-select"
+              value={selectedPatientId}
+              onChange={(e) => setSelectedPatientId(e.target.value)}
+            >
+              <option value="">-- Select a patient --</option>
+              {patients.map(patient => (
+                <option key={patient.id} value={patient.id}>
+                  {patient.id}
+                </option>
+              ))}
+            </select>
+
+            <div className="selector-options">
+              <label className="checkbox">
+                <input
+                  type="checkbox"
+                  checked={!!whatIf}
+                  disabled={!chart}
+                  onChange={(e) => toggleWhatIf(e.target.checked)}
+                />
+                What-if mode
+              </label>
+            </div>
           </section>
-        )}
-
-        {cdsResult && !loading && (
-          <section className={`cds-card ${recommendMammogram ? 'recommend' : 'no-recommend'}`}>
-            <h2>CDS Recommendation</h2>
-            <div className="recommendation">
-              {recommendMammogram ? (
-                <>
-                  <span className="icon">✓</span>
-                  <span className="text">Mammogram Recommended</span>
-                </>
-              ) : (
-                <>
-                  <span className="icon">—</span>
-                  <span className="text">No Mammogram Recommended</span>
-                </>
-              )}
+
+          {error && (
+            <div className="error-card">
+              {error}
+            </div>
+          )}
+
+          {valueSetError && (
+            <div className="error-card">
+              {valueSetError}
             </div>
+          )}
 
-            <details className="cds-details">
-              <summary>View Decision Factors</summary>
+          {actionMessage && (
+            <div className="action-message">
+              {actionMessage}
+            </div>
+          )}
+
+          {loading && (
+            <div className="loading">
+              Evaluating CDS...
+            </div>
+          )}
+
+          {selectedPatient && !loading && (
+            <section className={`patient-info ${whatIf ? 'what-if-active' : ''}`}>
+              <h2>Patient Information</h2>
               <dl>
+                <dt>ID</dt>
+                <dd>{selectedPatient.id}</dd>
+                <dt>Name</dt>
+                <dd>{getPatientDisplayName(selectedPatient)}</dd>
                 <dt>Gender</dt>
-                <dd>{getParameterValue(cdsResult, 'Gender') || 'N/A'}</dd>
-                <dt>Age in Years</dt>
-                <dd>{getParameterValue(cdsResult, 'AgeInYears') ?? 'N/A'}</dd>
-                <dt>Mammogram in Last Two Years</dt>
-                <dd>{String(getParameterValue(cdsResult, 'MammogramInLastTwoYears') ?? 'N/A')}</dd>
-                <dt>Has Bilateral Mastectomy</dt>
-                <dd>{String(getParameterValue(cdsResult, 'HasBilateralMastectomy') ?? 'N/A')}</dd>
-                <dt>Has Breast Cancer Diagnosis</dt>
-                <dd>{String(getParameterValue(cdsResult, 'HasBreastCancerDiagnosis') ?? 'N/A')}</dd>
+                <dd>{selectedPatient.gender || 'Unknown'}</dd>
+                <dt>Birth Date</dt>
+                <dd>{selectedPatient.birthDate || 'Unknown'}</dd>
+                <dt>Age</dt>
+                <dd>{getPatientAge(selectedPatient) ?? 'Unknown'} years</dd>
               </dl>
-            </details>
-          </section>
-        )}
-      </main>
+            </section>
+          )}
+
+          {cdsResult && !loading && (
+            <section className={`cds-card ${recommendMammogram ? 'recommend' : 'no-recommend'}`}>
+              <h2>CDS Recommendation</h2>
+              <div className="recommendation">
+                {recommendMammogram ? (
+                  <>
+                    <span className="icon">✓</span>
+                    <span className="text">Mammogram Recommended</span>
+                  </>
+                ) : (
+                  <>
+                    <span className="icon">—</span>
+                    <span className="text">No Mammogram Recommended</span>
+                  </>
+                )}
+              </div>
+
+              {recommendMammogram && showActions && !CDS_HOOKS && (
+                <ScreeningActions patient={selectedPatient} asOfDate={asOfDate} onRecorded={handleRecorded} />
+              )}
+
+              <details className="cds-details">
+                <summary>View Decision Factors</summary>
+                <dl>
+                  <dt>Gender</dt>
+                  <dd>{getParameterValue(cdsResult, 'Gender') || 'N/A'}</dd>
+                  <dt>Age in Years</dt>
+                  <dd>{getParameterValue(cdsResult, 'AgeInYears') ?? 'N/A'}</dd>
+                  <dt>Mammogram in Last Two Years</dt>
+                  <dd>{String(getParameterValue(cdsResult, 'MammogramInLastTwoYears') ?? 'N/A')}</dd>
+                  <dt>Has Bilateral Mastectomy</dt>
+                  <dd>{String(getParameterValue(cdsResult, 'HasBilateralMastectomy') ?? 'N/A')}</dd>
+                  <dt>Has Breast Cancer Diagnosis</dt>
+                  <dd>{String(getParameterValue(cdsResult, 'HasBreastCancerDiagnosis') ?? 'N/A')}</dd>
+                </dl>
+              </details>
+            </section>
+          )}
+          {cards && !loading && (
+            <section className="cds-cards">
+              <h2>CDS Hooks Cards</h2>
+              {cards.length === 0 && <p className="no-cards">No cards returned.</p>}
+              {cards.map((card, i) => (
+                <article key={card.uuid || i} className={`hook-card ${card.indicator}`}>
+                  <h3>{card.summary}</h3>
+                  {card.detail && <p className="detail">{card.detail}</p>}
+                  {card.suggestions?.length > 0 && showActions && (
+                    <ScreeningActions
+                      patient={selectedPatient}
+                      asOfDate={asOfDate}
+                      orderBase={card.suggestions[0].actions?.find(a => a.type === 'create')?.resource}
+                      onRecorded={handleRecorded}
+                    />
+                  )}
+                  <p className="source">
+                    Source: {card.source?.url ? <a href={card.source.url} target="_blank" rel="noreferrer">{card.source.label}</a> : card.source?.label}
+                  </p>
+                </article>
+              ))}
+            </section>
+          )}
+
+          {whatIf && (
+            <WhatIfPanel
+              whatIf={whatIf}
+              setWhatIf={setWhatIf}
+              exclusionValueSets={exclusionValueSets}
+              today={asOfDate || localToday()}
+              onEvaluate={() => evaluateCds(whatIf.patient.id, whatIf)}
+              onReset={() => {
+                setWhatIf(structuredClone(chart))
+                evaluateCds(chart.patient.id, chart)
+              }}
+            />
+          )}
+
+          {shownChart && (
+            <PatientChart
+              chart={shownChart}
+              result={cdsResult}
+              onRemove={whatIf ? removeFromWhatIf : null}
+            />
+          )}
+        </main>
+      )}
 
       <footer className="footer">
         <p>L4 Clinical Decision Support Demonstration</p>
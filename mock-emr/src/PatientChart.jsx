@@ -0,0 +1,74 @@
+function entryDate(resource) {
+  return resource.effectiveDateTime || resource.effectivePeriod?.start
+    || resource.onsetDateTime || resource.onsetPeriod?.start || resource.recordedDate
+    || resource.performedDateTime || resource.performedPeriod?.start || null
+}
+
+function describe(resource) {
+  const coding = resource.code?.coding?.[0]
+  return resource.code?.text || coding?.display || (coding ? `${coding.system}|${coding.code}` : resource.id)
+}
+
+function status(resource) {
+  return resource.clinicalStatus?.coding?.[0]?.code || resource.status || ''
+}
+
+// Ids of the resources a Parameters result returns under `name`
+function resultIds(result, name) {
+  return new Set((result?.parameter || []).filter(p => p.name === name && p.resource).map(p => p.resource.id))
+}
+
+// Library defines returning the Conditions that exclude the patient, and their marks
+const EXCLUSIONS = [
+  { name: 'BilateralMastectomyConditions', label: 'Exclusion: history of bilateral mastectomy' },
+  { name: 'BreastCancerConditions', label: 'Exclusion: breast cancer diagnosis' }
+]
+
+// The patient's Observations, Conditions and Procedures, newest first, marked
+// with what the evaluation counted. onRemove (what-if mode) adds remove buttons.
+function PatientChart({ chart, result, onRemove }) {
+  const qualifying = resultIds(result, 'QualifyingMammograms')
+  const mostRecent = resultIds(result, 'MostRecentMammogram')
+  const exclusions = EXCLUSIONS.map(({ name, label }) => ({ ids: resultIds(result, name), label }))
+
+  const entries = [...chart.observations, ...chart.conditions, ...chart.procedures].map(resource => {
+    const marks = []
+    if (qualifying.has(resource.id) && resource.resourceType === 'Observation') {
+      marks.push({ kind: 'qualifying', label: mostRecent.has(resource.id) ? 'Most recent qualifying mammogram' : 'Qualifying mammogram' })
+    }
+    if (resource.resourceType === 'Condition') {
+      for (const { ids, label } of exclusions) {
+        if (ids.has(resource.id)) marks.push({ kind: 'exclusion', label })
+      }
+    }
+    return { resource, date: entryDate(resource), marks }
+  })
+  entries.sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+
+  return (
+    <section className="patient-chart">
+      <h2>Chart</h2>
+      {entries.length === 0 && <p className="no-entries">No Observations, Conditions or Procedures on record.</p>}
+      <ol className="timeline">
+        {entries.map(({ resource, date, marks }) => (
+          <li key={`${resource.resourceType}/${resource.id}`} className={marks.length ? 'counted' : ''}>
+            <span className="date">{date?.slice(0, 10) || 'No date'}</span>
+            <span className="type">{resource.resourceType}</span>
+            <span className="description">
+              {describe(resource)}
+              <span className="status">{status(resource)}</span>
+              {marks.map(mark => (
+                <span key={mark.label} className={`mark ${mark.kind}`}>{mark.label}</span>
+              ))}
+            </span>
+            {onRemove && (
+              <button type="button" className="remove" onClick={() => onRemove(resource)}>Remove</button>
+            )}
+          </li>
+        ))}
+      </ol>
+    </section>
+  )
+}
+
+export default PatientChart
@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import {
+  mammogramOrder, screeningNotDone, outsideMammogram, postTransaction, localToday, NOT_DONE_REASONS
+} from './actions'
+
+// Actions offered on a "mammogram recommended" card. Each one writes to /fhir
+// and then calls onRecorded(message) so the app re-evaluates the patient.
+function ScreeningActions({ patient, asOfDate, orderBase, onRecorded }) {
+  const today = asOfDate || localToday()
+  const [form, setForm] = useState(null)
+  const [fields, setFields] = useState({})
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  function open(name, initial) {
+    setForm(form === name ? null : name)
+    setFields(initial)
+    setError(null)
+  }
+
+  function field(name) {
+    return {
+      value: fields[name] ?? '',
+      onChange: (e) => setFields({ ...fields, [name]: e.target.value })
+    }
+  }
+
+  async function record(build, label) {
+    setBusy(true)
+    setError(null)
+    try {
+      const created = await postTransaction([build()])
+      setForm(null)
+      onRecorded(`✓ ${label}: ${created.join(', ')}`)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  function submit(e) {
+    e.preventDefault()
+    if (form === 'not-done') {
+      record(() => screeningNotDone(patient, { ...fields, authoredOn: today }), `Screening ${fields.outcome}`)
+    } else {
+      record(() => outsideMammogram(patient, fields), 'Outside mammogram recorded')
+    }
+  }
+
+  return (
+    <div className="screening-actions">
+      <div className="action-buttons">
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => record(() => mammogramOrder(patient, { base: orderBase, authoredOn: today }), 'Mammogram ordered')}
+        >
+          Order screening mammogram
+        </button>
+        <button type="button" disabled={busy} onClick={() => open('not-done', { outcome: 'declined', reason: 'patient-declined' })}>
+          Document declined or deferred
+        </button>
+        <button type="button" disabled={busy} onClick={() => open('outside', { date: today })}>
+          Record outside mammogram
+        </button>
+      </div>
+
+      {form === 'not-done' && (
+        <form className="action-form" onSubmit={submit}>
+          <label>
+            Outcome
+            <select {...field('outcome')}>
+              <option value="declined">Declined</option>
+              <option value="deferred">Deferred</option>
+            </select>
+          </label>
+          <label>
+            Reason
+            <select {...field('reason')}>
+              {NOT_DONE_REASONS.map(reason => (
+                <option key={reason.code} value={reason.code}>{reason.display}</option>
+              ))}
+            </select>
+          </label>
+          {fields.outcome === 'deferred' && (
+            <label>
+              Defer until
+              <input type="date" min={today} {...field('until')} />
+            </label>
+          )}
+          <label>
+            Note
+            <input type="text" {...field('note')} />
+          </label>
+          <button type="submit" disabled={busy}>Save</button>
+        </form>
+      )}
+
+      {form === 'outside' && (
+        <form className="action-form" onSubmit={submit}>
+          <label>
+            Date performed
+            <input type="date" max={today} {...field('date')} />
+          </label>
+          <label>
+            Facility
+            <input type="text" {...field('facility')} />
+          </label>
+          <label>
+            Note
+            <input type="text" {...field('note')} />
+          </label>
+          <button type="submit" disabled={busy}>Save</button>
+        </form>
+      )}
+
+      {error && <p className="action-error">{error}</p>}
+    </div>
+  )
+}
+
+export default ScreeningActions
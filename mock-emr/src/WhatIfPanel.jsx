@@ -0,0 +1,78 @@
+import { useState } from 'react'
+import { outsideMammogram } from './actions'
+
+const MASTECTOMY_VALUESET = 'History of bilateral mastectomy'
+
+function mastectomyCondition(patient, coding, onset) {
+  return {
+    resourceType: 'Condition',
+    id: 'what-if-mastectomy',
+    clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }] },
+    category: [{
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'problem-list-item', display: 'Problem List Item' }]
+    }],
+    code: { coding: [coding] },
+    subject: { reference: `Patient/${patient.id}` },
+    onsetDateTime: onset
+  }
+}
+
+// Edits to a copy of the chart that are evaluated but never written to /fhir
+function WhatIfPanel({ whatIf, setWhatIf, exclusionValueSets, today, onEvaluate, onReset }) {
+  const [mammogramDate, setMammogramDate] = useState(today)
+  const mastectomy = exclusionValueSets.find(vs => vs.name === MASTECTOMY_VALUESET)
+  const mastectomyCodes = mastectomy?.codes || new Set()
+  const isMastectomy = (condition) => (condition.code?.coding || []).some(c => mastectomyCodes.has(`${c.system}|${c.code}`))
+  const hasMastectomy = whatIf.conditions.some(isMastectomy)
+
+  function setBirthDate(birthDate) {
+    setWhatIf({ ...whatIf, patient: { ...whatIf.patient, birthDate } })
+  }
+
+  function addMammogram() {
+    const observation = { ...outsideMammogram(whatIf.patient, { date: mammogramDate }), id: `what-if-obs-${Date.now()}` }
+    setWhatIf({ ...whatIf, observations: [...whatIf.observations, observation] })
+  }
+
+  function toggleMastectomy(checked) {
+    const conditions = checked
+      ? [...whatIf.conditions, mastectomyCondition(whatIf.patient, mastectomy.first, today)]
+      : whatIf.conditions.filter(condition => !isMastectomy(condition))
+    setWhatIf({ ...whatIf, conditions })
+  }
+
+  return (
+    <section className="what-if">
+      <h2>What-if</h2>
+      <p className="hint">Changes here are evaluated but not saved.</p>
+      <div className="what-if-controls">
+        <label>
+          Birth date
+          <input type="date" value={whatIf.patient.birthDate || ''} onChange={(e) => setBirthDate(e.target.value)} />
+        </label>
+        <label>
+          Mammogram on
+          <span className="inline">
+            <input type="date" value={mammogramDate} onChange={(e) => setMammogramDate(e.target.value)} />
+            <button type="button" disabled={!mammogramDate} onClick={addMammogram}>Add</button>
+          </span>
+        </label>
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={hasMastectomy}
+            disabled={!mastectomy?.first}
+            onChange={(e) => toggleMastectomy(e.target.checked)}
+          />
+          History of bilateral mastectomy
+        </label>
+      </div>
+      <div className="what-if-buttons">
+        <button type="button" onClick={onEvaluate}>Re-evaluate</button>
+        <button type="button" onClick={onReset}>Reset to chart</button>
+      </div>
+    </section>
+  )
+}
+
+export default WhatIfPanel
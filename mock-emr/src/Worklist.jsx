@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react'
+import { evaluateLibrary, resultValues } from './fhir'
+import { CATEGORIES, COLUMNS, toRow, countByCategory, toCsv, mapLimit } from './worklist'
+
+// $evaluate calls in flight at once
+const CONCURRENCY = 4
+
+function display(value) {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+  return value
+}
+
+function compare(a, b) {
+  if (a === b) return 0
+  if (a === null || a === undefined || a === '') return 1
+  if (b === null || b === undefined || b === '') return -1
+  return typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b))
+}
+
+// Every patient evaluated, as a sortable, filterable table with outcome counts
+function Worklist({ patients, asOfDate, onOpenPatient }) {
+  const [rows, setRows] = useState([])
+  const [progress, setProgress] = useState(null)
+  const [sort, setSort] = useState({ key: 'category', ascending: true })
+  const [category, setCategory] = useState('')
+  const [text, setText] = useState('')
+
+  useEffect(() => {
+    evaluateAll()
+  }, [patients, asOfDate])
+
+  async function evaluateAll() {
+    setRows([])
+    setProgress(0)
+    const evaluated = await mapLimit(patients, CONCURRENCY, async patient => {
+      try {
+        const result = await evaluateLibrary(patient.id, { asOf: asOfDate || undefined })
+        return toRow(patient, resultValues(result))
+      } catch (err) {
+        return toRow(patient, null, err.message)
+      }
+    }, setProgress)
+    setRows(evaluated)
+    setProgress(null)
+  }
+
+  function sortBy(key) {
+    setSort(sort.key === key ? { key, ascending: !sort.ascending } : { key, ascending: true })
+  }
+
+  function exportCsv() {
+    const url = URL.createObjectURL(new Blob([toCsv(shown)], { type: 'text/csv' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `bcs-worklist${asOfDate ? `-${asOfDate}` : ''}.csv`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const categoryOrder = (row) => {
+    const index = CATEGORIES.findIndex(c => c.id === row.category)
+    return index === -1 ? CATEGORIES.length : index
+  }
+  const needle = text.trim().toLowerCase()
+  const shown = rows
+    .filter(row => !category || row.category === category)
+    .filter(row => !needle || `${row.id} ${row.name}`.toLowerCase().includes(needle))
+    .sort((a, b) => {
+      const order = sort.key === 'category' ? categoryOrder(a) - categoryOrder(b) : compare(a[sort.key], b[sort.key])
+      return (sort.ascending ? order : -order) || a.id.localeCompare(b.id)
+    })
+  const counts = countByCategory(rows)
+  const label = (id) => CATEGORIES.find(c => c.id === id)?.label || 'Error'
+
+  return (
+    <section className="worklist">
+      <div className="worklist-summary">
+        {CATEGORIES.map(c => (
+          <button
+            key={c.id}
+            type="button"
+            className={`count ${c.id} ${category === c.id ? 'selected' : ''}`}
+            onClick={() => setCategory(category === c.id ? '' : c.id)}
+          >
+            <span className="number">{counts[c.id]}</span>
+            <span className="label">{c.label}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="worklist-toolbar">
+        <input
+          type="search"
+          placeholder="Filter by patient id or name"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <select value={category} onChange={(e) => setCategory(e.target.value)}>
+          <option value="">All outcomes</option>
+          {CATEGORIES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+          {counts.error > 0 && <option value="error">Error</option>}
+        </select>
+        <button type="button" onClick={evaluateAll} disabled={progress !== null}>Re-evaluate</button>
+        <button type="button" onClick={exportCsv} disabled={!shown.length}>Export CSV</button>
+      </div>
+
+      {progress !== null && (
+        <div className="loading">Evaluating {progress} of {patients.length} patients...</div>
+      )}
+
+      {progress === null && (
+        <table className="worklist-table">
+          <thead>
+            <tr>
+              {COLUMNS.map(c => (
+                <th key={c.key} onClick={() => sortBy(c.key)} className={sort.key === c.key ? 'sorted' : ''}>
+                  {c.label}{sort.key === c.key && (sort.ascending ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(row => (
+              <tr key={row.id} className={row.category} onClick={() => onOpenPatient(row.id)} title={row.error || 'Open patient'}>
+                {COLUMNS.map(c => (
+                  <td key={c.key} className={c.key}>{c.key === 'category' ? label(row.category) : display(row[c.key])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {progress === null && !shown.length && <p className="no-entries">No patients match.</p>}
+    </section>
+  )
+}
+
+export default Worklist
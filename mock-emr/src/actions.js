@@ -0,0 +1,122 @@
+// FHIR writes behind the screening card's actions. Each action POSTs one
+// transaction Bundle to /fhir (the acting Practitioner plus the new
+// resources), so it works against HAPI and the local stand-in alike.
+
+export const PRACTITIONER_ID = 'mock-emr-user'
+
+const TAG_SYSTEM = 'http://example.org/test-lifecycle'
+const QICORE = 'http://hl7.org/fhir/us/qicore/StructureDefinition'
+const REASON_SYSTEM = 'http://example.org/CodeSystem/screening-not-done-reason'
+
+export const SCREENING_MAMMOGRAM = { system: 'http://loinc.org', code: '24606-6', display: 'MG Breast Screening' }
+
+export const NOT_DONE_REASONS = [
+  { code: 'patient-declined', display: 'Patient declined' },
+  { code: 'patient-deferred', display: 'Patient prefers to defer' },
+  { code: 'medical-reason', display: 'Medical reason' },
+  { code: 'cost-or-coverage', display: 'Cost or coverage' },
+  { code: 'other', display: 'Other' }
+]
+
+// Today as local YYYY-MM-DD (toISOString would give the UTC date)
+export function localToday() {
+  const now = new Date()
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`
+}
+
+// Profile plus the patient's lifecycle tags, so test teardown removes what the EMR wrote
+function metaFor(patient, profile) {
+  const tag = (patient.meta?.tag || []).filter(t => t.system === TAG_SYSTEM)
+  return { profile: [`${QICORE}/${profile}`], ...(tag.length ? { tag } : {}) }
+}
+
+function practitioner() {
+  return {
+    resourceType: 'Practitioner',
+    id: PRACTITIONER_ID,
+    meta: { tag: [{ system: TAG_SYSTEM, code: 'bcs-test' }] },
+    name: [{ prefix: ['Dr.'], given: ['Mock'], family: 'Clinician' }]
+  }
+}
+
+const requester = { reference: `Practitioner/${PRACTITIONER_ID}` }
+const mammogramCode = { coding: [SCREENING_MAMMOGRAM], text: 'Screening mammogram' }
+
+// Active order for a screening mammogram; `base` is a proposed ServiceRequest
+// (e.g. a CDS Hooks suggestion) to start from
+export function mammogramOrder(patient, { base = {}, authoredOn } = {}) {
+  const { id, ...proposal } = base
+  return {
+    ...proposal,
+    resourceType: 'ServiceRequest',
+    meta: metaFor(patient, 'qicore-servicerequest'),
+    status: 'active',
+    intent: 'order',
+    priority: proposal.priority || 'routine',
+    code: proposal.code || mammogramCode,
+    subject: { reference: `Patient/${patient.id}` },
+    requester,
+    authoredOn
+  }
+}
+
+// Declined (doNotPerform) or deferred (on hold until a date) screening, with a reason
+export function screeningNotDone(patient, { outcome, reason, note, until, authoredOn }) {
+  const reasonCoding = NOT_DONE_REASONS.find(r => r.code === reason)
+  if (!reasonCoding) throw new Error('Choose a reason')
+  if (outcome === 'deferred' && !until) throw new Error('Choose the date to defer until')
+  return {
+    resourceType: 'ServiceRequest',
+    meta: metaFor(patient, outcome === 'declined' ? 'qicore-servicenotrequested' : 'qicore-servicerequest'),
+    status: outcome === 'declined' ? 'completed' : 'on-hold',
+    intent: 'order',
+    doNotPerform: outcome === 'declined',
+    code: mammogramCode,
+    subject: { reference: `Patient/${patient.id}` },
+    requester,
+    authoredOn,
+    ...(outcome === 'deferred' ? { occurrenceDateTime: until } : {}),
+    reasonCode: [{ coding: [{ system: REASON_SYSTEM, ...reasonCoding }], text: reasonCoding.display }],
+    ...(note ? { note: [{ text: note }] } : {})
+  }
+}
+
+// Final screening mammogram result performed elsewhere; counts toward QualifyingMammograms
+export function outsideMammogram(patient, { date, facility, note }) {
+  if (!date) throw new Error('Enter the date of the mammogram')
+  const text = [facility && `Performed at ${facility}`, note].filter(Boolean).join('. ')
+  return {
+    resourceType: 'Observation',
+    meta: metaFor(patient, 'qicore-observation-clinical-result'),
+    status: 'final',
+    category: [{
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'imaging', display: 'Imaging' }]
+    }],
+    code: { coding: [SCREENING_MAMMOGRAM] },
+    subject: { reference: `Patient/${patient.id}` },
+    effectiveDateTime: date,
+    ...(text ? { note: [{ text }] } : {})
+  }
+}
+
+// POST the resources as one transaction; returns the created references
+export async function postTransaction(resources) {
+  const response = await fetch('/fhir', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/fhir+json', 'Accept': 'application/fhir+json' },
+    body: JSON.stringify({
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [
+        { resource: practitioner(), request: { method: 'PUT', url: `Practitioner/${PRACTITIONER_ID}` } },
+        ...resources.map(resource => ({ resource, request: { method: 'POST', url: resource.resourceType } }))
+      ]
+    })
+  })
+  const body = await response.json().catch(() => null)
+  if (!response.ok) {
+    const diagnostics = body?.issue?.map(i => i.diagnostics).filter(Boolean).join('; ')
+    throw new Error(diagnostics || `Transaction failed: ${response.status}`)
+  }
+  return (body.entry || []).slice(1).map(e => e.response?.location?.split('/_history')[0]).filter(Boolean)
+}
@@ -0,0 +1,112 @@
+// Reads and $evaluate calls against /fhir (proxied to HAPI or the local stand-in)
+
+const LIBRARY = 'BreastCancerScreening'
+
+async function readJson(response, what) {
+  const body = await response.json().catch(() => null)
+  if (!response.ok) {
+    const diagnostics = body?.issue?.map(i => i.diagnostics).filter(Boolean).join('; ')
+    throw new Error(`${what} failed: ${diagnostics || response.status}`)
+  }
+  return body
+}
+
+// The proxied path of a server URL (next links carry the upstream origin)
+function proxiedPath(url) {
+  const { pathname, search } = new URL(url, window.location.origin)
+  return `${pathname}${search}`
+}
+
+// Every resource a search matches, following Bundle.link[next] to the last page
+export async function searchAll(path) {
+  const resources = []
+  let next = `/fhir/${path}`
+  while (next) {
+    const bundle = await readJson(await fetch(next), `GET ${path}`)
+    resources.push(...(bundle.entry || []).map(e => e.resource).filter(Boolean))
+    const link = bundle.link?.find(l => l.relation === 'next')
+    next = link ? proxiedPath(link.url) : null
+  }
+  return resources
+}
+
+// The patient and the chart entries the screening logic looks at
+export async function fetchChart(patientId) {
+  const patient = await readJson(await fetch(`/fhir/Patient/${patientId}`), `GET Patient/${patientId}`)
+  const query = `patient=${encodeURIComponent(patientId)}`
+  const [observations, conditions, procedures] = await Promise.all(
+    ['Observation', 'Condition', 'Procedure'].map(type => searchAll(`${type}?${query}`))
+  )
+  return { patient, observations, conditions, procedures }
+}
+
+// All resources of a chart, as $evaluate data or CDS Hooks prefetch
+export function chartResources(chart) {
+  return [chart.patient, ...chart.observations, ...chart.conditions, ...chart.procedures]
+}
+
+// Library/$evaluate for a patient. asOf sets the AsOf CQL parameter; data (a
+// chart) is evaluated instead of the stored resources, for what-if edits.
+export async function evaluateLibrary(patientId, { asOf, data } = {}) {
+  const url = `/fhir/Library/${LIBRARY}/$evaluate`
+  if (!asOf && !data) {
+    return readJson(await fetch(`${url}?subject=Patient/${patientId}`), '$evaluate')
+  }
+  const parameter = [{ name: 'subject', valueString: `Patient/${patientId}` }]
+  if (asOf) {
+    parameter.push({
+      name: 'parameters',
+      resource: { resourceType: 'Parameters', parameter: [{ name: 'AsOf', valueDate: asOf }] }
+    })
+  }
+  if (data) {
+    parameter.push(
+      {
+        name: 'data',
+        resource: { resourceType: 'Bundle', type: 'collection', entry: chartResources(data).map(resource => ({ resource })) }
+      },
+      { name: 'useServerData', valueBoolean: false }
+    )
+  }
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/fhir+json' },
+    body: JSON.stringify({ resourceType: 'Parameters', parameter })
+  })
+  return readJson(response, '$evaluate')
+}
+
+// The Condition ValueSets the Library excludes on, expanded:
+// [{ name, url, codes: Set of "system|code", first: a member coding }]
+export async function fetchExclusionValueSets() {
+  const library = await readJson(await fetch(`/fhir/Library/${LIBRARY}`), `GET Library/${LIBRARY}`)
+  const urls = (library.dataRequirement || [])
+    .filter(requirement => requirement.type === 'Condition')
+    .flatMap(requirement => (requirement.codeFilter || []).map(filter => filter.valueSet))
+    .filter(Boolean)
+  return Promise.all([...new Set(urls)].map(async url => {
+    const expanded = await readJson(
+      await fetch(`/fhir/ValueSet/$expand?url=${encodeURIComponent(url)}&count=1000`),
+      `$expand ${url}`
+    )
+    const contains = expanded.expansion?.contains || []
+    const name = library.relatedArtifact?.find(a => a.resource?.split('|')[0] === url)?.display
+    return {
+      name: name || expanded.title || url,
+      url,
+      codes: new Set(contains.map(c => `${c.system}|${c.code}`)),
+      first: contains[0] ? { system: contains[0].system, code: contains[0].code, display: contains[0].display } : null
+    }
+  }))
+}
+
+// Scalar values of an $evaluate result by name (resources and lists are skipped)
+export function resultValues(result) {
+  const values = {}
+  for (const param of result?.parameter || []) {
+    const key = Object.keys(param).find(k => k.startsWith('value'))
+    if (key) values[param.name] = param[key]
+    else if (!(param.name in values) && param._valueBoolean) values[param.name] = null
+  }
+  return values
+}
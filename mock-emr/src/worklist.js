@@ -0,0 +1,81 @@
+// Worklist outcomes and CSV export, from $evaluate results
+
+// Outcome categories in the order they are decided, with their labels
+export const CATEGORIES = [
+  { id: 'due', label: 'Due' },
+  { id: 'not-eligible', label: 'Not eligible' },
+  { id: 'excluded', label: 'Excluded' },
+  { id: 'up-to-date', label: 'Up to date' }
+]
+
+// Where a patient stands: due, else outside the age/gender criteria, else
+// excluded (mastectomy or breast cancer), else screened in the last two years
+export function categorize(values) {
+  if (values.RecommendMammogram) return 'due'
+  const age = values.AgeInYears
+  if (age === null || age === undefined || age < 40 || age > 74 || values.Gender !== 'female') return 'not-eligible'
+  if (values.HasBilateralMastectomy || values.HasBreastCancerDiagnosis) return 'excluded'
+  return 'up-to-date'
+}
+
+export const COLUMNS = [
+  { key: 'id', label: 'Patient' },
+  { key: 'name', label: 'Name' },
+  { key: 'gender', label: 'Gender' },
+  { key: 'age', label: 'Age' },
+  { key: 'category', label: 'Outcome' },
+  { key: 'lastMammogram', label: 'Last mammogram' },
+  { key: 'mammogramInLastTwoYears', label: 'Mammogram ≤ 2y' },
+  { key: 'mastectomy', label: 'Bilateral mastectomy' },
+  { key: 'breastCancer', label: 'Breast cancer' }
+]
+
+// One worklist row from a Patient and its $evaluate values (or the error evaluating it)
+export function toRow(patient, values, error) {
+  const name = patient.name?.[0]
+  return {
+    id: patient.id,
+    name: name ? `${name.given?.join(' ') || ''} ${name.family || ''}`.trim() : '',
+    gender: values?.Gender ?? patient.gender ?? '',
+    age: values?.AgeInYears ?? null,
+    category: error ? 'error' : categorize(values),
+    lastMammogram: values?.DateOfMostRecentMammogram?.slice(0, 10) ?? '',
+    mammogramInLastTwoYears: values?.MammogramInLastTwoYears ?? null,
+    mastectomy: values?.HasBilateralMastectomy ?? null,
+    breastCancer: values?.HasBreastCancerDiagnosis ?? null,
+    error: error || null
+  }
+}
+
+export function countByCategory(rows) {
+  const counts = Object.fromEntries(CATEGORIES.map(c => [c.id, 0]))
+  for (const row of rows) counts[row.category] = (counts[row.category] || 0) + 1
+  return counts
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCsv(rows) {
+  const lines = [COLUMNS.map(c => csvCell(c.label)).join(',')]
+  for (const row of rows) lines.push(COLUMNS.map(c => csvCell(row[c.key])).join(','))
+  return lines.join('\n') + '\n'
+}
+
+// Run fn over items with at most `limit` in flight; onProgress(done) after each
+export async function mapLimit(items, limit, fn, onProgress) {
+  const results = new Array(items.length)
+  let next = 0
+  let done = 0
+  async function worker() {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index])
+      onProgress?.(++done)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
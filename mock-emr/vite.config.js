@@ -1,13 +1,25 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// FHIR_PROXY_TARGET points /fhir at another server, e.g. the local stand-in
+// started with `npm run fhir:serve -- --port 8081`
+const fhirTarget = process.env.FHIR_PROXY_TARGET || 'http://localhost:8080'
+
+// CDS_PROXY_TARGET points /cds-services at the CDS Hooks service
+// (`npm run cds:serve`), used when VITE_CDS_HOOKS=true
+const cdsTarget = process.env.CDS_PROXY_TARGET || 'http://localhost:8090'
+
 export default defineConfig({
   plugins: [react()],
   server: {
     port: 3000,
     proxy: {
       '/fhir': {
-        target: 'http://localhost:8080',
+        target: fhirTarget,
+        changeOrigin: true
+      },
+      '/cds-services': {
+        target: cdsTarget,
         changeOrigin: true
       }
     }
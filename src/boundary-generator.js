@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * Generates boundary-value YAML test cases from the input domains of mammo.dmn.
+ *
+ * Each input column is partitioned into equivalence classes (see
+ * inputDomains in dmn-analyzer.js): every range edge, the values just beyond
+ * it and one representative per class, plus each boolean. Starting from a
+ * baseline that satisfies the table's first rule, one case is written per
+ * class of each input, varying only that input. `expected` comes from
+ * evaluateDecision, and `expectedActions` (the PlanDefinition $apply
+ * proposals) follows RecommendMammogram, so editing the table and re-running
+ * keeps the cases in step; cases no longer produced are deleted.
+ *
+ * Generated files are tests/cases/bcs-dmn-*.yaml and carry a "Generated by"
+ * header; hand-written cases are never touched.
+ *
+ * Usage: node src/boundary-generator.js
+ *        node src/boundary-generator.js --dry-run   (list the cases without writing)
+ *
+ * Options:
+ *   --dmn <file>        Model to read (default: mammo.dmn)
+ *   --decision <id>     Decision table to use (default: the top-level decision)
+ *   --out <dir>         Output directory (default: tests/cases)
+ *
+ * Exits non-zero when a combination has no DMN result (a gap or an overlap in
+ * the table); the other cases are still written.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, mkdirSync, unlinkSync, existsSync } from 'fs';
+import { resolve, join } from 'path';
+import { fileURLToPath } from 'url';
+import { stringify as stringifyYaml } from 'yaml';
+import { loadDMN, getDecision, evaluateDecision } from './dmn-runner.js';
+import { inputDomains, OTHER_VALUE } from './dmn-analyzer.js';
+import { SCREENING_ACTION_ID } from './generate-plandefinition.js';
+import { evaluateUnaryTests } from './feel.js';
+
+const casesDir = resolve(process.cwd(), 'tests/cases');
+const CASE_PREFIX = 'bcs-dmn-';
+const GENERATED_MARKER = '# Generated by src/boundary-generator.js';
+
+/**
+ * How each DMN input is expressed as FHIR test data. `patient` returns fields
+ * merged into the Patient; `resources` returns extra resources (templates from
+ * tests/templates/).
+ */
+export const INPUT_MAPPINGS = {
+  AgeInYears: {
+    patient: (age) => ({ birthDate: { $fn: 'yearsAgo', years: age } }),
+  },
+  Gender: {
+    patient: (gender) => ({ gender: gender === OTHER_VALUE ? 'other' : gender }),
+  },
+  MammogramInLastTwoYears: {
+    resources: (value) => (value
+      ? [{ $template: 'mammogram-observation', effectiveDateTime: { $fn: 'yearsAgo', years: 1, offsetDays: 0 } }]
+      : []),
+  },
+  HasBilateralMastectomy: {
+    resources: (value) => (value
+      ? [{
+        $template: 'problem-condition',
+        id: '{{caseId}}-mastectomy',
+        code: { coding: [{ system: 'http://snomed.info/sct', code: '136071000119101', display: 'History of bilateral prophylactic mastectomy (situation)' }] },
+        onsetDateTime: { $fn: 'yearsAgo', years: 5 },
+      }]
+      : []),
+  },
+  HasBreastCancerDiagnosis: {
+    resources: (value) => (value
+      ? [{
+        $template: 'problem-condition',
+        id: '{{caseId}}-cancer',
+        code: { coding: [{ system: 'http://snomed.info/sct', code: '254837009', display: 'Malignant neoplasm of breast (disorder)' }] },
+        onsetDateTime: { $fn: 'yearsAgo', years: 1 },
+      }]
+      : []),
+  },
+};
+
+/** AgeInYears → age-in-years */
+function kebab(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/** Value as it appears in a case id */
+function valueSlug(value) {
+  if (value === OTHER_VALUE) return 'other';
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+/** bcs-dmn-age-in-years-39 → DmnAgeInYears39 */
+function givenName(caseId) {
+  return caseId.slice('bcs-'.length).split('-').map(part => part[0].toUpperCase() + part.slice(1)).join('');
+}
+
+/** Numbers become whole values (ages are integers) */
+function toCaseValue(domain, value) {
+  return domain.kind === 'number' ? Math.round(value) : value;
+}
+
+/**
+ * Baseline inputs: for each column, the middle class that satisfies the
+ * table's first rule
+ */
+function baselineInputs(table, domains) {
+  const rule = table.rules[0];
+  return Object.fromEntries(domains.map((domain, col) => {
+    const matching = domain.classes.filter(c => c.value !== OTHER_VALUE
+      && evaluateUnaryTests(rule.conditions[col].test.ast, c.value));
+    const pick = matching.length ? matching[Math.floor(matching.length / 2)] : domain.classes[0];
+    return [domain.name, toCaseValue(domain, pick.value)];
+  }));
+}
+
+/**
+ * Plan the boundary cases for a decision table. Returns
+ * { cases: [{ id, description, tags, inputs, expected, expectedActions }], skipped: [{ id, inputs, reason }] }
+ */
+export function planBoundaryCases(model, options = {}) {
+  const decision = getDecision(model, options.decisionId);
+  if (decision.logic.kind !== 'decisionTable') {
+    throw new Error(`Decision ${decision.id} is not a decision table`);
+  }
+  const table = decision.logic.table;
+  const domains = inputDomains(table);
+
+  for (const domain of domains) {
+    if (!INPUT_MAPPINGS[domain.name]) {
+      throw new Error(`No FHIR mapping for DMN input "${domain.name}"; add one to INPUT_MAPPINGS`);
+    }
+  }
+
+  const baseline = baselineInputs(table, domains);
+  const variants = [{ id: `${CASE_PREFIX}baseline`, inputs: baseline, note: 'baseline (first rule)', boundary: false }];
+  for (const domain of domains) {
+    domain.classes.forEach((cls, idx) => {
+      const value = toCaseValue(domain, cls.value);
+      if (value === baseline[domain.name]) return;
+      const edge = cls.boundary || (domain.kind !== 'boolean' && domain.kind !== 'string'
+        && (idx === 0 || idx === domain.classes.length - 1));
+      variants.push({
+        id: `${CASE_PREFIX}${kebab(domain.name)}-${valueSlug(value)}`,
+        inputs: { ...baseline, [domain.name]: value },
+        note: `${domain.name} ${cls.label}`,
+        boundary: edge,
+      });
+    });
+  }
+
+  const cases = [];
+  const skipped = [];
+  for (const variant of variants) {
+    let output;
+    try {
+      output = evaluateDecision(variant.inputs, { model, decisionId: decision.id });
+    } catch (error) {
+      skipped.push({ id: variant.id, inputs: variant.inputs, reason: error.message });
+      continue;
+    }
+    const missing = Object.entries(output).filter(([, value]) => value === null || value === undefined);
+    if (missing.length) {
+      skipped.push({ id: variant.id, inputs: variant.inputs, reason: `no rule produces ${missing.map(([name]) => name).join(', ')}` });
+      continue;
+    }
+
+    const positive = Object.values(output).some(value => value === true);
+    const shown = Object.entries(variant.inputs).map(([name, value]) => `${name}=${value === OTHER_VALUE ? 'other' : value}`);
+    cases.push({
+      id: variant.id,
+      description: `DMN ${variant.note}: ${shown.join(', ')} → ${Object.entries(output).map(([k, v]) => `${k}=${v}`).join(', ')}`,
+      tags: [
+        'breast-cancer-screening',
+        positive ? 'positive-case' : 'negative-case',
+        'dmn-boundary',
+        ...(variant.boundary ? ['boundary-test'] : []),
+      ],
+      inputs: variant.inputs,
+      expected: { ...output, ...Object.fromEntries(Object.entries(variant.inputs).filter(([, v]) => v !== OTHER_VALUE)) },
+      expectedActions: output.RecommendMammogram === true ? [SCREENING_ACTION_ID] : [],
+    });
+  }
+
+  return { cases, skipped };
+}
+
+/** Build the YAML test case document for a planned case */
+export function buildCaseYaml(plan, dmnFile) {
+  let patient = { $template: 'qicore-patient', name: [{ family: 'TestPatient', given: [givenName(plan.id)] }] };
+  const resources = [];
+  for (const [name, value] of Object.entries(plan.inputs)) {
+    const mapping = INPUT_MAPPINGS[name];
+    if (mapping.patient) patient = { ...patient, ...mapping.patient(value) };
+    if (mapping.resources) resources.push(...mapping.resources(value));
+  }
+
+  const document = {
+    id: plan.id,
+    description: plan.description,
+    tags: plan.tags,
+    expected: plan.expected,
+    expectedActions: plan.expectedActions,
+    resources: [patient, ...resources],
+  };
+  return `${GENERATED_MARKER} from ${dmnFile}; do not edit by hand.\n`
+    + '# Re-run `npm run test:cases:boundary` after changing the decision table.\n\n'
+    + stringifyYaml(document, { lineWidth: 0 });
+}
+
+/** Previously generated boundary case files in a directory */
+function existingGeneratedCases(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(f => f.startsWith(CASE_PREFIX) && f.endsWith('.yaml'))
+    .filter(f => readFileSync(join(dir, f), 'utf-8').startsWith(GENERATED_MARKER));
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  let dmnFile = 'mammo.dmn';
+  let decisionId;
+  let outDir = casesDir;
+  let dryRun = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dmn') dmnFile = args[++i];
+    else if (arg === '--decision') decisionId = args[++i];
+    else if (arg === '--out') outDir = resolve(args[++i]);
+    else if (arg === '--dry-run') dryRun = true;
+    else {
+      console.error(`Unknown option: ${arg}`);
+      console.error('Usage: node src/boundary-generator.js [--dmn <file>] [--decision <id>] [--out <dir>] [--dry-run]');
+      process.exit(1);
+    }
+  }
+
+  let plan;
+  try {
+    plan = planBoundaryCases(loadDMN(resolve(dmnFile)), { decisionId });
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+
+  const stale = existingGeneratedCases(outDir).filter(f => !plan.cases.some(c => `${c.id}.yaml` === f));
+  if (!dryRun) mkdirSync(outDir, { recursive: true });
+
+  for (const testCase of plan.cases) {
+    if (!dryRun) writeFileSync(join(outDir, `${testCase.id}.yaml`), buildCaseYaml(testCase, dmnFile));
+    console.log(`✓ ${testCase.id}`);
+    console.log(`    ${testCase.description}`);
+  }
+  for (const file of stale) {
+    if (!dryRun) unlinkSync(join(outDir, file));
+    console.log(`- ${file} (removed: no longer produced by the table)`);
+  }
+  for (const { id, inputs, reason } of plan.skipped) {
+    console.error(`✗ ${id} skipped: ${reason}`);
+    console.error(`    ${Object.entries(inputs).map(([name, value]) => `${name}=${value}`).join(', ')}`);
+  }
+
+  console.log(`\n${plan.cases.length} case(s)${dryRun ? ' planned' : ` written to ${outDir}`}, `
+    + `${stale.length} stale removed, ${plan.skipped.length} skipped`);
+  if (plan.skipped.length) {
+    console.error('Skipped combinations have no DMN result; see npm run analyze:dmn');
+    process.exit(1);
+  }
+}
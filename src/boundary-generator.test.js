@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { parse as parseYaml } from 'yaml';
+import { parseDMN, loadDMN } from './dmn-runner.js';
+import { planBoundaryCases, buildCaseYaml } from './boundary-generator.js';
+
+/** Mammo-style table with the age range and inputs given as arguments */
+function screeningModel({ range = '[40..74]', inputs = ['AgeInYears', 'Gender'] } = {}) {
+  const inputXml = inputs.map((name, i) => `
+      <input id="in${i}" label="${name}">
+        <inputExpression id="ie${i}" typeRef="${name === 'Gender' ? 'string' : 'number'}"><text>${name}</text></inputExpression>
+      </input>`).join('');
+  const entries = (ageTest) => inputs.map((name, i) => `<inputEntry id="e${i}-${ageTest.length}"><text>${name === 'Gender' ? '"female"' : ageTest}</text></inputEntry>`).join('');
+  return parseDMN(`<?xml version="1.0" encoding="UTF-8"?>
+<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" id="defs" name="Test" namespace="http://example.org">
+  <decision id="Recommend" name="Recommend">
+    <decisionTable id="dt" hitPolicy="FIRST">${inputXml}
+      <output id="out" name="RecommendMammogram" typeRef="boolean"/>
+      <rule id="r1">${entries(range)}<outputEntry id="o1"><text>true</text></outputEntry></rule>
+      <rule id="r2">${inputs.map((_, i) => `<inputEntry id="x${i}"><text>-</text></inputEntry>`).join('')}<outputEntry id="o2"><text>false</text></outputEntry></rule>
+    </decisionTable>
+  </decision>
+</definitions>`);
+}
+
+describe('boundary case generator', () => {
+  it('plans one case per equivalence class of mammo.dmn', () => {
+    const { cases, skipped } = planBoundaryCases(loadDMN());
+    const ids = cases.map(c => c.id);
+    expect(ids).toEqual(expect.arrayContaining([
+      'bcs-dmn-baseline',
+      'bcs-dmn-age-in-years-39',
+      'bcs-dmn-age-in-years-40',
+      'bcs-dmn-age-in-years-74',
+      'bcs-dmn-age-in-years-75',
+      'bcs-dmn-gender-male',
+    ]));
+
+    const byId = Object.fromEntries(cases.map(c => [c.id, c]));
+    expect(byId['bcs-dmn-baseline'].expected.RecommendMammogram).toBe(true);
+    expect(byId['bcs-dmn-age-in-years-39'].expected).toMatchObject({ RecommendMammogram: false, AgeInYears: 39 });
+    expect(byId['bcs-dmn-age-in-years-40'].tags).toContain('boundary-test');
+    expect(byId['bcs-dmn-age-in-years-40'].tags).toContain('positive-case');
+    expect(byId['bcs-dmn-mammogram-in-last-two-years-true'].expected.RecommendMammogram).toBe(false);
+    expect(skipped).toEqual([]);
+  });
+
+  it('follows a changed age range', () => {
+    const ids = planBoundaryCases(screeningModel({ range: '[50..74]' })).cases.map(c => c.id);
+    expect(ids).toContain('bcs-dmn-age-in-years-49');
+    expect(ids).toContain('bcs-dmn-age-in-years-50');
+    expect(ids).not.toContain('bcs-dmn-age-in-years-40');
+  });
+
+  it('rejects inputs without a FHIR mapping', () => {
+    expect(() => planBoundaryCases(screeningModel({ inputs: ['AgeInYears', 'BMI'] })))
+      .toThrow(/No FHIR mapping for DMN input "BMI"/);
+  });
+
+  it('writes YAML cases with $fn dates and templates', () => {
+    const { cases } = planBoundaryCases(loadDMN());
+    const testCase = cases.find(c => c.id === 'bcs-dmn-has-breast-cancer-diagnosis-true');
+    const yaml = buildCaseYaml(testCase, 'mammo.dmn');
+    expect(yaml.startsWith('# Generated by src/boundary-generator.js from mammo.dmn')).toBe(true);
+
+    const document = parseYaml(yaml);
+    expect(document.expected.RecommendMammogram).toBe(false);
+    const [patient, condition] = document.resources;
+    expect(patient).toMatchObject({ $template: 'qicore-patient', gender: 'female', birthDate: { $fn: 'yearsAgo', years: 57 } });
+    expect(condition.$template).toBe('problem-condition');
+    expect(condition.code.coding[0].code).toBe('254837009');
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Schema and referential checks for YAML test cases, run by the test
+ * generator before it writes anything. Every issue carries the file and the
+ * line/column of the offending YAML node.
+ */
+
+import { relative, isAbsolute } from 'path';
+import { parseDocument, LineCounter, isMap, isSeq } from 'yaml';
+
+const TAG_SYSTEM = 'http://example.org/test-lifecycle';
+const COMMON_TAG_CODE = 'bcs-test';
+
+/** Thrown when one or more test cases fail validation */
+export class CaseValidationError extends Error {
+  constructor(issues) {
+    super(`Invalid test case${issues.length === 1 ? '' : 's'}:\n${issues.map(formatIssue).join('\n')}`);
+    this.name = 'CaseValidationError';
+    this.issues = issues;
+  }
+}
+
+/** A path relative to the working directory when it lies inside it */
+function displayPath(file) {
+  const path = relative(process.cwd(), file);
+  return path && !path.startsWith('..') && !isAbsolute(path) ? path : file;
+}
+
+/** file:line:column: message */
+export function formatIssue(issue) {
+  return `${displayPath(issue.file)}:${issue.line}:${issue.column}: ${issue.message}`;
+}
+
+/**
+ * Parse a YAML test case, keeping the document so issues can point at lines.
+ * Returns { file, document, testCase, issues } where issues holds YAML syntax
+ * errors.
+ */
+export function parseTestCase(file, content) {
+  const lineCounter = new LineCounter();
+  const document = parseDocument(content, { lineCounter });
+  const position = (node) => {
+    const offset = node?.range?.[0] ?? 0;
+    const { line, col } = lineCounter.linePos(offset);
+    return { line, column: col };
+  };
+  const issues = document.errors.map(error => ({
+    file,
+    line: error.linePos?.[0]?.line ?? 1,
+    column: error.linePos?.[0]?.col ?? 1,
+    message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+  }));
+  return { file, document, position, testCase: issues.length ? null : document.toJS(), issues };
+}
+
+/** Every object in a value with one of the directive keys ($fn, $vs, ...), with its path and key */
+function findDirectives(value, keys, path = []) {
+  if (Array.isArray(value)) return value.flatMap((item, i) => findDirectives(item, keys, [...path, i]));
+  if (value === null || typeof value !== 'object') return [];
+  const key = keys.find(k => k in value);
+  const own = key ? [{ path, key, directive: value }] : [];
+  return [...own, ...Object.entries(value).flatMap(([k, val]) => findDirectives(val, keys, [...path, k]))];
+}
+
+/** True for a Coding written out in the case (not a $vs/$code directive) */
+function isLiteralCoding(coding) {
+  return coding && typeof coding === 'object' && !('$vs' in coding) && !('$code' in coding);
+}
+
+/** Deepest YAML node that exists along a path */
+function nodeAt(document, path) {
+  for (let end = path.length; end >= 0; end--) {
+    const node = end ? document.getIn(path.slice(0, end), true) : document.contents;
+    if (node && typeof node === 'object') return node;
+  }
+  return document.contents;
+}
+
+/** Key node of `key` in the map at `path` (the map itself if absent) */
+function keyAt(document, path, key) {
+  const map = nodeAt(document, path);
+  const pair = isMap(map) ? map.items.find(item => item.key?.value === key) : null;
+  return pair ? pair.key : map;
+}
+
+/**
+ * Validate one parsed test case. Options:
+ *   definitions  Set of CQL define names that `expected` keys must match
+ *   actions      Set of PlanDefinition action ids `expectedActions` may list
+ *   functions    names of the supported $fn date functions
+ *   otherCases   Map of case id → file for the other cases, to catch duplicate ids
+ *   build        testCase → generated resources (templates expanded, tags and
+ *                subjects injected) for the tag, reference and code checks
+ *   resolveCode  (directive, caseId) → Coding for $vs/$code directives; throws
+ *                when one does not resolve
+ *   checkCode    resource → the profile validator's code-invalid issue when its
+ *                code is outside the ValueSets the CQL retrieves it with, or
+ *                null (see checkRetrievedCode); run on literal codes only
+ * Returns a list of { file, line, column, message }.
+ */
+export function validateTestCase(parsed, options = {}) {
+  const { file, document, position, testCase } = parsed;
+  if (parsed.issues.length) return parsed.issues;
+
+  const issues = [];
+  const report = (node, message) => issues.push({ file, ...position(node), message });
+
+  if (!isMap(document.contents)) {
+    report(document.contents, 'Test case must be a YAML mapping');
+    return issues;
+  }
+
+  if (testCase.id === undefined || testCase.id === null || testCase.id === '') {
+    report(document.contents, 'Missing required field "id"');
+  } else if (typeof testCase.id !== 'string') {
+    report(document.getIn(['id'], true), '"id" must be a string');
+  } else if (options.otherCases?.has(testCase.id)) {
+    const other = displayPath(options.otherCases.get(testCase.id));
+    report(document.getIn(['id'], true), `Duplicate case id "${testCase.id}" (also in ${other})`);
+  }
+
+  const resourcesNode = document.getIn(['resources'], true);
+  if (!isSeq(resourcesNode) || resourcesNode.items.length === 0) {
+    report(resourcesNode || document.contents, '"resources" must be a non-empty list');
+  }
+
+  for (const { path, key, directive } of findDirectives(testCase.resources, ['$fn', '$vs', '$code'], ['resources'])) {
+    if (key === '$fn') {
+      if (!options.functions || !options.functions.includes(directive.$fn)) {
+        const known = options.functions ? ` (known: ${options.functions.join(', ')})` : '';
+        report(keyAt(document, path, '$fn'), `Unknown $fn "${directive.$fn}"${known}`);
+      }
+    } else if (options.resolveCode) {
+      try {
+        options.resolveCode(directive, testCase.id);
+      } catch (error) {
+        report(keyAt(document, path, key), `${key}: ${error.message}`);
+      }
+    }
+  }
+
+  if (options.definitions && testCase.expected !== undefined) {
+    if (!isMap(document.getIn(['expected'], true))) {
+      report(document.getIn(['expected'], true), '"expected" must be a mapping of CQL define names to values');
+    } else {
+      for (const key of Object.keys(testCase.expected)) {
+        if (!options.definitions.has(key)) {
+          report(keyAt(document, ['expected'], key), `Expected "${key}" is not a define in the CQL library`);
+        }
+      }
+    }
+  }
+
+  if (testCase.expectedActions !== undefined) {
+    const node = document.getIn(['expectedActions'], true);
+    if (!isSeq(node) || !testCase.expectedActions.every(action => typeof action === 'string')) {
+      report(node, '"expectedActions" must be a list of PlanDefinition action ids (empty when nothing is proposed)');
+    } else if (options.actions) {
+      testCase.expectedActions.forEach((action, i) => {
+        if (!options.actions.has(action)) {
+          report(node.items[i], `Expected action "${action}" is not an action of the PlanDefinition (known: ${[...options.actions].join(', ')})`);
+        }
+      });
+    }
+  }
+
+  if (options.build && typeof testCase.id === 'string' && isSeq(resourcesNode)) {
+    let resources;
+    try {
+      resources = options.build(testCase);
+    } catch (error) {
+      report(resourcesNode, error.message);
+      return issues;
+    }
+    checkResources(resources, testCase.id, document, report);
+    if (options.checkCode) checkCodes(resources, options.checkCode, document, report);
+  }
+
+  return issues;
+}
+
+/**
+ * Lifecycle tags and Patient references of the built resources. The generator
+ * adds the "bcs-test" and case tags itself; checking them anyway catches a
+ * template that overrides meta.tag, or a regression in that injection.
+ */
+function checkResources(resources, caseId, document, report) {
+  const patientIds = new Set(resources.filter(r => r.resourceType === 'Patient').map(r => r.id));
+
+  resources.forEach((resource, i) => {
+    const label = `${resource.resourceType || 'Resource'}/${resource.id ?? `#${i + 1}`}`;
+    const node = nodeAt(document, ['resources', i]);
+    if (!resource.resourceType) report(node, `Resource #${i + 1} has no resourceType`);
+    if (!resource.id) report(node, `${label} has no id`);
+
+    const lifecycle = (resource.meta?.tag || []).filter(tag => tag.system === TAG_SYSTEM);
+    for (const code of [COMMON_TAG_CODE, caseId]) {
+      if (!lifecycle.some(tag => tag.code === code)) {
+        report(nodeAt(document, ['resources', i, 'meta', 'tag']), `${label} lacks the "${code}" lifecycle tag`);
+      }
+    }
+    for (const tag of lifecycle) {
+      if (tag.code !== COMMON_TAG_CODE && tag.code !== caseId) {
+        report(nodeAt(document, ['resources', i, 'meta', 'tag']), `${label} is tagged for another case ("${tag.code}")`);
+      }
+    }
+
+    for (const field of ['subject', 'patient']) {
+      const reference = resource[field]?.reference;
+      if (typeof reference !== 'string' || !reference.startsWith('Patient/')) continue;
+      const id = reference.slice('Patient/'.length);
+      if (!patientIds.has(id)) {
+        report(nodeAt(document, ['resources', i, field, 'reference']), `${label} ${field} ${reference} is not a Patient in this case`);
+      }
+    }
+  });
+}
+
+/**
+ * Literal codes of resources whose profile the CQL retrieves must be in one of
+ * the retrieved ValueSets, or the library never sees the resource. The check
+ * itself is the profile validator's; its issue is reported at the YAML line.
+ */
+function checkCodes(resources, checkCode, document, report) {
+  resources.forEach((resource, i) => {
+    const codings = resource.code?.coding;
+    if (!Array.isArray(codings) || !codings.length || !codings.every(isLiteralCoding)) return;
+    const issue = checkCode(resource);
+    if (!issue) return;
+    const label = `${resource.resourceType}/${resource.id}`;
+    report(keyAt(document, ['resources', i], 'code'), `${label}: ${issue.diagnostics}; use $vs or $code to pick a member`);
+  });
+}
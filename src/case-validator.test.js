@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseTestCase, validateTestCase, CaseValidationError } from './case-validator.js';
+import {
+  buildResources, dateFunctions, validateTestCaseFile, indexCaseIds, loadTerminology, resolveCodeDirective,
+} from './test-generator.js';
+import { readDefinitions } from './fhir-extractor.js';
+import { checkRetrievedCode } from './profile-validator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const casesDir = resolve(__dirname, '../tests/cases');
+const templatesDir = resolve(__dirname, '../tests/templates');
+
+function validate(yaml, options = {}) {
+  return validateTestCase(parseTestCase('/cases/case.yaml', yaml), {
+    definitions: readDefinitions(),
+    functions: Object.keys(dateFunctions),
+    build: (testCase) => buildResources(testCase, { templatesDir }),
+    ...options,
+  });
+}
+
+const messages = (issues) => issues.map(issue => `${issue.line}: ${issue.message}`);
+
+describe('validateTestCase', () => {
+  it('accepts every case in tests/cases', () => {
+    for (const [, file] of indexCaseIds(casesDir)) {
+      expect(validateTestCaseFile(file, { otherCases: indexCaseIds(casesDir, file), templatesDir }).issues).toEqual([]);
+    }
+  });
+
+  it('reports a missing id and duplicate ids', () => {
+    const resources = 'resources:\n  - resourceType: Patient\n    id: p\n';
+    expect(messages(validate(`description: no id\n${resources}`))).toEqual(['1: Missing required field "id"']);
+    const duplicate = validate(`id: bcs-x\n${resources}`, { otherCases: new Map([['bcs-x', '/cases/other.yaml']]) });
+    expect(duplicate[0].message).toMatch(/^Duplicate case id "bcs-x" \(also in .*other\.yaml\)$/);
+  });
+
+  it('points at unknown $fn directives and expected keys that are not CQL defines', () => {
+    const issues = validate([
+      'id: bcs-x',
+      'expected:',
+      '  RecommendMammogram: true',
+      '  RecommendMamogram: true',
+      'resources:',
+      '  - $template: qicore-patient',
+      '    birthDate:',
+      '      $fn: yearAgo',
+      '      years: 40',
+    ].join('\n'));
+    expect(messages(issues)).toEqual([
+      '8: Unknown $fn "yearAgo" (known: yearsAgo, daysAgo, today, monthsAgo)',
+      '4: Expected "RecommendMamogram" is not a define in the CQL library',
+    ]);
+  });
+
+  it('points at expectedActions that are not PlanDefinition actions', () => {
+    const resources = 'resources:\n  - $template: qicore-patient\n';
+    const actions = new Set(['order-screening-mammogram']);
+    expect(messages(validate(`id: bcs-x\nexpectedActions:\n  - order-mammogram\n${resources}`, { actions }))).toEqual([
+      '3: Expected action "order-mammogram" is not an action of the PlanDefinition (known: order-screening-mammogram)',
+    ]);
+    expect(messages(validate(`id: bcs-x\nexpectedActions: order-screening-mammogram\n${resources}`, { actions }))).toEqual([
+      '2: "expectedActions" must be a list of PlanDefinition action ids (empty when nothing is proposed)',
+    ]);
+    expect(validate(`id: bcs-x\nexpectedActions: []\n${resources}`, { actions })).toEqual([]);
+  });
+
+  it('points at $vs/$code directives that do not resolve and codes outside the expected ValueSet', () => {
+    const terminology = loadTerminology();
+    const issues = validate([
+      'id: bcs-x',
+      'resources:',
+      '  - $template: qicore-patient',
+      '  - $template: mammogram-observation',
+      '    code:',
+      '      coding:',
+      '        - system: http://loinc.org',
+      '          code: "8302-2"',
+      '  - $template: problem-condition',
+      '    code:',
+      '      coding:',
+      '        - $vs: Breast Cancer ICD10',
+      '        - $code: http://loinc.org|24606-6',
+      '          in: Breast Cancer SNOMED',
+    ].join('\n'), {
+      resolveCode: (directive, caseId) => resolveCodeDirective(directive, { terminology, caseId }),
+      checkCode: (resource) => checkRetrievedCode(resource, terminology),
+    });
+    expect(messages(issues)).toEqual([
+      '12: $vs: Unknown ValueSet "Breast Cancer ICD10" (not a CQL valueset name or a local ValueSet)',
+      '13: $code: http://loinc.org|24606-6 is not in the ValueSet "Breast Cancer"',
+      '5: Observation/bcs-x-obs: Observation.code http://loinc.org|8302-2 is in none of the CQL ValueSets retrieved for this profile ("Mammography"); the library will not see this resource; use $vs or $code to pick a member',
+    ]);
+  });
+
+  it('reports foreign lifecycle tags and references to Patients outside the case', () => {
+    const issues = validate([
+      'id: bcs-x',
+      'resources:',
+      '  - $template: qicore-patient',
+      '  - $template: mammogram-observation',
+      '    meta:',
+      '      tag:',
+      '        - system: http://example.org/test-lifecycle',
+      '          code: bcs-y',
+      '    subject:',
+      '      reference: Patient/bcs-y',
+    ].join('\n'));
+    expect(messages(issues)).toEqual([
+      '7: Observation/bcs-x-obs is tagged for another case ("bcs-y")',
+      '10: Observation/bcs-x-obs subject Patient/bcs-y is not a Patient in this case',
+    ]);
+  });
+
+  it('reports resources missing lifecycle tags', () => {
+    const issues = validate('id: bcs-x\nresources:\n  - resourceType: Patient\n    id: p\n', {
+      build: (testCase) => testCase.resources,
+    });
+    expect(messages(issues)).toEqual([
+      '3: Patient/p lacks the "bcs-test" lifecycle tag',
+      '3: Patient/p lacks the "bcs-x" lifecycle tag',
+    ]);
+  });
+
+  it('formats issues as file:line:column', () => {
+    const error = new CaseValidationError(validate('id: [\n'));
+    expect(error.message).toMatch(/^Invalid test case:\n\/cases\/case\.yaml:\d+:\d+: /);
+  });
+});
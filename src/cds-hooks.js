@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/**
+ * CDS Hooks service for the breast cancer screening logic.
+ *
+ *   GET  /cds-services                     discovery
+ *   POST /cds-services/bcs-patient-view    patient-view: whether a screening mammogram is due
+ *   POST /cds-services/bcs-order-select    order-select: warns when a selected mammogram order is not due
+ *
+ * Both services declare prefetch templates for the Patient, Observations and
+ * Conditions the Library's dataRequirements name. Prefetch the client leaves
+ * out is read from the request's fhirServer (with fhirAuthorization); without
+ * one the service answers 412. The logic runs in JavaScript: the facts come
+ * from fhir-extractor.js and the suggested order from the PlanDefinition's
+ * $apply (see plan-apply.js).
+ *
+ * The evaluation date is the request's "org.example.as-of" extension, else
+ * --as-of, else today.
+ *
+ * Usage: node src/cds-hooks.js
+ *        node src/cds-hooks.js --port 8091 --as-of 2025-12-26
+ *
+ * Environment: CDS_SERVER_PORT (default: 8090); AS_OF_DATE and AS_OF_TZ set
+ * the default evaluation date (see evaluation-date.js)
+ *
+ * The mock EMR reaches it through its /cds-services proxy
+ * (CDS_PROXY_TARGET=http://localhost:<port>).
+ */
+
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { extractScreeningFacts, readValueSetDeclarations } from './fhir-extractor.js';
+import { loadKnowledgeArtifacts, applyPlanDefinition } from './plan-apply.js';
+import { findValueSet, conceptInValueSet } from './terminology.js';
+import { createFhirClient } from './fhir-client.js';
+import { resolveEvaluationDate } from './evaluation-date.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const libraryPath = resolve(__dirname, '../input/resources/library/Library-BreastCancerScreening.json');
+
+const BASE_PATH = '/cds-services';
+const AS_OF_EXTENSION = 'org.example.as-of';
+const SOURCE = {
+  label: 'USPSTF Breast Cancer Screening (2024)',
+  url: 'https://www.uspreventiveservicestaskforce.org/uspstf/recommendation/breast-cancer-screening',
+};
+
+/** Error carrying the HTTP status to respond with */
+class CdsError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Prefetch templates for the resource types a Library's dataRequirements
+ * name: the Patient itself and a patient search per other type, keyed by the
+ * lowercased type (plural for searches)
+ */
+export function prefetchTemplates(library) {
+  const types = [...new Set((library.dataRequirement || []).map(requirement => requirement.type))];
+  return Object.fromEntries(types.map(type => (type === 'Patient'
+    ? ['patient', 'Patient/{{context.patientId}}']
+    : [`${type.toLowerCase()}s`, `${type}?patient={{context.patientId}}`])));
+}
+
+/** The discovery response: one service per supported hook */
+export function discovery(library) {
+  const prefetch = prefetchTemplates(library);
+  return {
+    services: [
+      {
+        hook: 'patient-view',
+        id: 'bcs-patient-view',
+        title: 'Breast cancer screening',
+        description: `Whether a screening mammogram is due, per ${library.name}.RecommendMammogram`,
+        prefetch,
+      },
+      {
+        hook: 'order-select',
+        id: 'bcs-order-select',
+        title: 'Screening mammogram order check',
+        description: `Warns when a selected mammogram order is not due per ${library.name}.RecommendMammogram`,
+        prefetch,
+      },
+    ],
+  };
+}
+
+/** Replace {{context.x}} tokens in a prefetch template */
+function fillTemplate(template, context) {
+  return template.replace(/\{\{\s*context\.(\w+)\s*\}\}/g, (token, name) => {
+    if (context?.[name] === undefined) throw new CdsError(400, `Prefetch template ${template} needs context.${name}`);
+    return encodeURIComponent(context[name]);
+  });
+}
+
+/** Resources in a prefetch value: a resource, a Bundle, or null for none */
+function prefetchResources(value) {
+  if (!value) return [];
+  if (value.resourceType === 'Bundle') return (value.entry || []).map(entry => entry.resource).filter(Boolean);
+  return [value];
+}
+
+/**
+ * Every resource the templates name for a hook request: prefetch the client
+ * sent, plus the rest read from request.fhirServer (following search pages).
+ * Options: fetch, injected into the FHIR client.
+ */
+export async function resolvePrefetch(templates, request, options = {}) {
+  const missing = Object.keys(templates).filter(key => !(key in (request.prefetch || {})));
+  const resources = Object.keys(templates).filter(key => !missing.includes(key))
+    .flatMap(key => prefetchResources(request.prefetch[key]));
+  if (!missing.length) return resources;
+
+  if (!request.fhirServer) {
+    throw new CdsError(412, `Prefetch ${missing.join(', ')} is missing and the request has no fhirServer to read it from`);
+  }
+  const token = request.fhirAuthorization?.access_token;
+  const client = createFhirClient({
+    baseUrl: request.fhirServer,
+    auth: token ? { type: 'bearer', token } : undefined,
+    retries: 0,
+    fetch: options.fetch,
+  });
+  for (const key of missing) {
+    const [path, query] = fillTemplate(templates[key], request.context).split('?');
+    try {
+      if (query) resources.push(...await client.searchAll(path, Object.fromEntries(new URLSearchParams(query))));
+      else resources.push(await client.request('GET', path).then(response => response.body));
+    } catch (error) {
+      if (error.status === 404) continue;
+      throw new CdsError(502, `Prefetch ${key}: ${error.message}`);
+    }
+  }
+  return resources;
+}
+
+/** Why a screening mammogram is not due, one phrase per unmet criterion */
+export function notDueReasons(facts) {
+  const reasons = [];
+  if (facts.AgeInYears === null) reasons.push('the age is unknown');
+  else if (facts.AgeInYears < 40 || facts.AgeInYears > 74) reasons.push(`age ${facts.AgeInYears} is outside 40–74`);
+  if (facts.Gender !== 'female') reasons.push(facts.Gender ? `gender is ${facts.Gender}` : 'the gender is unknown');
+  if (facts.MammogramInLastTwoYears) reasons.push(`a mammogram was done on ${facts.DateOfMostRecentMammogram}, within two years`);
+  if (facts.HasBilateralMastectomy) reasons.push('history of bilateral mastectomy');
+  if (facts.HasBreastCancerDiagnosis) reasons.push('breast cancer diagnosis on record');
+  return reasons;
+}
+
+/** Markdown list of the decision factors */
+function factsDetail(facts) {
+  return [
+    `- Age: ${facts.AgeInYears ?? 'unknown'} (screening range 40–74)`,
+    `- Gender: ${facts.Gender ?? 'unknown'}`,
+    `- Most recent mammogram: ${facts.DateOfMostRecentMammogram ?? 'none on record'}`,
+    `- History of bilateral mastectomy: ${facts.HasBilateralMastectomy ? 'yes' : 'no'}`,
+    `- Breast cancer diagnosis: ${facts.HasBreastCancerDiagnosis ? 'yes' : 'no'}`,
+  ].join('\n');
+}
+
+/** A "create" suggestion per ServiceRequest a RequestGroup proposes */
+function orderSuggestions(requestGroup) {
+  return (requestGroup.action || []).filter(action => action.resource).map(action => {
+    const { id, ...resource } = requestGroup.contained.find(r => `#${r.id}` === action.resource.reference);
+    return {
+      label: action.title,
+      uuid: randomUUID(),
+      isRecommended: true,
+      actions: [{ type: 'create', description: action.description, resource }],
+    };
+  });
+}
+
+/**
+ * patient-view cards for one patient's resources: a warning card suggesting
+ * the mammogram order when RecommendMammogram is true, else an info card
+ * saying why it is not due. Options: patientId, asOf, planDefinition,
+ * activityDefinitions.
+ */
+export function patientViewCards(resources, options) {
+  const facts = extractScreeningFacts(resources, { patientId: options.patientId, asOf: options.asOf });
+  if (!facts.RecommendMammogram) {
+    return [{
+      uuid: randomUUID(),
+      summary: 'No screening mammogram due',
+      detail: `Not due: ${notDueReasons(facts).join('; ')}.\n\n${factsDetail(facts)}`,
+      indicator: 'info',
+      source: SOURCE,
+    }];
+  }
+
+  const requestGroup = applyPlanDefinition(options.planDefinition, resources, {
+    patientId: facts.PatientId,
+    asOf: options.asOf,
+    activityDefinitions: options.activityDefinitions,
+  });
+  const suggestions = orderSuggestions(requestGroup);
+  return [{
+    uuid: randomUUID(),
+    summary: 'Screening mammogram due',
+    detail: `No mammogram in the last two years, no bilateral mastectomy and no breast cancer diagnosis.\n\n${factsDetail(facts)}`,
+    indicator: 'warning',
+    source: SOURCE,
+    ...(suggestions.length ? { suggestions, selectionBehavior: 'at-most-one' } : {}),
+  }];
+}
+
+/**
+ * order-select cards: a warning for each selected draft order whose code is
+ * in the Mammography ValueSet when RecommendMammogram is false. Options as
+ * for patientViewCards, plus context ({ selections, draftOrders }).
+ */
+export function orderSelectCards(resources, options) {
+  const mammography = findValueSet('Mammography', { declarations: readValueSetDeclarations() });
+  const selections = new Set(options.context?.selections || []);
+  const mammogramOrders = prefetchResources(options.context?.draftOrders)
+    .filter(order => selections.has(`${order.resourceType}/${order.id}`) && conceptInValueSet(order.code, mammography));
+  if (!mammogramOrders.length) return [];
+
+  const facts = extractScreeningFacts(resources, { patientId: options.patientId, asOf: options.asOf });
+  if (facts.RecommendMammogram) return [];
+  const reasons = notDueReasons(facts);
+  return mammogramOrders.map(order => ({
+    uuid: randomUUID(),
+    summary: 'Screening mammogram may not be indicated',
+    detail: `${order.code.text || order.code.coding?.[0]?.display || 'This order'} is not due: ${reasons.join('; ')}.\n\n${factsDetail(facts)}`,
+    indicator: 'warning',
+    source: SOURCE,
+    overrideReasons: [
+      { code: 'diagnostic', system: 'http://example.org/cds-override-reason', display: 'Diagnostic, not screening' },
+      { code: 'patient-request', system: 'http://example.org/cds-override-reason', display: 'Patient request' },
+    ],
+  }));
+}
+
+/** Parse a JSON request body */
+async function readBody(req) {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new CdsError(400, 'Request body is not valid JSON');
+  }
+}
+
+/** Route one request; returns { status, body } */
+async function handle(req, state, options) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const [base, serviceId, ...rest] = url.pathname.split('/').filter(Boolean);
+  if (`/${base}` !== BASE_PATH || rest.length) throw new CdsError(404, `Unknown path: ${url.pathname}`);
+
+  if (!serviceId) {
+    if (req.method !== 'GET') throw new CdsError(405, `${req.method} is not supported on ${BASE_PATH}`);
+    return { status: 200, body: state.discovery };
+  }
+
+  const service = state.discovery.services.find(s => s.id === serviceId);
+  if (!service) throw new CdsError(404, `Unknown CDS service: ${serviceId}`);
+  if (req.method !== 'POST') throw new CdsError(405, `${req.method} is not supported on ${BASE_PATH}/${serviceId}`);
+
+  const request = await readBody(req);
+  if (request?.hook !== service.hook) throw new CdsError(400, `Service ${serviceId} handles ${service.hook}, not ${request?.hook}`);
+  const patientId = request.context?.patientId;
+  if (!patientId) throw new CdsError(400, 'context.patientId is required');
+
+  const resources = await resolvePrefetch(service.prefetch, request, options);
+  const evaluation = {
+    patientId,
+    asOf: request.extension?.[AS_OF_EXTENSION] || options.asOf || resolveEvaluationDate().asOf,
+    planDefinition: state.planDefinition,
+    activityDefinitions: state.activityDefinitions,
+    context: request.context,
+  };
+  try {
+    const cards = service.hook === 'patient-view' ? patientViewCards(resources, evaluation) : orderSelectCards(resources, evaluation);
+    return { status: 200, body: { cards } };
+  } catch (error) {
+    throw new CdsError(422, error.message);
+  }
+}
+
+/**
+ * Create (but do not start) the CDS Hooks server.
+ *
+ * Options:
+ *   asOf     evaluation date when the request has no as-of extension (default:
+ *            AS_OF_DATE, else today in AS_OF_TZ)
+ *   library  Library whose dataRequirements give the prefetch templates (default: the repo's)
+ *   fetch    injected into the FHIR client that reads missing prefetch
+ */
+export function createCdsServer(options = {}) {
+  const library = options.library || JSON.parse(readFileSync(libraryPath, 'utf-8'));
+  const { planDefinitions, activityDefinitions } = loadKnowledgeArtifacts();
+  const state = { discovery: discovery(library), planDefinition: planDefinitions[0], activityDefinitions };
+
+  return createServer(async (req, res) => {
+    const headers = {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    };
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, headers);
+      res.end();
+      return;
+    }
+
+    let result;
+    try {
+      result = await handle(req, state, options);
+    } catch (error) {
+      result = { status: error instanceof CdsError ? error.status : 500, body: { error: error.message } };
+    }
+    res.writeHead(result.status, headers);
+    res.end(JSON.stringify(result.body, null, 2));
+  });
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  let port = Number(process.env.CDS_SERVER_PORT || 8090);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--port') port = Number(args[++i]);
+    else if (arg === '--as-of') options.asOf = args[++i];
+    else {
+      console.error(`Unknown option: ${arg}`);
+      console.error('Usage: node src/cds-hooks.js [--port <port>] [--as-of YYYY-MM-DD]');
+      process.exit(1);
+    }
+  }
+
+  const server = createCdsServer(options);
+  server.listen(port, () => {
+    console.log(`CDS Hooks service: http://localhost:${port}${BASE_PATH}`);
+    if (options.asOf) console.log(`  evaluating as of ${options.asOf}`);
+  });
+}
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createCdsServer, prefetchTemplates, notDueReasons } from './cds-hooks.js';
+import { createFhirServer } from './fhir-server.js';
+import { loadCaseResources } from './fhir-extractor.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const generatedDir = resolve(__dirname, '../tests/generated');
+const library = JSON.parse(readFileSync(resolve(__dirname, '../input/resources/library/Library-BreastCancerScreening.json'), 'utf-8'));
+const AS_OF = '2025-12-26';
+
+let fhirServer;
+let cdsServer;
+let fhirBaseUrl;
+let cdsBaseUrl;
+
+async function post(serviceId, body) {
+  const response = await fetch(`${cdsBaseUrl}/${serviceId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function hookRequest(hook, patientId, extra = {}) {
+  return {
+    hook,
+    hookInstance: 'd1577c69-dfbe-44ad-ba6d-3e05e953b2ea',
+    fhirServer: fhirBaseUrl,
+    context: { userId: 'Practitioner/example', patientId },
+    extension: { 'org.example.as-of': AS_OF },
+    ...extra,
+  };
+}
+
+beforeAll(async () => {
+  fhirServer = createFhirServer({ seed: false });
+  cdsServer = createCdsServer();
+  await new Promise(done => fhirServer.listen(0, done));
+  await new Promise(done => cdsServer.listen(0, done));
+  fhirBaseUrl = `http://localhost:${fhirServer.address().port}/fhir`;
+  cdsBaseUrl = `http://localhost:${cdsServer.address().port}/cds-services`;
+  for (const caseId of ['bcs-recommend-57yo-female', 'bcs-bilateral-mastectomy', 'bcs-mammo-2y-minus-1d']) {
+    for (const resource of loadCaseResources(resolve(generatedDir, caseId))) fhirServer.store.put(resource);
+  }
+});
+
+afterAll(async () => {
+  await new Promise(done => cdsServer.close(done));
+  await new Promise(done => fhirServer.close(done));
+});
+
+describe('prefetch templates', () => {
+  it('cover the Patient and one search per other data requirement type', () => {
+    expect(prefetchTemplates(library)).toEqual({
+      patient: 'Patient/{{context.patientId}}',
+      observations: 'Observation?patient={{context.patientId}}',
+      conditions: 'Condition?patient={{context.patientId}}',
+    });
+  });
+});
+
+describe('notDueReasons', () => {
+  it('names each unmet criterion', () => {
+    expect(notDueReasons({
+      AgeInYears: 39, Gender: 'male', MammogramInLastTwoYears: false, HasBilateralMastectomy: true, HasBreastCancerDiagnosis: false,
+    })).toEqual(['age 39 is outside 40–74', 'gender is male', 'history of bilateral mastectomy']);
+  });
+});
+
+describe('CDS Hooks service', () => {
+  it('lists patient-view and order-select services with CORS headers', async () => {
+    const response = await fetch(cdsBaseUrl);
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    const { services } = await response.json();
+    expect(services.map(s => [s.hook, s.id])).toEqual([['patient-view', 'bcs-patient-view'], ['order-select', 'bcs-order-select']]);
+    expect(services[0].prefetch).toEqual(prefetchTemplates(library));
+  });
+
+  it('suggests the mammogram order when screening is due, reading prefetch from fhirServer', async () => {
+    const { status, body } = await post('bcs-patient-view', hookRequest('patient-view', 'bcs-recommend-57yo-female'));
+    expect(status).toBe(200);
+    const [card] = body.cards;
+    expect(card).toMatchObject({
+      summary: 'Screening mammogram due',
+      indicator: 'warning',
+      source: { label: expect.stringMatching(/USPSTF/), url: expect.stringMatching(/^https:/) },
+      selectionBehavior: 'at-most-one',
+    });
+    expect(card.detail).toMatch(/Age: 57/);
+    const [action] = card.suggestions[0].actions;
+    expect(action.type).toBe('create');
+    expect(action.resource).toMatchObject({
+      resourceType: 'ServiceRequest',
+      intent: 'proposal',
+      subject: { reference: 'Patient/bcs-recommend-57yo-female' },
+    });
+    expect(action.resource.id).toBeUndefined();
+  });
+
+  it('explains why screening is not due', async () => {
+    const { body } = await post('bcs-patient-view', hookRequest('patient-view', 'bcs-bilateral-mastectomy'));
+    expect(body.cards).toEqual([expect.objectContaining({
+      summary: 'No screening mammogram due',
+      indicator: 'info',
+      detail: expect.stringMatching(/^Not due: history of bilateral mastectomy\./),
+    })]);
+    expect(body.cards[0].suggestions).toBeUndefined();
+  });
+
+  it('uses the prefetch the client sends', async () => {
+    const resources = loadCaseResources(resolve(generatedDir, 'bcs-recommend-57yo-female'));
+    const patient = resources.find(r => r.resourceType === 'Patient');
+    const request = hookRequest('patient-view', patient.id, {
+      fhirServer: undefined,
+      prefetch: { patient: { ...patient, gender: 'male' }, observations: null, conditions: { resourceType: 'Bundle', type: 'searchset' } },
+    });
+    const { status, body } = await post('bcs-patient-view', request);
+    expect(status).toBe(200);
+    expect(body.cards[0].detail).toMatch(/gender is male/);
+
+    const partial = await post('bcs-patient-view', { ...request, prefetch: { patient } });
+    expect(partial.status).toBe(412);
+    expect(partial.body.error).toMatch(/Prefetch observations, conditions is missing/);
+  });
+
+  it('warns when a selected mammogram order is not due', async () => {
+    const order = {
+      resourceType: 'ServiceRequest',
+      id: 'draft-1',
+      status: 'draft',
+      intent: 'order',
+      code: { coding: [{ system: 'http://loinc.org', code: '24606-6' }], text: 'Screening mammogram' },
+      subject: { reference: 'Patient/bcs-mammo-2y-minus-1d' },
+    };
+    const context = {
+      patientId: 'bcs-mammo-2y-minus-1d',
+      selections: ['ServiceRequest/draft-1'],
+      draftOrders: { resourceType: 'Bundle', type: 'collection', entry: [{ resource: order }] },
+    };
+    const { body } = await post('bcs-order-select', hookRequest('order-select', context.patientId, { context }));
+    expect(body.cards).toEqual([expect.objectContaining({
+      summary: 'Screening mammogram may not be indicated',
+      indicator: 'warning',
+      detail: expect.stringMatching(/^Screening mammogram is not due: a mammogram was done on \d{4}-\d{2}-\d{2}, within two years\./),
+    })]);
+
+    const other = { ...context, draftOrders: { ...context.draftOrders, entry: [{ resource: { ...order, code: { coding: [{ system: 'http://loinc.org', code: '8302-2' }] } } }] } };
+    expect((await post('bcs-order-select', hookRequest('order-select', context.patientId, { context: other }))).body.cards).toEqual([]);
+  });
+
+  it('rejects unknown services and mismatched hooks', async () => {
+    expect((await post('nope', hookRequest('patient-view', 'p1'))).status).toBe(404);
+    const mismatch = await post('bcs-order-select', hookRequest('patient-view', 'bcs-recommend-57yo-female'));
+    expect(mismatch.status).toBe(400);
+    expect(mismatch.body.error).toBe('Service bcs-order-select handles order-select, not patient-view');
+  });
+});
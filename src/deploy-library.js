@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Uploads the CQL Libraries and ValueSets to a FHIR server in one
+ * transaction, so a fresh server is ready for $evaluate in one step.
+ *
+ * Without a file the package is built from the CQL include graph (see
+ * generate-library.js) and also carries the PlanDefinitions,
+ * ActivityDefinitions and Measures under input/resources (see
+ * generate-plandefinition.js and generate-measure.js), ready for $apply and
+ * $evaluate-measure; with one, a Bundle written earlier by
+ * `npm run generate:library` is sent as is.
+ *
+ * Usage: node src/deploy-library.js
+ *        node src/deploy-library.js dist/BreastCancerScreening-bundle.json
+ *        node src/deploy-library.js --cql input/cql/BreastCancerScreening.cql
+ *
+ * Environment: HAPI_BASE_URL (default: http://localhost:8080/fhir), plus the
+ * authentication, timeout and retry settings described in fhir-client.js
+ */
+
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { buildLibraryPackage } from './generate-library.js';
+import { createFhirClient } from './fhir-client.js';
+import { loadKnowledgeArtifacts } from './plan-apply.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const defaultCqlPath = resolve(__dirname, '../input/cql/BreastCancerScreening.cql');
+
+/** Add PUTs for the repo's PlanDefinitions, ActivityDefinitions and Measures, which depend on the Libraries */
+function withKnowledgeArtifacts(bundle) {
+  const { planDefinitions, activityDefinitions, measures } = loadKnowledgeArtifacts();
+  const entries = [...activityDefinitions, ...planDefinitions, ...measures].map(resource => ({
+    fullUrl: resource.url,
+    resource,
+    request: { method: 'PUT', url: `${resource.resourceType}/${resource.id}` },
+  }));
+  return { ...bundle, entry: [...bundle.entry, ...entries] };
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  let cqlPath = defaultCqlPath;
+  let bundlePath = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--cql') cqlPath = args[++i];
+    else if (args[i].startsWith('--')) {
+      console.error(`Unknown option: ${args[i]}`);
+      console.error('Usage: node src/deploy-library.js [bundle-file] [--cql <file>]');
+      process.exit(1);
+    } else bundlePath = args[i];
+  }
+
+  let bundle;
+  try {
+    bundle = bundlePath
+      ? JSON.parse(readFileSync(bundlePath, 'utf-8'))
+      : withKnowledgeArtifacts(buildLibraryPackage(cqlPath).bundle);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  if (bundle.resourceType !== 'Bundle' || bundle.type !== 'transaction') {
+    console.error(`Error: ${bundlePath} is not a transaction Bundle`);
+    process.exit(1);
+  }
+
+  const client = createFhirClient();
+  console.log(`HAPI server: ${client.baseUrl}`);
+  console.log(`Deploying ${bundle.entry.length} resource(s) from ${bundlePath || cqlPath}\n`);
+
+  try {
+    const response = await client.transaction(bundle);
+    bundle.entry.forEach((entry, i) => {
+      const { resource } = entry;
+      const label = resource.version ? `${entry.request.url} (${resource.version})` : entry.request.url;
+      console.log(`  ✓ ${label} → ${response.entry?.[i]?.response?.status ?? 'no response entry'}`);
+    });
+  } catch (err) {
+    console.error(`  ✗ ${err.message}`);
+    console.error('The transaction was rejected as a whole; no resources were changed.');
+    process.exit(1);
+  }
+
+  console.log('\nLibraries deployed.');
+}
@@ -0,0 +1,581 @@
+#!/usr/bin/env node
+/**
+ * Analyzes DMN decision tables for gaps, overlapping rules, rules that never
+ * fire under first-match, input entries outside the declared inputValues and
+ * empty cells.
+ *
+ * Each input column is partitioned into equivalence classes from the values
+ * its rules mention (boundaries, points between them, values beyond them),
+ * and every combination of classes is evaluated against every rule.
+ *
+ * Usage: node src/dmn-analyzer.js                  (analyzes mammo.dmn)
+ *        node src/dmn-analyzer.js path/to/model.dmn
+ *        node src/dmn-analyzer.js --json            (machine-readable report on stdout)
+ *        node src/dmn-analyzer.js --output report.json
+ *
+ * Options:
+ *   --decision <id>   Only analyze one decision
+ *   --include-null    Also treat null as a possible value of every input
+ *
+ * Exits non-zero when any error-level issue (e.g. a gap) is found.
+ */
+
+import { writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { loadDMN } from './dmn-runner.js';
+import { evaluateExpression, evaluateUnaryTests, isTemporal, toJavaScript } from './feel.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_COMBINATIONS = 100000;
+export const OTHER_VALUE = '__other__';
+
+const SINGLE_HIT_POLICIES = ['UNIQUE', 'FIRST', 'PRIORITY', 'ANY'];
+
+/**
+ * Whether an expression AST refers to any variable
+ */
+function referencesNames(ast) {
+  if (!ast || typeof ast !== 'object') return false;
+  if (ast.type === 'name') return true;
+  return Object.values(ast).some(child =>
+    Array.isArray(child) ? child.some(referencesNames) : referencesNames(child));
+}
+
+/**
+ * Collect the constant values a unary test mentions (endpoints, literals).
+ * `symbolic` is set when an endpoint depends on other variables.
+ */
+function collectValues(unaryAst) {
+  const values = [];
+  let symbolic = false;
+
+  const add = (expression) => {
+    if (referencesNames(expression)) {
+      symbolic = true;
+      return;
+    }
+    try {
+      const value = evaluateExpression(expression, {});
+      if (Array.isArray(value)) values.push(...value);
+      else values.push(value);
+    } catch {
+      symbolic = true;
+    }
+  };
+
+  for (const test of unaryAst.tests || []) {
+    if (test.type === 'comparison') add(test.value);
+    if (test.type === 'interval') {
+      add(test.start);
+      add(test.end);
+    }
+  }
+
+  return { values, symbolic };
+}
+
+function describeValue(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value === OTHER_VALUE) return 'any other value';
+  if (typeof value === 'string') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Decide how to partition a column: boolean, number, date or discrete values
+ */
+function columnKind(input, values) {
+  const type = (input.type || '').toLowerCase();
+  if (type === 'boolean') return 'boolean';
+  if (['number', 'integer', 'long', 'double'].includes(type)) return 'number';
+  if (type === 'date') return 'date';
+  if (type === 'string') return 'string';
+
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length && present.every(v => typeof v === 'boolean')) return 'boolean';
+  if (present.length && present.every(v => typeof v === 'number')) return 'number';
+  if (present.length && present.every(v => isTemporal(v) && v.type === 'date')) return 'date';
+  return 'string';
+}
+
+/**
+ * Ordered candidates over a numeric axis: below the lowest boundary, each
+ * boundary, a point between each pair of boundaries and above the highest.
+ * Each candidate records the interval it stands for so gaps can be labelled.
+ */
+function orderedCandidates(boundaries, { between, below, above, toValue, format }) {
+  const sorted = [...new Set(boundaries)].sort((a, b) => a - b);
+  if (!sorted.length) {
+    return [{ value: toValue(0), ordered: true, lo: null, hi: null }];
+  }
+
+  const candidates = [{
+    value: toValue(below(sorted[0])), ordered: true,
+    lo: null, hi: format(sorted[0]), hiIncluded: false,
+  }];
+
+  sorted.forEach((point, idx) => {
+    candidates.push({
+      value: toValue(point), ordered: true,
+      lo: format(point), loIncluded: true, hi: format(point), hiIncluded: true,
+    });
+    const next = sorted[idx + 1];
+    if (next !== undefined) {
+      const mid = between(point, next);
+      if (mid !== null) {
+        candidates.push({
+          value: toValue(mid), ordered: true,
+          lo: format(point), loIncluded: false, hi: format(next), hiIncluded: false,
+        });
+      }
+    }
+  });
+
+  const last = sorted[sorted.length - 1];
+  candidates.push({
+    value: toValue(above(last)), ordered: true,
+    lo: format(last), loIncluded: false, hi: null,
+  });
+
+  return candidates;
+}
+
+/**
+ * Build the equivalence-class candidates for one input column
+ */
+function buildCandidates(table, columnIndex, options) {
+  const input = table.inputs[columnIndex];
+  const mentioned = [];
+  let symbolic = false;
+
+  for (const rule of table.rules) {
+    const { values, symbolic: isSymbolic } = collectValues(rule.conditions[columnIndex].test.ast);
+    mentioned.push(...values);
+    symbolic = symbolic || isSymbolic;
+  }
+
+  const allowed = input.allowedValues;
+  const allowedList = allowed ? collectValues(allowed) : { values: [], symbolic: false };
+  const kind = columnKind(input, [...mentioned, ...allowedList.values]);
+
+  let candidates;
+  if (kind === 'boolean') {
+    candidates = [true, false].map(value => ({ value }));
+  } else if (kind === 'number') {
+    const boundaries = [...mentioned, ...allowedList.values].filter(v => typeof v === 'number');
+    candidates = orderedCandidates(boundaries, {
+      between: (a, b) => (a + b) / 2,
+      below: (a) => a - 1,
+      above: (a) => a + 1,
+      toValue: (v) => v,
+      format: (v) => String(v),
+    });
+  } else if (kind === 'date') {
+    const boundaries = [...mentioned, ...allowedList.values]
+      .filter(v => isTemporal(v) && v.type === 'date')
+      .map(v => v.value);
+    candidates = orderedCandidates(boundaries, {
+      between: (a, b) => {
+        const mid = Math.floor((a + b) / 2 / DAY_MS) * DAY_MS;
+        return mid > a && mid < b ? mid : null;
+      },
+      below: (a) => a - DAY_MS,
+      above: (a) => a + DAY_MS,
+      toValue: (ms) => new Date(ms).toISOString().slice(0, 10),
+      format: (ms) => `date("${new Date(ms).toISOString().slice(0, 10)}")`,
+    });
+  } else {
+    // Discrete values: the declared inputValues, or every literal mentioned plus "anything else"
+    const source = allowed && !allowedList.symbolic && allowedList.values.length
+      ? allowedList.values
+      : [...mentioned, OTHER_VALUE];
+    const unique = [];
+    for (const value of source.map(toJavaScript)) {
+      if (value !== null && !unique.some(u => u === value)) unique.push(value);
+    }
+    candidates = unique.map(value => ({ value }));
+  }
+
+  if (allowed) {
+    candidates = candidates.filter(c => c.value === OTHER_VALUE
+      || evaluateUnaryTests(allowed, c.value));
+  }
+  if (options.includeNull) {
+    candidates.push({ value: null });
+  }
+
+  candidates.forEach(c => {
+    c.label = c.ordered ? rangeLabel(c, c) : describeValue(c.value);
+  });
+
+  return { kind, candidates, symbolic };
+}
+
+/**
+ * FEEL unary-test label for the region spanning candidates first..last
+ */
+function rangeLabel(first, last) {
+  if (first.lo === null && last.hi === null) return '-';
+  if (first.lo === null) return `${last.hiIncluded ? '<=' : '<'} ${last.hi}`;
+  if (last.hi === null) return `${first.loIncluded ? '>=' : '>'} ${first.lo}`;
+  if (first.lo === last.hi && first.loIncluded && last.hiIncluded) return first.lo;
+  return `${first.loIncluded ? '[' : '('}${first.lo}..${last.hi}${last.hiIncluded ? ']' : ')'}`;
+}
+
+/**
+ * Merge gap combinations that differ in a single column, so a gap reads
+ * AgeInYears=[40..74] instead of one entry per equivalence class.
+ */
+function mergeRows(rows, columns) {
+  let merged = rows;
+
+  columns.forEach((column, col) => {
+    const groups = new Map();
+    for (const row of merged) {
+      const key = JSON.stringify(row.filter((_, i) => i !== col));
+      if (!groups.has(key)) groups.set(key, { row, indices: new Set() });
+      row[col].forEach(idx => groups.get(key).indices.add(idx));
+    }
+
+    merged = [];
+    for (const { row, indices } of groups.values()) {
+      const sorted = [...indices].sort((a, b) => a - b);
+      const runs = [];
+      for (const idx of sorted) {
+        const run = runs[runs.length - 1];
+        const contiguous = run && column.candidates[idx].ordered
+          && column.candidates[run[run.length - 1]].ordered && run[run.length - 1] === idx - 1;
+        if (contiguous) run.push(idx);
+        else if (run && !column.candidates[idx].ordered && !column.candidates[run[0]].ordered) run.push(idx);
+        else runs.push([idx]);
+      }
+      for (const run of runs) {
+        merged.push(row.map((cell, i) => (i === col ? run : cell)));
+      }
+    }
+  });
+
+  return merged;
+}
+
+function labelCell(column, indices) {
+  if (indices.length === column.candidates.length) return '-';
+  const candidates = indices.map(idx => column.candidates[idx]);
+  if (candidates[0].ordered) return rangeLabel(candidates[0], candidates[candidates.length - 1]);
+  return candidates.map(c => c.label).join(', ');
+}
+
+function outputsText(rule) {
+  return rule.outputs.map(output => output.text).join(' | ');
+}
+
+function matchesSafely(condition, value, context) {
+  try {
+    return condition.test(value, context);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check literal input entries against the column's inputValues and type
+ */
+function checkInputEntries(table, columns) {
+  const issues = [];
+
+  table.rules.forEach((rule, ruleIndex) => {
+    rule.conditions.forEach((condition, col) => {
+      const input = table.inputs[col];
+      const where = { rule: rule.id, ruleIndex: ruleIndex + 1, input: input.name, entry: condition.text };
+
+      if (condition.text === '') {
+        issues.push({
+          type: 'empty-entry',
+          severity: 'warning',
+          ...where,
+          message: `Rule ${ruleIndex + 1} (${rule.id}) has an empty ${input.name} cell; use "-" to mean any value`,
+        });
+        return;
+      }
+
+      const { values } = collectValues(condition.test.ast);
+      for (const value of values) {
+        if (value === null || value === undefined) continue;
+        const kind = columns[col].kind;
+        const typeOk = kind === 'boolean' ? typeof value === 'boolean'
+          : kind === 'number' ? typeof value === 'number'
+            : kind === 'date' ? isTemporal(value) && value.type === 'date'
+              : true;
+
+        if (!typeOk) {
+          issues.push({
+            type: 'input-value-violation',
+            severity: 'error',
+            ...where,
+            value: toJavaScript(value),
+            message: `Rule ${ruleIndex + 1} (${rule.id}) compares ${input.name} (${input.type || kind}) with ${describeValue(toJavaScript(value))}`,
+          });
+        } else if (input.allowedValues && !evaluateUnaryTests(input.allowedValues, value)) {
+          issues.push({
+            type: 'input-value-violation',
+            severity: 'error',
+            ...where,
+            value: toJavaScript(value),
+            message: `Rule ${ruleIndex + 1} (${rule.id}) uses ${describeValue(toJavaScript(value))}, which is not in the inputValues of ${input.name}`,
+          });
+        }
+      }
+    });
+
+    rule.outputs.forEach((output, idx) => {
+      if (output.text === '') {
+        issues.push({
+          type: 'empty-entry',
+          severity: 'warning',
+          rule: rule.id,
+          ruleIndex: ruleIndex + 1,
+          output: table.outputs[idx].name,
+          entry: '',
+          message: `Rule ${ruleIndex + 1} (${rule.id}) has an empty ${table.outputs[idx].name} output (evaluates to null)`,
+        });
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Equivalence classes of every input column of a decision table: one
+ * representative value per class, including each boundary and the points
+ * just beyond it. Returns [{ name, kind, symbolic, classes: [{ value, label, boundary }] }];
+ * a value of OTHER_VALUE stands for "any value no rule mentions".
+ */
+export function inputDomains(table, options = {}) {
+  return table.inputs.map((input, col) => {
+    const { kind, candidates, symbolic } = buildCandidates(table, col, options);
+    return {
+      name: input.name,
+      kind,
+      symbolic,
+      classes: candidates.map(c => ({ value: c.value, label: c.label, boundary: !!c.ordered && c.lo === c.hi })),
+    };
+  });
+}
+
+/**
+ * Analyze a single decision table. Returns { combinations, inputs, issues }.
+ */
+export function analyzeDecisionTable(table, options = {}) {
+  const columns = table.inputs.map((_, col) => buildCandidates(table, col, options));
+  const issues = checkInputEntries(table, columns);
+
+  const inputs = table.inputs.map((input, col) => ({
+    name: input.name,
+    kind: columns[col].kind,
+    classes: columns[col].candidates.map(c => c.label),
+    symbolic: columns[col].symbolic,
+  }));
+
+  const combinations = columns.reduce((total, column) => total * column.candidates.length, 1);
+  if (combinations > (options.maxCombinations || MAX_COMBINATIONS)) {
+    issues.push({
+      type: 'analysis-limit',
+      severity: 'warning',
+      message: `${combinations} input combinations exceed the limit; gap and overlap analysis skipped`,
+    });
+    return { combinations, inputs, issues };
+  }
+
+  const stats = table.rules.map(() => ({ matched: 0, first: 0, shadowedBy: new Set() }));
+  const overlaps = new Map();
+  const gapRows = [];
+
+  const indices = columns.map(() => 0);
+  for (let n = 0; n < combinations; n++) {
+    // Decode n into one candidate index per column (mixed radix)
+    let rest = n;
+    for (let col = columns.length - 1; col >= 0; col--) {
+      indices[col] = rest % columns[col].candidates.length;
+      rest = Math.floor(rest / columns[col].candidates.length);
+    }
+
+    const values = indices.map((idx, col) => columns[col].candidates[idx].value);
+    const context = Object.fromEntries(table.inputs.map((input, col) => [input.name, values[col]]));
+
+    const matched = [];
+    table.rules.forEach((rule, ruleIndex) => {
+      if (rule.conditions.every((condition, col) => matchesSafely(condition, values[col], context))) {
+        matched.push(ruleIndex);
+      }
+    });
+
+    if (!matched.length) {
+      gapRows.push(indices.map(idx => [idx]));
+      continue;
+    }
+
+    matched.forEach((ruleIndex, position) => {
+      stats[ruleIndex].matched++;
+      if (position === 0) stats[ruleIndex].first++;
+      else stats[ruleIndex].shadowedBy.add(table.rules[matched[0]].id);
+    });
+
+    for (let i = 0; i < matched.length; i++) {
+      for (let j = i + 1; j < matched.length; j++) {
+        const key = `${matched[i]}:${matched[j]}`;
+        if (!overlaps.has(key)) overlaps.set(key, { a: matched[i], b: matched[j], example: context });
+      }
+    }
+  }
+
+  const singleHit = SINGLE_HIT_POLICIES.includes(table.hitPolicy);
+  for (const row of mergeRows(gapRows, columns)) {
+    const cells = Object.fromEntries(table.inputs.map((input, col) => [input.name, labelCell(columns[col], row[col])]));
+    const example = Object.fromEntries(table.inputs.map((input, col) =>
+      [input.name, columns[col].candidates[row[col][0]].value]));
+    issues.push({
+      type: 'gap',
+      severity: singleHit ? 'error' : 'warning',
+      inputs: cells,
+      example,
+      message: `No rule matches ${Object.entries(cells).map(([name, label]) => `${name}=${label}`).join(', ')}`,
+    });
+  }
+
+  for (const { a, b, example } of overlaps.values()) {
+    const ruleA = table.rules[a];
+    const ruleB = table.rules[b];
+    const sameOutput = outputsText(ruleA) === outputsText(ruleB);
+    let severity = sameOutput ? 'info' : 'warning';
+    if (table.hitPolicy === 'UNIQUE' || (table.hitPolicy === 'ANY' && !sameOutput)) severity = 'error';
+
+    issues.push({
+      type: 'overlap',
+      severity,
+      rules: [ruleA.id, ruleB.id],
+      sameOutput,
+      example,
+      message: `Rules ${a + 1} (${ruleA.id}) and ${b + 1} (${ruleB.id}) both match ${Object.entries(example).map(([name, value]) => `${name}=${describeValue(value)}`).join(', ')}`
+        + (sameOutput ? ' (same output)' : ' with different outputs'),
+    });
+  }
+
+  stats.forEach((stat, ruleIndex) => {
+    const rule = table.rules[ruleIndex];
+    if (stat.matched === 0) {
+      issues.push({
+        type: 'unreachable',
+        severity: 'warning',
+        rule: rule.id,
+        ruleIndex: ruleIndex + 1,
+        message: `Rule ${ruleIndex + 1} (${rule.id}) never matches any input combination`,
+      });
+    } else if (stat.first === 0) {
+      issues.push({
+        type: 'unreachable',
+        severity: 'warning',
+        rule: rule.id,
+        ruleIndex: ruleIndex + 1,
+        shadowedBy: [...stat.shadowedBy],
+        message: `Rule ${ruleIndex + 1} (${rule.id}) never fires under first-match; earlier rules always match first (${[...stat.shadowedBy].join(', ')})`,
+      });
+    }
+  });
+
+  return { combinations, inputs, issues };
+}
+
+/**
+ * Analyze every decision table in a parsed DMN model
+ */
+export function analyzeModel(model, options = {}) {
+  const decisions = Object.values(model.decisions)
+    .filter(decision => !options.decisionId || decision.id === options.decisionId)
+    .filter(decision => decision.logic.kind === 'decisionTable')
+    .map(decision => ({
+      decisionId: decision.id,
+      name: decision.name,
+      hitPolicy: decision.logic.table.hitPolicy,
+      ...analyzeDecisionTable(decision.logic.table, options),
+    }));
+
+  const all = decisions.flatMap(d => d.issues);
+  const count = (predicate) => all.filter(predicate).length;
+
+  return {
+    model: model.id,
+    decisions,
+    summary: {
+      errors: count(i => i.severity === 'error'),
+      warnings: count(i => i.severity === 'warning'),
+      gaps: count(i => i.type === 'gap'),
+      overlaps: count(i => i.type === 'overlap'),
+      unreachable: count(i => i.type === 'unreachable'),
+      inputValueViolations: count(i => i.type === 'input-value-violation'),
+      emptyEntries: count(i => i.type === 'empty-entry'),
+    },
+  };
+}
+
+function printReport(report) {
+  const symbols = { error: '✗', warning: '!', info: '·' };
+
+  for (const decision of report.decisions) {
+    console.log(`Decision: ${decision.decisionId} (${decision.name})`);
+    console.log(`  Hit policy: ${decision.hitPolicy}, ${decision.inputs.length} inputs, ${decision.combinations} combinations`);
+    for (const input of decision.inputs.filter(i => i.symbolic)) {
+      console.log(`  Note: ${input.name} has entries that reference other variables; its classes are approximate`);
+    }
+    if (!decision.issues.length) {
+      console.log('  ✓ No issues');
+    }
+    for (const issue of decision.issues) {
+      console.log(`  ${symbols[issue.severity]} [${issue.type}] ${issue.message}`);
+    }
+    console.log('');
+  }
+
+  const s = report.summary;
+  console.log(`Summary: ${s.errors} error(s), ${s.warnings} warning(s) — `
+    + `${s.gaps} gap(s), ${s.overlaps} overlap(s), ${s.unreachable} unreachable rule(s), `
+    + `${s.inputValueViolations} inputValues violation(s), ${s.emptyEntries} empty cell(s)`);
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const options = { includeNull: false };
+  let dmnFile;
+  let json = false;
+  let outputPath = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') json = true;
+    else if (arg === '--include-null') options.includeNull = true;
+    else if (arg === '--output') outputPath = args[++i];
+    else if (arg === '--decision') options.decisionId = args[++i];
+    else if (arg.startsWith('--')) {
+      console.error(`Unknown option: ${arg}`);
+      console.error('Usage: node src/dmn-analyzer.js [dmn-file] [--json] [--output <file>] [--decision <id>] [--include-null]');
+      process.exit(1);
+    } else dmnFile = arg;
+  }
+
+  const model = dmnFile ? loadDMN(dmnFile) : loadDMN();
+  const report = analyzeModel(model, options);
+
+  if (outputPath) {
+    writeFileSync(resolve(outputPath), JSON.stringify(report, null, 2));
+  }
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+    if (outputPath) console.log(`Report written to ${resolve(outputPath)}`);
+  }
+
+  process.exit(report.summary.errors > 0 ? 1 : 0);
+}
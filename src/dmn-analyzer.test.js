@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { loadDMN, parseDMN, getDecision } from './dmn-runner.js';
+import { analyzeModel, analyzeDecisionTable } from './dmn-analyzer.js';
+
+/**
+ * Build a two-input (Sex, Age) table. Each rule is [sexEntry, ageEntry, output].
+ */
+function buildTable(hitPolicy, rules) {
+  const ruleXml = rules.map(([sex, age, output], idx) => `
+      <rule id="Rule_${idx + 1}">
+        <inputEntry id="Sex_${idx + 1}"><text>${sex}</text></inputEntry>
+        <inputEntry id="Age_${idx + 1}"><text>${age}</text></inputEntry>
+        <outputEntry id="Out_${idx + 1}"><text>${output}</text></outputEntry>
+      </rule>`).join('');
+
+  const model = parseDMN(`<?xml version="1.0" encoding="UTF-8"?>
+<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" id="Definitions_test" name="Test">
+  <decision id="Decision_test" name="Test">
+    <decisionTable id="Table_test" hitPolicy="${hitPolicy}">
+      <input id="Input_sex" label="Sex">
+        <inputExpression id="InputExpression_sex" typeRef="string"><text>Sex</text></inputExpression>
+        <inputValues id="InputValues_sex"><text>"female","male"</text></inputValues>
+      </input>
+      <input id="Input_age" label="Age">
+        <inputExpression id="InputExpression_age" typeRef="number"><text>Age</text></inputExpression>
+      </input>
+      <output id="Output_1" name="Result" typeRef="boolean" />${ruleXml}
+    </decisionTable>
+  </decision>
+</definitions>`);
+  return getDecision(model).logic.table;
+}
+
+describe('DMN table analyzer', () => {
+  it('reports gaps as merged FEEL ranges with a concrete example', () => {
+    const table = buildTable('UNIQUE', [
+      ['"female"', '[40..74]', 'true'],
+      ['"male"', '-', 'false'],
+    ]);
+    const gaps = analyzeDecisionTable(table).issues.filter(i => i.type === 'gap');
+
+    expect(gaps.map(g => g.inputs)).toEqual([
+      { Sex: '"female"', Age: '< 40' },
+      { Sex: '"female"', Age: '> 74' },
+    ]);
+    expect(gaps[0].severity).toBe('error');
+    expect(gaps[0].example).toEqual({ Sex: 'female', Age: 39 });
+  });
+
+  it('finds no gaps in a complete table', () => {
+    const table = buildTable('UNIQUE', [
+      ['"female"', '[40..74]', 'true'],
+      ['"female"', '&lt; 40, &gt; 74', 'false'],
+      ['"male"', '-', 'false'],
+    ]);
+    expect(analyzeDecisionTable(table).issues).toEqual([]);
+  });
+
+  it('grades overlaps by hit policy', () => {
+    const rules = [
+      ['-', '&gt;= 40', 'true'],
+      ['"male"', '-', 'false'],
+    ];
+    const unique = analyzeDecisionTable(buildTable('UNIQUE', rules)).issues.find(i => i.type === 'overlap');
+    const first = analyzeDecisionTable(buildTable('FIRST', rules)).issues.find(i => i.type === 'overlap');
+
+    expect(unique.rules).toEqual(['Rule_1', 'Rule_2']);
+    expect(unique.severity).toBe('error');
+    expect(first.severity).toBe('warning');
+    expect(first.sameOutput).toBe(false);
+  });
+
+  it('flags rules that never fire under first-match', () => {
+    const table = buildTable('FIRST', [
+      ['-', '-', 'false'],
+      ['"female"', '[40..74]', 'true'],
+      ['"female"', '[80..70]', 'true'],
+    ]);
+    const unreachable = analyzeDecisionTable(table).issues.filter(i => i.type === 'unreachable');
+
+    expect(unreachable.map(i => i.rule)).toEqual(['Rule_2', 'Rule_3']);
+    expect(unreachable[0].shadowedBy).toEqual(['Rule_1']);
+    expect(unreachable[1].message).toMatch(/never matches/);
+  });
+
+  it('flags entries outside inputValues and of the wrong type', () => {
+    const table = buildTable('FIRST', [
+      ['"femal"', '-', 'true'],
+      ['-', '"forty"', 'false'],
+      ['-', '', 'false'],
+    ]);
+    const issues = analyzeDecisionTable(table).issues;
+
+    expect(issues.filter(i => i.type === 'input-value-violation').map(i => [i.rule, i.input]))
+      .toEqual([['Rule_1', 'Sex'], ['Rule_2', 'Age']]);
+    expect(issues.find(i => i.type === 'empty-entry')).toMatchObject({ rule: 'Rule_3', input: 'Age' });
+  });
+
+  it('finds no gaps, overlaps or empty cells in mammo.dmn', () => {
+    const report = analyzeModel(loadDMN());
+    const [decision] = report.decisions;
+
+    expect(decision.issues).toEqual([]);
+    expect(report.summary.gaps).toBe(0);
+    expect(report.summary.overlaps).toBe(0);
+  });
+});
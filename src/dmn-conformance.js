@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Cross-checks the CQL expectations of the generated test cases against mammo.dmn.
+ *
+ * Each case's `expected` intermediate values (AgeInYears, Gender,
+ * MammogramInLastTwoYears, ...) are run through the DMN table and its
+ * RecommendMammogram is compared to the case's expected RecommendMammogram.
+ * Decision inputs a case does not list are derived from its generated
+ * resources with the in-process extractor.
+ *
+ * Usage: node src/dmn-conformance.js                 (checks every case in tests/generated/)
+ *        node src/dmn-conformance.js bcs-male-no-recommend
+ *        node src/dmn-conformance.js --json
+ *
+ * Options:
+ *   --dmn <file>   Check against another DMN model (default: mammo.dmn)
+ *
+ * Exits non-zero when any case disagrees or the DMN table fails to evaluate.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { loadDMN, evaluateDecisionGraph, formatTrace } from './dmn-runner.js';
+import { extractDecisionInputs, DECISION_INPUTS } from './fhir-extractor.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const generatedDir = resolve(__dirname, '../tests/generated');
+
+const OUTPUT = 'RecommendMammogram';
+
+/** Read the _metadata.json of every generated case, sorted by id */
+export function loadGeneratedCases(dir = generatedDir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && existsSync(join(dir, d.name, '_metadata.json')))
+    .map(d => ({
+      dir: join(dir, d.name),
+      metadata: JSON.parse(readFileSync(join(dir, d.name, '_metadata.json'), 'utf-8')),
+    }))
+    .sort((a, b) => a.metadata.id.localeCompare(b.metadata.id));
+}
+
+/**
+ * Check one case. Returns { id, status, inputs, sources, expected, actual, trace, error }
+ * where status is 'agree', 'disagree', 'error' (the DMN threw) or 'skipped'
+ * (no expected RecommendMammogram), and sources records for every input
+ * whether it came from `expected` or was derived from the case's resources.
+ */
+export function checkCase(testCase, options = {}) {
+  const { metadata, dir } = testCase;
+  const expected = metadata.expected || {};
+  const result = { id: metadata.id, description: metadata.description, expected: expected[OUTPUT] };
+
+  if (!(OUTPUT in expected)) {
+    return { ...result, status: 'skipped', reason: `no expected ${OUTPUT}` };
+  }
+
+  const inputs = {};
+  const sources = {};
+  const missing = DECISION_INPUTS.filter(name => !(name in expected));
+  // Cases generated before as-of dates were recorded fall back to the generation date
+  const derived = missing.length && dir
+    ? extractDecisionInputs(dir, { asOf: metadata.asOf || metadata.generatedAt?.slice(0, 10) })
+    : {};
+  for (const name of DECISION_INPUTS) {
+    if (name in expected) {
+      inputs[name] = expected[name];
+      sources[name] = 'expected';
+    } else {
+      inputs[name] = derived[name] ?? null;
+      sources[name] = name in derived ? 'derived' : 'missing';
+    }
+  }
+
+  try {
+    const evaluation = evaluateDecisionGraph(inputs, { model: options.model, trace: true });
+    const actual = evaluation.output[OUTPUT] ?? null;
+    return {
+      ...result,
+      status: actual === expected[OUTPUT] ? 'agree' : 'disagree',
+      inputs,
+      sources,
+      actual,
+      trace: evaluation.trace,
+    };
+  } catch (error) {
+    return { ...result, status: 'error', inputs, sources, actual: null, error: error.message };
+  }
+}
+
+/** Check a list of cases (default: every generated case) and summarize */
+export function checkConformance(cases = loadGeneratedCases(), options = {}) {
+  const model = options.model || loadDMN();
+  const results = cases.map(testCase => checkCase(testCase, { model }));
+  const count = (status) => results.filter(r => r.status === status).length;
+  return {
+    results,
+    summary: {
+      total: results.length,
+      agree: count('agree'),
+      disagree: count('disagree'),
+      error: count('error'),
+      skipped: count('skipped'),
+    },
+  };
+}
+
+function printReport(report) {
+  for (const result of report.results) {
+    if (result.status === 'agree') {
+      console.log(`✓ ${result.id}`);
+    } else if (result.status === 'skipped') {
+      console.log(`- ${result.id} (skipped: ${result.reason})`);
+    } else {
+      console.log(`✗ ${result.id}`);
+      const shown = Object.entries(result.inputs)
+        .map(([name, value]) => `${name}=${JSON.stringify(value)}${result.sources[name] === 'expected' ? '' : ` (${result.sources[name]})`}`);
+      console.log(`    Inputs: ${shown.join(', ')}`);
+      if (result.status === 'error') {
+        console.log(`    DMN error: ${result.error}`);
+        console.log(`    CQL ${OUTPUT}: ${JSON.stringify(result.expected)}`);
+      } else {
+        console.log(`    CQL ${OUTPUT}: ${JSON.stringify(result.expected)}, DMN ${OUTPUT}: ${JSON.stringify(result.actual)}`);
+        console.log(formatTrace(result.trace).split('\n').map(line => `    ${line}`).join('\n'));
+      }
+    }
+  }
+
+  const s = report.summary;
+  console.log(`\nSummary: ${s.agree}/${s.total} agree, ${s.disagree} disagree, ${s.error} error(s), ${s.skipped} skipped`);
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const caseIds = [];
+  let dmnFile;
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') json = true;
+    else if (arg === '--dmn') dmnFile = args[++i];
+    else if (arg.startsWith('--')) {
+      console.error(`Unknown option: ${arg}`);
+      console.error('Usage: node src/dmn-conformance.js [case-id ...] [--dmn <file>] [--json]');
+      process.exit(1);
+    } else caseIds.push(arg);
+  }
+
+  let cases = loadGeneratedCases();
+  if (caseIds.length) {
+    const unknown = caseIds.filter(id => !cases.some(c => c.metadata.id === id));
+    if (unknown.length) {
+      console.error(`Generated case not found: ${unknown.join(', ')} (run npm run test:generate first)`);
+      process.exit(1);
+    }
+    cases = cases.filter(c => caseIds.includes(c.metadata.id));
+  }
+
+  const model = dmnFile ? loadDMN(dmnFile) : loadDMN();
+  const report = checkConformance(cases, { model });
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  process.exit(report.summary.disagree + report.summary.error > 0 ? 1 : 0);
+}
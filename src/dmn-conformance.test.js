@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { checkCase, checkConformance, loadGeneratedCases } from './dmn-conformance.js';
+
+function testCase(expected, id = 'case') {
+  return { metadata: { id, expected } };
+}
+
+const eligible = {
+  AgeInYears: 57,
+  Gender: 'female',
+  MammogramInLastTwoYears: false,
+  HasBilateralMastectomy: false,
+  HasBreastCancerDiagnosis: false,
+};
+
+describe('checkCase', () => {
+  it('agrees when the DMN output matches the CQL expectation', () => {
+    const result = checkCase(testCase({ RecommendMammogram: true, ...eligible }));
+    expect(result.status).toBe('agree');
+    expect(result.actual).toBe(true);
+    expect(Object.values(result.sources)).toEqual(Array(5).fill('expected'));
+  });
+
+  it('reports a disagreement with the trace that explains it', () => {
+    const result = checkCase(testCase({ RecommendMammogram: true, ...eligible, MammogramInLastTwoYears: true }));
+    expect(result.status).toBe('disagree');
+    expect(result.expected).toBe(true);
+    expect(result.actual).toBe(false);
+    expect(result.trace.matchedRules.map(r => r.id)).toEqual(['DecisionRule_uptodate']);
+  });
+
+  it('derives inputs the case does not list from its generated resources', () => {
+    const generated = loadGeneratedCases().find(c => c.metadata.id === 'bcs-recommend-57yo-female');
+    const result = checkCase(generated);
+    expect(result.sources.HasBilateralMastectomy).toBe('derived');
+    expect(result.inputs.HasBreastCancerDiagnosis).toBe(false);
+    expect(result.status).toBe('agree');
+  });
+
+  it('skips cases without an expected RecommendMammogram', () => {
+    expect(checkCase(testCase({ AgeInYears: 57 })).status).toBe('skipped');
+  });
+});
+
+describe('checkConformance', () => {
+  it('summarizes results by status', () => {
+    const report = checkConformance([
+      testCase({ RecommendMammogram: true, ...eligible }, 'a'),
+      testCase({ RecommendMammogram: false, ...eligible }, 'b'),
+      testCase({}, 'c'),
+    ]);
+    expect(report.summary).toEqual({ total: 3, agree: 1, disagree: 1, error: 0, skipped: 1 });
+    expect(report.results.map(r => r.id)).toEqual(['a', 'b', 'c']);
+  });
+});
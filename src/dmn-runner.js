@@ -2,179 +2,544 @@ import { readFileSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { XMLParser } from 'fast-xml-parser';
+import {
+  getText,
+  parseUnaryTests,
+  evaluateUnaryTests,
+  parseExpression,
+  evaluateExpression,
+  valuesEqual,
+  toJavaScript,
+} from './feel.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const dmnPath = resolve(__dirname, '../mammo.dmn');
 
-let parsedDecision = null;
+const parsedModels = new Map();
+
+const HIT_POLICIES = ['UNIQUE', 'FIRST', 'PRIORITY', 'ANY', 'COLLECT', 'RULE ORDER', 'OUTPUT ORDER'];
 
 /**
- * Ensure text is a string (XML parser may return objects for mixed content)
+ * COLLECT aggregators. Null outputs are ignored; COUNT counts every
+ * remaining matched output, as the Camunda engine does.
  */
-function getText(value) {
-  if (value === null || value === undefined) return '';
-  if (typeof value === 'string') return value;
-  if (typeof value === 'object' && '#text' in value) return value['#text'];
-  return String(value);
+const AGGREGATORS = {
+  SUM: (values) => values.length ? values.reduce((sum, v) => sum + v, 0) : null,
+  MIN: (values) => values.length ? values.reduce((min, v) => (v < min ? v : min)) : null,
+  MAX: (values) => values.length ? values.reduce((max, v) => (v > max ? v : max)) : null,
+  COUNT: (values) => values.length,
+};
+
+/**
+ * Elements that may repeat; always parsed as arrays
+ */
+const ARRAY_ELEMENTS = [
+  'decision', 'businessKnowledgeModel', 'inputData',
+  'informationRequirement', 'knowledgeRequirement', 'formalParameter',
+  'input', 'output', 'rule', 'inputEntry', 'outputEntry',
+];
+
+/**
+ * Parse a FEEL unary test expression into a predicate
+ */
+function parseUnaryTest(textValue) {
+  const ast = parseUnaryTests(textValue);
+  const test = (input, context) => evaluateUnaryTests(ast, input, context);
+  test.ast = ast;
+  return test;
 }
 
 /**
- * Parse a FEEL unary test expression
+ * Extract the ordered literal list from an outputValues/inputValues unary test
+ * (e.g. "high","medium","low"). Used to rank outputs for PRIORITY and OUTPUT ORDER.
  */
-function parseUnaryTest(textValue, inputType) {
-  let text = getText(textValue);
-  if (!text || text === '-' || text.trim() === '') {
-    return () => true; // match any
+function listValues(ast) {
+  if (!ast || ast.type !== 'tests') return null;
+  const values = [];
+  for (const test of ast.tests) {
+    if (test.type !== 'comparison' || test.op !== '=' || test.value.type !== 'literal') {
+      return null;
+    }
+    values.push(test.value.value);
   }
+  return values;
+}
+
+/**
+ * Strip the leading '#' from a requirement href (href="#decision_id")
+ */
+function hrefId(element) {
+  const href = element?.['@_href'] || '';
+  return href.startsWith('#') ? href.slice(1) : href;
+}
+
+/**
+ * Parse a <decisionTable> element
+ */
+function parseDecisionTable(decisionTable, ownerId) {
+  const inputDefs = (decisionTable.input || []).map(inp => {
+    const text = getText(inp.inputExpression?.text).trim();
+    return {
+      id: inp['@_id'],
+      label: inp['@_label'],
+      name: text,
+      type: inp.inputExpression?.['@_typeRef'],
+      expression: parseExpression(text),
+      allowedValues: inp.inputValues ? parseUnaryTests(inp.inputValues.text) : null,
+    };
+  });
 
-  text = text.trim();
+  const outputDefs = (decisionTable.output || []).map(output => ({
+    id: output['@_id'],
+    label: output['@_label'],
+    name: output['@_name'],
+    type: output['@_typeRef'],
+    values: output.outputValues ? listValues(parseUnaryTests(output.outputValues.text)) : null,
+  }));
 
-  // String literal: "value"
-  if (text.startsWith('"') && text.endsWith('"')) {
-    const value = text.slice(1, -1);
-    return (input) => input === value;
+  if (!outputDefs.length) {
+    throw new Error(`Decision table in ${ownerId} has no output`);
+  }
+  if (outputDefs.length > 1 && outputDefs.some(output => !output.name)) {
+    throw new Error(`Decision table in ${ownerId} has multiple outputs; each needs a name`);
   }
 
-  // Boolean literal
-  if (text === 'true') return (input) => input === true;
-  if (text === 'false') return (input) => input === false;
+  // Hit policy (DMN default is UNIQUE when the attribute is absent)
+  const hitPolicy = decisionTable['@_hitPolicy'] || 'UNIQUE';
+  const aggregation = decisionTable['@_aggregation'] || null;
 
-  // Range: [min..max]
-  const rangeMatch = text.match(/^\[(\d+)\.\.(\d+)\]$/);
-  if (rangeMatch) {
-    const min = parseInt(rangeMatch[1], 10);
-    const max = parseInt(rangeMatch[2], 10);
-    return (input) => input >= min && input <= max;
+  if (!HIT_POLICIES.includes(hitPolicy)) {
+    throw new Error(`Unsupported hit policy: ${hitPolicy}`);
+  }
+  if (aggregation && (hitPolicy !== 'COLLECT' || !AGGREGATORS[aggregation])) {
+    throw new Error(`Unsupported aggregation for ${hitPolicy}: ${aggregation}`);
+  }
+  if (aggregation && outputDefs.length > 1) {
+    throw new Error(`COLLECT ${aggregation} requires a single output in ${ownerId}`);
+  }
+  if ((hitPolicy === 'PRIORITY' || hitPolicy === 'OUTPUT ORDER')
+    && !outputDefs.some(output => output.values)) {
+    throw new Error(`${hitPolicy} hit policy requires outputValues in ${ownerId}`);
   }
 
-  // Comparison: <n, >n, <=n, >=n
-  const compMatch = text.match(/^([<>]=?)(\d+)$/);
-  if (compMatch) {
-    const op = compMatch[1];
-    const num = parseInt(compMatch[2], 10);
-    switch (op) {
-      case '<': return (input) => input < num;
-      case '>': return (input) => input > num;
-      case '<=': return (input) => input <= num;
-      case '>=': return (input) => input >= num;
+  // Parse rules
+  const ruleDefs = (decisionTable.rule || []).map(rule => {
+    const conditions = (rule.inputEntry || []).map((entry, idx) => ({
+      inputName: inputDefs[idx].name,
+      text: getText(entry.text).trim(),
+      test: parseUnaryTest(entry.text),
+    }));
+
+    const outputs = (rule.outputEntry || []).map(entry => {
+      const text = getText(entry.text).trim();
+      return { text, expression: parseExpression(text) };
+    });
+
+    if (conditions.length !== inputDefs.length || outputs.length !== outputDefs.length) {
+      throw new Error(`Rule ${rule['@_id']} in ${ownerId} does not match the table's inputs/outputs`);
     }
-  }
 
-  // Number literal
-  if (/^\d+$/.test(text)) {
-    const num = parseInt(text, 10);
-    return (input) => input === num;
-  }
+    // Camunda Modeler stores the Annotations column as the rule's <description>
+    const annotation = getText(rule.description).trim() || null;
+
+    return { id: rule['@_id'], annotation, conditions, outputs };
+  });
 
-  throw new Error(`Unsupported FEEL expression: ${text}`);
+  return {
+    hitPolicy,
+    aggregation,
+    inputs: inputDefs,
+    outputs: outputDefs,
+    rules: ruleDefs,
+  };
 }
 
 /**
- * Parse output expression to get literal value
+ * Parse the value logic of a decision or business knowledge model
  */
-function parseOutputExpression(textValue) {
-  let text = getText(textValue);
-  if (!text) return null;
-  text = text.trim();
-  if (text === 'true') return true;
-  if (text === 'false') return false;
-  if (text.startsWith('"') && text.endsWith('"')) {
-    return text.slice(1, -1);
+function parseLogic(element, ownerId) {
+  if (element.decisionTable) {
+    return { kind: 'decisionTable', table: parseDecisionTable(element.decisionTable, ownerId) };
   }
-  if (/^\d+$/.test(text)) {
-    return parseInt(text, 10);
+  if (element.literalExpression) {
+    const text = getText(element.literalExpression.text).trim();
+    return {
+      kind: 'literalExpression',
+      text,
+      type: element.literalExpression['@_typeRef'],
+      expression: parseExpression(text),
+    };
   }
-  return text;
+  throw new Error(`Unsupported decision logic in ${ownerId}: expected decisionTable or literalExpression`);
 }
 
 /**
- * Load and parse the DMN file
+ * Parse DMN XML into a model of decisions, input data and business knowledge models
  */
-export function loadDMN() {
-  if (parsedDecision) return parsedDecision;
-
-  const dmnXml = readFileSync(dmnPath, 'utf-8');
+export function parseDMN(dmnXml) {
   const parser = new XMLParser({
     ignoreAttributes: false,
     attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false, // FEEL text must reach the parser verbatim
+    isArray: (name) => ARRAY_ELEMENTS.includes(name),
   });
 
   const doc = parser.parse(dmnXml);
   const definitions = doc.definitions;
-  const decision = definitions.decision;
-  const decisionTable = decision.decisionTable;
-
-  // Parse inputs
-  const inputs = Array.isArray(decisionTable.input)
-    ? decisionTable.input
-    : [decisionTable.input];
-
-  const inputDefs = inputs.map(inp => ({
-    id: inp['@_id'],
-    label: inp['@_label'],
-    name: inp.inputExpression.text,
-    type: inp.inputExpression['@_typeRef'],
-  }));
 
-  // Parse output
-  const output = decisionTable.output;
-  const outputDef = {
-    id: output['@_id'],
-    name: output['@_name'],
-    type: output['@_typeRef'],
-  };
+  const inputData = {};
+  for (const data of definitions.inputData || []) {
+    inputData[data['@_id']] = {
+      id: data['@_id'],
+      name: data.variable?.['@_name'] || data['@_name'],
+      type: data.variable?.['@_typeRef'],
+    };
+  }
 
-  // Parse rules
-  const rules = Array.isArray(decisionTable.rule)
-    ? decisionTable.rule
-    : [decisionTable.rule];
+  const bkms = {};
+  for (const bkm of definitions.businessKnowledgeModel || []) {
+    const id = bkm['@_id'];
+    const logic = bkm.encapsulatedLogic;
+    if (!logic) throw new Error(`Business knowledge model ${id} has no encapsulatedLogic`);
+    bkms[id] = {
+      id,
+      name: bkm.variable?.['@_name'] || bkm['@_name'],
+      parameters: (logic.formalParameter || []).map(p => ({ name: p['@_name'], type: p['@_typeRef'] })),
+      requiredKnowledge: (bkm.knowledgeRequirement || []).map(r => hrefId(r.requiredKnowledge)),
+      logic: parseLogic(logic, id),
+    };
+  }
 
-  const ruleDefs = rules.map(rule => {
-    const inputEntries = Array.isArray(rule.inputEntry)
-      ? rule.inputEntry
-      : [rule.inputEntry];
+  const decisions = {};
+  for (const decision of definitions.decision || []) {
+    const id = decision['@_id'];
+    const requirements = decision.informationRequirement || [];
+    decisions[id] = {
+      id,
+      name: decision['@_name'],
+      variable: decision.variable?.['@_name'] || decision['@_name'],
+      requiredDecisions: requirements.filter(r => r.requiredDecision).map(r => hrefId(r.requiredDecision)),
+      requiredInputs: requirements.filter(r => r.requiredInput).map(r => hrefId(r.requiredInput)),
+      requiredKnowledge: (decision.knowledgeRequirement || []).map(r => hrefId(r.requiredKnowledge)),
+      logic: parseLogic(decision, id),
+    };
+  }
 
-    const conditions = inputEntries.map((entry, idx) => ({
-      inputName: inputDefs[idx].name,
-      test: parseUnaryTest(entry.text, inputDefs[idx].type),
-    }));
+  const ids = Object.keys(decisions);
+  if (!ids.length) throw new Error('DMN model contains no decisions');
 
-    const outputEntry = rule.outputEntry;
-    const outputValue = parseOutputExpression(outputEntry.text);
+  // Check requirement references up front so evaluation errors are about logic, not wiring
+  for (const owner of [...Object.values(decisions), ...Object.values(bkms)]) {
+    for (const ref of owner.requiredDecisions || []) {
+      if (!decisions[ref]) throw new Error(`${owner.id} requires unknown decision: ${ref}`);
+    }
+    for (const ref of owner.requiredInputs || []) {
+      if (!inputData[ref]) throw new Error(`${owner.id} requires unknown input data: ${ref}`);
+    }
+    for (const ref of owner.requiredKnowledge) {
+      if (!bkms[ref]) throw new Error(`${owner.id} requires unknown business knowledge model: ${ref}`);
+    }
+  }
 
-    return { conditions, outputValue };
-  });
+  // The default decision is the top of the graph: one that no other decision requires
+  const required = new Set(Object.values(decisions).flatMap(d => d.requiredDecisions));
+  const defaultDecisionId = ids.find(id => !required.has(id)) || ids[0];
 
-  parsedDecision = {
-    inputs: inputDefs,
-    output: outputDef,
-    rules: ruleDefs,
+  return {
+    id: definitions['@_id'],
+    name: definitions['@_name'],
+    defaultDecisionId,
+    inputData,
+    bkms,
+    decisions,
   };
+}
+
+/**
+ * Load and parse a DMN file (default: mammo.dmn). Parsed models are cached per path.
+ */
+export function loadDMN(filePath = dmnPath) {
+  const fullPath = resolve(filePath);
+  if (parsedModels.has(fullPath)) return parsedModels.get(fullPath);
 
-  return parsedDecision;
+  const model = parseDMN(readFileSync(fullPath, 'utf-8'));
+  parsedModels.set(fullPath, model);
+  return model;
 }
 
 /**
- * Evaluate the decision table with given inputs
+ * Look up a decision by id (defaults to the top-level decision)
  */
-export function evaluateDecision(inputs) {
-  const decision = loadDMN();
+export function getDecision(model, decisionId = model.defaultDecisionId) {
+  const decision = model.decisions[decisionId];
+  if (!decision) throw new Error(`Unknown decision: ${decisionId}`);
+  return decision;
+}
+
+/**
+ * Rank a rule's outputs against the declared outputValues (lower = higher priority).
+ * Multi-output tables rank by the first output, then the next, and so on.
+ */
+function compareByPriority(table, a, b) {
+  for (const [idx, output] of table.outputs.entries()) {
+    if (!output.values) continue;
+    const rank = (result) => {
+      const value = table.outputs.length === 1 ? result : result?.[output.name];
+      const index = output.values.findIndex(v => valuesEqual(v, value));
+      return index === -1 ? output.values.length : index;
+    };
+    const diff = rank(a) - rank(b);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
 
-  // First match hit policy (default for this decision table)
-  for (const rule of decision.rules) {
-    let allMatch = true;
-    for (const condition of rule.conditions) {
-      const inputValue = inputs[condition.inputName];
-      if (!condition.test(inputValue)) {
-        allMatch = false;
-        break;
+/**
+ * Apply the table's hit policy to the matched rules' results
+ */
+function applyHitPolicy(table, matched, results) {
+  switch (table.hitPolicy) {
+    case 'FIRST':
+      return matched.length ? results[0] : null;
+
+    case 'UNIQUE':
+      if (matched.length > 1) {
+        throw new Error(`UNIQUE hit policy violated: rules ${matched.map(r => r.id).join(', ')} all matched`);
+      }
+      return matched.length ? results[0] : null;
+
+    case 'ANY':
+      if (results.some(value => !valuesEqual(value, results[0]))) {
+        throw new Error(`ANY hit policy violated: rules ${matched.map(r => r.id).join(', ')} matched with different outputs`);
       }
+      return matched.length ? results[0] : null;
+
+    case 'PRIORITY':
+      if (!matched.length) return null;
+      return results.reduce((best, value) =>
+        compareByPriority(table, value, best) < 0 ? value : best);
+
+    case 'OUTPUT ORDER':
+      return results
+        .map((value, index) => ({ value, index }))
+        .sort((a, b) => compareByPriority(table, a.value, b.value) || a.index - b.index)
+        .map(entry => entry.value);
+
+    case 'RULE ORDER':
+      return results;
+
+    case 'COLLECT':
+      if (!table.aggregation) return results;
+      return AGGREGATORS[table.aggregation](results.filter(v => v !== null && v !== undefined));
+
+    default:
+      throw new Error(`Unsupported hit policy: ${table.hitPolicy}`);
+  }
+}
+
+/**
+ * Evaluate a decision table in the given context. Single-output tables yield
+ * the output value; multi-output tables yield a context keyed by output name.
+ *
+ * When a `trace` object is passed it is filled with the input values, the
+ * matched rule(s) with every input entry's result, and, for each rule before
+ * the first match, the first input entry that failed.
+ */
+function evaluateTable(table, context, trace = null) {
+  const inputValues = table.inputs.map(input => evaluateExpression(input.expression, context));
+
+  const matched = [];
+  const rejected = [];
+  for (const [ruleIndex, rule] of table.rules.entries()) {
+    const failedAt = rule.conditions.findIndex((condition, idx) =>
+      !condition.test(inputValues[idx], context));
+
+    if (failedAt === -1) {
+      matched.push(rule);
+      if (table.hitPolicy === 'FIRST') break;
+    } else if (!matched.length) {
+      rejected.push({ rule, ruleIndex, failedAt });
     }
-    if (allMatch) {
-      return { [decision.output.name]: rule.outputValue };
+  }
+
+  const results = matched.map(rule => {
+    if (table.outputs.length === 1) return evaluateExpression(rule.outputs[0].expression, context);
+    return Object.fromEntries(table.outputs.map((output, idx) =>
+      [output.name, evaluateExpression(rule.outputs[idx].expression, context)]));
+  });
+
+  if (trace) {
+    const entry = (rule, idx) => ({
+      input: table.inputs[idx].name,
+      label: table.inputs[idx].label,
+      entry: rule.conditions[idx].text || '-',
+      value: toJavaScript(inputValues[idx]),
+    });
+
+    trace.hitPolicy = table.hitPolicy;
+    trace.inputs = Object.fromEntries(table.inputs.map((input, idx) =>
+      [input.name, toJavaScript(inputValues[idx])]));
+    trace.matchedRules = matched.map((rule, idx) => ({
+      id: rule.id,
+      ruleIndex: table.rules.indexOf(rule) + 1,
+      annotation: rule.annotation,
+      entries: rule.conditions.map((_, col) => ({ ...entry(rule, col), matched: true })),
+      output: toJavaScript(results[idx]),
+    }));
+    trace.matchedRule = trace.matchedRules[0]?.id ?? null;
+    trace.annotation = trace.matchedRules[0]?.annotation ?? null;
+    trace.rejectedRules = rejected.map(({ rule, ruleIndex, failedAt }) => ({
+      id: rule.id,
+      ruleIndex: ruleIndex + 1,
+      annotation: rule.annotation,
+      failedEntry: { ...entry(rule, failedAt), matched: false },
+    }));
+  }
+
+  return applyHitPolicy(table, matched, results);
+}
+
+function evaluateLogic(logic, context, trace = null) {
+  if (logic.kind === 'decisionTable') return evaluateTable(logic.table, context, trace);
+  if (trace) trace.expression = logic.text;
+  return evaluateExpression(logic.expression, context);
+}
+
+/**
+ * Shape a decision's value as the output map returned to callers:
+ * table outputs keyed by output name, literal expressions by variable name.
+ */
+function toOutputMap(decision, value) {
+  if (decision.logic.kind !== 'decisionTable') {
+    return { [decision.variable]: toJavaScript(value) };
+  }
+
+  const { outputs } = decision.logic.table;
+  if (outputs.length === 1) return { [outputs[0].name]: toJavaScript(value) };
+
+  // Multi-output: list hit policies collect each output column into a list
+  if (Array.isArray(value)) {
+    return Object.fromEntries(outputs.map(output =>
+      [output.name, value.map(row => toJavaScript(row[output.name]))]));
+  }
+  return Object.fromEntries(outputs.map(output =>
+    [output.name, toJavaScript(value?.[output.name] ?? null)]));
+}
+
+/**
+ * Build the FEEL functions for the business knowledge models a decision requires
+ */
+function bindKnowledge(model, ids, visiting = new Set()) {
+  const functions = {};
+  for (const id of ids) {
+    const bkm = model.bkms[id];
+    if (visiting.has(id)) throw new Error(`Circular knowledge requirement at ${id}`);
+    const nested = bindKnowledge(model, bkm.requiredKnowledge, new Set([...visiting, id]));
+
+    functions[bkm.name] = (...args) => {
+      const scope = { ...nested };
+      bkm.parameters.forEach((param, idx) => {
+        scope[param.name] = args[idx] ?? null;
+      });
+      return evaluateLogic(bkm.logic, scope);
+    };
+  }
+  return functions;
+}
+
+/**
+ * Evaluate a decision and, first, every decision it requires (dependency order).
+ *
+ * Returns { decisionId, output, results } where `output` is the requested
+ * decision's output map and `results` holds the output map of every decision
+ * evaluated along the way, keyed by decision id.
+ *
+ * Options:
+ *   model       parsed model from parseDMN (default: mammo.dmn)
+ *   decisionId  decision to evaluate (default: the top-level decision)
+ *   trace       when true, also return `trace` (why the requested decision
+ *               produced its output) and `traces` for every evaluated decision
+ */
+export function evaluateDecisionGraph(inputs, options = {}) {
+  const model = options.model || loadDMN();
+  const target = getDecision(model, options.decisionId);
+
+  const values = {};
+  const results = {};
+  const traces = {};
+  const visiting = new Set();
+
+  const evaluate = (decision) => {
+    if (decision.id in values) return values[decision.id];
+    if (visiting.has(decision.id)) throw new Error(`Circular decision requirement at ${decision.id}`);
+    visiting.add(decision.id);
+
+    // Required decisions are visible by id (Camunda 8) and by variable name (DMN spec)
+    const context = { ...inputs, ...bindKnowledge(model, decision.requiredKnowledge) };
+    for (const requiredId of decision.requiredDecisions) {
+      const required = model.decisions[requiredId];
+      const value = evaluate(required);
+      context[required.id] = value;
+      context[required.variable] = value;
     }
+
+    const trace = options.trace ? { decisionId: decision.id, kind: decision.logic.kind } : null;
+    const value = evaluateLogic(decision.logic, context, trace);
+    visiting.delete(decision.id);
+    values[decision.id] = value;
+    results[decision.id] = toOutputMap(decision, value);
+    if (trace) traces[decision.id] = { ...trace, output: results[decision.id] };
+    return value;
+  };
+
+  evaluate(target);
+
+  const evaluation = { decisionId: target.id, output: results[target.id], results };
+  if (options.trace) {
+    evaluation.trace = traces[target.id];
+    evaluation.traces = traces;
+  }
+  return evaluation;
+}
+
+/**
+ * Evaluate a decision with given inputs and return its output map,
+ * e.g. { RecommendMammogram: true } for mammo.dmn.
+ * Accepts the same options as evaluateDecisionGraph.
+ */
+export function evaluateDecision(inputs, options = {}) {
+  return evaluateDecisionGraph(inputs, options).output;
+}
+
+/**
+ * Render a decision trace (from evaluateDecisionGraph with trace: true) as text
+ */
+export function formatTrace(trace) {
+  const show = (value) => JSON.stringify(value ?? null);
+  const lines = [`Decision ${trace.decisionId} → ${show(trace.output)}`];
+
+  if (trace.kind !== 'decisionTable') {
+    lines.push(`  Expression: ${trace.expression}`);
+    return lines.join('\n');
+  }
+
+  lines.push(`  Hit policy: ${trace.hitPolicy}`);
+  lines.push(`  Inputs: ${Object.entries(trace.inputs).map(([name, value]) => `${name}=${show(value)}`).join(', ')}`);
+
+  if (!trace.matchedRules.length) {
+    lines.push('  No rule matched');
+  }
+  for (const rule of trace.matchedRules) {
+    lines.push(`  Matched rule ${rule.ruleIndex} (${rule.id})${rule.annotation ? `: ${rule.annotation}` : ''}`);
+    for (const entry of rule.entries.filter(e => e.entry !== '-')) {
+      lines.push(`    ✓ ${entry.input}=${show(entry.value)} matches ${entry.entry}`);
+    }
+  }
+  for (const rule of trace.rejectedRules) {
+    const { input, value, entry } = rule.failedEntry;
+    lines.push(`  Skipped rule ${rule.ruleIndex} (${rule.id}): ${input}=${show(value)} does not match ${entry}`);
   }
 
-  // No rule matched
-  return { [decision.output.name]: null };
+  return lines.join('\n');
 }
@@ -2,10 +2,18 @@ import { describe, it, expect, beforeAll } from 'vitest';
 import { readdirSync, readFileSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { loadDMN, evaluateDecision } from './dmn-runner.js';
+import {
+  loadDMN,
+  parseDMN,
+  getDecision,
+  evaluateDecision,
+  evaluateDecisionGraph,
+  formatTrace,
+} from './dmn-runner.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const testsDir = resolve(__dirname, '../tests/dmn');
+const fixturesDir = resolve(testsDir, 'fixtures');
 
 describe('Breast Cancer Screening Decision Table', () => {
   beforeAll(async () => {
@@ -17,13 +25,246 @@ describe('Breast Cancer Screening Decision Table', () => {
   testFiles.forEach(testFile => {
     const testName = testFile.replace('.json', '');
 
-    it(`should evaluate correctly for: ${testName}`, async () => {
+    it(`should evaluate correctly for: ${testName}`, () => {
       const testPath = resolve(testsDir, testFile);
       const testData = JSON.parse(readFileSync(testPath, 'utf-8'));
 
-      const result = await evaluateDecision(testData.input);
+      const { output, trace } = evaluateDecisionGraph(testData.input, { trace: true });
 
-      expect(result).toEqual(testData.expected);
+      expect(output, formatTrace(trace)).toEqual(testData.expected);
     });
   });
 });
+
+describe('Evaluation trace', () => {
+  const inputs = {
+    Gender: 'female',
+    AgeInYears: 57,
+    MammogramInLastTwoYears: false,
+    HasBilateralMastectomy: true,
+    HasBreastCancerDiagnosis: false,
+  };
+
+  it('reports the matched rule, its annotation and entry results', () => {
+    const { trace } = evaluateDecisionGraph(inputs, { trace: true });
+
+    expect(trace.matchedRule).toBe('DecisionRule_mastectomy');
+    expect(trace.annotation).toMatch(/bilateral mastectomy/i);
+    expect(trace.inputs).toEqual(inputs);
+    expect(trace.matchedRules[0].entries.find(e => e.input === 'HasBilateralMastectomy'))
+      .toEqual({
+        input: 'HasBilateralMastectomy',
+        label: 'Has Bilateral Mastectomy',
+        entry: 'true',
+        value: true,
+        matched: true,
+      });
+    expect(trace.output).toEqual({ RecommendMammogram: false });
+  });
+
+  it('reports the first failing input of every earlier rule', () => {
+    const { trace } = evaluateDecisionGraph(inputs, { trace: true });
+
+    expect(trace.rejectedRules.map(r => [r.id, r.failedEntry.input, r.failedEntry.entry])).toEqual([
+      ['DecisionRule_0a3y6uy', 'HasBilateralMastectomy', 'false'],
+      ['DecisionRule_1x0ygsm', 'Gender', '"male"'],
+      ['DecisionRule_1aylfav', 'AgeInYears', '<40'],
+      ['DecisionRule_0yslelc', 'AgeInYears', '>74'],
+    ]);
+  });
+
+  it('is omitted unless requested', () => {
+    expect(evaluateDecisionGraph(inputs)).not.toHaveProperty('trace');
+  });
+
+  it('formats a readable explanation', () => {
+    const { trace } = evaluateDecisionGraph(inputs, { trace: true });
+    const text = formatTrace(trace);
+
+    expect(text).toContain('Matched rule 5 (DecisionRule_mastectomy): History of bilateral mastectomy');
+    expect(text).toContain('Skipped rule 2 (DecisionRule_1x0ygsm): Gender="female" does not match "male"');
+  });
+
+  it('traces every decision in a graph', () => {
+    const model = parseDMN(readFileSync(resolve(fixturesDir, 'screening-drg.dmn'), 'utf-8'));
+    const { traces } = evaluateDecisionGraph({ ...inputs, HasBilateralMastectomy: false }, { model, trace: true });
+
+    expect(Object.keys(traces)).toEqual(['Eligible', 'Excluded', 'DueForScreening']);
+    expect(traces.Eligible.expression).toBe('Gender = "female" and inAgeRange(AgeInYears)');
+    expect(traces.Excluded.matchedRule).toBe('Rule_excluded_none');
+    expect(traces.DueForScreening.matchedRule).toBe('Rule_due_yes');
+  });
+});
+
+/**
+ * Build a one-input (Score) table with the given hit policy.
+ * Each rule is [inputEntry, outputEntry].
+ */
+function buildTable(attributes, rules, outputValues) {
+  const ruleXml = rules.map(([input, output], idx) => `
+      <rule id="Rule_${idx + 1}">
+        <inputEntry id="In_${idx + 1}"><text>${input}</text></inputEntry>
+        <outputEntry id="Out_${idx + 1}"><text>${output}</text></outputEntry>
+      </rule>`).join('');
+
+  return parseDMN(`<?xml version="1.0" encoding="UTF-8"?>
+<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" id="Definitions_test" name="Test">
+  <decision id="Decision_test" name="Test">
+    <decisionTable id="Table_test" ${attributes}>
+      <input id="Input_1" label="Score">
+        <inputExpression id="InputExpression_1" typeRef="number"><text>Score</text></inputExpression>
+      </input>
+      <output id="Output_1" name="Result" typeRef="string">${outputValues ? `
+        <outputValues id="OutputValues_1"><text>${outputValues}</text></outputValues>` : ''}
+      </output>${ruleXml}
+    </decisionTable>
+  </decision>
+</definitions>`);
+}
+
+describe('Hit policies', () => {
+  const overlapping = [
+    ['&gt;= 50', '"low"'],
+    ['&gt;= 80', '"high"'],
+    ['&gt;= 60', '"medium"'],
+  ];
+
+  it('defaults to UNIQUE and rejects multiple matches', () => {
+    const model = buildTable('', overlapping);
+    expect(getDecision(model).logic.table.hitPolicy).toBe('UNIQUE');
+    expect(evaluateDecision({ Score: 55 }, { model })).toEqual({ Result: 'low' });
+    expect(() => evaluateDecision({ Score: 90 }, { model })).toThrow(/UNIQUE.*Rule_1, Rule_2, Rule_3/);
+  });
+
+  it('returns null when no rule matches', () => {
+    const model = buildTable('hitPolicy="UNIQUE"', overlapping);
+    expect(evaluateDecision({ Score: 10 }, { model })).toEqual({ Result: null });
+  });
+
+  it('FIRST returns the first matching rule', () => {
+    const model = buildTable('hitPolicy="FIRST"', overlapping);
+    expect(evaluateDecision({ Score: 90 }, { model })).toEqual({ Result: 'low' });
+  });
+
+  it('ANY allows overlaps only when outputs agree', () => {
+    const model = buildTable('hitPolicy="ANY"', [
+      ['&gt;= 50', '"pass"'],
+      ['&gt;= 80', '"pass"'],
+      ['&gt;= 90', '"honors"'],
+    ]);
+    expect(evaluateDecision({ Score: 85 }, { model })).toEqual({ Result: 'pass' });
+    expect(() => evaluateDecision({ Score: 95 }, { model })).toThrow(/ANY/);
+  });
+
+  it('PRIORITY picks the output ranked highest in outputValues', () => {
+    const model = buildTable('hitPolicy="PRIORITY"', overlapping, '"high","medium","low"');
+    expect(evaluateDecision({ Score: 65 }, { model })).toEqual({ Result: 'medium' });
+    expect(evaluateDecision({ Score: 90 }, { model })).toEqual({ Result: 'high' });
+  });
+
+  it('OUTPUT ORDER lists outputs by outputValues rank', () => {
+    const model = buildTable('hitPolicy="OUTPUT ORDER"', overlapping, '"high","medium","low"');
+    expect(evaluateDecision({ Score: 90 }, { model })).toEqual({ Result: ['high', 'medium', 'low'] });
+  });
+
+  it('PRIORITY requires outputValues', () => {
+    expect(() => buildTable('hitPolicy="PRIORITY"', overlapping)).toThrow(/outputValues/);
+  });
+
+  it('RULE ORDER lists outputs in rule order', () => {
+    const model = buildTable('hitPolicy="RULE ORDER"', overlapping);
+    expect(evaluateDecision({ Score: 90 }, { model })).toEqual({ Result: ['low', 'high', 'medium'] });
+    expect(evaluateDecision({ Score: 10 }, { model })).toEqual({ Result: [] });
+  });
+
+  describe('COLLECT', () => {
+    const points = [
+      ['&gt;= 0', '1'],
+      ['&gt;= 50', '5'],
+      ['&gt;= 80', '10'],
+    ];
+
+    it('collects outputs without an aggregator', () => {
+      const model = buildTable('hitPolicy="COLLECT"', points);
+      expect(evaluateDecision({ Score: 60 }, { model })).toEqual({ Result: [1, 5] });
+    });
+
+    it.each([
+      ['SUM', 16, null],
+      ['MIN', 1, null],
+      ['MAX', 10, null],
+      ['COUNT', 3, 0],
+    ])('aggregates with %s', (aggregation, expected, noMatch) => {
+      const model = buildTable(`hitPolicy="COLLECT" aggregation="${aggregation}"`, points);
+      expect(evaluateDecision({ Score: 85 }, { model })).toEqual({ Result: expected });
+      expect(evaluateDecision({ Score: -1 }, { model })).toEqual({ Result: noMatch });
+    });
+  });
+});
+
+describe('Decision requirement graphs', () => {
+  const model = parseDMN(readFileSync(resolve(fixturesDir, 'screening-drg.dmn'), 'utf-8'));
+
+  it('parses every decision and picks the top of the graph by default', () => {
+    expect(Object.keys(model.decisions)).toEqual(['Eligible', 'Excluded', 'DueForScreening']);
+    expect(model.defaultDecisionId).toBe('DueForScreening');
+    expect(getDecision(model, 'Excluded').logic.table.outputs.map(o => o.name))
+      .toEqual(['Excluded', 'ExclusionReason']);
+  });
+
+  it('treats mammo.dmn as a single-decision graph', () => {
+    const mammo = loadDMN();
+    expect(mammo.defaultDecisionId).toBe('decision_mammogram');
+    expect(getDecision(mammo).logic.kind).toBe('decisionTable');
+  });
+
+  it('agrees with mammo.dmn on every DMN test case', () => {
+    for (const testFile of readdirSync(testsDir).filter(f => f.endsWith('.json'))) {
+      const testData = JSON.parse(readFileSync(resolve(testsDir, testFile), 'utf-8'));
+      expect(evaluateDecision(testData.input, { model }), testFile).toEqual(testData.expected);
+    }
+  });
+
+  it('returns every intermediate result in dependency order', () => {
+    const result = evaluateDecisionGraph({
+      Gender: 'female',
+      AgeInYears: 57,
+      MammogramInLastTwoYears: false,
+      HasBilateralMastectomy: false,
+      HasBreastCancerDiagnosis: true,
+    }, { model });
+
+    expect(result.decisionId).toBe('DueForScreening');
+    expect(result.output).toEqual({ RecommendMammogram: false });
+    expect(Object.keys(result.results)).toEqual(['Eligible', 'Excluded', 'DueForScreening']);
+    expect(result.results.Eligible).toEqual({ 'Eligible by age/sex': true });
+    expect(result.results.Excluded).toEqual({
+      Excluded: true,
+      ExclusionReason: 'breast cancer diagnosis',
+    });
+  });
+
+  it('evaluates a sub-decision by id without its dependents', () => {
+    const result = evaluateDecisionGraph({ Gender: 'male', AgeInYears: 50 }, { model, decisionId: 'Eligible' });
+    expect(result.output).toEqual({ 'Eligible by age/sex': false });
+    expect(Object.keys(result.results)).toEqual(['Eligible']);
+  });
+
+  it('rejects unknown decisions and broken requirements', () => {
+    expect(() => evaluateDecision({}, { model, decisionId: 'Nope' })).toThrow(/Unknown decision: Nope/);
+    const broken = readFileSync(resolve(fixturesDir, 'screening-drg.dmn'), 'utf-8')
+      .replace('href="#Eligible"', 'href="#Missing"');
+    expect(() => parseDMN(broken)).toThrow(/unknown decision: Missing/);
+  });
+});
+
+describe('FEEL output entries', () => {
+  it('evaluates expressions in output entries against the inputs', () => {
+    const model = buildTable('hitPolicy="FIRST"', [
+      ['&lt; 40', '40 - Score'],
+      ['-', '0'],
+    ]);
+    expect(evaluateDecision({ Score: 35 }, { model })).toEqual({ Result: 5 });
+    expect(evaluateDecision({ Score: 50 }, { model })).toEqual({ Result: 0 });
+  });
+});
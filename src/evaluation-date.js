@@ -0,0 +1,70 @@
+/**
+ * The "as-of" date test data is generated and evaluated against.
+ *
+ * Dates are plain YYYY-MM-DD strings. "Today" is taken in an explicit IANA
+ * time zone so generation and evaluation agree regardless of where (or just
+ * before/after which midnight) each step runs.
+ *
+ * Environment:
+ *   AS_OF_DATE (default: today in AS_OF_TZ)
+ *   AS_OF_TZ (default: the system time zone)
+ */
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** The system's IANA time zone, e.g. "Pacific/Honolulu" */
+export function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/** Today's date (YYYY-MM-DD) in the given time zone */
+export function todayIn(timeZone = systemTimeZone(), now = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+/** Throw unless the value is a valid YYYY-MM-DD calendar date */
+export function assertDate(value, label = 'as-of date') {
+  const match = DATE_PATTERN.exec(value || '');
+  const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (!date || date.getUTCDate() !== +match[3] || date.getUTCMonth() !== +match[2] - 1) {
+    throw new Error(`Invalid ${label}: ${value} (expected YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+/** Throw unless the value is a time zone Intl understands */
+export function assertTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone: value });
+  } catch {
+    throw new Error(`Invalid time zone: ${value} (expected an IANA name such as America/New_York)`);
+  }
+  return value;
+}
+
+/**
+ * Resolve the evaluation date and time zone from options, then the
+ * environment, then today in the system time zone. Returns { asOf, timeZone }.
+ */
+export function resolveEvaluationDate(options = {}) {
+  const timeZone = assertTimeZone(options.timeZone || process.env.AS_OF_TZ || systemTimeZone());
+  const asOf = assertDate(options.asOf || process.env.AS_OF_DATE || todayIn(timeZone));
+  return { asOf, timeZone };
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole years, months and days (applied in that
+ * order). Like CQL date arithmetic, a day the target month lacks is clamped
+ * to its last day, e.g. 2024-02-29 minus one year is 2023-02-28.
+ */
+export function shiftDate(date, { years = 0, months = 0, days = 0 } = {}) {
+  const [, y, m, d] = DATE_PATTERN.exec(assertDate(date)).map(Number);
+  const month = y * 12 + (m - 1) + years * 12 + months;
+  const [year, monthIndex] = [Math.floor(month / 12), ((month % 12) + 12) % 12];
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  const shifted = new Date(Date.UTC(year, monthIndex, Math.min(d, lastDay)));
+  shifted.setUTCFullYear(year);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { todayIn, shiftDate, resolveEvaluationDate } from './evaluation-date.js';
+
+describe('evaluation date', () => {
+  it('takes today in the requested time zone', () => {
+    const instant = new Date('2025-12-27T00:29:37Z');
+    expect(todayIn('Pacific/Honolulu', instant)).toBe('2025-12-26');
+    expect(todayIn('UTC', instant)).toBe('2025-12-27');
+    expect(todayIn('Asia/Tokyo', instant)).toBe('2025-12-27');
+  });
+
+  it('shifts by years, months and days', () => {
+    expect(shiftDate('2025-12-26', { years: -40, days: -1 })).toBe('1985-12-25');
+    expect(shiftDate('2025-12-26', { days: -365 })).toBe('2024-12-26');
+    expect(shiftDate('2025-01-15', { months: -2 })).toBe('2024-11-15');
+    expect(shiftDate('0099-03-01', { days: -1 })).toBe('0099-02-28');
+  });
+
+  it('clamps to the end of a shorter month, as CQL does', () => {
+    expect(shiftDate('2024-02-29', { years: -1 })).toBe('2023-02-28');
+    expect(shiftDate('2024-02-29', { years: -75 })).toBe('1949-02-28');
+    expect(shiftDate('2024-02-29', { years: -2, days: 1 })).toBe('2022-03-01');
+    expect(shiftDate('2024-02-29', { years: -4 })).toBe('2020-02-29');
+    expect(shiftDate('2025-03-31', { months: -1 })).toBe('2025-02-28');
+  });
+
+  it('prefers explicit options and rejects invalid values', () => {
+    expect(resolveEvaluationDate({ asOf: '2025-12-26', timeZone: 'America/New_York' }))
+      .toEqual({ asOf: '2025-12-26', timeZone: 'America/New_York' });
+    expect(() => resolveEvaluationDate({ asOf: '2025-02-30' })).toThrow(/Invalid as-of date/);
+    expect(() => resolveEvaluationDate({ timeZone: 'Mars/Olympus' })).toThrow(/Invalid time zone/);
+  });
+});
@@ -0,0 +1,938 @@
+/**
+ * FEEL (Friendly Enough Expression Language) support for the DMN runner.
+ *
+ * Unary tests (decision table input entries):
+ *   -                      any value
+ *   "female","male"        disjunction of tests
+ *   not("male")            negation
+ *   [40..74] (40..75[      closed, open and half-open ranges
+ *   < 40, >= 74.5, != 0    comparisons (spaces allowed)
+ *   null, true, -1.5       literals
+ *   date("2024-01-01")     temporal literals: date, time, date and time, duration
+ *
+ * Expressions (literal-expression decisions, input expressions, output
+ * entries, business knowledge models):
+ *   arithmetic, comparisons, and/or, if-then-else, x in <unary tests>,
+ *   x between a and b, lists, contexts, paths and function invocation
+ *   (built-ins or business knowledge models supplied in the context).
+ *
+ * Everything is parsed into a small AST so that other tools (e.g. the table
+ * analyzer) can inspect ranges and literals instead of re-parsing text.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TEMPORAL = Symbol('feel.temporal');
+
+/**
+ * Ensure text is a string (XML parser may return objects for mixed content)
+ */
+export function getText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object' && '#text' in value) return String(value['#text']);
+  return String(value);
+}
+
+// ---------------------------------------------------------------------------
+// Values
+// ---------------------------------------------------------------------------
+
+function temporal(type, value) {
+  return { [TEMPORAL]: true, type, value };
+}
+
+export function isTemporal(value) {
+  return value !== null && typeof value === 'object' && value[TEMPORAL] === true;
+}
+
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+/**
+ * Parse an ISO date (YYYY-MM-DD) into a FEEL date value. Dates that do not
+ * exist (2024-02-30) are rejected rather than rolled over.
+ */
+function makeDate(text) {
+  const match = /^(-?\d{4,})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) throw new Error(`Invalid date: "${text}"`);
+  const [, y, m, d] = match.map(Number);
+  // setUTCFullYear, unlike Date.UTC, does not map years 0-99 to 19xx
+  const date = new Date(0);
+  date.setUTCFullYear(y, m - 1, d);
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    throw new Error(`Invalid date: "${text}"`);
+  }
+  return temporal('date', date.getTime());
+}
+
+/**
+ * Parse an ISO time (hh:mm:ss[.fff][offset]) into a FEEL time value (seconds of day)
+ */
+function makeTime(text) {
+  const match = /^(\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?(Z|[+-]\d{2}:\d{2})?$/.exec(text);
+  if (!match) throw new Error(`Invalid time: "${text}"`);
+  let seconds = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+  if (match[4] && match[4] !== 'Z') {
+    const sign = match[4][0] === '-' ? -1 : 1;
+    const [oh, om] = match[4].slice(1).split(':').map(Number);
+    seconds -= sign * (oh * 3600 + om * 60);
+  }
+  return temporal('time', seconds);
+}
+
+/**
+ * Parse an ISO date-time into a FEEL date and time value (epoch milliseconds).
+ * Values without an offset are treated as UTC so comparisons are deterministic.
+ */
+function makeDateTime(text) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return temporal('date and time', makeDate(text).value);
+  }
+  const hasOffset = /(Z|[+-]\d{2}:\d{2})$/.test(text);
+  const ms = Date.parse(hasOffset ? text : `${text}Z`);
+  if (Number.isNaN(ms)) throw new Error(`Invalid date and time: "${text}"`);
+  return temporal('date and time', ms);
+}
+
+/**
+ * Parse an ISO 8601 duration into a FEEL years-and-months or days-and-time duration
+ */
+function makeDuration(text) {
+  const ym = /^(-)?P(?:(\d+)Y)?(?:(\d+)M)?$/.exec(text);
+  if (ym && (ym[2] || ym[3])) {
+    const months = Number(ym[2] || 0) * 12 + Number(ym[3] || 0);
+    return temporal('years and months duration', ym[1] ? -months : months);
+  }
+  const dt = /^(-)?P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(text);
+  if (dt && (dt[2] || dt[3] || dt[4] || dt[5])) {
+    const seconds = Number(dt[2] || 0) * 86400 + Number(dt[3] || 0) * 3600
+      + Number(dt[4] || 0) * 60 + Number(dt[5] || 0);
+    return temporal('days and time duration', dt[1] ? -seconds : seconds);
+  }
+  throw new Error(`Invalid duration: "${text}"`);
+}
+
+const temporalConstructors = {
+  'date': makeDate,
+  'time': makeTime,
+  'date and time': makeDateTime,
+  'duration': makeDuration,
+};
+
+/**
+ * Coerce a JavaScript input value to the FEEL type of a value it is compared with.
+ * Lets callers pass plain ISO strings or Date objects for temporal inputs.
+ */
+function coerceLike(input, like) {
+  if (isNull(input)) return null;
+  if (!isTemporal(like) || isTemporal(input)) return input;
+
+  try {
+    if (input instanceof Date) {
+      if (like.type === 'date') {
+        return temporal('date', Math.floor(input.getTime() / DAY_MS) * DAY_MS);
+      }
+      if (like.type === 'date and time') return temporal('date and time', input.getTime());
+      return input;
+    }
+    if (typeof input === 'string') {
+      if (like.type === 'date') return makeDate(input.slice(0, 10));
+      return temporalConstructors[like.type.endsWith('duration') ? 'duration' : like.type](input);
+    }
+  } catch {
+    return input;
+  }
+  return input;
+}
+
+/**
+ * Convert a FEEL value back to plain JavaScript: dates and date-times become
+ * ISO strings, durations ISO 8601 duration strings. Other values pass through.
+ */
+export function toJavaScript(value) {
+  if (Array.isArray(value)) return value.map(toJavaScript);
+  if (!isTemporal(value)) {
+    if (value !== null && typeof value === 'object' && typeof value !== 'function') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJavaScript(v)]));
+    }
+    return value;
+  }
+
+  switch (value.type) {
+    case 'date':
+      return new Date(value.value).toISOString().slice(0, 10);
+    case 'date and time':
+      return new Date(value.value).toISOString();
+    case 'time': {
+      const s = ((value.value % 86400) + 86400) % 86400;
+      const pad = (n) => String(Math.floor(n)).padStart(2, '0');
+      return `${pad(s / 3600)}:${pad((s % 3600) / 60)}:${pad(s % 60)}Z`;
+    }
+    case 'years and months duration': {
+      const months = Math.abs(value.value);
+      const y = Math.floor(months / 12);
+      const m = months % 12;
+      return `${value.value < 0 ? '-' : ''}P${y ? `${y}Y` : ''}${m || !y ? `${m}M` : ''}`;
+    }
+    case 'days and time duration': {
+      let s = Math.abs(value.value);
+      const d = Math.floor(s / 86400);
+      s -= d * 86400;
+      const h = Math.floor(s / 3600);
+      s -= h * 3600;
+      const min = Math.floor(s / 60);
+      s -= min * 60;
+      const time = `${h ? `${h}H` : ''}${min ? `${min}M` : ''}${s ? `${s}S` : ''}`;
+      return `${value.value < 0 ? '-' : ''}P${d ? `${d}D` : ''}${time ? `T${time}` : d ? '' : 'T0S'}`;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Compare two FEEL values. Returns a negative number, zero or a positive number,
+ * or null when the values are not comparable (different types, null operand).
+ */
+export function compareValues(a, b) {
+  if (isNull(a) || isNull(b)) return null;
+  if (isTemporal(a) || isTemporal(b)) {
+    if (!isTemporal(a) || !isTemporal(b) || a.type !== b.type) return null;
+    return a.value - b.value;
+  }
+  if (typeof a !== typeof b) return null;
+  if (typeof a === 'number') return a - b;
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === 'boolean') return a === b ? 0 : null;
+  return null;
+}
+
+/**
+ * FEEL equality. null equals only null; lists and contexts compare deeply.
+ */
+export function valuesEqual(a, b) {
+  if (isNull(a) || isNull(b)) return isNull(a) && isNull(b);
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length
+      && a.every((item, i) => valuesEqual(item, b[i]));
+  }
+  if (typeof a === 'object' && !isTemporal(a) && typeof b === 'object' && !isTemporal(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(k => valuesEqual(a[k], b[k]));
+  }
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * Add a number of calendar months to an epoch-ms instant (UTC), clamping the day
+ */
+function addMonths(ms, months) {
+  const date = new Date(ms);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.getTime();
+}
+
+/**
+ * FEEL + and - over numbers, strings, temporals and durations. Invalid operand
+ * combinations yield null, as in the FEEL specification.
+ */
+function addValues(a, b, sign) {
+  if (isNull(a) || isNull(b)) return null;
+  if (typeof a === 'number' && typeof b === 'number') return a + sign * b;
+  if (sign === 1 && typeof a === 'string' && typeof b === 'string') return a + b;
+  if (!isTemporal(a) || !isTemporal(b)) return null;
+
+  const durationKinds = ['years and months duration', 'days and time duration'];
+  if (durationKinds.includes(a.type) && a.type === b.type) {
+    return temporal(a.type, a.value + sign * b.value);
+  }
+
+  if (a.type === 'date' || a.type === 'date and time') {
+    if (b.type === 'years and months duration') {
+      return temporal(a.type, addMonths(a.value, sign * b.value));
+    }
+    if (b.type === 'days and time duration') {
+      const ms = a.value + sign * b.value * 1000;
+      return temporal(a.type, a.type === 'date' ? Math.floor(ms / DAY_MS) * DAY_MS : ms);
+    }
+    if (sign === -1 && (b.type === 'date' || b.type === 'date and time')) {
+      return temporal('days and time duration', (a.value - b.value) / 1000);
+    }
+  }
+
+  if (a.type === 'time' && b.type === 'days and time duration') {
+    return temporal('time', (((a.value + sign * b.value) % 86400) + 86400) % 86400);
+  }
+  if (sign === -1 && a.type === 'time' && b.type === 'time') {
+    return temporal('days and time duration', a.value - b.value);
+  }
+
+  return null;
+}
+
+function multiplyValues(a, b, op) {
+  if (isNull(a) || isNull(b)) return null;
+  if (typeof a === 'number' && typeof b === 'number') {
+    if (op === '*') return a * b;
+    if (op === '/') return b === 0 ? null : a / b;
+    return a ** b;
+  }
+  if (op === '*' && isTemporal(a) && a.type.endsWith('duration') && typeof b === 'number') {
+    return temporal(a.type, a.value * b);
+  }
+  if (op === '*' && isTemporal(b) && b.type.endsWith('duration') && typeof a === 'number') {
+    return temporal(b.type, b.value * a);
+  }
+  if (op === '/' && isTemporal(a) && a.type.endsWith('duration') && typeof b === 'number') {
+    return b === 0 ? null : temporal(a.type, a.value / b);
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Built-in functions
+// ---------------------------------------------------------------------------
+
+/**
+ * Accept either a single list argument or varargs, as FEEL list functions do
+ */
+function listArgs(args) {
+  return args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+}
+
+function numbersOnly(values) {
+  return values.every(v => typeof v === 'number') ? values : null;
+}
+
+const builtins = {
+  'not': (value) => (typeof value === 'boolean' ? !value : null),
+  'date': (value, month, day) => {
+    if (typeof value === 'number') {
+      return temporal('date', Date.UTC(value, month - 1, day));
+    }
+    if (isTemporal(value)) return temporal('date', Math.floor(value.value / DAY_MS) * DAY_MS);
+    return typeof value === 'string' ? makeDate(value.slice(0, 10)) : null;
+  },
+  'time': (value) => (typeof value === 'string' ? makeTime(value) : null),
+  'date and time': (value) => (typeof value === 'string' ? makeDateTime(value) : null),
+  'duration': (value) => (typeof value === 'string' ? makeDuration(value) : null),
+  'count': (...args) => listArgs(args).length,
+  'sum': (...args) => {
+    const values = numbersOnly(listArgs(args));
+    return values ? values.reduce((sum, v) => sum + v, 0) : null;
+  },
+  'min': (...args) => {
+    const values = listArgs(args);
+    return values.length ? values.reduce((min, v) => (compareValues(v, min) < 0 ? v : min)) : null;
+  },
+  'max': (...args) => {
+    const values = listArgs(args);
+    return values.length ? values.reduce((max, v) => (compareValues(v, max) > 0 ? v : max)) : null;
+  },
+  'abs': (n) => (typeof n === 'number' ? Math.abs(n) : null),
+  'floor': (n) => (typeof n === 'number' ? Math.floor(n) : null),
+  'ceiling': (n) => (typeof n === 'number' ? Math.ceil(n) : null),
+  'string': (value) => (isNull(value) ? null : String(toJavaScript(value))),
+  'number': (value) => {
+    const n = typeof value === 'string' ? Number(value) : NaN;
+    return Number.isNaN(n) ? null : n;
+  },
+  'contains': (s, sub) => (typeof s === 'string' && typeof sub === 'string' ? s.includes(sub) : null),
+};
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+const PUNCTUATION = [
+  '..', '<=', '>=', '!=', '**', '<', '>', '=', '[', ']', '(', ')', '{', '}',
+  ',', ':', '+', '-', '*', '/',
+];
+
+/**
+ * Built-in names containing spaces must be recognised before ordinary names
+ */
+const MULTI_WORD_NAMES = ['date and time'];
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const ch = text[pos];
+
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    if (ch === '"') {
+      let value = '';
+      let end = pos + 1;
+      while (end < text.length && text[end] !== '"') {
+        if (text[end] === '\\' && end + 1 < text.length) {
+          const next = text[end + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          end += 2;
+        } else {
+          value += text[end++];
+        }
+      }
+      if (end >= text.length) throw new Error('unterminated string');
+      tokens.push({ kind: 'string', value, pos });
+      pos = end + 1;
+      continue;
+    }
+
+    const number = /^(?:\d+(?:\.\d+)?|\.\d+)/.exec(text.slice(pos));
+    if (number) {
+      tokens.push({ kind: 'number', value: Number(number[0]), pos });
+      pos += number[0].length;
+      continue;
+    }
+
+    const punct = PUNCTUATION.find(p => text.startsWith(p, pos));
+    if (punct) {
+      tokens.push({ kind: 'punct', value: punct, pos });
+      pos += punct.length;
+      continue;
+    }
+
+    const multiWord = MULTI_WORD_NAMES.find(n =>
+      text.startsWith(n, pos) && /^\s*\(/.test(text.slice(pos + n.length)));
+    if (multiWord) {
+      tokens.push({ kind: 'name', value: multiWord, pos });
+      pos += multiWord.length;
+      continue;
+    }
+
+    const name = /^[A-Za-z_?][\w?]*(?:\.[A-Za-z_][\w]*)*/.exec(text.slice(pos));
+    if (name) {
+      tokens.push({ kind: 'name', value: name[0], pos });
+      pos += name[0].length;
+      continue;
+    }
+
+    throw new Error(`unexpected character '${ch}' at position ${pos}`);
+  }
+
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+const COMPARISON_OPS = ['<', '<=', '>', '>=', '=', '!='];
+
+function createCursor(tokens) {
+  let index = 0;
+  return {
+    peek: (offset = 0) => tokens[index + offset],
+    next: () => tokens[index++],
+    done: () => index >= tokens.length,
+    mark: () => index,
+    reset: (mark) => { index = mark; },
+    isPunct(value, offset = 0) {
+      const token = tokens[index + offset];
+      return Boolean(token) && token.kind === 'punct' && token.value === value;
+    },
+    isName(value, offset = 0) {
+      const token = tokens[index + offset];
+      return Boolean(token) && token.kind === 'name' && token.value === value;
+    },
+    accept(value) {
+      if (this.isPunct(value)) {
+        index++;
+        return true;
+      }
+      return false;
+    },
+    acceptName(value) {
+      if (this.isName(value)) {
+        index++;
+        return true;
+      }
+      return false;
+    },
+    expect(value) {
+      const token = tokens[index];
+      if (!token || token.value !== value) {
+        throw new Error(`expected '${value}' ${token ? `at position ${token.pos}` : 'at end of input'}`);
+      }
+      index++;
+    },
+  };
+}
+
+function unexpected(token) {
+  return new Error(token
+    ? `unexpected '${token.value}' at position ${token.pos}`
+    : 'unexpected end of input');
+}
+
+function parseExpr(cursor) {
+  if (cursor.acceptName('if')) {
+    const condition = parseExpr(cursor);
+    cursor.expect('then');
+    const then = parseExpr(cursor);
+    cursor.expect('else');
+    return { type: 'if', condition, then, else: parseExpr(cursor) };
+  }
+  return parseDisjunction(cursor);
+}
+
+function parseDisjunction(cursor) {
+  let left = parseConjunction(cursor);
+  while (cursor.acceptName('or')) {
+    left = { type: 'or', left, right: parseConjunction(cursor) };
+  }
+  return left;
+}
+
+function parseConjunction(cursor) {
+  let left = parseComparison(cursor);
+  while (cursor.acceptName('and')) {
+    left = { type: 'and', left, right: parseComparison(cursor) };
+  }
+  return left;
+}
+
+function parseComparison(cursor) {
+  const left = parseAdditive(cursor);
+  const token = cursor.peek();
+
+  if (token?.kind === 'punct' && COMPARISON_OPS.includes(token.value)) {
+    cursor.next();
+    return { type: 'compare', op: token.value, left, right: parseAdditive(cursor) };
+  }
+
+  if (cursor.acceptName('between')) {
+    const low = parseAdditive(cursor);
+    cursor.expect('and');
+    return { type: 'between', value: left, low, high: parseAdditive(cursor) };
+  }
+
+  if (cursor.acceptName('in')) {
+    let tests;
+    const mark = cursor.mark();
+    if (cursor.accept('(')) {
+      try {
+        tests = parsePositiveTests(cursor);
+        cursor.expect(')');
+      } catch {
+        cursor.reset(mark);
+        tests = [parsePositiveTest(cursor)];
+      }
+    } else {
+      tests = [parsePositiveTest(cursor)];
+    }
+    return { type: 'in', value: left, tests };
+  }
+
+  return left;
+}
+
+function parseAdditive(cursor) {
+  let left = parseMultiplicative(cursor);
+  while (cursor.isPunct('+') || cursor.isPunct('-')) {
+    const op = cursor.next().value;
+    left = { type: 'arithmetic', op, left, right: parseMultiplicative(cursor) };
+  }
+  return left;
+}
+
+function parseMultiplicative(cursor) {
+  let left = parsePower(cursor);
+  while (cursor.isPunct('*') || cursor.isPunct('/')) {
+    const op = cursor.next().value;
+    left = { type: 'arithmetic', op, left, right: parsePower(cursor) };
+  }
+  return left;
+}
+
+function parsePower(cursor) {
+  let left = parseUnary(cursor);
+  while (cursor.accept('**')) {
+    left = { type: 'arithmetic', op: '**', left, right: parseUnary(cursor) };
+  }
+  return left;
+}
+
+function parseUnary(cursor) {
+  if (cursor.accept('-')) {
+    const operand = parseUnary(cursor);
+    // Fold negative number literals so they stay literals in the AST
+    if (operand.type === 'literal' && typeof operand.value === 'number') {
+      return { type: 'literal', value: -operand.value };
+    }
+    return { type: 'negate', operand };
+  }
+  return parsePrimary(cursor);
+}
+
+function parseArguments(cursor) {
+  const args = [];
+  if (cursor.accept(')')) return args;
+  do {
+    args.push(parseExpr(cursor));
+  } while (cursor.accept(','));
+  cursor.expect(')');
+  return args;
+}
+
+function parsePrimary(cursor) {
+  const token = cursor.next();
+  if (!token) throw unexpected(token);
+
+  if (token.kind === 'number' || token.kind === 'string') {
+    return { type: 'literal', value: token.value };
+  }
+
+  if (token.kind === 'name') {
+    if (token.value === 'true') return { type: 'literal', value: true };
+    if (token.value === 'false') return { type: 'literal', value: false };
+    if (token.value === 'null') return { type: 'literal', value: null };
+
+    if (cursor.accept('(')) {
+      const args = parseArguments(cursor);
+      // Fold temporal literals so malformed values fail at parse time
+      if (temporalConstructors[token.value] && args.length === 1
+        && args[0].type === 'literal' && typeof args[0].value === 'string') {
+        return { type: 'literal', value: temporalConstructors[token.value](args[0].value) };
+      }
+      return { type: 'call', name: token.value, args };
+    }
+
+    return { type: 'name', name: token.value };
+  }
+
+  if (token.value === '(') {
+    const expr = parseExpr(cursor);
+    cursor.expect(')');
+    return expr;
+  }
+
+  if (token.value === '[') {
+    const items = [];
+    if (cursor.accept(']')) return { type: 'list', items };
+    do {
+      items.push(parseExpr(cursor));
+    } while (cursor.accept(','));
+    cursor.expect(']');
+    return { type: 'list', items };
+  }
+
+  if (token.value === '{') {
+    const entries = [];
+    if (cursor.accept('}')) return { type: 'context', entries };
+    do {
+      const key = cursor.next();
+      if (!key || (key.kind !== 'name' && key.kind !== 'string')) throw unexpected(key);
+      cursor.expect(':');
+      entries.push({ key: key.value, value: parseExpr(cursor) });
+    } while (cursor.accept(','));
+    cursor.expect('}');
+    return { type: 'context', entries };
+  }
+
+  throw unexpected(token);
+}
+
+/**
+ * Positive unary test: comparison, interval or plain endpoint (equality)
+ */
+function parsePositiveTest(cursor) {
+  const token = cursor.peek();
+  if (!token) throw unexpected(token);
+
+  if (token.kind === 'punct' && COMPARISON_OPS.includes(token.value)) {
+    cursor.next();
+    return { type: 'comparison', op: token.value, value: parseAdditive(cursor) };
+  }
+
+  if (token.kind === 'punct' && ['[', '(', ']'].includes(token.value)) {
+    // '(' and '[' may also open a parenthesised expression or list literal:
+    // only treat them as an interval when '..' follows the start endpoint
+    const mark = cursor.mark();
+    cursor.next();
+    let start = null;
+    try {
+      start = parseAdditive(cursor);
+    } catch {
+      start = null;
+    }
+    if (start && cursor.accept('..')) {
+      const end = parseAdditive(cursor);
+      const close = cursor.next();
+      if (!close || close.kind !== 'punct' || ![']', ')', '['].includes(close.value)) {
+        throw new Error('expected interval end bracket');
+      }
+      return {
+        type: 'interval',
+        startIncluded: token.value === '[',
+        start,
+        end,
+        endIncluded: close.value === ']',
+      };
+    }
+    if (token.value === ']') throw unexpected(token);
+    cursor.reset(mark);
+  }
+
+  return { type: 'comparison', op: '=', value: parseExpr(cursor) };
+}
+
+function parsePositiveTests(cursor) {
+  const tests = [parsePositiveTest(cursor)];
+  while (cursor.accept(',')) {
+    tests.push(parsePositiveTest(cursor));
+  }
+  return tests;
+}
+
+function ensureDone(cursor) {
+  if (!cursor.done()) throw unexpected(cursor.peek());
+}
+
+/**
+ * Parse FEEL unary tests text into an AST:
+ *   { type: 'any' } | { type: 'not', tests } | { type: 'tests', tests }
+ */
+export function parseUnaryTests(textValue) {
+  const text = getText(textValue).trim();
+  if (text === '' || text === '-') return { type: 'any' };
+
+  try {
+    const cursor = createCursor(tokenize(text));
+    let ast;
+
+    if (cursor.isName('not') && cursor.isPunct('(', 1)) {
+      const mark = cursor.mark();
+      cursor.next();
+      cursor.next();
+      ast = { type: 'not', tests: parsePositiveTests(cursor) };
+      cursor.expect(')');
+      // not(x) followed by more tokens is an expression such as not(a) and b
+      if (!cursor.done()) {
+        cursor.reset(mark);
+        ast = { type: 'tests', tests: parsePositiveTests(cursor) };
+      }
+    } else {
+      ast = { type: 'tests', tests: parsePositiveTests(cursor) };
+    }
+
+    ensureDone(cursor);
+    return ast;
+  } catch (err) {
+    throw new Error(`Unsupported FEEL expression: ${text} (${err.message})`);
+  }
+}
+
+/**
+ * Parse a FEEL expression into an AST
+ */
+export function parseExpression(textValue) {
+  const text = getText(textValue).trim();
+  if (!text) return { type: 'literal', value: null };
+
+  try {
+    const cursor = createCursor(tokenize(text));
+    const ast = parseExpr(cursor);
+    ensureDone(cursor);
+    return ast;
+  } catch (err) {
+    throw new Error(`Unsupported FEEL expression: ${text} (${err.message})`);
+  }
+}
+
+/**
+ * Parse a FEEL literal (inputValues members, simple output entries).
+ * Returns the raw text when it is not a literal.
+ */
+export function parseLiteral(textValue) {
+  const text = getText(textValue).trim();
+  if (!text) return null;
+
+  try {
+    const ast = parseExpression(text);
+    if (ast.type === 'literal') return ast.value;
+  } catch {
+    // fall through: not a literal
+  }
+  return text;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function lookup(obj, key) {
+  return !isNull(obj) && Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : null;
+}
+
+function resolveName(name, context) {
+  if (Object.prototype.hasOwnProperty.call(context, name)) return context[name];
+  const [head, ...path] = name.split('.');
+  return path.reduce(lookup, lookup(context, head)) ?? null;
+}
+
+/**
+ * Three-valued FEEL logic: false wins for and, true wins for or, else null
+ */
+function logical(type, a, b) {
+  const left = typeof a === 'boolean' ? a : null;
+  const right = typeof b === 'boolean' ? b : null;
+  if (type === 'and') {
+    if (left === false || right === false) return false;
+    return left === true && right === true ? true : null;
+  }
+  if (left === true || right === true) return true;
+  return left === false && right === false ? false : null;
+}
+
+function compareWith(op, left, right) {
+  if (op === '=') return valuesEqual(left, right);
+  if (op === '!=') return !valuesEqual(left, right);
+
+  const cmp = compareValues(left, right);
+  if (cmp === null) return null;
+  switch (op) {
+    case '<': return cmp < 0;
+    case '<=': return cmp <= 0;
+    case '>': return cmp > 0;
+    case '>=': return cmp >= 0;
+  }
+  throw new Error(`Unknown comparison operator: ${op}`);
+}
+
+function callFunction(name, args, context) {
+  const fn = resolveName(name, context);
+  if (typeof fn === 'function') return fn(...args);
+  if (builtins[name]) return builtins[name](...args);
+  throw new Error(`Unknown FEEL function: ${name}`);
+}
+
+/**
+ * Evaluate a parsed FEEL expression. Names resolve against `context`;
+ * business knowledge models are plain JavaScript functions in the context.
+ */
+export function evaluateExpression(ast, context = {}) {
+  switch (ast.type) {
+    case 'literal':
+      return ast.value;
+    case 'name':
+      return resolveName(ast.name, context);
+    case 'negate': {
+      const value = evaluateExpression(ast.operand, context);
+      return multiplyValues(value, -1, '*');
+    }
+    case 'arithmetic': {
+      const left = evaluateExpression(ast.left, context);
+      const right = evaluateExpression(ast.right, context);
+      if (ast.op === '+') return addValues(left, right, 1);
+      if (ast.op === '-') return addValues(left, right, -1);
+      return multiplyValues(left, right, ast.op);
+    }
+    case 'compare': {
+      const left = evaluateExpression(ast.left, context);
+      const right = evaluateExpression(ast.right, context);
+      return compareWith(ast.op, coerceLike(left, right), coerceLike(right, left));
+    }
+    case 'between': {
+      const value = evaluateExpression(ast.value, context);
+      const low = compareWith('>=', value, evaluateExpression(ast.low, context));
+      const high = compareWith('<=', value, evaluateExpression(ast.high, context));
+      return logical('and', low, high);
+    }
+    case 'in': {
+      const value = evaluateExpression(ast.value, context);
+      return ast.tests.some(test => evaluatePositiveTest(test, value, context));
+    }
+    case 'and':
+    case 'or':
+      return logical(ast.type,
+        evaluateExpression(ast.left, context),
+        evaluateExpression(ast.right, context));
+    case 'if':
+      return evaluateExpression(ast.condition, context) === true
+        ? evaluateExpression(ast.then, context)
+        : evaluateExpression(ast.else, context);
+    case 'list':
+      return ast.items.map(item => evaluateExpression(item, context));
+    case 'context': {
+      // Entries may refer to earlier entries of the same context
+      const result = {};
+      for (const entry of ast.entries) {
+        result[entry.key] = evaluateExpression(entry.value, { ...context, ...result });
+      }
+      return result;
+    }
+    case 'call':
+      return callFunction(ast.name, ast.args.map(arg => evaluateExpression(arg, context)), context);
+    default:
+      throw new Error(`Unknown FEEL expression type: ${ast.type}`);
+  }
+}
+
+/**
+ * Whether an expression refers to the implicit input value '?'
+ */
+function usesInputValue(ast) {
+  if (!ast || typeof ast !== 'object') return false;
+  if (ast.type === 'name' && (ast.name === '?' || ast.name.startsWith('?.'))) return true;
+  return Object.values(ast).some(child =>
+    Array.isArray(child) ? child.some(usesInputValue) : usesInputValue(child));
+}
+
+function evaluatePositiveTest(test, input, context) {
+  const scope = { ...context, '?': input };
+
+  if (test.type === 'comparison') {
+    const value = evaluateExpression(test.value, scope);
+
+    // Boolean expressions over '?' (e.g. ? > 5 and ? < 10) are the test itself
+    if (test.op === '=' && usesInputValue(test.value)) return value === true;
+    // A list endpoint tests membership
+    if (test.op === '=' && Array.isArray(value) && !Array.isArray(input)) {
+      return value.some(item => valuesEqual(coerceLike(input, item), item));
+    }
+
+    return compareWith(test.op, coerceLike(input, value), value) === true;
+  }
+
+  if (test.type === 'interval') {
+    const start = evaluateExpression(test.start, scope);
+    const end = evaluateExpression(test.end, scope);
+    const actual = coerceLike(input, start ?? end);
+    const lower = compareValues(actual, start);
+    const upper = compareValues(actual, end);
+    if (lower === null || upper === null) return false;
+    return (test.startIncluded ? lower >= 0 : lower > 0)
+      && (test.endIncluded ? upper <= 0 : upper < 0);
+  }
+
+  throw new Error(`Unknown unary test type: ${test.type}`);
+}
+
+/**
+ * Evaluate parsed unary tests against an input value.
+ * `context` supplies values for names used as endpoints (e.g. other inputs).
+ */
+export function evaluateUnaryTests(ast, input, context = {}) {
+  switch (ast.type) {
+    case 'any':
+      return true;
+    case 'tests':
+      return ast.tests.some(test => evaluatePositiveTest(test, input, context));
+    case 'not':
+      return !ast.tests.some(test => evaluatePositiveTest(test, input, context));
+    default:
+      throw new Error(`Unknown unary test type: ${ast.type}`);
+  }
+}
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { parseUnaryTests, evaluateUnaryTests, parseLiteral, parseExpression, evaluateExpression, toJavaScript } from './feel.js';
+
+function matches(text, input, context) {
+  return evaluateUnaryTests(parseUnaryTests(text), input, context);
+}
+
+describe('FEEL unary tests', () => {
+  it('treats empty and "-" as match-any', () => {
+    expect(matches('', 'anything')).toBe(true);
+    expect(matches('-', null)).toBe(true);
+    expect(matches('  ', 42)).toBe(true);
+  });
+
+  it('matches string, boolean and number literals', () => {
+    expect(matches('"female"', 'female')).toBe(true);
+    expect(matches('"female"', 'male')).toBe(false);
+    expect(matches('true', true)).toBe(true);
+    expect(matches('false', true)).toBe(false);
+    expect(matches('-1.5', -1.5)).toBe(true);
+    expect(matches('42', 42)).toBe(true);
+  });
+
+  it('matches comma-separated disjunctions', () => {
+    expect(matches('"female","male"', 'male')).toBe(true);
+    expect(matches('"female", "male"', 'other')).toBe(false);
+    expect(matches('< 10, > 20', 25)).toBe(true);
+    expect(matches('< 10, > 20', 15)).toBe(false);
+  });
+
+  it('negates with not(...)', () => {
+    expect(matches('not("male")', 'female')).toBe(true);
+    expect(matches('not("male", "other")', 'other')).toBe(false);
+    expect(matches('not([40..74])', 39)).toBe(true);
+  });
+
+  it('honors closed, open and half-open range brackets', () => {
+    expect(matches('[40..74]', 40)).toBe(true);
+    expect(matches('[40..74]', 74)).toBe(true);
+    expect(matches('(40..75[', 40)).toBe(false);
+    expect(matches('(40..75[', 74.9)).toBe(true);
+    expect(matches('(40..75[', 75)).toBe(false);
+    expect(matches(']40..75]', 75)).toBe(true);
+    expect(matches('[-10..-1)', -1)).toBe(false);
+    expect(matches('[0.5..1.5]', 1.5)).toBe(true);
+  });
+
+  it('handles comparisons with and without spaces', () => {
+    expect(matches('<40', 39)).toBe(true);
+    expect(matches('< 40', 40)).toBe(false);
+    expect(matches('>= 74.5', 74.5)).toBe(true);
+    expect(matches('<= -2', -3)).toBe(true);
+    expect(matches('!= 0', 1)).toBe(true);
+  });
+
+  it('matches null explicitly and never compares it', () => {
+    expect(matches('null', null)).toBe(true);
+    expect(matches('null', undefined)).toBe(true);
+    expect(matches('null', false)).toBe(false);
+    expect(matches('< 40', null)).toBe(false);
+    expect(matches('[40..74]', undefined)).toBe(false);
+    expect(matches('not(null)', 0)).toBe(true);
+  });
+
+  it('compares date literals with ISO strings and Date inputs', () => {
+    expect(matches('date("2024-01-01")', '2024-01-01')).toBe(true);
+    expect(matches('< date("2024-01-01")', '2023-12-31')).toBe(true);
+    expect(matches('[date("2024-01-01")..date("2024-12-31")]', new Date(Date.UTC(2024, 5, 1)))).toBe(true);
+    expect(matches('>= date and time("2024-01-01T00:00:00Z")', '2023-12-31T23:59:59Z')).toBe(false);
+  });
+
+  it('compares durations of the same kind', () => {
+    expect(matches('duration("P2Y")', 'P24M')).toBe(true);
+    expect(matches('< duration("P2Y")', 'P1Y11M')).toBe(true);
+    expect(matches('> duration("P1D")', 'PT25H')).toBe(true);
+    expect(matches('< duration("P2Y")', 'P1D')).toBe(false);
+  });
+
+  it('resolves names against the evaluation context', () => {
+    expect(matches('< Limit', 3, { Limit: 5 })).toBe(true);
+    expect(matches('[Low..High]', 7, { Low: 1, High: 5 })).toBe(false);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => parseUnaryTests('[40..74')).toThrow(/Unsupported FEEL expression/);
+    expect(() => parseUnaryTests('"open')).toThrow(/Unsupported FEEL expression/);
+    expect(() => parseUnaryTests('< 40 41')).toThrow(/Unsupported FEEL expression/);
+    expect(() => parseUnaryTests('date("not-a-date")')).toThrow(/Unsupported FEEL expression/);
+    expect(() => parseUnaryTests('date("2024-02-30")')).toThrow(/Unsupported FEEL expression/);
+    expect(() => parseUnaryTests('date("2023-02-29")')).toThrow(/Unsupported FEEL expression/);
+    expect(() => parseUnaryTests('date("2024-13-01")')).toThrow(/Unsupported FEEL expression/);
+  });
+});
+
+describe('FEEL literals', () => {
+  it('parses output entry literals', () => {
+    expect(parseLiteral('true')).toBe(true);
+    expect(parseLiteral('"due"')).toBe('due');
+    expect(parseLiteral('-2.5')).toBe(-2.5);
+    expect(parseLiteral('null')).toBe(null);
+    expect(parseLiteral('')).toBe(null);
+  });
+});
+
+describe('FEEL expressions', () => {
+  function evaluate(text, context) {
+    return toJavaScript(evaluateExpression(parseExpression(text), context));
+  }
+
+  it('evaluates arithmetic with precedence', () => {
+    expect(evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluate('2 ** 3 - -1')).toBe(9);
+    expect(evaluate('10 / 0')).toBe(null);
+    expect(evaluate('"a" + "b"')).toBe('ab');
+  });
+
+  it('uses three-valued logic for and/or', () => {
+    expect(evaluate('true and null')).toBe(null);
+    expect(evaluate('false and null')).toBe(false);
+    expect(evaluate('true or null')).toBe(true);
+    expect(evaluate('not(false) and 1 < 2')).toBe(true);
+  });
+
+  it('supports if, in and between', () => {
+    expect(evaluate('if Age >= 40 then "adult" else "young"', { Age: 40 })).toBe('adult');
+    expect(evaluate('Age in [40..74]', { Age: 75 })).toBe(false);
+    expect(evaluate('Gender in ("female", "other")', { Gender: 'female' })).toBe(true);
+    expect(evaluate('Age between 40 and 74', { Age: 74 })).toBe(true);
+  });
+
+  it('resolves paths, lists and contexts', () => {
+    expect(evaluate('Patient.age + 1', { Patient: { age: 56 } })).toBe(57);
+    expect(evaluate('Missing.value')).toBe(null);
+    expect(evaluate('count([1, 2, 3]) + sum(1, 2)')).toBe(6);
+    expect(evaluate('{ a: 1, b: a + 1 }')).toEqual({ a: 1, b: 2 });
+  });
+
+  it('does temporal arithmetic', () => {
+    expect(evaluate('date("2024-02-29") - duration("P2Y")')).toBe('2022-02-28');
+    expect(evaluate('date("2024-01-01") + duration("P10D")')).toBe('2024-01-11');
+    expect(evaluate('date("0099-03-01")')).toBe('0099-03-01');
+    expect(evaluate('date("2024-01-11") - date("2024-01-01")')).toBe('P10D');
+    expect(evaluate('Seen > date("2024-01-01") - duration("P2Y")', { Seen: '2023-06-01' })).toBe(true);
+  });
+
+  it('invokes functions from the context', () => {
+    expect(evaluate('double(21)', { double: (n) => n * 2 })).toBe(42);
+    expect(() => evaluate('nope(1)')).toThrow(/Unknown FEEL function: nope/);
+  });
+
+  it('treats unary tests over ? as boolean tests', () => {
+    expect(matches('? > 5 and ? < 10', 7)).toBe(true);
+    expect(matches('? > 5 and ? < 10', 12)).toBe(false);
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * FHIR REST client shared by the deploy, run and teardown scripts.
+ *
+ * Adds authentication, a per-attempt timeout, retries with exponential
+ * backoff on 429/5xx and network errors (honoring Retry-After), and search
+ * paging that follows Bundle.link[next] to the last page.
+ *
+ * Authentication (first match wins):
+ *   FHIR_AUTH_TOKEN                        static bearer token
+ *   FHIR_USERNAME + FHIR_PASSWORD          HTTP basic
+ *   FHIR_CLIENT_ID + FHIR_CLIENT_SECRET    SMART backend client credentials (client_secret_basic)
+ *   FHIR_CLIENT_ID + FHIR_CLIENT_KEY       SMART backend services (private_key_jwt, PEM file, RS384/ES384)
+ * For SMART, the token endpoint comes from FHIR_TOKEN_URL or the server's
+ * .well-known/smart-configuration; FHIR_SCOPE defaults to system/*.*, and
+ * FHIR_CLIENT_KEY_ID sets the JWT kid.
+ *
+ * Environment:
+ *   HAPI_BASE_URL (default: http://localhost:8080/fhir)
+ *   FHIR_TIMEOUT_MS (default: 30000)
+ *   FHIR_RETRIES (default: 3)
+ */
+
+import { readFileSync } from 'fs';
+import { randomUUID, sign, createPrivateKey } from 'crypto';
+
+const DEFAULT_BASE_URL = 'http://localhost:8080/fhir';
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/** A failed FHIR request; `outcome` is the server's OperationOutcome, if any */
+export class FhirClientError extends Error {
+  constructor(message, { status = null, outcome = null, body = null } = {}) {
+    super(message);
+    this.name = 'FhirClientError';
+    this.status = status;
+    this.outcome = outcome;
+    this.body = body;
+  }
+}
+
+/** Client options from the environment (see the module comment) */
+export function optionsFromEnv(env = process.env) {
+  const options = {
+    baseUrl: env.HAPI_BASE_URL || DEFAULT_BASE_URL,
+    timeoutMs: env.FHIR_TIMEOUT_MS ? Number(env.FHIR_TIMEOUT_MS) : undefined,
+    retries: env.FHIR_RETRIES !== undefined ? Number(env.FHIR_RETRIES) : undefined,
+  };
+  if (env.FHIR_AUTH_TOKEN) {
+    options.auth = { type: 'bearer', token: env.FHIR_AUTH_TOKEN };
+  } else if (env.FHIR_USERNAME) {
+    options.auth = { type: 'basic', username: env.FHIR_USERNAME, password: env.FHIR_PASSWORD || '' };
+  } else if (env.FHIR_CLIENT_ID) {
+    options.auth = {
+      type: 'client-credentials',
+      clientId: env.FHIR_CLIENT_ID,
+      clientSecret: env.FHIR_CLIENT_SECRET,
+      privateKey: env.FHIR_CLIENT_KEY ? readFileSync(env.FHIR_CLIENT_KEY, 'utf-8') : undefined,
+      keyId: env.FHIR_CLIENT_KEY_ID,
+      tokenUrl: env.FHIR_TOKEN_URL,
+      scope: env.FHIR_SCOPE,
+    };
+  }
+  return options;
+}
+
+/** Milliseconds to wait per a Retry-After header (seconds or HTTP date), or null */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/** Signed client assertion JWT for SMART backend services */
+function clientAssertion({ clientId, privateKey, keyId }, tokenUrl) {
+  const key = createPrivateKey(privateKey);
+  const alg = key.asymmetricKeyType === 'ec' ? 'ES384' : 'RS384';
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg, typ: 'JWT', ...(keyId ? { kid: keyId } : {}) }));
+  const claims = base64url(JSON.stringify({
+    iss: clientId,
+    sub: clientId,
+    aud: tokenUrl,
+    exp: now + 300,
+    jti: randomUUID(),
+  }));
+  const signature = sign('sha384', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `${header}.${claims}.${base64url(signature)}`;
+}
+
+/**
+ * Create a FHIR client. Options:
+ *   baseUrl    server base (default HAPI_BASE_URL or http://localhost:8080/fhir)
+ *   auth       { type: 'bearer', token } | { type: 'basic', username, password }
+ *              | { type: 'client-credentials', clientId, clientSecret | privateKey, keyId, tokenUrl, scope }
+ *   timeoutMs  per attempt (default 30000)
+ *   retries    extra attempts on 429/5xx/network errors (default 3)
+ *   backoffMs  first backoff delay, doubled per attempt with jitter (default 500)
+ *   fetch, sleep, random   injectable for tests
+ * Defaults come from optionsFromEnv().
+ */
+export function createFhirClient(options = {}) {
+  const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const settings = { ...optionsFromEnv(), ...defined };
+  const baseUrl = settings.baseUrl.replace(/\/+$/, '');
+  const timeoutMs = settings.timeoutMs ?? 30000;
+  const retries = settings.retries ?? 3;
+  const backoffMs = settings.backoffMs ?? 500;
+  const doFetch = settings.fetch || globalThis.fetch;
+  const sleep = settings.sleep || ((ms) => new Promise(done => setTimeout(done, ms)));
+  const random = settings.random || Math.random;
+  const auth = settings.auth;
+
+  let token = null;
+  let tokenUrl = auth?.tokenUrl || null;
+
+  /** Resolve a path, absolute URL or query object to a URL string */
+  function urlFor(path, query) {
+    const relativePath = path.replace(/^\/+/, '');
+    const url = new URL(/^https?:\/\//.test(path) ? path : relativePath ? `${baseUrl}/${relativePath}` : baseUrl);
+    for (const [name, value] of Object.entries(query || {})) {
+      for (const item of [].concat(value)) url.searchParams.append(name, item);
+    }
+    return url.toString();
+  }
+
+  /** One fetch with a timeout; network errors and timeouts become FhirClientErrors */
+  async function attempt(method, url, init) {
+    try {
+      return await doFetch(url, { method, ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (err) {
+      const reason = err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message;
+      throw new FhirClientError(`${method} ${url} failed: ${reason}`, { status: null });
+    }
+  }
+
+  /** fetch with retries on network errors, timeouts, 429 and 5xx */
+  async function fetchWithRetry(method, url, init) {
+    for (let attemptNo = 0; ; attemptNo++) {
+      let response;
+      let failure;
+      try {
+        response = await attempt(method, url, init());
+      } catch (err) {
+        failure = err;
+      }
+      const retryable = failure || RETRY_STATUSES.has(response.status);
+      if (!retryable || attemptNo >= retries) {
+        if (failure) throw failure;
+        return response;
+      }
+      const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+      await response?.body?.cancel();
+      const delay = retryAfter ?? Math.round(backoffMs * 2 ** attemptNo * (0.5 + random() / 2));
+      await sleep(delay);
+    }
+  }
+
+  async function tokenEndpoint() {
+    if (tokenUrl) return tokenUrl;
+    const response = await fetchWithRetry('GET', urlFor('.well-known/smart-configuration'), () => ({
+      headers: { 'Accept': 'application/json' },
+    }));
+    const config = response.ok ? await response.json().catch(() => null) : null;
+    if (!config?.token_endpoint) {
+      throw new FhirClientError(`No token endpoint: set FHIR_TOKEN_URL or serve ${baseUrl}/.well-known/smart-configuration`, { status: response.status });
+    }
+    tokenUrl = config.token_endpoint;
+    return tokenUrl;
+  }
+
+  /** Access token for client credentials, cached until shortly before it expires */
+  async function accessToken(forceRefresh = false) {
+    if (!forceRefresh && token && token.expiresAt > Date.now()) return token.value;
+
+    const endpoint = await tokenEndpoint();
+    const form = new URLSearchParams({ grant_type: 'client_credentials', scope: auth.scope || 'system/*.*' });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' };
+    if (auth.privateKey) {
+      form.set('client_assertion_type', 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+      form.set('client_assertion', clientAssertion(auth, endpoint));
+    } else {
+      headers.Authorization = `Basic ${Buffer.from(`${auth.clientId}:${auth.clientSecret || ''}`).toString('base64')}`;
+    }
+
+    const response = await fetchWithRetry('POST', endpoint, () => ({ headers, body: form.toString() }));
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body?.access_token) {
+      throw new FhirClientError(`Token request failed: ${response.status} ${body?.error_description || body?.error || ''}`.trim(), { status: response.status, body });
+    }
+    const lifetimeMs = (body.expires_in ?? 300) * 1000;
+    token = { value: body.access_token, expiresAt: Date.now() + Math.max(0, lifetimeMs - TOKEN_EXPIRY_MARGIN_MS) };
+    return token.value;
+  }
+
+  async function authorization(forceRefresh) {
+    if (!auth) return null;
+    if (auth.type === 'bearer') return `Bearer ${auth.token}`;
+    if (auth.type === 'basic') return `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`;
+    if (auth.type === 'client-credentials') return `Bearer ${await accessToken(forceRefresh)}`;
+    throw new Error(`Unknown auth type: ${auth.type}`);
+  }
+
+  /**
+   * Send a request. `path` is relative to the base URL or absolute; returns
+   * { status, headers, body } and throws a FhirClientError for non-2xx
+   * responses. A 401 with client credentials refreshes the token once.
+   */
+  async function request(method, path, { body, query, headers = {} } = {}) {
+    const url = urlFor(path, query);
+    const send = async (forceRefresh) => {
+      const authHeader = await authorization(forceRefresh);
+      return fetchWithRetry(method, url, () => ({
+        headers: {
+          'Accept': 'application/fhir+json',
+          ...(body !== undefined ? { 'Content-Type': 'application/fhir+json' } : {}),
+          ...(authHeader ? { 'Authorization': authHeader } : {}),
+          ...headers,
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      }));
+    };
+
+    let response = await send(false);
+    if (response.status === 401 && auth?.type === 'client-credentials') {
+      response = await send(true);
+    }
+
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch {
+      parsed = text;
+    }
+
+    if (!response.ok) {
+      const outcome = parsed?.resourceType === 'OperationOutcome' ? parsed : null;
+      const detail = outcome
+        ? outcome.issue?.map(i => i.diagnostics || i.details?.text).filter(Boolean).join('; ')
+        : (typeof parsed === 'string' ? parsed : JSON.stringify(parsed));
+      throw new FhirClientError(`${method} ${path || baseUrl} failed: ${response.status} ${detail || ''}`.trim(), {
+        status: response.status,
+        outcome,
+        body: parsed,
+      });
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  /**
+   * Yield every resource matching a search, following Bundle.link[next]
+   * until the last page
+   */
+  async function* search(resourceType, params = {}) {
+    let next = urlFor(resourceType, params);
+    while (next) {
+      const { body: bundle } = await request('GET', next);
+      for (const entry of bundle.entry || []) {
+        if (entry.resource && entry.search?.mode !== 'include' && entry.search?.mode !== 'outcome') yield entry.resource;
+      }
+      next = (bundle.link || []).find(link => link.relation === 'next')?.url || null;
+    }
+  }
+
+  return {
+    baseUrl,
+    request,
+    search,
+    /** All search results across pages */
+    async searchAll(resourceType, params) {
+      const resources = [];
+      for await (const resource of search(resourceType, params)) resources.push(resource);
+      return resources;
+    },
+    async read(resourceType, id) {
+      return (await request('GET', `${resourceType}/${id}`)).body;
+    },
+    /** PUT a resource to its id; returns { status, resource } */
+    async update(resource) {
+      const { status, body } = await request('PUT', `${resource.resourceType}/${resource.id}`, { body: resource });
+      return { status, resource: body };
+    },
+    async delete(resourceType, id) {
+      return (await request('DELETE', `${resourceType}/${id}`)).body;
+    },
+    /** POST a transaction Bundle to the base URL; returns the transaction-response Bundle */
+    async transaction(bundle) {
+      return (await request('POST', '', { body: bundle })).body;
+    },
+  };
+}
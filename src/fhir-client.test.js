@@ -0,0 +1,146 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import { generateKeyPairSync, verify } from 'crypto';
+import { createFhirClient, optionsFromEnv, parseRetryAfter, FhirClientError } from './fhir-client.js';
+import { createFhirServer } from './fhir-server.js';
+
+/** Fake fetch answering from a list of responses, recording every call */
+function scripted(responses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    const { status = 200, body, headers = {} } = typeof next === 'function' ? next(url, init) : next;
+    return new Response(body === undefined ? null : JSON.stringify(body), { status, headers });
+  };
+  return { fetch, calls };
+}
+
+const noSleep = { sleep: async () => {}, random: () => 0.5 };
+
+describe('FHIR client', () => {
+  const servers = [];
+  afterAll(() => Promise.all(servers.map(server => new Promise(done => server.close(done)))));
+
+  it('retries 429 and 5xx with backoff, honoring Retry-After', async () => {
+    const delays = [];
+    const { fetch, calls } = scripted([
+      { status: 503 },
+      { status: 429, headers: { 'Retry-After': '2' } },
+      { body: { resourceType: 'Patient', id: 'p' } },
+    ]);
+    const client = createFhirClient({ baseUrl: 'http://fhir.test/fhir', fetch, backoffMs: 100, sleep: async (ms) => delays.push(ms), random: () => 0.5 });
+
+    expect(await client.read('Patient', 'p')).toEqual({ resourceType: 'Patient', id: 'p' });
+    expect(calls).toHaveLength(3);
+    expect(delays).toEqual([75, 2000]);
+  });
+
+  it('gives up after the configured retries and surfaces the OperationOutcome', async () => {
+    const outcome = { resourceType: 'OperationOutcome', issue: [{ severity: 'error', diagnostics: 'overloaded' }] };
+    const { fetch, calls } = scripted([{ status: 500, body: outcome }, { status: 500, body: outcome }]);
+    const client = createFhirClient({ baseUrl: 'http://fhir.test/fhir', fetch, retries: 1, ...noSleep });
+
+    const error = await client.read('Patient', 'p').catch(err => err);
+    expect(error).toBeInstanceOf(FhirClientError);
+    expect(error.status).toBe(500);
+    expect(error.outcome).toEqual(outcome);
+    expect(error.message).toBe('GET Patient/p failed: 500 overloaded');
+    expect(calls).toHaveLength(2);
+  });
+
+  it('does not retry other client errors', async () => {
+    const { fetch, calls } = scripted([{ status: 404 }]);
+    const client = createFhirClient({ baseUrl: 'http://fhir.test/fhir', fetch, ...noSleep });
+    await expect(client.read('Patient', 'missing')).rejects.toMatchObject({ status: 404 });
+    expect(calls).toHaveLength(1);
+  });
+
+  it('times out slow requests and retries them', async () => {
+    let attempts = 0;
+    const fetch = (url, { signal }) => {
+      attempts++;
+      return new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    };
+    const client = createFhirClient({ baseUrl: 'http://fhir.test/fhir', fetch, timeoutMs: 20, retries: 1, ...noSleep });
+    await expect(client.read('Patient', 'p')).rejects.toThrow('GET http://fhir.test/fhir/Patient/p failed: timed out after 20ms');
+    expect(attempts).toBe(2);
+  });
+
+  it('sends bearer and basic credentials', async () => {
+    const { fetch, calls } = scripted([{ body: {} }, { body: {} }]);
+    await createFhirClient({ baseUrl: 'http://fhir.test/fhir', fetch, auth: { type: 'bearer', token: 'abc' } }).read('Patient', 'p');
+    await createFhirClient({ baseUrl: 'http://fhir.test/fhir', fetch, auth: { type: 'basic', username: 'u', password: 'p' } }).read('Patient', 'p');
+    expect(calls.map(c => c.headers.Authorization)).toEqual(['Bearer abc', `Basic ${Buffer.from('u:p').toString('base64')}`]);
+  });
+
+  it('gets SMART client-credentials tokens from the discovered endpoint and refreshes on 401', async () => {
+    let issued = 0;
+    const { fetch, calls } = scripted([
+      { body: { token_endpoint: 'http://auth.test/token' } },
+      () => ({ body: { access_token: `t${++issued}`, expires_in: 3600 } }),
+      { status: 401 },
+      () => ({ body: { access_token: `t${++issued}`, expires_in: 3600 } }),
+      { body: { resourceType: 'Patient', id: 'p' } },
+      { body: { resourceType: 'Patient', id: 'q' } },
+    ]);
+    const client = createFhirClient({
+      baseUrl: 'http://fhir.test/fhir',
+      fetch,
+      auth: { type: 'client-credentials', clientId: 'runner', clientSecret: 's3cret' },
+    });
+
+    await client.read('Patient', 'p');
+    await client.read('Patient', 'q');
+    expect(calls.map(c => c.url)).toEqual([
+      'http://fhir.test/fhir/.well-known/smart-configuration',
+      'http://auth.test/token',
+      'http://fhir.test/fhir/Patient/p',
+      'http://auth.test/token',
+      'http://fhir.test/fhir/Patient/p',
+      'http://fhir.test/fhir/Patient/q',
+    ]);
+    expect(calls[1].headers.Authorization).toBe(`Basic ${Buffer.from('runner:s3cret').toString('base64')}`);
+    expect(new URLSearchParams(calls[1].body).get('grant_type')).toBe('client_credentials');
+    expect(calls.slice(4).map(c => c.headers.Authorization)).toEqual(['Bearer t2', 'Bearer t2']);
+  });
+
+  it('signs a private_key_jwt client assertion', async () => {
+    const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' });
+    const { fetch, calls } = scripted([{ body: { access_token: 't', expires_in: 300 } }, { body: {} }]);
+    const client = createFhirClient({
+      baseUrl: 'http://fhir.test/fhir',
+      fetch,
+      auth: { type: 'client-credentials', clientId: 'runner', privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }), tokenUrl: 'http://auth.test/token' },
+    });
+    await client.read('Patient', 'p');
+
+    const form = new URLSearchParams(calls[0].body);
+    const [header, claims, signature] = form.get('client_assertion').split('.');
+    expect(JSON.parse(Buffer.from(header, 'base64url'))).toMatchObject({ alg: 'ES384', typ: 'JWT' });
+    expect(JSON.parse(Buffer.from(claims, 'base64url'))).toMatchObject({ iss: 'runner', sub: 'runner', aud: 'http://auth.test/token' });
+    expect(verify('sha384', Buffer.from(`${header}.${claims}`), { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  it('follows Bundle.link[next] through every page of a search', async () => {
+    const server = createFhirServer({ seed: false });
+    servers.push(server);
+    await new Promise(done => server.listen(0, done));
+    const client = createFhirClient({ baseUrl: `http://localhost:${server.address().port}/fhir` });
+
+    const tag = [{ system: 'http://example.org/test-lifecycle', code: 'bcs-test' }];
+    for (let i = 0; i < 45; i++) {
+      await client.update({ resourceType: 'Patient', id: `many-${i}`, meta: { tag } });
+    }
+    const found = await client.searchAll('Patient', { _tag: 'http://example.org/test-lifecycle|bcs-test' });
+    expect(found).toHaveLength(45);
+  });
+
+  it('reads options from the environment', () => {
+    expect(optionsFromEnv({ HAPI_BASE_URL: 'https://staging/fhir', FHIR_AUTH_TOKEN: 'x', FHIR_RETRIES: '0' }))
+      .toMatchObject({ baseUrl: 'https://staging/fhir', retries: 0, auth: { type: 'bearer', token: 'x' } });
+    expect(optionsFromEnv({ FHIR_CLIENT_ID: 'c', FHIR_CLIENT_SECRET: 's', FHIR_TOKEN_URL: 'https://auth/token' }).auth)
+      .toMatchObject({ type: 'client-credentials', clientId: 'c', clientSecret: 's', tokenUrl: 'https://auth/token' });
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:05 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'))).toBe(5000);
+  });
+});
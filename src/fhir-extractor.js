@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * Computes the BreastCancerScreening.cql defines in-process from a patient's
+ * FHIR resources, so decision inputs can be produced without deploying to HAPI.
+ *
+ * Mirrors the CQL: retrieves are matched against the local ValueSet expansions,
+ * mammograms use the isDiagnosticStudyPerformed() status/category rules and
+ * conditions use isActive(). Dates are compared at day precision; a comparison
+ * that a partial date cannot decide is null, as in CQL.
+ *
+ * Usage: node src/fhir-extractor.js bcs-recommend-57yo-female
+ *        node src/fhir-extractor.js path/to/bundle.json --as-of 2025-12-26
+ *        node src/fhir-extractor.js --all
+ *
+ * Options:
+ *   --as-of <date>   Evaluation date, the CQL "AsOf" parameter (default: AS_OF_DATE, else today in AS_OF_TZ)
+ *   --json           Print the computed defines and DMN output as JSON
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { loadValueSets, getValueSet, conceptInValueSet } from './terminology.js';
+import { evaluateDecision } from './dmn-runner.js';
+import { resolveEvaluationDate } from './evaluation-date.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const cqlPath = resolve(__dirname, '../input/cql/BreastCancerScreening.cql');
+const generatedDir = resolve(__dirname, '../tests/generated');
+
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const PERFORMED_STATUSES = ['final', 'amended', 'corrected'];
+const ACTIVE_STATUSES = ['active', 'recurrence', 'relapse'];
+
+/** The DMN input names, in the order mammo.dmn declares them */
+export const DECISION_INPUTS = [
+  'AgeInYears',
+  'Gender',
+  'MammogramInLastTwoYears',
+  'HasBilateralMastectomy',
+  'HasBreastCancerDiagnosis',
+];
+
+/** Map of valueset name → canonical url declared in a CQL library */
+export function readValueSetDeclarations(path = cqlPath) {
+  const declarations = {};
+  const pattern = /^\s*valueset\s+"([^"]+)"\s*:\s*'([^']+)'/gm;
+  for (const match of readFileSync(path, 'utf-8').matchAll(pattern)) {
+    declarations[match[1]] = match[2];
+  }
+  return declarations;
+}
+
+/** Names of the expression definitions (not functions) in a CQL library */
+export function readDefinitions(path = cqlPath) {
+  const pattern = /^\s*define\s+(?:(?:public|private)\s+)?(?!function\b)(?:"([^"]+)"|([A-Za-z_]\w*))\s*:/gm;
+  return new Set([...readFileSync(path, 'utf-8').matchAll(pattern)].map(match => match[1] ?? match[2]));
+}
+
+/** Read all resources written by the test generator for one case directory */
+export function loadCaseResources(caseDir) {
+  const resources = [];
+  for (const entry of readdirSync(caseDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const typeDir = join(caseDir, entry.name);
+    for (const file of readdirSync(typeDir).filter(f => f.endsWith('.json')).sort()) {
+      resources.push(JSON.parse(readFileSync(join(typeDir, file), 'utf-8')));
+    }
+  }
+  return resources;
+}
+
+/**
+ * Resolve a resource source to a flat list of resources. Accepts a Bundle,
+ * an array of resources, a path to a Bundle JSON file, a generated case
+ * directory, or a generated case id.
+ */
+export function loadResources(source) {
+  if (Array.isArray(source)) return source;
+  if (source && typeof source === 'object') {
+    if (source.resourceType === 'Bundle') {
+      return (source.entry || []).map(e => e.resource).filter(Boolean);
+    }
+    return [source];
+  }
+
+  const path = existsSync(resolve(source)) ? resolve(source) : join(generatedDir, source);
+  if (!existsSync(path)) {
+    throw new Error(`No bundle, case directory or generated case found for: ${source}`);
+  }
+  if (statSync(path).isDirectory()) return loadCaseResources(path);
+  return loadResources(JSON.parse(readFileSync(path, 'utf-8')));
+}
+
+/**
+ * Format an evaluation date as YYYY-MM-DD (Date objects use local time). The
+ * default is AS_OF_DATE, else today in AS_OF_TZ, as the generator uses.
+ */
+export function toDateString(value = resolveEvaluationDate().asOf) {
+  if (value instanceof Date) {
+    const yyyy = value.getFullYear();
+    const mm = String(value.getMonth() + 1).padStart(2, '0');
+    const dd = String(value.getDate()).padStart(2, '0');
+    return `${yyyy}-${mm}-${dd}`;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    throw new Error(`Invalid evaluation date: ${value} (expected YYYY-MM-DD)`);
+  }
+  return value.slice(0, 10);
+}
+
+/** Split a FHIR date/dateTime into [year, month?, day?] at up to day precision */
+function dateParts(value) {
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?/.exec(value || '');
+  return match ? match.slice(1).filter(Boolean).map(Number) : null;
+}
+
+/**
+ * Compare two FHIR dates at day precision. Returns a negative, zero or positive
+ * number, or null when differing precision leaves the result uncertain.
+ */
+export function compareDates(a, b) {
+  const left = dateParts(a);
+  const right = dateParts(b);
+  if (!left || !right) return null;
+  const shared = Math.min(left.length, right.length);
+  for (let i = 0; i < shared; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return left.length === right.length ? 0 : null;
+}
+
+/** Subtract whole years from a YYYY-MM-DD date, clamping Feb 29 to Feb 28 */
+function subtractYears(date, years) {
+  const [y, m, d] = dateParts(date);
+  const year = y - years;
+  const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+  return `${year}-${String(m).padStart(2, '0')}-${String(Math.min(d, lastDay)).padStart(2, '0')}`;
+}
+
+/** CQL AgeInYearsAt(asOf); null unless birthDate is a full date */
+export function ageInYears(birthDate, asOf) {
+  const birth = dateParts(birthDate);
+  const today = dateParts(asOf);
+  if (!birth || birth.length < 3 || !today) return null;
+  let age = today[0] - birth[0];
+  if (today[1] < birth[1] || (today[1] === birth[1] && today[2] < birth[2])) age--;
+  return age;
+}
+
+/** Low boundary of Observation.effective, i.e. effective.toInterval().low */
+function effectiveLow(observation) {
+  return observation.effectiveDateTime
+    ?? observation.effectivePeriod?.start
+    ?? observation.effectiveInstant
+    ?? null;
+}
+
+/** CodeableConcept ~ Code: some coding has the same system and code */
+function hasCoding(concept, system, code) {
+  return (concept?.coding || []).some(c => c.system === system && c.code === code);
+}
+
+/** Status.isDiagnosticStudyPerformed() for a single Observation */
+export function isDiagnosticStudyPerformed(observation) {
+  return PERFORMED_STATUSES.includes(observation.status)
+    && (observation.category || []).some(c => hasCoding(c, OBSERVATION_CATEGORY, 'imaging'));
+}
+
+/** QICoreCommon.isActive() for a single Condition */
+export function isActive(condition) {
+  return ACTIVE_STATUSES.some(code => hasCoding(condition.clinicalStatus, CONDITION_CLINICAL, code));
+}
+
+/** True if the resource's subject points at the patient */
+function isForPatient(resource, patientId) {
+  const reference = resource.subject?.reference;
+  return !!reference && (reference === `Patient/${patientId}` || reference.endsWith(`/Patient/${patientId}`));
+}
+
+/** Three-valued CQL `and` over a list of operands */
+function and(...operands) {
+  if (operands.some(o => o === false)) return false;
+  return operands.some(o => o === null || o === undefined) ? null : true;
+}
+
+/**
+ * Evaluate every BreastCancerScreening define for one patient.
+ *
+ * Options:
+ *   asOf        Evaluation date (YYYY-MM-DD or Date), the CQL "AsOf" parameter
+ *   measurementPeriod
+ *               { start, end }, the CQL "Measurement Period"; without asOf
+ *               the evaluation date is the date of its end
+ *   patientId   Which Patient to evaluate when the source holds several
+ *   valueSets   Map from loadValueSets() (default: the repo's ValueSets)
+ *   cqlPath     Library whose valueset declarations name the ValueSets
+ */
+export function extractScreeningFacts(source, options = {}) {
+  const resources = loadResources(source);
+  const asOf = toDateString(options.asOf ?? options.measurementPeriod?.end);
+
+  const patient = resources.find(r => r.resourceType === 'Patient'
+    && (!options.patientId || r.id === options.patientId));
+  if (!patient) {
+    throw new Error(options.patientId ? `Patient not found: ${options.patientId}` : 'No Patient resource found');
+  }
+
+  const declarations = readValueSetDeclarations(options.cqlPath);
+  const valueSets = options.valueSets || loadValueSets();
+  const valueSet = (name) => {
+    const url = declarations[name];
+    const found = url && getValueSet(url, valueSets);
+    if (!found) throw new Error(`No local ValueSet for "${name}" (${url || 'not declared'})`);
+    return found;
+  };
+  const retrieve = (type, name) => resources.filter(r => r.resourceType === type
+    && isForPatient(r, patient.id)
+    && conceptInValueSet(r.code, valueSet(name)));
+
+  // low on or before day of "Evaluation Date": a null comparison (no date, or
+  // too coarse to tell) leaves the mammogram out, as in CQL
+  const qualifyingMammograms = retrieve('Observation', 'Mammography')
+    .filter(isDiagnosticStudyPerformed)
+    .filter(observation => (compareDates(effectiveLow(observation), asOf) ?? 1) <= 0);
+  const sorted = [...qualifyingMammograms].sort((a, b) => {
+    const left = effectiveLow(a);
+    const right = effectiveLow(b);
+    if (left === null || right === null) return (left === null ? 0 : 1) - (right === null ? 0 : 1);
+    return compareDates(left, right) ?? 0;
+  });
+  const mostRecentMammogram = sorted.length ? sorted[sorted.length - 1] : null;
+  const dateOfMostRecentMammogram = mostRecentMammogram ? effectiveLow(mostRecentMammogram) : null;
+
+  const twoYearsAgo = subtractYears(asOf, 2);
+  const comparison = dateOfMostRecentMammogram ? compareDates(dateOfMostRecentMammogram, twoYearsAgo) : null;
+  const mammogramInLastTwoYears = comparison === null ? false : comparison > 0;
+
+  const bilateralMastectomyConditions = retrieve('Condition', 'History of bilateral mastectomy').filter(isActive);
+  const breastCancerConditions = [
+    ...new Set([...retrieve('Condition', 'Breast Cancer ICD-10'), ...retrieve('Condition', 'Breast Cancer SNOMED')]),
+  ].filter(isActive);
+  const hasBilateralMastectomy = bilateralMastectomyConditions.length > 0;
+  const hasBreastCancerDiagnosis = breastCancerConditions.length > 0;
+
+  const name = patient.name?.[0];
+  const given = name?.given?.[0];
+  const age = ageInYears(patient.birthDate, asOf);
+  const gender = patient.gender ?? null;
+
+  const recommend = and(
+    age === null ? null : age >= 40 && age <= 74,
+    gender === null ? null : gender === 'female',
+    mammogramInLastTwoYears === false,
+    hasBilateralMastectomy === false,
+    hasBreastCancerDiagnosis === false,
+  );
+  const periodEnd = options.measurementPeriod ? toDateString(options.measurementPeriod.end) : asOf;
+  const numerator = qualifyingMammograms.some(observation => {
+    const low = effectiveLow(observation);
+    return compareDates(low, subtractYears(periodEnd, 2)) > 0 && compareDates(low, periodEnd) <= 0;
+  });
+  const initialPopulation = and(
+    age === null ? null : age >= 40 && age <= 74,
+    gender === null ? null : gender === 'female',
+  );
+
+  return {
+    'Evaluation Date': asOf,
+    PatientName: given && name.family ? `${given} ${name.family}` : null,
+    PatientId: patient.id ?? null,
+    AgeInYears: age,
+    Gender: gender,
+    QualifyingMammograms: qualifyingMammograms,
+    MostRecentMammogram: mostRecentMammogram,
+    DateOfMostRecentMammogram: dateOfMostRecentMammogram,
+    MammogramInLastTwoYears: mammogramInLastTwoYears,
+    BilateralMastectomyConditions: bilateralMastectomyConditions,
+    HasBilateralMastectomy: hasBilateralMastectomy,
+    BreastCancerConditions: breastCancerConditions,
+    HasBreastCancerDiagnosis: hasBreastCancerDiagnosis,
+    RecommendMammogram: recommend === true,
+    'Initial Population': initialPopulation,
+    Denominator: initialPopulation,
+    'Denominator Exclusion': hasBilateralMastectomy || hasBreastCancerDiagnosis,
+    'Measurement Period End': periodEnd,
+    Numerator: numerator,
+  };
+}
+
+/** The subset of extractScreeningFacts() that mammo.dmn takes as inputs */
+export function extractDecisionInputs(source, options = {}) {
+  const facts = extractScreeningFacts(source, options);
+  return Object.fromEntries(DECISION_INPUTS.map(name => [name, facts[name]]));
+}
+
+/** Extract one source and run the result through the DMN table */
+function runSource(source, asOf) {
+  const facts = extractScreeningFacts(source, { asOf });
+  const inputs = Object.fromEntries(DECISION_INPUTS.map(name => [name, facts[name]]));
+  let decision;
+  try {
+    decision = evaluateDecision(inputs);
+  } catch (error) {
+    decision = { error: error.message };
+  }
+  return { source, asOf: toDateString(asOf), facts, inputs, decision };
+}
+
+function printResult(result) {
+  const { facts, decision } = result;
+  console.log(`${result.source} (as of ${result.asOf})`);
+  for (const name of DECISION_INPUTS) {
+    console.log(`  ${name}: ${JSON.stringify(facts[name])}`);
+  }
+  console.log(`  DateOfMostRecentMammogram: ${JSON.stringify(facts.DateOfMostRecentMammogram)}`);
+  console.log(`  CQL RecommendMammogram: ${facts.RecommendMammogram}`);
+  if (decision.error) {
+    console.log(`  ✗ DMN: ${decision.error}`);
+  } else {
+    const agrees = decision.RecommendMammogram === facts.RecommendMammogram;
+    console.log(`  ${agrees ? '✓' : '✗'} DMN RecommendMammogram: ${JSON.stringify(decision.RecommendMammogram)}`);
+  }
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const sources = [];
+  let asOf;
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--all') {
+      sources.push(...readdirSync(generatedDir, { withFileTypes: true })
+        .filter(d => d.isDirectory()).map(d => d.name).sort());
+    } else if (arg === '--as-of') asOf = args[++i];
+    else if (arg === '--json') json = true;
+    else if (arg.startsWith('--')) {
+      console.error(`Unknown option: ${arg}`);
+      process.exit(1);
+    } else sources.push(arg);
+  }
+
+  if (!sources.length) {
+    console.error('Usage: node src/fhir-extractor.js <case-id|case-dir|bundle.json> [--as-of YYYY-MM-DD] [--json]');
+    console.error('       node src/fhir-extractor.js --all');
+    process.exit(1);
+  }
+
+  try {
+    asOf = resolveEvaluationDate({ asOf }).asOf;
+    const results = sources.map(source => runSource(source, asOf));
+    if (json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      results.forEach((result, i) => {
+        if (i) console.log('');
+        printResult(result);
+      });
+    }
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { extractScreeningFacts, extractDecisionInputs, compareDates, ageInYears } from './fhir-extractor.js';
+import { evaluateDecision } from './dmn-runner.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const generatedDir = resolve(__dirname, '../tests/generated');
+
+const caseIds = readdirSync(generatedDir, { withFileTypes: true })
+  .filter(d => d.isDirectory())
+  .map(d => d.name);
+
+function patient(overrides = {}) {
+  return {
+    resourceType: 'Patient',
+    id: 'p1',
+    name: [{ given: ['Jane'], family: 'Doe' }],
+    gender: 'female',
+    birthDate: '1970-06-15',
+    ...overrides,
+  };
+}
+
+function mammogram(overrides = {}) {
+  return {
+    resourceType: 'Observation',
+    id: 'obs1',
+    status: 'final',
+    category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'imaging' }] }],
+    code: { coding: [{ system: 'http://loinc.org', code: '24606-6' }] },
+    subject: { reference: 'Patient/p1' },
+    effectiveDateTime: '2025-01-10',
+    ...overrides,
+  };
+}
+
+function condition(coding, clinicalStatus = 'active') {
+  return {
+    resourceType: 'Condition',
+    id: `cond-${coding.code}`,
+    clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: clinicalStatus }] },
+    code: { coding: [coding] },
+    subject: { reference: 'Patient/p1' },
+  };
+}
+
+describe('extractScreeningFacts against generated cases', () => {
+  for (const caseId of caseIds) {
+    it(caseId, () => {
+      const metadata = JSON.parse(readFileSync(join(generatedDir, caseId, '_metadata.json'), 'utf-8'));
+      const facts = extractScreeningFacts(caseId, { asOf: metadata.asOf });
+      for (const [name, value] of Object.entries(metadata.expected)) {
+        expect(facts[name], name).toEqual(value);
+      }
+    });
+  }
+});
+
+describe('extractScreeningFacts', () => {
+  const asOf = '2026-01-01';
+
+  it('accepts a Bundle and feeds evaluateDecision directly', () => {
+    const bundle = { resourceType: 'Bundle', type: 'collection', entry: [{ resource: patient() }] };
+    const inputs = extractDecisionInputs(bundle, { asOf });
+    expect(inputs).toEqual({
+      AgeInYears: 55,
+      Gender: 'female',
+      MammogramInLastTwoYears: false,
+      HasBilateralMastectomy: false,
+      HasBreastCancerDiagnosis: false,
+    });
+    expect(evaluateDecision(inputs)).toEqual({ RecommendMammogram: true });
+  });
+
+  it('only counts performed imaging mammograms', () => {
+    expect(extractScreeningFacts([patient(), mammogram()], { asOf }).MammogramInLastTwoYears).toBe(true);
+    expect(extractScreeningFacts([patient(), mammogram({ status: 'preliminary' })], { asOf }).MammogramInLastTwoYears).toBe(false);
+    expect(extractScreeningFacts([patient(), mammogram({ category: [] })], { asOf }).MammogramInLastTwoYears).toBe(false);
+    expect(extractScreeningFacts([patient(), mammogram({ code: { coding: [{ system: 'http://loinc.org', code: '0000-0' }] } })], { asOf })
+      .QualifyingMammograms).toEqual([]);
+  });
+
+  it('uses the most recent mammogram and ignores other patients', () => {
+    const facts = extractScreeningFacts([
+      patient(),
+      mammogram({ id: 'old', effectiveDateTime: '2020-03-01' }),
+      mammogram({ id: 'recent', effectivePeriod: { start: '2024-06-01T10:00:00Z' }, effectiveDateTime: undefined }),
+      mammogram({ id: 'other', subject: { reference: 'Patient/p2' }, effectiveDateTime: '2025-12-01' }),
+    ], { asOf });
+    expect(facts.QualifyingMammograms.map(o => o.id)).toEqual(['old', 'recent']);
+    expect(facts.MostRecentMammogram.id).toBe('recent');
+    expect(facts.DateOfMostRecentMammogram).toBe('2024-06-01T10:00:00Z');
+    expect(facts.MammogramInLastTwoYears).toBe(true);
+    expect(facts.RecommendMammogram).toBe(false);
+  });
+
+  it('ignores mammograms dated after the evaluation date', () => {
+    const facts = extractScreeningFacts([patient(), mammogram({ effectiveDateTime: '2025-06-01' })], { asOf: '2023-12-31' });
+    expect(facts.QualifyingMammograms).toEqual([]);
+    expect(facts.MammogramInLastTwoYears).toBe(false);
+    expect(facts.RecommendMammogram).toBe(true);
+    expect(extractScreeningFacts([patient(), mammogram({ effectiveDateTime: '2023-12-31T23:00:00Z' })], { asOf: '2023-12-31' })
+      .MammogramInLastTwoYears).toBe(true);
+  });
+
+  it('matches exclusions from expansions and compose-only ValueSets when active', () => {
+    const mastectomy = { system: 'http://snomed.info/sct', code: '428529004' };
+    const cancerSnomed = { system: 'http://snomed.info/sct', code: '254837009' };
+    expect(extractScreeningFacts([patient(), condition(mastectomy)], { asOf }).HasBilateralMastectomy).toBe(true);
+    expect(extractScreeningFacts([patient(), condition(mastectomy, 'resolved')], { asOf }).HasBilateralMastectomy).toBe(false);
+    expect(extractScreeningFacts([patient(), condition(cancerSnomed, 'recurrence')], { asOf }).HasBreastCancerDiagnosis).toBe(true);
+  });
+
+  it('returns the active excluding Conditions', () => {
+    const mastectomy = { ...condition({ system: 'http://snomed.info/sct', code: '428529004' }), id: 'mastectomy' };
+    const resolved = { ...condition({ system: 'http://snomed.info/sct', code: '254837009' }, 'resolved'), id: 'resolved-cancer' };
+    const facts = extractScreeningFacts([patient(), mastectomy, resolved], { asOf });
+    expect(facts.BilateralMastectomyConditions.map(c => c.id)).toEqual(['mastectomy']);
+    expect(facts.BreastCancerConditions).toEqual([]);
+  });
+
+  it('never recommends when age or gender is unknown', () => {
+    const facts = extractScreeningFacts([patient({ gender: undefined, birthDate: '1970' })], { asOf });
+    expect(facts.AgeInYears).toBe(null);
+    expect(facts.Gender).toBe(null);
+    expect(facts.RecommendMammogram).toBe(false);
+  });
+
+  it('computes the measure populations as of the end of the Measurement Period', () => {
+    const measurementPeriod = { start: '2025-01-01', end: '2026-12-31T23:59:59' };
+    const facts = extractScreeningFacts([patient(), mammogram()], { measurementPeriod });
+    expect(facts['Evaluation Date']).toBe('2026-12-31');
+    expect(facts).toMatchObject({ 'Initial Population': true, Denominator: true, 'Denominator Exclusion': false, Numerator: true });
+    expect(extractScreeningFacts([patient()], { measurementPeriod, asOf: '2010-06-15' })['Initial Population']).toBe(true);
+    expect(extractScreeningFacts([patient()], { measurementPeriod, asOf: '2010-06-14' })['Initial Population']).toBe(false);
+    expect(extractScreeningFacts([patient({ birthDate: '1970' })], { measurementPeriod })['Initial Population']).toBe(null);
+  });
+
+  it('bounds the numerator by the end of the Measurement Period, even with a later AsOf', () => {
+    const measurementPeriod = { start: '2023-01-01', end: '2023-12-31' };
+    const facts = extractScreeningFacts([patient(), mammogram({ effectiveDateTime: '2025-06-01' })], { measurementPeriod, asOf: '2025-12-31' });
+    expect(facts['Measurement Period End']).toBe('2023-12-31');
+    expect(facts.MammogramInLastTwoYears).toBe(true);
+    expect(facts.Numerator).toBe(false);
+  });
+
+  it('rejects sources without a patient', () => {
+    expect(() => extractScreeningFacts([mammogram()], { asOf })).toThrow(/No Patient resource found/);
+    expect(() => extractScreeningFacts([patient()], { asOf, patientId: 'nope' })).toThrow(/Patient not found: nope/);
+  });
+});
+
+describe('date helpers', () => {
+  it('compares partial dates with CQL uncertainty', () => {
+    expect(compareDates('2024-01-02', '2024-01-01')).toBeGreaterThan(0);
+    expect(compareDates('2023', '2024-01-01')).toBeLessThan(0);
+    expect(compareDates('2024', '2024-01-01')).toBe(null);
+    expect(compareDates('2024-01-01T23:00:00Z', '2024-01-01')).toBe(0);
+  });
+
+  it('computes completed years of age', () => {
+    expect(ageInYears('1985-12-26', '2025-12-26')).toBe(40);
+    expect(ageInYears('1985-12-27', '2025-12-26')).toBe(39);
+    expect(ageInYears('1985-12', '2025-12-26')).toBe(null);
+  });
+});
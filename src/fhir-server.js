@@ -0,0 +1,688 @@
+#!/usr/bin/env node
+/**
+ * Lightweight in-memory FHIR server standing in for HAPI during test cycles.
+ *
+ * Supports the interactions the deploy/evaluate/teardown scripts and the mock
+ * EMR use:
+ *   GET /fhir/metadata
+ *   POST /fhir   (transaction Bundle of POST/PUT/DELETE entries, applied all or nothing)
+ *   POST /fhir/{type}   (create with a server-assigned id)
+ *   PUT /fhir/{type}/{id}, GET /fhir/{type}/{id}, DELETE /fhir/{type}/{id}
+ *   GET /fhir/{type}?_tag=system|code&_id=...&_count=N   (paged searchset Bundles)
+ *   GET /fhir/{type}?subject=Patient/{id} (or patient={id})   (resources whose subject is that Patient)
+ *   GET|POST /fhir/Library/{id}/$evaluate?subject=Patient/{id}   (POST accepts an AsOf CQL parameter,
+ *                                     a data Bundle and useServerData)
+ *   GET|POST /fhir/PlanDefinition/{id}/$apply?subject=Patient/{id}   (likewise; returns a CarePlan)
+ *   GET|POST /fhir/Measure/{id}/$evaluate-measure?periodStart=...&periodEnd=...&subject=Patient/{id}|Group/{id}
+ *                                     &reportType=subject|subject-list|population
+ *   GET|POST /fhir/ValueSet/$expand?url=...&filter=...&count=N, /fhir/ValueSet/{id}/$expand
+ *   GET|POST /fhir/ValueSet/$validate-code?url=...&system=...&code=..., /fhir/ValueSet/{id}/$validate-code
+ *   GET|POST /fhir/CodeSystem/$lookup?system=...&code=...
+ *
+ * The terminology operations are answered from the stored and local ValueSets
+ * (see terminology.js); $lookup finds codes in those ValueSets, as there are
+ * no local CodeSystems.
+ *
+ * $evaluate runs the breast cancer screening logic in JavaScript (see
+ * fhir-extractor.js) over the subject's stored resources, plus any POSTed
+ * `data` Bundle (only that Bundle when useServerData is false, for what-if
+ * evaluation); stored ValueSets take precedence over the local expansions. $apply evaluates the same way and
+ * proposes the applicable actions of the PlanDefinition (see plan-apply.js).
+ * $evaluate-measure scores the Measure over the subject Patient, the members
+ * of the subject Group, or every stored Patient without a subject (see
+ * measure-evaluate.js). Libraries, ValueSets, PlanDefinitions,
+ * ActivityDefinitions and Measures from input/resources are loaded at startup.
+ *
+ * Usage: node src/fhir-server.js
+ *        node src/fhir-server.js --port 8081 --empty
+ *
+ * Environment: FHIR_SERVER_PORT (default: 8080); AS_OF_DATE and AS_OF_TZ set
+ * the default evaluation date (see evaluation-date.js)
+ *
+ * Point the scripts at it with HAPI_BASE_URL=http://localhost:<port>/fhir and
+ * the mock EMR with FHIR_PROXY_TARGET=http://localhost:<port>.
+ */
+
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  loadValueSets, indexValueSet, getValueSet, expandValueSet, validateCode, lookupCode,
+} from './terminology.js';
+import { extractScreeningFacts, loadResources, toDateString } from './fhir-extractor.js';
+import { applyPlanDefinition, toCarePlan } from './plan-apply.js';
+import { resolveEvaluationDate } from './evaluation-date.js';
+import { individualReport, summaryReport, groupMembers, REPORT_TYPES } from './measure-evaluate.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const resourcesDir = resolve(__dirname, '../input/resources');
+
+const BASE_PATH = '/fhir';
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 1000;
+const SUPPORTED_LIBRARY = 'BreastCancerScreening';
+const FHIR_JSON = 'application/fhir+json; charset=utf-8';
+const KNOWLEDGE_TYPES = ['Library', 'ValueSet', 'PlanDefinition', 'ActivityDefinition', 'Measure'];
+/** Clinical types whose subject the subject/patient search parameters match */
+const SUBJECT_TYPES = ['Observation', 'Condition', 'Procedure', 'ServiceRequest'];
+
+/** Error carrying the HTTP status and OperationOutcome issue code to respond with */
+class FhirError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function operationOutcome(severity, code, diagnostics) {
+  return { resourceType: 'OperationOutcome', issue: [{ severity, code, diagnostics }] };
+}
+
+/**
+ * In-memory resource store keyed by type and id. Resources are kept in
+ * insertion order, which is also the search result order.
+ */
+export function createStore() {
+  const types = new Map();
+  let version = 0;
+
+  const byType = (type) => {
+    if (!types.has(type)) types.set(type, new Map());
+    return types.get(type);
+  };
+
+  return {
+    get(type, id) {
+      return types.get(type)?.get(id) || null;
+    },
+    /** Create or replace a resource; returns { resource, created } */
+    put(resource) {
+      const existing = this.get(resource.resourceType, resource.id);
+      const versionId = String(Number(existing?.meta?.versionId || 0) + 1);
+      const stored = {
+        ...resource,
+        meta: { ...resource.meta, versionId, lastUpdated: new Date(Date.now() + version++).toISOString() },
+      };
+      byType(resource.resourceType).set(resource.id, stored);
+      return { resource: stored, created: !existing };
+    },
+    delete(type, id) {
+      return types.get(type)?.delete(id) || false;
+    },
+    list(type) {
+      return [...(types.get(type)?.values() || [])];
+    },
+    all() {
+      return [...types.values()].flatMap(resources => [...resources.values()]);
+    },
+    /** Run `fn` atomically: if it throws, the store is restored to its prior state */
+    transaction(fn) {
+      const saved = new Map([...types].map(([type, resources]) => [type, new Map(resources)]));
+      const savedVersion = version;
+      try {
+        return fn();
+      } catch (error) {
+        types.clear();
+        for (const [type, resources] of saved) types.set(type, resources);
+        version = savedVersion;
+        throw error;
+      }
+    },
+  };
+}
+
+/** Recursively read every JSON resource under a directory */
+function readResources(dir) {
+  if (!existsSync(dir)) return [];
+  const resources = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) resources.push(...readResources(path));
+    else if (entry.name.endsWith('.json')) resources.push(JSON.parse(readFileSync(path, 'utf-8')));
+  }
+  return resources.filter(r => r.resourceType && r.id);
+}
+
+/** Load the repo's Library, ValueSet, PlanDefinition, ActivityDefinition and Measure resources into a store */
+export function seedStore(store, dir = resourcesDir) {
+  const resources = readResources(dir).filter(r => KNOWLEDGE_TYPES.includes(r.resourceType));
+  for (const resource of resources) store.put(resource);
+  return resources.length;
+}
+
+/** True if the resource carries a tag matching "system|code" or a bare "code" */
+function hasTag(resource, token) {
+  const [system, code] = token.includes('|') ? token.split('|') : [null, token];
+  return (resource.meta?.tag || []).some(tag => tag.code === code && (system === null || (tag.system || '') === system));
+}
+
+/** Apply the supported search parameters (repeated = AND, comma-separated = OR) */
+function search(store, type, params) {
+  let results = store.list(type);
+  for (const [name, value] of params) {
+    const alternatives = value.split(',');
+    if (name === '_tag') {
+      results = results.filter(r => alternatives.some(token => hasTag(r, token)));
+    } else if (name === '_id') {
+      results = results.filter(r => alternatives.includes(r.id));
+    } else if (name === 'subject' || name === 'patient') {
+      const references = alternatives.map(ref => (ref.includes('/') ? ref : `Patient/${ref}`));
+      results = results.filter(r => references.includes(r.subject?.reference));
+    } else if (!['_count', '_offset', '_format', '_pretty'].includes(name)) {
+      throw new FhirError(400, 'not-supported', `Unsupported search parameter: ${name}`);
+    }
+  }
+  return results;
+}
+
+/** Build a paged searchset Bundle with self/next/previous links */
+function searchBundle(baseUrl, type, params, results) {
+  const count = Math.min(Number(params.get('_count') ?? DEFAULT_COUNT), MAX_COUNT);
+  const offset = Number(params.get('_offset') ?? 0);
+  if (!Number.isInteger(count) || count < 0 || !Number.isInteger(offset) || offset < 0) {
+    throw new FhirError(400, 'invalid', '_count and _offset must be non-negative integers');
+  }
+
+  const pageUrl = (pageOffset) => {
+    const query = new URLSearchParams(params);
+    query.set('_count', String(count));
+    query.set('_offset', String(pageOffset));
+    return `${baseUrl}/${type}?${query}`;
+  };
+
+  const link = [{ relation: 'self', url: pageUrl(offset) }];
+  if (count > 0 && offset + count < results.length) link.push({ relation: 'next', url: pageUrl(offset + count) });
+  if (count > 0 && offset > 0) link.push({ relation: 'previous', url: pageUrl(Math.max(offset - count, 0)) });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: results.length,
+    link,
+    entry: results.slice(offset, offset + count).map(resource => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' },
+    })),
+  };
+}
+
+/** Encode a CQL define result as one or more Parameters.parameter entries */
+function toParameters(name, value) {
+  if (Array.isArray(value)) {
+    if (!value.length) {
+      return [{ name, _valueBoolean: { extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/cqf-isEmptyList', valueBoolean: true }] } }];
+    }
+    return value.flatMap(item => toParameters(name, item));
+  }
+  if (value === null || value === undefined) {
+    return [{ name, _valueBoolean: { extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/data-absent-reason', valueCode: 'unknown' }] } }];
+  }
+  if (typeof value === 'boolean') return [{ name, valueBoolean: value }];
+  if (typeof value === 'number') return [{ name, [Number.isInteger(value) ? 'valueInteger' : 'valueDecimal']: value }];
+  if (typeof value === 'object') return [{ name, resource: value }];
+  if (/^\d{4}-\d{2}-\d{2}(T.*)?$/.test(value)) return [{ name, valueDateTime: value }];
+  return [{ name, valueString: value }];
+}
+
+/** The local ValueSets, overridden by the ValueSets stored on the server */
+function storeValueSets(store) {
+  const valueSets = new Map(loadValueSets());
+  for (const valueSet of store.list('ValueSet')) {
+    if (valueSet.url) valueSets.set(valueSet.url, indexValueSet(valueSet));
+  }
+  return valueSets;
+}
+
+/** The ValueSet a terminology operation targets: ValueSet/{id} or the url parameter */
+function operationValueSet(store, id, params) {
+  if (id) {
+    const resource = store.get('ValueSet', id);
+    if (!resource) throw new FhirError(404, 'not-found', `ValueSet/${id} is not known`);
+    return indexValueSet(resource);
+  }
+  const url = params.get('url');
+  if (!url) throw new FhirError(400, 'required', 'The url parameter is required');
+  const valueSet = getValueSet(url, storeValueSets(store));
+  if (!valueSet) throw new FhirError(404, 'not-found', `ValueSet ${url} is not known`);
+  return valueSet;
+}
+
+/** Non-negative integer query parameter, or undefined when absent */
+function integerParam(params, name) {
+  const value = params.get(name);
+  if (value === null) return undefined;
+  if (!/^\d+$/.test(value)) throw new FhirError(400, 'invalid', `${name} must be a non-negative integer`);
+  return Number(value);
+}
+
+/** ValueSet/$expand, ValueSet/$validate-code and CodeSystem/$lookup */
+function terminologyOperation(store, type, id, operation, params) {
+  if (type === 'ValueSet' && operation === '$expand') {
+    const count = integerParam(params, 'count');
+    return expandValueSet(operationValueSet(store, id, params), {
+      filter: params.get('filter') || undefined,
+      offset: integerParam(params, 'offset') ?? 0,
+      count: count === undefined ? undefined : Math.min(count, MAX_COUNT),
+    });
+  }
+
+  if (type === 'ValueSet' && operation === '$validate-code') {
+    const code = params.get('code');
+    if (!code) throw new FhirError(400, 'required', 'The code parameter is required');
+    const result = validateCode(operationValueSet(store, id, params), {
+      system: params.get('system') || undefined,
+      code,
+      display: params.get('display') || undefined,
+    });
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'result', valueBoolean: result.result },
+        ...(result.message ? [{ name: 'message', valueString: result.message }] : []),
+        ...(result.display ? [{ name: 'display', valueString: result.display }] : []),
+      ],
+    };
+  }
+
+  if (type === 'CodeSystem' && operation === '$lookup' && !id) {
+    const code = params.get('code');
+    if (!code) throw new FhirError(400, 'required', 'The code parameter is required');
+    let found;
+    try {
+      found = lookupCode({ system: params.get('system') || undefined, code }, storeValueSets(store));
+    } catch (error) {
+      throw new FhirError(400, 'invalid', error.message);
+    }
+    if (!found) throw new FhirError(404, 'not-found', `Code ${code} is not in any known ValueSet`);
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'name', valueString: found.system },
+        ...(found.display ? [{ name: 'display', valueString: found.display }] : []),
+      ],
+    };
+  }
+
+  return null;
+}
+
+/** Patient id of the required subject parameter; the Patient must be stored */
+function subjectPatientId(store, params) {
+  const subject = params.get('subject');
+  if (!subject) throw new FhirError(400, 'required', 'The subject parameter is required');
+  const patientId = subject.replace(/^Patient\//, '');
+  if (!store.get('Patient', patientId)) throw new FhirError(404, 'not-found', `Patient/${patientId} is not known`);
+  return patientId;
+}
+
+/** The Patient and the resources whose subject is the Patient */
+function subjectResources(store, patientId) {
+  return store.all().filter(r => (r.resourceType === 'Patient' && r.id === patientId)
+    || r.subject?.reference === `Patient/${patientId}`);
+}
+
+/** PlanDefinition/{id}/$apply: a CarePlan proposing the applicable actions */
+function applyPlan(store, planId, params, options) {
+  const planDefinition = store.get('PlanDefinition', planId);
+  if (!planDefinition) throw new FhirError(404, 'not-found', `PlanDefinition/${planId} is not known`);
+  const patientId = subjectPatientId(store, params);
+
+  try {
+    return toCarePlan(applyPlanDefinition(planDefinition, subjectResources(store, patientId), {
+      patientId,
+      asOf: params.get('AsOf') || options.asOf || resolveEvaluationDate().asOf,
+      valueSets: storeValueSets(store),
+      activityDefinitions: store.list('ActivityDefinition'),
+    }));
+  } catch (error) {
+    throw new FhirError(422, 'processing', error.message);
+  }
+}
+
+/**
+ * Measure/{id}/$evaluate-measure. reportType defaults to subject for a
+ * Patient subject and population otherwise; subject reports for a Group come
+ * back as a collection Bundle of individual MeasureReports.
+ */
+function evaluateMeasureOperation(store, measureId, params) {
+  const measure = store.get('Measure', measureId);
+  if (!measure) throw new FhirError(404, 'not-found', `Measure/${measureId} is not known`);
+  for (const name of ['periodStart', 'periodEnd']) {
+    if (!params.get(name)) throw new FhirError(400, 'required', `The ${name} parameter is required`);
+  }
+
+  const subject = params.get('subject');
+  let patientIds;
+  if (!subject) {
+    patientIds = store.list('Patient').map(patient => patient.id);
+  } else if (subject.startsWith('Group/')) {
+    const group = store.get('Group', subject.slice('Group/'.length));
+    if (!group) throw new FhirError(404, 'not-found', `${subject} is not known`);
+    patientIds = groupMembers(group);
+  } else {
+    patientIds = [subjectPatientId(store, params)];
+  }
+  const missing = patientIds.filter(id => !store.get('Patient', id));
+  if (missing.length) throw new FhirError(422, 'processing', `${subject} members are not known: ${missing.map(id => `Patient/${id}`).join(', ')}`);
+
+  const patientSubject = subject && !subject.startsWith('Group/');
+  const reportType = params.get('reportType') || (patientSubject ? 'subject' : 'population');
+  if (!Object.values(REPORT_TYPES).includes(reportType)) {
+    throw new FhirError(400, 'invalid', `reportType ${reportType} is not supported (${Object.values(REPORT_TYPES).join(', ')})`);
+  }
+
+  const options = { periodStart: params.get('periodStart'), periodEnd: params.get('periodEnd'), valueSets: storeValueSets(store) };
+  try {
+    const individual = patientIds.map(patientId => individualReport(measure, subjectResources(store, patientId), { ...options, patientId }));
+    if (reportType !== 'subject') return summaryReport(measure, individual, { ...options, subjectList: reportType === 'subject-list' });
+    if (patientSubject) return individual[0];
+    return { resourceType: 'Bundle', type: 'collection', total: individual.length, entry: individual.map(resource => ({ resource })) };
+  } catch (error) {
+    throw new FhirError(422, 'processing', error.message);
+  }
+}
+
+/**
+ * Library/{id}/$evaluate for the breast cancer screening library. `data` is
+ * the POSTed data Bundle, whose resources replace stored ones with the same
+ * type and id.
+ */
+function evaluateLibrary(store, libraryId, params, options, data) {
+  const library = store.get('Library', libraryId);
+  if (!library) throw new FhirError(404, 'not-found', `Library/${libraryId} is not known`);
+  if (library.name !== SUPPORTED_LIBRARY) {
+    throw new FhirError(501, 'not-supported', `$evaluate is only implemented for ${SUPPORTED_LIBRARY}, not ${library.name}`);
+  }
+
+  const supplied = data ? loadResources(data) : [];
+  const useServerData = params.get('useServerData') !== 'false';
+  const patientId = useServerData || !params.get('subject')
+    ? subjectPatientId(store, params)
+    : params.get('subject').replace(/^Patient\//, '');
+  const valueSets = storeValueSets(store);
+  const key = (r) => `${r.resourceType}/${r.id}`;
+  const replaced = new Set(supplied.map(key));
+  const resources = [
+    ...(useServerData ? subjectResources(store, patientId).filter(r => !replaced.has(key(r))) : []),
+    ...supplied,
+  ];
+  let facts;
+  try {
+    const asOf = params.get('AsOf') || options.asOf || resolveEvaluationDate().asOf;
+    facts = extractScreeningFacts(resources, { patientId, valueSets, asOf });
+  } catch (error) {
+    throw new FhirError(422, 'processing', error.message);
+  }
+
+  return {
+    resourceType: 'Parameters',
+    parameter: Object.entries(facts).flatMap(([name, value]) => toParameters(name, value)),
+  };
+}
+
+/**
+ * Process a transaction Bundle of POST, PUT and DELETE entries. Every entry
+ * is checked before any is applied, DELETEs run before POSTs and PUTs (as
+ * FHIR orders them), POSTs get server-assigned ids, and a failure rolls the
+ * whole store back. Returns the transaction-response Bundle, entries in
+ * request order.
+ */
+function processTransaction(store, bundle, baseUrl) {
+  if (bundle?.resourceType !== 'Bundle') throw new FhirError(400, 'invalid', 'POST to the base URL requires a Bundle');
+  if (bundle.type !== 'transaction') {
+    throw new FhirError(400, 'not-supported', `Bundle.type ${bundle.type} is not supported (only transaction)`);
+  }
+
+  const seen = new Set();
+  const entries = (bundle.entry || []).map((entry, i) => {
+    const where = `Bundle.entry[${i}]`;
+    const method = entry.request?.method;
+    const [type, id, ...extra] = (entry.request?.url || '').split('?')[0].split('/').filter(Boolean);
+    if (!['POST', 'PUT', 'DELETE'].includes(method)) {
+      throw new FhirError(400, 'not-supported', `${where}: request.method ${method} is not supported (POST, PUT or DELETE)`);
+    }
+    if (method === 'POST') {
+      if (!type || id) throw new FhirError(400, 'invalid', `${where}: request.url must be {type} for POST`);
+      if (entry.resource?.resourceType !== type) {
+        throw new FhirError(400, 'invalid', `${where}: resource ${entry.resource?.resourceType} does not match request.url ${type}`);
+      }
+      return { index: i, method, type, id: randomUUID(), resource: entry.resource };
+    }
+    if (!type || !id || extra.length) throw new FhirError(400, 'invalid', `${where}: request.url must be {type}/{id}`);
+    if (seen.has(`${type}/${id}`)) throw new FhirError(400, 'invalid', `${where}: ${type}/${id} appears more than once`);
+    seen.add(`${type}/${id}`);
+    if (method === 'PUT') {
+      if (entry.resource?.resourceType !== type || entry.resource.id !== id) {
+        throw new FhirError(400, 'invalid', `${where}: resource ${entry.resource?.resourceType}/${entry.resource?.id} does not match request.url ${type}/${id}`);
+      }
+    }
+    return { index: i, method, type, id, resource: entry.resource };
+  });
+
+  const responses = new Array(entries.length);
+  store.transaction(() => {
+    for (const entry of entries.filter(e => e.method === 'DELETE')) {
+      store.delete(entry.type, entry.id);
+      responses[entry.index] = { response: { status: '204 No Content' } };
+    }
+    for (const entry of entries.filter(e => e.method !== 'DELETE')) {
+      const { resource, created } = store.put({ ...entry.resource, id: entry.id });
+      responses[entry.index] = {
+        fullUrl: `${baseUrl}/${entry.type}/${entry.id}`,
+        response: {
+          status: created ? '201 Created' : '200 OK',
+          location: `${entry.type}/${entry.id}/_history/${resource.meta.versionId}`,
+          etag: `W/"${resource.meta.versionId}"`,
+          lastModified: resource.meta.lastUpdated,
+        },
+      };
+    }
+  });
+
+  return { resourceType: 'Bundle', type: 'transaction-response', entry: responses };
+}
+
+function capabilityStatement() {
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: toDateString(),
+    kind: 'instance',
+    software: { name: 'model-mammo local FHIR server' },
+    fhirVersion: '4.0.1',
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      interaction: [{ code: 'transaction' }],
+      operation: [
+        { name: 'expand', definition: 'http://hl7.org/fhir/OperationDefinition/ValueSet-expand' },
+        { name: 'validate-code', definition: 'http://hl7.org/fhir/OperationDefinition/ValueSet-validate-code' },
+        { name: 'lookup', definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-lookup' },
+        { name: 'apply', definition: 'http://hl7.org/fhir/OperationDefinition/PlanDefinition-apply' },
+        { name: 'evaluate-measure', definition: 'http://hl7.org/fhir/OperationDefinition/Measure-evaluate-measure' },
+      ],
+      resource: ['Patient', 'Practitioner', 'Group', ...SUBJECT_TYPES, ...KNOWLEDGE_TYPES].map(type => ({
+        type,
+        interaction: ['read', 'create', 'update', 'delete', 'search-type'].map(code => ({ code })),
+        searchParam: [
+          { name: '_tag', type: 'token' },
+          { name: '_id', type: 'token' },
+          ...(SUBJECT_TYPES.includes(type)
+            ? [{ name: 'subject', type: 'reference' }, { name: 'patient', type: 'reference' }]
+            : []),
+        ],
+      })),
+    }],
+  };
+}
+
+/** Parse a JSON request body */
+async function readBody(req) {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new FhirError(400, 'structure', 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * Merge Parameters resource values into the query parameters of an operation.
+ * The nested `parameters` resource of $evaluate (CQL parameter values) is
+ * flattened in too, e.g. AsOf.
+ */
+function mergeParameters(params, body) {
+  for (const parameter of body?.parameter || []) {
+    if (parameter.name === 'parameters' && parameter.resource?.resourceType === 'Parameters') {
+      mergeParameters(params, parameter.resource);
+      continue;
+    }
+    const value = Object.entries(parameter).find(([key]) => key.startsWith('value'))?.[1];
+    if (value !== undefined) params.set(parameter.name, value.reference ?? String(value));
+  }
+  return params;
+}
+
+/** Route one request; returns { status, body } */
+async function handle(store, req, options) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (!url.pathname.startsWith(BASE_PATH)) throw new FhirError(404, 'not-found', `Unknown path: ${url.pathname}`);
+  const baseUrl = `${url.protocol}//${url.host}${BASE_PATH}`;
+  const [type, id, operation, ...rest] = url.pathname.slice(BASE_PATH.length).split('/').filter(Boolean).map(decodeURIComponent);
+  const params = url.searchParams;
+
+  if (!type && req.method === 'POST') {
+    return { status: 200, body: processTransaction(store, await readBody(req), baseUrl) };
+  }
+  if (!type || rest.length) throw new FhirError(404, 'not-found', `Unknown path: ${url.pathname}`);
+
+  if (type === 'metadata' && req.method === 'GET') {
+    return { status: 200, body: capabilityStatement() };
+  }
+
+  if (operation === '$evaluate' && type === 'Library' && ['GET', 'POST'].includes(req.method)) {
+    const body = req.method === 'POST' ? await readBody(req) : null;
+    const data = body?.parameter?.find(p => p.name === 'data')?.resource;
+    return { status: 200, body: evaluateLibrary(store, id, body ? mergeParameters(params, body) : params, options, data) };
+  }
+  if (operation === '$apply' && type === 'PlanDefinition' && ['GET', 'POST'].includes(req.method)) {
+    const merged = req.method === 'POST' ? mergeParameters(params, await readBody(req)) : params;
+    return { status: 200, body: applyPlan(store, id, merged, options) };
+  }
+  if (operation === '$evaluate-measure' && type === 'Measure' && ['GET', 'POST'].includes(req.method)) {
+    const merged = req.method === 'POST' ? mergeParameters(params, await readBody(req)) : params;
+    return { status: 200, body: evaluateMeasureOperation(store, id, merged) };
+  }
+
+  // Type-level operations arrive as the id segment (ValueSet/$expand)
+  const [instanceId, operationName] = id?.startsWith('$') && !operation ? [undefined, id] : [id, operation];
+  if (operationName && ['GET', 'POST'].includes(req.method)) {
+    const merged = req.method === 'POST' ? mergeParameters(params, await readBody(req)) : params;
+    const body = terminologyOperation(store, type, instanceId, operationName, merged);
+    if (body) return { status: 200, body };
+  }
+  if (operationName) throw new FhirError(404, 'not-supported', `Unsupported operation: ${operationName}`);
+
+  if (!id && req.method === 'POST') {
+    const resource = await readBody(req);
+    if (resource?.resourceType !== type) {
+      throw new FhirError(400, 'invalid', `Body resourceType ${resource?.resourceType} does not match URL type ${type}`);
+    }
+    const { resource: stored } = store.put({ ...resource, id: randomUUID() });
+    return { status: 201, body: stored, location: `${baseUrl}/${type}/${stored.id}/_history/${stored.meta.versionId}` };
+  }
+
+  if (!id) {
+    if (req.method !== 'GET') throw new FhirError(405, 'not-supported', `${req.method} is not supported on /${type}`);
+    return { status: 200, body: searchBundle(baseUrl, type, params, search(store, type, params)) };
+  }
+
+  if (req.method === 'GET') {
+    const resource = store.get(type, id);
+    if (!resource) throw new FhirError(404, 'not-found', `${type}/${id} is not known`);
+    return { status: 200, body: resource };
+  }
+
+  if (req.method === 'PUT') {
+    const resource = await readBody(req);
+    if (resource?.resourceType !== type) {
+      throw new FhirError(400, 'invalid', `Body resourceType ${resource?.resourceType} does not match URL type ${type}`);
+    }
+    if (resource.id !== id) throw new FhirError(400, 'invalid', `Body id ${resource.id} does not match URL id ${id}`);
+    const { resource: stored, created } = store.put(resource);
+    return { status: created ? 201 : 200, body: stored, location: `${baseUrl}/${type}/${id}/_history/${stored.meta.versionId}` };
+  }
+
+  if (req.method === 'DELETE') {
+    const deleted = store.delete(type, id);
+    return {
+      status: 200,
+      body: operationOutcome('information', 'informational', deleted ? `Deleted ${type}/${id}` : `${type}/${id} was not present`),
+    };
+  }
+
+  throw new FhirError(405, 'not-supported', `${req.method} is not supported on /${type}/${id}`);
+}
+
+/**
+ * Create (but do not start) the FHIR server. The store is exposed as
+ * `server.store`.
+ *
+ * Options:
+ *   store   existing store (default: a new one)
+ *   seed    load the knowledge artifacts from input/resources (default: true)
+ *   asOf    evaluation date for $evaluate when the request has no AsOf (default:
+ *           AS_OF_DATE, else today in AS_OF_TZ)
+ */
+export function createFhirServer(options = {}) {
+  const store = options.store || createStore();
+  if (options.seed !== false) seedStore(store);
+
+  const server = createServer(async (req, res) => {
+    let result;
+    try {
+      result = await handle(store, req, options);
+    } catch (error) {
+      const status = error instanceof FhirError ? error.status : 500;
+      result = { status, body: operationOutcome('error', error.code || 'exception', error.message) };
+    }
+    const headers = { 'Content-Type': FHIR_JSON };
+    if (result.location) headers.Location = result.location;
+    res.writeHead(result.status, headers);
+    res.end(JSON.stringify(result.body, null, 2));
+  });
+  server.store = store;
+  return server;
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  let port = Number(process.env.FHIR_SERVER_PORT || 8080);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--port') port = Number(args[++i]);
+    else if (arg === '--empty') options.seed = false;
+    else if (arg === '--as-of') options.asOf = args[++i];
+    else {
+      console.error(`Unknown option: ${arg}`);
+      console.error('Usage: node src/fhir-server.js [--port <port>] [--empty] [--as-of YYYY-MM-DD]');
+      process.exit(1);
+    }
+  }
+
+  const server = createFhirServer(options);
+  server.listen(port, () => {
+    console.log(`FHIR server: http://localhost:${port}${BASE_PATH}`);
+    console.log(`  ${server.store.all().length} resource(s) loaded`);
+    if (options.asOf) console.log(`  $evaluate as of ${options.asOf}`);
+  });
+}
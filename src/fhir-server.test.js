@@ -0,0 +1,316 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { readFileSync, readdirSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createFhirServer, createStore } from './fhir-server.js';
+import { loadCaseResources } from './fhir-extractor.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const generatedDir = resolve(__dirname, '../tests/generated');
+const cms125Dir = resolve(__dirname, '../reference/cms125');
+const TAG = 'http://example.org/test-lifecycle|bcs-test';
+
+let server;
+let baseUrl;
+
+async function request(method, path, body) {
+  const response = await fetch(`${baseUrl}/${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/fhir+json', 'Accept': 'application/fhir+json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function deployCase(caseId) {
+  for (const resource of loadCaseResources(resolve(generatedDir, caseId))) {
+    await request('PUT', `${resource.resourceType}/${resource.id}`, resource);
+  }
+}
+
+beforeAll(async () => {
+  server = createFhirServer({ asOf: '2025-12-26' });
+  await new Promise(done => server.listen(0, done));
+  baseUrl = `http://localhost:${server.address().port}/fhir`;
+});
+
+afterAll(async () => {
+  await new Promise(done => server.close(done));
+});
+
+describe('FHIR server', () => {
+  it('creates, reads, updates and deletes resources', async () => {
+    const patient = { resourceType: 'Patient', id: 'crud', gender: 'female' };
+    expect((await request('PUT', 'Patient/crud', patient)).status).toBe(201);
+
+    const updated = await request('PUT', 'Patient/crud', { ...patient, gender: 'male' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.meta.versionId).toBe('2');
+
+    const read = await request('GET', 'Patient/crud');
+    expect(read.body.gender).toBe('male');
+
+    expect((await request('DELETE', 'Patient/crud')).status).toBe(200);
+    const gone = await request('GET', 'Patient/crud');
+    expect(gone.status).toBe(404);
+    expect(gone.body.resourceType).toBe('OperationOutcome');
+  });
+
+  it('rejects bodies that do not match the URL', async () => {
+    const response = await request('PUT', 'Patient/a', { resourceType: 'Patient', id: 'b' });
+    expect(response.status).toBe(400);
+    expect(response.body.issue[0].diagnostics).toMatch(/does not match URL id/);
+  });
+
+  it('searches by _tag with _count paging', async () => {
+    for (let i = 0; i < 5; i++) {
+      const tag = [{ system: 'http://example.org/test-lifecycle', code: i < 3 ? 'bcs-test' : 'other' }];
+      await request('PUT', `Patient/page-${i}`, { resourceType: 'Patient', id: `page-${i}`, meta: { tag } });
+    }
+
+    const first = await request('GET', `Patient?_tag=${encodeURIComponent(TAG)}&_count=2`);
+    expect(first.body.total).toBe(3);
+    expect(first.body.entry.map(e => e.resource.id)).toEqual(['page-0', 'page-1']);
+
+    const next = first.body.link.find(l => l.relation === 'next').url;
+    const second = await (await fetch(next)).json();
+    expect(second.entry.map(e => e.resource.id)).toEqual(['page-2']);
+    expect(second.link.some(l => l.relation === 'next')).toBe(false);
+  });
+
+  it('searches by subject or patient, and advertises both', async () => {
+    await deployCase('bcs-mammo-2y-exactly');
+    const bySubject = await request('GET', 'Observation?subject=Patient/bcs-mammo-2y-exactly');
+    expect(bySubject.body.entry.map(e => e.resource.id)).toEqual(['bcs-mammo-2y-exactly-obs']);
+    const byPatient = await request('GET', 'Observation?patient=bcs-mammo-2y-exactly');
+    expect(byPatient.body.total).toBe(1);
+
+    const { body: capabilities } = await request('GET', 'metadata');
+    const resource = (type) => capabilities.rest[0].resource.find(r => r.type === type);
+    expect(resource('Observation').searchParam).toEqual(expect.arrayContaining([
+      { name: 'subject', type: 'reference' },
+      { name: 'patient', type: 'reference' },
+    ]));
+    expect(resource('Patient').searchParam.map(p => p.name)).toEqual(['_tag', '_id']);
+  });
+
+  it('evaluates the screening library for a deployed case', async () => {
+    await deployCase('bcs-mammo-2y-minus-1d');
+    const response = await request('GET', 'Library/BreastCancerScreening/$evaluate?subject=Patient/bcs-mammo-2y-minus-1d');
+    expect(response.status).toBe(200);
+
+    const value = (name) => response.body.parameter.find(p => p.name === name);
+    expect(value('RecommendMammogram').valueBoolean).toBe(false);
+    expect(value('MammogramInLastTwoYears').valueBoolean).toBe(true);
+    expect(value('AgeInYears').valueInteger).toBe(57);
+    expect(value('DateOfMostRecentMammogram').valueDateTime).toBe('2023-12-27');
+    expect(value('MostRecentMammogram').resource.id).toBe('bcs-mammo-2y-minus-1d-obs');
+  });
+
+  it('returns the excluding Conditions the chart marks', async () => {
+    await deployCase('bcs-bilateral-mastectomy');
+    const response = await request('GET', 'Library/BreastCancerScreening/$evaluate?subject=Patient/bcs-bilateral-mastectomy');
+    const resources = (name) => response.body.parameter.filter(p => p.name === name && p.resource).map(p => p.resource.id);
+    expect(resources('BilateralMastectomyConditions')).toEqual(['bcs-bilateral-mastectomy-cond']);
+    expect(resources('BreastCancerConditions')).toEqual([]);
+  });
+
+  it('honors the AsOf CQL parameter of a POSTed $evaluate', async () => {
+    await deployCase('bcs-age-39-turns-40-tomorrow');
+    const evaluateAsOf = async (asOf) => {
+      const response = await request('POST', 'Library/BreastCancerScreening/$evaluate', {
+        resourceType: 'Parameters',
+        parameter: [
+          { name: 'subject', valueString: 'Patient/bcs-age-39-turns-40-tomorrow' },
+          { name: 'parameters', resource: { resourceType: 'Parameters', parameter: [{ name: 'AsOf', valueDate: asOf }] } },
+        ],
+      });
+      return response.body.parameter.find(p => p.name === 'AgeInYears').valueInteger;
+    };
+    expect(await evaluateAsOf('2025-12-26')).toBe(39);
+    expect(await evaluateAsOf('2025-12-27')).toBe(40);
+  });
+
+  it('evaluates a POSTed data Bundle with or without the stored resources', async () => {
+    await deployCase('bcs-recommend-57yo-female');
+    const evaluateWith = async (resources, useServerData) => {
+      const response = await request('POST', 'Library/BreastCancerScreening/$evaluate', {
+        resourceType: 'Parameters',
+        parameter: [
+          { name: 'subject', valueString: 'Patient/bcs-recommend-57yo-female' },
+          { name: 'data', resource: { resourceType: 'Bundle', type: 'collection', entry: resources.map(resource => ({ resource })) } },
+          ...(useServerData === undefined ? [] : [{ name: 'useServerData', valueBoolean: useServerData }]),
+        ],
+      });
+      if (response.status !== 200) return response.body.issue[0].diagnostics;
+      return Object.fromEntries(response.body.parameter.map(p => [p.name, p.valueBoolean ?? p.valueInteger ?? p.valueString]));
+    };
+    const mammogram = {
+      resourceType: 'Observation',
+      id: 'what-if-obs',
+      status: 'final',
+      category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'imaging' }] }],
+      code: { coding: [{ system: 'http://loinc.org', code: '24606-6' }] },
+      subject: { reference: 'Patient/bcs-recommend-57yo-female' },
+      effectiveDateTime: '2025-06-01',
+    };
+    expect((await evaluateWith([mammogram])).RecommendMammogram).toBe(false);
+    expect(server.store.get('Observation', 'what-if-obs')).toBeNull();
+
+    const patient = { resourceType: 'Patient', id: 'bcs-recommend-57yo-female', gender: 'female', birthDate: '1990-01-01' };
+    expect(await evaluateWith([patient], false)).toMatchObject({ AgeInYears: 35, RecommendMammogram: false });
+    expect(await evaluateWith([{ ...patient, id: 'other' }], false)).toBe('Patient not found: bcs-recommend-57yo-female');
+  });
+
+  it('applies transaction Bundles all or nothing', async () => {
+    const put = (resource) => ({ resource, request: { method: 'PUT', url: `${resource.resourceType}/${resource.id}` } });
+    const applied = await request('POST', '', {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [
+        put({ resourceType: 'Patient', id: 'tx-1' }),
+        put({ resourceType: 'Observation', id: 'tx-1-obs', subject: { reference: 'Patient/tx-1' } }),
+      ],
+    });
+    expect(applied.status).toBe(200);
+    expect(applied.body.type).toBe('transaction-response');
+    expect(applied.body.entry.map(e => e.response.status)).toEqual(['201 Created', '201 Created']);
+
+    const rejected = await request('POST', '', {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [
+        put({ resourceType: 'Patient', id: 'tx-2' }),
+        { request: { method: 'DELETE', url: 'Patient/tx-1' } },
+        { resource: { resourceType: 'Patient', id: 'other' }, request: { method: 'PUT', url: 'Patient/tx-3' } },
+      ],
+    });
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.issue[0].diagnostics).toMatch(/^Bundle\.entry\[2\]: resource Patient\/other does not match/);
+    expect((await request('GET', 'Patient/tx-2')).status).toBe(404);
+    expect((await request('GET', 'Patient/tx-1')).status).toBe(200);
+  });
+
+  it('creates resources with server-assigned ids by POST and in transactions', async () => {
+    const created = await request('POST', 'ServiceRequest', { resourceType: 'ServiceRequest', id: 'ignored', status: 'active' });
+    expect(created.status).toBe(201);
+    expect(created.body.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect((await request('GET', `ServiceRequest/${created.body.id}`)).body.status).toBe('active');
+
+    const applied = await request('POST', '', {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [
+        { resource: { resourceType: 'Practitioner', id: 'tx-author' }, request: { method: 'PUT', url: 'Practitioner/tx-author' } },
+        { resource: { resourceType: 'Observation', status: 'final' }, request: { method: 'POST', url: 'Observation' } },
+      ],
+    });
+    expect(applied.body.entry.map(e => e.response.status)).toEqual(['201 Created', '201 Created']);
+    expect(applied.body.entry[1].response.location).toMatch(/^Observation\/[0-9a-f-]{36}\/_history\/1$/);
+
+    const mismatch = await request('POST', '', {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [{ resource: { resourceType: 'Patient' }, request: { method: 'POST', url: 'Observation' } }],
+    });
+    expect(mismatch.body.issue[0].diagnostics).toBe('Bundle.entry[0]: resource Patient does not match request.url Observation');
+  });
+
+  it('rolls the store back when a transaction fails part way', () => {
+    const store = createStore();
+    store.put({ resourceType: 'Patient', id: 'keep' });
+    expect(() => store.transaction(() => {
+      store.put({ resourceType: 'Patient', id: 'partial' });
+      store.delete('Patient', 'keep');
+      throw new Error('boom');
+    })).toThrow('boom');
+    expect(store.all().map(r => r.id)).toEqual(['keep']);
+  });
+
+  it('reports unknown subjects and libraries as OperationOutcomes', async () => {
+    expect((await request('GET', 'Library/BreastCancerScreening/$evaluate?subject=Patient/missing')).status).toBe(404);
+    expect((await request('GET', 'Library/Nope/$evaluate?subject=Patient/x')).status).toBe(404);
+  });
+
+  it('answers $expand, $validate-code and $lookup from the ValueSets', async () => {
+    const url = 'http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.108.12.1018';
+    const expanded = await request('GET', `ValueSet/$expand?url=${encodeURIComponent(url)}&filter=screening&count=2`);
+    expect(expanded.status).toBe(200);
+    expect(expanded.body.expansion.contains).toHaveLength(2);
+    expect(expanded.body.expansion.total).toBeGreaterThan(2);
+
+    const byId = await request('GET', 'ValueSet/2.16.840.1.113883.3.464.1003.108.12.1018/$validate-code?system=http://loinc.org&code=24606-6');
+    expect(byId.body.parameter).toEqual([
+      { name: 'result', valueBoolean: true },
+      { name: 'display', valueString: 'MG Breast Screening' },
+    ]);
+    const invalid = await request('POST', 'ValueSet/$validate-code', {
+      resourceType: 'Parameters',
+      parameter: [{ name: 'url', valueUri: url }, { name: 'code', valueCode: 'C50.011' }],
+    });
+    expect(invalid.body.parameter[0]).toEqual({ name: 'result', valueBoolean: false });
+
+    const lookup = await request('GET', 'CodeSystem/$lookup?system=http://loinc.org&code=24606-6');
+    expect(lookup.body.parameter).toContainEqual({ name: 'display', valueString: 'MG Breast Screening' });
+    expect((await request('GET', 'CodeSystem/$lookup?code=nope')).status).toBe(404);
+    expect((await request('GET', 'ValueSet/$expand')).status).toBe(400);
+  });
+
+  it('applies the PlanDefinition to a subject as a CarePlan', async () => {
+    await deployCase('bcs-recommend-57yo-female');
+    const proposed = await request('POST', 'PlanDefinition/BreastCancerScreeningRecommendation/$apply', {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'subject', valueString: 'Patient/bcs-recommend-57yo-female' },
+        { name: 'parameters', resource: { resourceType: 'Parameters', parameter: [{ name: 'AsOf', valueDate: '2025-12-26' }] } },
+      ],
+    });
+    expect(proposed.status).toBe(200);
+    expect(proposed.body.resourceType).toBe('CarePlan');
+    expect(proposed.body.contained.map(r => r.resourceType)).toEqual(['RequestGroup', 'ServiceRequest']);
+    expect(proposed.body.contained[0].action.map(a => a.id)).toEqual(['order-screening-mammogram']);
+
+    expect((await request('GET', 'PlanDefinition/Nope/$apply?subject=Patient/bcs-recommend-57yo-female')).status).toBe(404);
+    expect((await request('GET', 'PlanDefinition/BreastCancerScreeningRecommendation/$apply')).status).toBe(400);
+  });
+
+  it('evaluates the Measure for a Group, as subject lists and for one patient', async () => {
+    for (const file of readdirSync(cms125Dir).filter(f => /^tests-.*-bundle\.json$/.test(f))) {
+      expect((await request('POST', '', JSON.parse(readFileSync(join(cms125Dir, file), 'utf-8')))).status).toBe(200);
+    }
+    const group = JSON.parse(readFileSync(join(cms125Dir, 'Group-BreastCancerScreeningCDS.json'), 'utf-8'));
+    await request('PUT', `Group/${group.id}`, group);
+    const operation = 'Measure/BreastCancerScreeningCDS/$evaluate-measure';
+    const period = 'periodStart=2023-01-01&periodEnd=2024-01-01';
+    const counts = (report) => report.group[0].population.map(p => `${p.code.coding[0].code}=${p.count}`);
+
+    const summary = await request('GET', `${operation}?${period}&subject=Group/${group.id}`);
+    expect(summary.status).toBe(200);
+    expect(summary.body).toMatchObject({ resourceType: 'MeasureReport', type: 'summary' });
+    expect(counts(summary.body)).toEqual(['initial-population=10', 'denominator=10', 'denominator-exclusion=1', 'numerator=1']);
+
+    const subjectList = await request('POST', operation, {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'periodStart', valueDate: '2023-01-01' },
+        { name: 'periodEnd', valueDate: '2024-01-01' },
+        { name: 'subject', valueString: `Group/${group.id}` },
+        { name: 'reportType', valueCode: 'subject-list' },
+      ],
+    });
+    expect(subjectList.body.type).toBe('subject-list');
+    expect(subjectList.body.contained.find(list => list.id === 'numerator-subjects').entry)
+      .toEqual([{ item: { reference: 'Patient/bcs-up-to-date' } }]);
+
+    const individual = await request('GET', `${operation}?${period}&subject=Patient/bcs-up-to-date`);
+    expect(individual.body).toMatchObject({ type: 'individual', subject: { reference: 'Patient/bcs-up-to-date' } });
+    expect(individual.body.group[0].measureScore).toEqual({ value: 1 });
+    const perMember = await request('GET', `${operation}?${period}&subject=Group/${group.id}&reportType=subject`);
+    expect(perMember.body).toMatchObject({ resourceType: 'Bundle', type: 'collection', total: 13 });
+
+    expect((await request('GET', `${operation}?periodStart=2023-01-01&subject=Group/${group.id}`)).status).toBe(400);
+    expect((await request('GET', `${operation}?${period}&subject=Group/${group.id}&reportType=nope`)).status).toBe(400);
+    expect((await request('GET', `${operation}?${period}&subject=Group/nope`)).status).toBe(404);
+    expect((await request('GET', `Measure/Nope/$evaluate-measure?${period}`)).status).toBe(404);
+  });
+});
@@ -1,103 +1,487 @@
 #!/usr/bin/env node
 /**
- * Generates a FHIR Library resource from a CQL file.
+ * Generates FHIR Library resources from a CQL file and the libraries it
+ * includes, and packages them with their ValueSets as a transaction Bundle.
+ *
+ * The include graph is resolved from the CQL files next to the root library
+ * (input/cql); every library in it is written to
+ * input/resources/library/Library-<name>.json. The ValueSets the libraries
+ * declare are taken from input/resources/vocabulary. The Bundle (default:
+ * dist/<name>-bundle.json) PUTs everything, dependencies first, and can be
+ * uploaded with `npm run deploy:library`.
+ *
+ * Each Library lists its CQL parameters and expression definitions as
+ * `parameter` (with types inferred from the expressions) and its retrieves as
+ * `dataRequirement` (profile plus valueset code filter), so clients can
+ * discover the outputs and build prefetch queries.
  *
  * Usage: node src/generate-library.js input/cql/BreastCancerScreening.cql
+ *        node src/generate-library.js input/cql/BreastCancerScreening.cql --bundle out/package.json
+ *
+ * Options:
+ *   --bundle <file>   Where to write the transaction Bundle
+ *   --no-bundle       Only write the Library resources
  */
 
-import { readFileSync, writeFileSync } from 'fs';
-import { resolve, dirname, basename } from 'path';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { loadValueSets } from './terminology.js';
 
-const cqlPath = process.argv[2];
-if (!cqlPath) {
-  console.error('Usage: node src/generate-library.js <cql-file>');
-  process.exit(1);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const valueSetDir = resolve(__dirname, '../input/resources/vocabulary/valueset');
+const LIBRARY_BASE_URL = 'http://example.org/fhir/Library';
+const QICORE_PROFILE_BASE = 'http://hl7.org/fhir/us/qicore/StructureDefinition/';
+
+// Resource types a QICore profile name (ObservationClinicalResult) can start with, longest first
+const RESOURCE_TYPES = [
+  'MedicationAdministration', 'MedicationDispense', 'MedicationRequest', 'MedicationStatement',
+  'AllergyIntolerance', 'DiagnosticReport', 'ServiceRequest', 'DeviceRequest', 'Communication',
+  'Immunization', 'Observation', 'Coverage', 'Condition', 'Procedure', 'Encounter', 'Medication',
+  'Patient', 'Device', 'Task',
+];
+
+// CQL system types → FHIR ParameterDefinition types
+const CQL_TYPES = {
+  Boolean: 'boolean', Integer: 'integer', Decimal: 'decimal', String: 'string',
+  Date: 'date', DateTime: 'dateTime', Time: 'time', Quantity: 'Quantity', Code: 'Coding', Concept: 'CodeableConcept',
+  'Interval<Date>': 'Period', 'Interval<DateTime>': 'Period',
+};
+
+// Types of the Patient elements definitions commonly reach into
+const PATIENT_ELEMENTS = { id: 'id', gender: 'code', birthDate: 'date', active: 'boolean', deceased: 'boolean' };
+
+/** QICore profile url for a profile name used in retrieves */
+export function qicoreProfileUrl(name) {
+  return `${QICORE_PROFILE_BASE}qicore-${name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
 }
 
-const cqlContent = readFileSync(resolve(cqlPath), 'utf-8');
+/** Base resource type of a QICore profile name (ObservationClinicalResult → Observation) */
+function resourceTypeOf(name) {
+  return RESOURCE_TYPES.find(type => name.startsWith(type)) || name;
+}
 
-// Parse library name and version from first line
-// e.g., "library BreastCancerScreening version '0.0.1'"
-const libraryMatch = cqlContent.match(/^library\s+(\w+)\s+version\s+'([^']+)'/m);
-if (!libraryMatch) {
-  console.error('Could not parse library name and version from CQL');
-  process.exit(1);
+/** Remove // and /* *\/ comments, keeping string literals intact */
+function stripComments(cql) {
+  return cql.replace(/('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, literal) => literal ?? '');
 }
-const [, libraryName, libraryVersion] = libraryMatch;
-
-// Parse dependencies (include statements)
-// e.g., "include FHIRHelpers version '4.4.000' called FHIRHelpers"
-const includeRegex = /^include\s+(\w+)\s+version\s+'([^']+)'(?:\s+called\s+\w+)?/gm;
-const dependencies = [];
-let match;
-while ((match = includeRegex.exec(cqlContent)) !== null) {
-  dependencies.push({ name: match[1], version: match[2] });
+
+/** Expression with parenthesized groups and string literals blanked, to find top-level operators */
+function topLevel(expression) {
+  let text = expression.replace(/'(?:[^'\\]|\\.)*'/g, "''");
+  let previous;
+  // Collapse innermost groups to a placeholder, so "(f())" collapses too
+  do {
+    previous = text;
+    text = text.replace(/\([^()]*\)/g, '\0');
+  } while (text !== previous);
+  return text.replace(/\0/g, '()');
 }
 
-// Parse valueset references
-const valuesetRegex = /^valueset\s+"([^"]+)":\s+'([^']+)'/gm;
-const valuesets = [];
-while ((match = valuesetRegex.exec(cqlContent)) !== null) {
-  valuesets.push({ name: match[1], url: match[2] });
+/** Split the arguments of a call like Coalesce(a, b) at top-level commas */
+function callArguments(expression) {
+  const open = expression.indexOf('(');
+  const args = [];
+  let depth = 0;
+  let current = '';
+  for (const char of expression.slice(open + 1, expression.lastIndexOf(')'))) {
+    if (char === '(' || char === '[' || char === '{') depth++;
+    if (char === ')' || char === ']' || char === '}') depth--;
+    if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+    } else current += char;
+  }
+  if (current.trim()) args.push(current.trim());
+  return args;
 }
 
-// Base64 encode the CQL
-const cqlBase64 = Buffer.from(cqlContent, 'utf-8').toString('base64');
-
-// Build the Library resource
-const library = {
-  resourceType: 'Library',
-  id: libraryName,
-  url: `http://example.org/fhir/Library/${libraryName}`,
-  version: libraryVersion,
-  name: libraryName,
-  title: libraryName.replace(/([A-Z])/g, ' $1').trim(), // "BreastCancerScreening" -> "Breast Cancer Screening"
-  status: 'draft',
-  type: {
-    coding: [
+/**
+ * Infer the result type of a CQL expression as { type, list }, or null.
+ * Covers the expression shapes used by this repo's libraries; `known` maps
+ * already inferred definitions and parameters by name.
+ */
+export function inferType(expression, known = {}) {
+  let e = expression.trim();
+  // Drop parentheses that wrap the whole expression
+  while (e.startsWith('(') && topLevel(e) === '()') e = e.slice(1, -1).trim();
+  const top = topLevel(e);
+
+  const conditional = e.match(/^if\b[\s\S]*?\bthen\s+([\s\S]*?)\s+else\b/);
+  if (conditional) return inferType(conditional[1], known);
+  if (/^(exists|not)\b/.test(e) || /^(true|false)$/.test(e)) return { type: 'boolean', list: false };
+
+  // Status.cql's is* fluent functions filter a list, keeping its element type
+  const filter = e.match(/^([\s\S]+)\.is\w+\(\)$/);
+  if (filter) {
+    const source = inferType(filter[1], known);
+    return source?.list ? source : { type: 'boolean', list: false };
+  }
+
+  // Queries keep the type of their source unless they reshape it
+  const retrieve = e.match(/^\[\s*([A-Z]\w*)\s*(?::[^\]]*)?\](\s+[A-Za-z_]\w*\s+(where|sort|such|with|without)\b[\s\S]*)?$/);
+  if (retrieve && !/\breturn\b/.test(topLevel(e))) return { type: resourceTypeOf(retrieve[1]), list: true };
+
+  // A reference to another definition, possibly as a query source ("Defs D where ...")
+  const reference = e.match(/^("([^"]+)"|([A-Za-z_]\w*))(\s+[A-Za-z_]\w*\s+(where|sort|such|with|without)\b[\s\S]*)?$/);
+  if (reference && !/\breturn\b/.test(topLevel(e))) {
+    const type = known[reference[2] ?? reference[3]];
+    return type ? { ...type } : null;
+  }
+
+  // A union (intersect, except) of lists has the type of its first operand
+  if (/\s(union|intersect|except)\s/.test(top) && !/\breturn\b/.test(top)) {
+    let depth = 0;
+    for (let i = 0; i < e.length; i++) {
+      if ('([{'.includes(e[i])) depth++;
+      if (')]}'.includes(e[i])) depth--;
+      const operator = depth === 0 && e.slice(i).match(/^\s(union|intersect|except)\s/);
+      if (operator) return inferType(e.slice(0, i), known);
+    }
+  }
+
+  // A parenthesized expression as a query source ("(Defs.isX()) D where ...")
+  if (/^\(\)\s+[A-Za-z_]\w*\s+(where|sort|such|with|without)\b/.test(top) && !/\breturn\b/.test(top)) {
+    let depth = 0;
+    let end = 0;
+    do {
+      if (e[end] === '(') depth++;
+      if (e[end] === ')') depth--;
+      end++;
+    } while (depth > 0);
+    return inferType(e.slice(0, end), known);
+  }
+
+  if (/\s(and|or|xor|implies|in|contains|includes|during|after|before|same\s+\w+\s+as)\s|[<>]=?|!=|~|(?<![<>!])=/.test(top)) {
+    return { type: 'boolean', list: false };
+  }
+  if (/'\s*\+|\+\s*'/.test(top) || /^'/.test(e)) return { type: 'string', list: false };
+  if (/^-?\d+$/.test(e)) return { type: 'integer', list: false };
+  if (/^-?\d+\.\d+$/.test(e)) return { type: 'decimal', list: false };
+
+  if (/^Coalesce\s*\(/.test(e)) {
+    for (const arg of callArguments(e)) {
+      const type = inferType(arg, known);
+      if (type) return type;
+    }
+    return null;
+  }
+  if (/^(First|Last|singleton\s+from)\s*\(/.test(e)) {
+    const inner = inferType(callArguments(e)[0] || '', known);
+    return inner && { type: inner.type, list: false };
+  }
+  if (/^(AgeInYears|AgeInMonths|AgeInDays|CalculateAgeIn\w+|Count|Length)\w*\s*\(/.test(e)) return { type: 'integer', list: false };
+  if (/^Today\s*\(\)/.test(e)) return { type: 'date', list: false };
+  if (/^Now\s*\(\)/.test(e)) return { type: 'dateTime', list: false };
+  if (/^date\s+from\b/.test(e)) return { type: 'date', list: false };
+  if (/\.toInterval\(\)\.(low|high)$|\b(start|end)\s+of\b/.test(e)) return { type: 'dateTime', list: false };
+
+  const patient = e.match(/^Patient\.(\w+)$/);
+  if (patient) return PATIENT_ELEMENTS[patient[1]] ? { type: PATIENT_ELEMENTS[patient[1]], list: false } : null;
+
+  return null;
+}
+
+/**
+ * Expression definitions (not functions) of a CQL source, in order:
+ * [{ name, expression }]
+ */
+function parseDefinitions(cql) {
+  const source = stripComments(cql);
+  const pattern = /^define\s+(?:(?:public|private)\s+)?(?:(fluent\s+)?function\s+)?("([^"]+)"|(\w+))([^:]*):/gm;
+  const starts = [...source.matchAll(pattern)];
+  return starts
+    .map((match, i) => ({
+      isFunction: /function/.test(match[0].split(':')[0].split(/"|\(/)[0]),
+      name: match[3] ?? match[4],
+      expression: source.slice(match.index + match[0].length, starts[i + 1]?.index ?? source.length).trim(),
+    }))
+    .filter(definition => !definition.isFunction)
+    .map(({ name, expression }) => ({ name, expression }));
+}
+
+/**
+ * Parse the library header, includes, valueset and parameter declarations,
+ * retrieves and expression definitions of a CQL source. Returns
+ * { name, version, includes: [{ name, version }], valueSets: [{ name, url }],
+ *   parameters: [{ name, type }], retrieves: [{ profile, resourceType, profileUrl, valueSet }],
+ *   definitions: [{ name, expression }] }.
+ */
+export function parseCql(cqlContent) {
+  // e.g., "library BreastCancerScreening version '0.0.1'"
+  const libraryMatch = cqlContent.match(/^library\s+(\w+)\s+version\s+'([^']+)'/m);
+  if (!libraryMatch) {
+    throw new Error('Could not parse library name and version from CQL');
+  }
+  const [, name, version] = libraryMatch;
+
+  // e.g., "include FHIRHelpers version '4.4.000' called FHIRHelpers"
+  const includes = [...cqlContent.matchAll(/^include\s+(\w+)\s+version\s+'([^']+)'(?:\s+called\s+\w+)?/gm)]
+    .map(match => ({ name: match[1], version: match[2] }));
+
+  const valueSets = [...cqlContent.matchAll(/^valueset\s+"([^"]+)":\s+'([^']+)'/gm)]
+    .map(match => ({ name: match[1], url: match[2] }));
+
+  // e.g., parameter "AsOf" Date, parameter "Measurement Period" Interval<DateTime>
+  const parameters = [...cqlContent.matchAll(/^parameter\s+(?:"([^"]+)"|(\w+))\s+(\w+(?:\s*<\s*\w+\s*>)?)/gm)]
+    .map(match => ({ name: match[1] ?? match[2], type: match[3].replace(/\s+/g, '') }));
+
+  // e.g., [ObservationClinicalResult: "Mammography"]
+  const retrieves = [...stripComments(cqlContent).matchAll(/\[\s*([A-Z]\w*)\s*(?::\s*"([^"]+)")?\s*\]/g)]
+    .map(match => ({
+      profile: match[1],
+      resourceType: resourceTypeOf(match[1]),
+      profileUrl: qicoreProfileUrl(match[1]),
+      valueSet: match[2] || null,
+    }));
+
+  return { name, version, includes, valueSets, parameters, retrieves, definitions: parseDefinitions(cqlContent) };
+}
+
+/**
+ * Library.parameter entries: the CQL parameters as `in` and every expression
+ * definition as `out`, with inferred types. Definitions whose type cannot be
+ * inferred are reported in `untyped` and typed as string.
+ */
+export function libraryParameters(parsed) {
+  const known = {};
+  const parameters = parsed.parameters.map(({ name, type }) => {
+    known[name] = { type: CQL_TYPES[type] || type, list: false };
+    return { name, use: 'in', min: 0, max: '1', type: known[name].type };
+  });
+
+  const untyped = [];
+  for (const { name, expression } of parsed.definitions) {
+    let inferred = inferType(expression, known);
+    if (!inferred) {
+      untyped.push(name);
+      inferred = { type: 'string', list: false };
+    }
+    known[name] = inferred;
+    parameters.push({ name, use: 'out', min: 0, max: inferred.list ? '*' : '1', type: inferred.type });
+  }
+  return { parameters, untyped };
+}
+
+/**
+ * Library.dataRequirement entries: the context Patient plus one per distinct
+ * retrieve, with the profile and a valueset code filter
+ */
+export function dataRequirements(parsed) {
+  const requirements = [];
+  const seen = new Set();
+  const add = (requirement, key) => {
+    if (seen.has(key)) return;
+    seen.add(key);
+    requirements.push(requirement);
+  };
+
+  if (parsed.definitions.length) {
+    add({ type: 'Patient', profile: [qicoreProfileUrl('Patient')] }, 'Patient');
+  }
+  for (const retrieve of parsed.retrieves) {
+    const valueSet = retrieve.valueSet && parsed.valueSets.find(vs => vs.name === retrieve.valueSet);
+    add({
+      type: retrieve.resourceType,
+      profile: [retrieve.profileUrl],
+      ...(valueSet ? { codeFilter: [{ path: 'code', valueSet: valueSet.url }] } : {}),
+    }, `${retrieve.profileUrl}|${valueSet?.url || ''}`);
+  }
+  return requirements;
+}
+
+/**
+ * Build the Library resource for a CQL source
+ */
+export function buildLibrary(cqlContent, options = {}) {
+  const parsed = parseCql(cqlContent);
+  const { name, version, includes, valueSets } = parsed;
+  const { parameters } = libraryParameters(parsed);
+  const requirements = dataRequirements(parsed);
+  return {
+    resourceType: 'Library',
+    id: name,
+    url: `${LIBRARY_BASE_URL}/${name}`,
+    version,
+    name,
+    title: name.replace(/([A-Z])/g, ' $1').trim(), // "BreastCancerScreening" -> "Breast Cancer Screening"
+    status: 'draft',
+    type: {
+      coding: [
+        {
+          system: 'http://terminology.hl7.org/CodeSystem/library-type',
+          code: 'logic-library',
+          display: 'Logic Library'
+        }
+      ]
+    },
+    date: options.date || new Date().toISOString().split('T')[0],
+    description: `CQL Library for ${name}`,
+    relatedArtifact: [
+      ...includes.map(dep => ({
+        type: 'depends-on',
+        display: dep.name,
+        resource: `${LIBRARY_BASE_URL}/${dep.name}|${dep.version}`
+      })),
+      ...valueSets.map(vs => ({
+        type: 'depends-on',
+        display: vs.name,
+        resource: vs.url
+      }))
+    ],
+    ...(parameters.length ? { parameter: parameters } : {}),
+    ...(requirements.length ? { dataRequirement: requirements } : {}),
+    content: [
       {
-        system: 'http://terminology.hl7.org/CodeSystem/library-type',
-        code: 'logic-library',
-        display: 'Logic Library'
+        contentType: 'text/cql',
+        data: Buffer.from(cqlContent, 'utf-8').toString('base64')
       }
     ]
-  },
-  date: new Date().toISOString().split('T')[0],
-  description: `CQL Library for ${libraryName}`,
-  relatedArtifact: [
-    ...dependencies.map(dep => ({
-      type: 'depends-on',
-      display: dep.name,
-      resource: `http://fhir.org/guides/cqf/common/Library/${dep.name}|${dep.version}`
-    })),
-    ...valuesets.map(vs => ({
-      type: 'depends-on',
-      display: vs.name,
-      resource: vs.url
-    }))
-  ],
-  content: [
-    {
-      contentType: 'text/cql',
-      data: cqlBase64
+  };
+}
+
+/**
+ * Resolve the include graph of a CQL file from the .cql files in its
+ * directory. Returns the libraries with dependencies before their dependents:
+ * [{ path, cql, name, version, includes, valueSets }]. Throws on a missing
+ * library, a version mismatch or an include cycle.
+ */
+export function resolveIncludeGraph(rootPath) {
+  const cqlDir = dirname(resolve(rootPath));
+  const ordered = [];
+  const done = new Map();
+
+  const visit = (path, chain, expected) => {
+    const cql = readFileSync(path, 'utf-8');
+    const parsed = parseCql(cql);
+    if (expected && parsed.version !== expected.version) {
+      throw new Error(`${expected.by} includes ${parsed.name} version '${expected.version}', but ${path} is version '${parsed.version}'`);
     }
-  ]
-};
+    if (chain.includes(parsed.name)) {
+      throw new Error(`Circular include: ${[...chain, parsed.name].join(' → ')}`);
+    }
+    if (done.has(parsed.name)) return;
+
+    for (const include of parsed.includes) {
+      const includePath = join(cqlDir, `${include.name}.cql`);
+      if (!existsSync(includePath)) {
+        throw new Error(`${parsed.name} includes ${include.name} version '${include.version}', but ${includePath} does not exist`);
+      }
+      visit(includePath, [...chain, parsed.name], { ...include, by: parsed.name });
+    }
+
+    const library = { path, cql, ...parsed };
+    done.set(parsed.name, library);
+    ordered.push(library);
+  };
 
-// Output
-const outputPath = resolve(dirname(cqlPath), '..', 'resources', 'library', `Library-${libraryName}.json`);
-const outputDir = dirname(outputPath);
+  visit(resolve(rootPath), []);
+  return ordered;
+}
 
-// Create output directory if needed
-import { mkdirSync } from 'fs';
-try {
-  mkdirSync(outputDir, { recursive: true });
-} catch (e) {
-  // ignore if exists
+/**
+ * ValueSet resources for every valueset the libraries declare. Returns
+ * { valueSets, missing } where missing lists the declarations with no local
+ * file: [{ library, name, url }].
+ */
+export function collectValueSets(libraries, dir = valueSetDir) {
+  const local = loadValueSets(dir);
+  const valueSets = [];
+  const missing = [];
+  const seen = new Set();
+  for (const library of libraries) {
+    for (const { name, url } of library.valueSets) {
+      const canonical = url.split('|')[0];
+      if (seen.has(canonical)) continue;
+      seen.add(canonical);
+      if (local.has(canonical)) valueSets.push(JSON.parse(readFileSync(local.get(canonical).file, 'utf-8')));
+      else missing.push({ library: library.name, name, url });
+    }
+  }
+  return { valueSets, missing };
+}
+
+/**
+ * Build the Libraries of the include graph plus their ValueSets, and a
+ * transaction Bundle that PUTs them (ValueSets, then Libraries in dependency
+ * order). Returns { libraries, valueSets, bundle, warnings }; warnings cover
+ * valuesets with no local file and definitions whose type was not inferred.
+ */
+export function buildLibraryPackage(rootPath, options = {}) {
+  const graph = resolveIncludeGraph(rootPath);
+  const libraries = graph.map(library => buildLibrary(library.cql, options));
+  const { valueSets, missing } = collectValueSets(graph, options.valueSetDir);
+  const warnings = [
+    ...missing.map(({ library, name, url }) => `${library}: valueset "${name}" (${url}) has no local file under input/resources/vocabulary`),
+    ...graph.flatMap(library => libraryParameters(library).untyped
+      .map(name => `${library.name}: could not infer the type of "${name}"; declared as string`)),
+  ];
+  const bundle = {
+    resourceType: 'Bundle',
+    type: 'transaction',
+    entry: [...valueSets, ...libraries].map(resource => ({
+      fullUrl: resource.url,
+      resource,
+      request: { method: 'PUT', url: `${resource.resourceType}/${resource.id}` },
+    })),
+  };
+  return { libraries, valueSets, bundle, warnings };
 }
 
-writeFileSync(outputPath, JSON.stringify(library, null, 2));
-console.log(`Generated: ${outputPath}`);
-console.log(`  Library: ${libraryName} v${libraryVersion}`);
-console.log(`  Dependencies: ${dependencies.map(d => d.name).join(', ') || 'none'}`);
-console.log(`  Valuesets: ${valuesets.map(v => v.name).join(', ') || 'none'}`);
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  let cqlPath = null;
+  let bundlePath;
+  let writeBundle = true;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--bundle') bundlePath = args[++i];
+    else if (args[i] === '--no-bundle') writeBundle = false;
+    else cqlPath = args[i];
+  }
+
+  if (!cqlPath) {
+    console.error('Usage: node src/generate-library.js <cql-file> [--bundle <file>] [--no-bundle]');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = buildLibraryPackage(cqlPath);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const libraryDir = resolve(dirname(resolve(cqlPath)), '..', 'resources', 'library');
+  mkdirSync(libraryDir, { recursive: true });
+
+  for (const library of result.libraries) {
+    const outputPath = join(libraryDir, `Library-${library.name}.json`);
+    writeFileSync(outputPath, JSON.stringify(library, null, 2));
+    const dependencies = library.relatedArtifact.filter(a => a.resource.startsWith(LIBRARY_BASE_URL)).map(a => a.display);
+    const valueSets = library.relatedArtifact.filter(a => !a.resource.startsWith(LIBRARY_BASE_URL)).map(a => a.display);
+    console.log(`Generated: ${outputPath}`);
+    console.log(`  Library: ${library.name} v${library.version}`);
+    console.log(`  Dependencies: ${dependencies.join(', ') || 'none'}`);
+    console.log(`  Valuesets: ${valueSets.join(', ') || 'none'}`);
+    if (library.parameter) {
+      console.log(`  Parameters: ${library.parameter.map(p => `${p.name} (${p.use} ${p.type}${p.max === '*' ? '[]' : ''})`).join(', ')}`);
+    }
+    if (library.dataRequirement) {
+      console.log(`  Data requirements: ${library.dataRequirement.map(r => `${r.type}${r.codeFilter ? ` in ${r.codeFilter[0].valueSet.split('/').pop()}` : ''}`).join(', ')}`);
+    }
+  }
+
+  for (const warning of result.warnings) console.warn(`⚠ ${warning}`);
+
+  if (writeBundle) {
+    const root = result.libraries[result.libraries.length - 1];
+    const outputPath = resolve(bundlePath || join('dist', `${root.name}-bundle.json`));
+    mkdirSync(dirname(outputPath), { recursive: true });
+    writeFileSync(outputPath, JSON.stringify(result.bundle, null, 2));
+    console.log(`\nBundle: ${outputPath}`);
+    console.log(`  ${result.libraries.length} Library, ${result.valueSets.length} ValueSet resource(s) in one transaction`);
+  }
+}
@@ -0,0 +1,136 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseCql, buildLibrary, resolveIncludeGraph, buildLibraryPackage, inferType } from './generate-library.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const cqlPath = resolve(__dirname, '../input/cql/BreastCancerScreening.cql');
+
+let dir;
+function cqlDir(files) {
+  dir = mkdtempSync(join(tmpdir(), 'cql-'));
+  for (const [name, source] of Object.entries(files)) writeFileSync(join(dir, `${name}.cql`), source);
+  return dir;
+}
+
+afterEach(() => {
+  if (dir) rmSync(dir, { recursive: true, force: true });
+  dir = null;
+});
+
+describe('generate-library', () => {
+  it('parses the library header, includes and valuesets', () => {
+    const parsed = parseCql([
+      "library Demo version '1.0.0'",
+      "include FHIRHelpers version '4.4.000' called FHIRHelpers",
+      "// include FHIRCommon version '4.0.1' called FC",
+      "valueset \"Mammography\": 'http://example.org/ValueSet/mammo'",
+    ].join('\n'));
+    expect(parsed).toMatchObject({
+      name: 'Demo',
+      version: '1.0.0',
+      includes: [{ name: 'FHIRHelpers', version: '4.4.000' }],
+      valueSets: [{ name: 'Mammography', url: 'http://example.org/ValueSet/mammo' }],
+    });
+  });
+
+  it('infers the result types of definitions', () => {
+    const known = { QualifyingMammograms: { type: 'Observation', list: true }, MostRecent: { type: 'Observation', list: false } };
+    expect(inferType('[ObservationClinicalResult: "Mammography"] M where M.status = \'final\'')).toEqual({ type: 'Observation', list: true });
+    expect(inferType('([ObservationClinicalResult: "Mammography"]).isDiagnosticStudyPerformed()')).toEqual({ type: 'Observation', list: true });
+    expect(inferType('(([ObservationClinicalResult: "Mammography"]).isDiagnosticStudyPerformed()) M where M.effective.toInterval().low on or before day of Today()'))
+      .toEqual({ type: 'Observation', list: true });
+    expect(inferType('([ConditionProblemsHealthConcerns: "A"] union [ConditionProblemsHealthConcerns: "B"]) C where C.isActive()'))
+      .toEqual({ type: 'Condition', list: true });
+    expect(inferType('(Defs D where D.isActive()) union Others', { Defs: { type: 'Condition', list: true } }))
+      .toEqual({ type: 'Condition', list: true });
+    expect(inferType('Last(QualifyingMammograms M sort by effective.toInterval().low)', known)).toEqual({ type: 'Observation', list: false });
+    expect(inferType('MostRecent.effective.toInterval().low', known)).toEqual({ type: 'dateTime', list: false });
+    expect(inferType('Coalesce(MostRecent.issued after Today() - 2 years, false)', known)).toEqual({ type: 'boolean', list: false });
+    expect(inferType("Patient.name[0].given[0] + ' ' + Patient.name[0].family")).toEqual({ type: 'string', list: false });
+    expect(inferType('AgeInYears()')).toEqual({ type: 'integer', list: false });
+    expect(inferType('date from end of "Measurement Period"')).toEqual({ type: 'date', list: false });
+    expect(inferType('Patient.gender')).toEqual({ type: 'code', list: false });
+    expect(inferType('SomethingUnknown(1)')).toBeNull();
+  });
+
+  it('lists parameters and data requirements derived from the CQL', () => {
+    const library = buildLibrary([
+      "library Demo version '1'",
+      "valueset \"Mammography\": 'http://example.org/ValueSet/mammo'",
+      'parameter "AsOf" Date',
+      'parameter "Measurement Period" Interval<DateTime>',
+      'context Patient',
+      'define "Evaluation Date": Coalesce("AsOf", date from end of "Measurement Period", Today())',
+      'define Mammograms:',
+      '  [ObservationClinicalResult: "Mammography"] M // latest first',
+      '    sort by effective.toInterval().low',
+      'define HasMammogram: exists Mammograms',
+      'define function Twice(value Integer): value * 2',
+    ].join('\n'));
+    expect(library.parameter).toEqual([
+      { name: 'AsOf', use: 'in', min: 0, max: '1', type: 'date' },
+      { name: 'Measurement Period', use: 'in', min: 0, max: '1', type: 'Period' },
+      { name: 'Evaluation Date', use: 'out', min: 0, max: '1', type: 'date' },
+      { name: 'Mammograms', use: 'out', min: 0, max: '*', type: 'Observation' },
+      { name: 'HasMammogram', use: 'out', min: 0, max: '1', type: 'boolean' },
+    ]);
+    expect(library.dataRequirement).toEqual([
+      { type: 'Patient', profile: ['http://hl7.org/fhir/us/qicore/StructureDefinition/qicore-patient'] },
+      {
+        type: 'Observation',
+        profile: ['http://hl7.org/fhir/us/qicore/StructureDefinition/qicore-observation-clinical-result'],
+        codeFilter: [{ path: 'code', valueSet: 'http://example.org/ValueSet/mammo' }],
+      },
+    ]);
+  });
+
+  it('warns about valuesets without a local file instead of failing', () => {
+    const root = cqlDir({ Root: "library Root version '1'\nvalueset \"Gone\": 'http://example.org/ValueSet/gone'\ncontext Patient\ndefine X: Foo()" });
+    const { valueSets, warnings } = buildLibraryPackage(join(root, 'Root.cql'));
+    expect(valueSets).toEqual([]);
+    expect(warnings).toEqual([
+      'Root: valueset "Gone" (http://example.org/ValueSet/gone) has no local file under input/resources/vocabulary',
+      'Root: could not infer the type of "X"; declared as string',
+    ]);
+  });
+
+  it('points relatedArtifacts at the packaged dependency Libraries', () => {
+    const library = buildLibrary("library Demo version '1'\ninclude Status version '1.13.000'\n", { date: '2025-12-26' });
+    expect(library.relatedArtifact).toEqual([
+      { type: 'depends-on', display: 'Status', resource: 'http://example.org/fhir/Library/Status|1.13.000' },
+    ]);
+    expect(library.date).toBe('2025-12-26');
+  });
+
+  it('orders the include graph dependencies first', () => {
+    expect(resolveIncludeGraph(cqlPath).map(library => library.name))
+      .toEqual(['FHIRHelpers', 'QICoreCommon', 'Status', 'BreastCancerScreening']);
+  });
+
+  it('rejects missing libraries, version mismatches and cycles', () => {
+    const missing = cqlDir({ Root: "library Root version '1'\ninclude Gone version '2'" });
+    expect(() => resolveIncludeGraph(join(missing, 'Root.cql'))).toThrow(/Root includes Gone version '2', but .*Gone\.cql does not exist/);
+    rmSync(missing, { recursive: true });
+
+    const mismatch = cqlDir({ Root: "library Root version '1'\ninclude Lib version '2'", Lib: "library Lib version '3'" });
+    expect(() => resolveIncludeGraph(join(mismatch, 'Root.cql'))).toThrow("Root includes Lib version '2', but");
+    rmSync(mismatch, { recursive: true });
+
+    const cycle = cqlDir({ A: "library A version '1'\ninclude B version '1'", B: "library B version '1'\ninclude A version '1'" });
+    expect(() => resolveIncludeGraph(join(cycle, 'A.cql'))).toThrow('Circular include: A → B → A');
+  });
+
+  it('packages Libraries and their ValueSets as a transaction Bundle', () => {
+    const { libraries, valueSets, bundle } = buildLibraryPackage(cqlPath, { date: '2025-12-26' });
+    expect(libraries).toHaveLength(4);
+    expect(valueSets.map(vs => vs.url)).toContain('http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.108.12.1018');
+    expect(bundle.type).toBe('transaction');
+    expect(bundle.entry.map(e => e.request.url).slice(-4)).toEqual([
+      'Library/FHIRHelpers', 'Library/QICoreCommon', 'Library/Status', 'Library/BreastCancerScreening',
+    ]);
+    expect(bundle.entry.every(e => e.request.method === 'PUT')).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Generates Measure/BreastCancerScreeningCDS, a CMS125-style proportion
+ * measure over the BreastCancerScreening Library: the share of women 40-74
+ * with a mammogram in the two years before the end of the measurement period,
+ * computed from the same defines the CDS uses. reference/cms125's Group of
+ * test patients names this Measure by its canonical url.
+ *
+ * Each population's criteria is a CQL identifier that must be a single boolean
+ * output parameter of the Library (see generate-library.js). $evaluate-measure
+ * is implemented in measure-evaluate.js.
+ *
+ * Usage: node src/generate-measure.js
+ *        node src/generate-measure.js --library input/resources/library/Library-BreastCancerScreening.json
+ *
+ * Output: input/resources/measure/Measure-<id>.json
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { canonical } from './generate-plandefinition.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const resourcesDir = resolve(__dirname, '../input/resources');
+const defaultLibraryPath = join(resourcesDir, 'library/Library-BreastCancerScreening.json');
+
+/** Canonical url of the Measure, as reference/cms125's Group tests it */
+export const MEASURE_URL = 'http://ecqi.healthit.gov/ecqms/Measure/BreastCancerScreeningCDS';
+
+export const MEASURE_POPULATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/measure-population';
+
+/** Proportion measure populations, in report order, and the Library defines that compute them */
+export const MEASURE_POPULATIONS = [
+  { code: 'initial-population', display: 'Initial Population', define: 'Initial Population' },
+  { code: 'denominator', display: 'Denominator', define: 'Denominator' },
+  { code: 'denominator-exclusion', display: 'Denominator Exclusion', define: 'Denominator Exclusion' },
+  { code: 'numerator', display: 'Numerator', define: 'Numerator' },
+];
+
+/** Proportion Measure whose populations are boolean defines of `library`. Options: date. */
+export function buildMeasure(library, options = {}) {
+  for (const { define } of MEASURE_POPULATIONS) {
+    const output = (library.parameter || []).find(p => p.name === define && p.use === 'out');
+    if (!output) throw new Error(`Library ${library.name} has no output "${define}" to use as population criteria`);
+    if (output.type !== 'boolean' || output.max !== '1') {
+      throw new Error(`Population criteria "${define}" must be a single boolean, but Library ${library.name} declares ${output.type}${output.max === '*' ? '[]' : ''}`);
+    }
+  }
+
+  const id = 'BreastCancerScreeningCDS';
+  return {
+    resourceType: 'Measure',
+    id,
+    url: MEASURE_URL,
+    version: library.version,
+    name: id,
+    title: 'Breast Cancer Screening (CDS logic)',
+    status: 'draft',
+    experimental: true,
+    date: options.date || new Date().toISOString().split('T')[0],
+    description: 'Percentage of women 40-74 years of age who had a mammogram in the two years before the end of the measurement period, using the same logic as the screening recommendation',
+    library: [canonical(library)],
+    scoring: {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/measure-scoring', code: 'proportion', display: 'Proportion' }],
+    },
+    type: [{
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/measure-type', code: 'process', display: 'Process' }],
+    }],
+    improvementNotation: {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/measure-improvement-notation', code: 'increase', display: 'Increased score indicates improvement' }],
+    },
+    group: [{
+      id: 'group-1',
+      population: MEASURE_POPULATIONS.map(({ code, display, define }) => ({
+        id: code,
+        code: { coding: [{ system: MEASURE_POPULATION_SYSTEM, code, display }] },
+        criteria: { language: 'text/cql-identifier', expression: define },
+      })),
+    }],
+  };
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  let libraryPath = defaultLibraryPath;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--library') libraryPath = args[++i];
+    else {
+      console.error(`Unknown option: ${args[i]}`);
+      console.error('Usage: node src/generate-measure.js [--library <Library json>]');
+      process.exit(1);
+    }
+  }
+
+  let measure;
+  try {
+    measure = buildMeasure(JSON.parse(readFileSync(libraryPath, 'utf-8')));
+  } catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  }
+
+  const dir = join(resourcesDir, 'measure');
+  mkdirSync(dir, { recursive: true });
+  const path = join(dir, `Measure-${measure.id}.json`);
+  writeFileSync(path, JSON.stringify(measure, null, 2));
+  console.log(`✓ Measure/${measure.id} → ${path}`);
+}
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Generates the knowledge artifacts that turn the BreastCancerScreening
+ * Library into an actionable recommendation:
+ *
+ *   - ActivityDefinition/ScreeningMammogramOrder: a proposed screening
+ *     mammogram ServiceRequest (its code is checked against the "Mammography"
+ *     ValueSet the CQL retrieves)
+ *   - PlanDefinition/BreastCancerScreeningRecommendation: an ECA rule on
+ *     patient-view whose single action applies when RecommendMammogram is
+ *     true and is defined by the ActivityDefinition
+ *
+ * The applicability condition must be a boolean output parameter of the
+ * Library (see generate-library.js). $apply is implemented in plan-apply.js.
+ *
+ * Usage: node src/generate-plandefinition.js
+ *        node src/generate-plandefinition.js --library input/resources/library/Library-BreastCancerScreening.json
+ *
+ * Output: input/resources/plandefinition/PlanDefinition-<id>.json and
+ *         input/resources/activitydefinition/ActivityDefinition-<id>.json
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { findValueSet, validateCode } from './terminology.js';
+import { readValueSetDeclarations } from './fhir-extractor.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const resourcesDir = resolve(__dirname, '../input/resources');
+const defaultLibraryPath = join(resourcesDir, 'library/Library-BreastCancerScreening.json');
+const BASE_URL = 'http://example.org/fhir';
+
+/** The screening mammogram the ActivityDefinition orders, and the ValueSet it must be in */
+const MAMMOGRAM_ORDER = { system: 'http://loinc.org', code: '24606-6', valueSet: 'Mammography' };
+
+/** Action id of the mammogram order, as listed in a test case's expectedActions */
+export const SCREENING_ACTION_ID = 'order-screening-mammogram';
+
+/** Canonical reference (url|version) to a resource */
+export function canonical(resource) {
+  return resource.version ? `${resource.url}|${resource.version}` : resource.url;
+}
+
+/**
+ * ActivityDefinition proposing a routine screening mammogram ServiceRequest.
+ * Options: version, date, cqlPath (whose valueset declarations name the
+ * Mammography ValueSet).
+ */
+export function buildActivityDefinition(options = {}) {
+  const valueSet = findValueSet(MAMMOGRAM_ORDER.valueSet, { declarations: readValueSetDeclarations(options.cqlPath) });
+  if (!valueSet) throw new Error(`No local ValueSet "${MAMMOGRAM_ORDER.valueSet}" to check the order code against`);
+  const check = validateCode(valueSet, MAMMOGRAM_ORDER);
+  if (!check.result) throw new Error(check.message);
+
+  const id = 'ScreeningMammogramOrder';
+  return {
+    resourceType: 'ActivityDefinition',
+    id,
+    url: `${BASE_URL}/ActivityDefinition/${id}`,
+    version: options.version || '0.0.1',
+    name: id,
+    title: 'Screening Mammogram Order',
+    status: 'draft',
+    experimental: true,
+    date: options.date || new Date().toISOString().split('T')[0],
+    description: 'Proposes a routine bilateral screening mammogram for the patient',
+    kind: 'ServiceRequest',
+    profile: 'http://hl7.org/fhir/us/qicore/StructureDefinition/qicore-servicerequest',
+    code: {
+      coding: [{ system: MAMMOGRAM_ORDER.system, code: MAMMOGRAM_ORDER.code, display: check.display }],
+      text: 'Screening mammogram',
+    },
+    intent: 'proposal',
+    priority: 'routine',
+    doNotPerform: false,
+  };
+}
+
+/**
+ * ECA-rule PlanDefinition wrapping a Library: on patient-view, propose the
+ * ActivityDefinition when `condition` (a boolean output of the Library,
+ * default RecommendMammogram) is true
+ */
+export function buildPlanDefinition(library, activityDefinition, options = {}) {
+  const condition = options.condition || 'RecommendMammogram';
+  const output = (library.parameter || []).find(p => p.name === condition && p.use === 'out');
+  if (!output) throw new Error(`Library ${library.name} has no output "${condition}" to use as the applicability condition`);
+  if (output.type !== 'boolean' || output.max !== '1') {
+    throw new Error(`Applicability condition "${condition}" must be a single boolean, but Library ${library.name} declares ${output.type}${output.max === '*' ? '[]' : ''}`);
+  }
+
+  const id = `${library.name}Recommendation`;
+  return {
+    resourceType: 'PlanDefinition',
+    id,
+    url: `${BASE_URL}/PlanDefinition/${id}`,
+    version: library.version,
+    name: id,
+    title: `${library.title || library.name} Recommendation`,
+    type: {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/plan-definition-type', code: 'eca-rule', display: 'ECA Rule' }],
+    },
+    status: 'draft',
+    experimental: true,
+    date: options.date || new Date().toISOString().split('T')[0],
+    description: `Recommends a screening mammogram when ${library.name}.${condition} is true`,
+    library: [canonical(library)],
+    action: [{
+      id: SCREENING_ACTION_ID,
+      title: 'Order a screening mammogram',
+      description: 'The patient is due for breast cancer screening: no mammogram in the last two years, no bilateral mastectomy and no breast cancer diagnosis.',
+      trigger: [{ type: 'named-event', name: 'patient-view' }],
+      condition: [{
+        kind: 'applicability',
+        expression: { language: 'text/cql-identifier', expression: condition },
+      }],
+      definitionCanonical: canonical(activityDefinition),
+    }],
+  };
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  let libraryPath = defaultLibraryPath;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--library') libraryPath = args[++i];
+    else {
+      console.error(`Unknown option: ${args[i]}`);
+      console.error('Usage: node src/generate-plandefinition.js [--library <Library json>]');
+      process.exit(1);
+    }
+  }
+
+  let artifacts;
+  try {
+    const library = JSON.parse(readFileSync(libraryPath, 'utf-8'));
+    const activityDefinition = buildActivityDefinition();
+    artifacts = [activityDefinition, buildPlanDefinition(library, activityDefinition)];
+  } catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  }
+
+  for (const resource of artifacts) {
+    const dir = join(resourcesDir, resource.resourceType.toLowerCase());
+    mkdirSync(dir, { recursive: true });
+    const path = join(dir, `${resource.resourceType}-${resource.id}.json`);
+    writeFileSync(path, JSON.stringify(resource, null, 2));
+    console.log(`✓ ${resource.resourceType}/${resource.id} → ${path}`);
+  }
+}
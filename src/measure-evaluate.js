@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * Measure/$evaluate-measure in JavaScript for the breast cancer screening
+ * proportion Measure (see generate-measure.js).
+ *
+ * Each subject's Library defines are computed in-process by fhir-extractor.js
+ * with the measurement period as the CQL "Measurement Period", so the logic is
+ * evaluated as of the period's end. A subject is in the denominator only if it
+ * is in the initial population, in the denominator exclusion only if it is in
+ * the denominator, and in the numerator only if it is in the denominator and
+ * not excluded. Individual MeasureReports are summed into a summary (or
+ * subject-list) MeasureReport scored numerator / (denominator - exclusions).
+ *
+ * The sources (case ids, case directories or Bundles) are pooled; every
+ * Patient in them is a subject, or with --group only the Group's members.
+ *
+ * Usage: node src/measure-evaluate.js reference/cms125/tests-*-bundle.json \
+ *          --group reference/cms125/Group-BreastCancerScreeningCDS.json \
+ *          --period-start 2023-01-01 --period-end 2024-01-01
+ *        node src/measure-evaluate.js bcs-recommend-57yo-female \
+ *          --period-start 2025-01-01 --period-end 2025-12-31 --report-type individual --json
+ *
+ * Options:
+ *   --period-start <date>   Start of the measurement period (required)
+ *   --period-end <date>     End of the measurement period, the evaluation date (required)
+ *   --group <file>          Group whose members are the subjects, e.g. reference/cms125's
+ *   --report-type <type>    summary (default), subject-list or individual
+ *   --json                  Print the MeasureReport(s) instead of the population counts
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { extractScreeningFacts, loadResources, compareDates, toDateString } from './fhir-extractor.js';
+import { canonical } from './generate-plandefinition.js';
+import { MEASURE_POPULATIONS, MEASURE_POPULATION_SYSTEM } from './generate-measure.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const defaultMeasurePath = resolve(__dirname, '../input/resources/measure/Measure-BreastCancerScreeningCDS.json');
+const SUPPORTED_LIBRARY = 'BreastCancerScreening';
+const CQL_IDENTIFIER = ['text/cql-identifier', 'text/cql.identifier'];
+
+/** MeasureReport types, and the R4 $evaluate-measure reportType that asks for each */
+export const REPORT_TYPES = { individual: 'subject', 'subject-list': 'subject-list', summary: 'population' };
+
+/** Patient ids of a Group's active members */
+export function groupMembers(group) {
+  return (group.member || [])
+    .filter(member => !member.inactive)
+    .map(member => member.entity?.reference || '')
+    .filter(reference => reference.startsWith('Patient/'))
+    .map(reference => reference.slice('Patient/'.length));
+}
+
+/** The measurement period { start, end } of periodStart/periodEnd options */
+export function measurementPeriod({ periodStart, periodEnd }) {
+  if (!periodStart || !periodEnd) throw new Error('The measurement period needs both periodStart and periodEnd');
+  for (const value of [periodStart, periodEnd]) {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value)) throw new Error(`Invalid period boundary: ${value} (expected YYYY-MM-DD)`);
+  }
+  if (compareDates(periodStart, periodEnd) > 0) throw new Error(`periodStart ${periodStart} is after periodEnd ${periodEnd}`);
+  return { start: periodStart, end: periodEnd };
+}
+
+/**
+ * The populations of a proportion Measure over the screening Library:
+ * [{ code, display, define }] in MEASURE_POPULATIONS order
+ */
+export function measurePopulations(measure) {
+  const libraries = measure.library || [];
+  if (!libraries.some(reference => reference.split('|')[0].endsWith(`/Library/${SUPPORTED_LIBRARY}`))) {
+    throw new Error(`$evaluate-measure is only implemented for Measures over ${SUPPORTED_LIBRARY}, not ${libraries.join(', ') || 'no library'}`);
+  }
+  const scoring = measure.scoring?.coding?.[0]?.code;
+  if (scoring !== 'proportion') throw new Error(`Measure ${measure.id}: scoring ${scoring} is not supported (only proportion)`);
+  if ((measure.group || []).length !== 1) throw new Error(`Measure ${measure.id} must have exactly one group`);
+
+  const populations = measure.group[0].population || [];
+  return MEASURE_POPULATIONS.map(({ code, display }) => {
+    const population = populations.find(p => p.code?.coding?.some(c => c.code === code));
+    if (!population) throw new Error(`Measure ${measure.id} has no ${code} population`);
+    const { language, expression } = population.criteria || {};
+    if (!CQL_IDENTIFIER.includes(language)) {
+      throw new Error(`Measure ${measure.id}: ${code} criteria language ${language} is not supported (use text/cql-identifier)`);
+    }
+    return { code, display, define: expression };
+  });
+}
+
+/** Membership of each population for one subject's facts, with the proportion dependencies applied */
+function membership(populations, facts) {
+  const is = (code) => {
+    const { define } = populations.find(p => p.code === code);
+    if (!(define in facts)) throw new Error(`Population criteria "${define}" is not a define of ${SUPPORTED_LIBRARY}`);
+    return facts[define] === true;
+  };
+  const initialPopulation = is('initial-population');
+  const denominator = initialPopulation && is('denominator');
+  const exclusion = denominator && is('denominator-exclusion');
+  return {
+    'initial-population': initialPopulation,
+    denominator,
+    'denominator-exclusion': exclusion,
+    numerator: denominator && !exclusion && is('numerator'),
+  };
+}
+
+/** numerator / (denominator - exclusions), or undefined when nobody is left to score */
+function proportion(counts) {
+  const scored = counts.denominator - counts['denominator-exclusion'];
+  return scored > 0 ? counts.numerator / scored : undefined;
+}
+
+function populationCode({ code, display }) {
+  return { coding: [{ system: MEASURE_POPULATION_SYSTEM, code, display }] };
+}
+
+function reportBase(measure, id, type, period, options) {
+  return {
+    resourceType: 'MeasureReport',
+    id,
+    status: 'complete',
+    type,
+    measure: canonical(measure),
+    date: toDateString(options.date),
+    period,
+    ...(measure.improvementNotation ? { improvementNotation: measure.improvementNotation } : {}),
+  };
+}
+
+/**
+ * Individual MeasureReport for one patient. `source` is anything loadResources
+ * accepts. Options: periodStart, periodEnd (required), patientId, valueSets,
+ * date.
+ */
+export function individualReport(measure, source, options = {}) {
+  const populations = measurePopulations(measure);
+  const period = measurementPeriod(options);
+  const facts = extractScreeningFacts(source, { patientId: options.patientId, measurementPeriod: period, valueSets: options.valueSets });
+  const members = membership(populations, facts);
+  const counts = Object.fromEntries(populations.map(({ code }) => [code, members[code] ? 1 : 0]));
+  const score = proportion(counts);
+
+  return {
+    ...reportBase(measure, `${measure.id}-${facts.PatientId}`, 'individual', period, options),
+    subject: { reference: `Patient/${facts.PatientId}` },
+    group: [{
+      id: measure.group[0].id,
+      population: populations.map(population => ({ code: populationCode(population), count: counts[population.code] })),
+      ...(score === undefined ? {} : { measureScore: { value: score } }),
+    }],
+  };
+}
+
+/**
+ * Sum individual MeasureReports into a summary MeasureReport, or with
+ * `subjectList` a subject-list one whose populations reference contained
+ * Lists of their subjects. Options: periodStart, periodEnd (required),
+ * subjectList, date.
+ */
+export function summaryReport(measure, individualReports, options = {}) {
+  const populations = measurePopulations(measure);
+  const period = measurementPeriod(options);
+  const subjects = Object.fromEntries(populations.map(({ code }) => [code, []]));
+  for (const report of individualReports) {
+    for (const population of report.group[0].population) {
+      const code = population.code.coding[0].code;
+      if (population.count > 0) subjects[code].push(report.subject);
+    }
+  }
+  const type = options.subjectList ? 'subject-list' : 'summary';
+  const counts = Object.fromEntries(populations.map(({ code }) => [code, subjects[code].length]));
+  const score = proportion(counts);
+  const lists = options.subjectList
+    ? populations.map(({ code }) => ({
+      resourceType: 'List',
+      id: `${code}-subjects`,
+      status: 'current',
+      mode: 'snapshot',
+      entry: subjects[code].map(item => ({ item })),
+    }))
+    : [];
+
+  return {
+    ...reportBase(measure, `${measure.id}-${type}`, type, period, options),
+    ...(lists.length ? { contained: lists } : {}),
+    group: [{
+      id: measure.group[0].id,
+      population: populations.map(population => ({
+        code: populationCode(population),
+        count: counts[population.code],
+        ...(options.subjectList ? { subjectResults: { reference: `#${population.code}-subjects` } } : {}),
+      })),
+      ...(score === undefined ? {} : { measureScore: { value: score } }),
+    }],
+  };
+}
+
+/**
+ * Evaluate a Measure over a list of subjects, each { source, patientId }
+ * (patientId picks the Patient when the source holds several). Options as for
+ * individualReport and summaryReport. Returns { individual, summary }.
+ */
+export function evaluateMeasure(measure, subjects, options = {}) {
+  const individual = subjects.map(({ source, patientId }) => individualReport(measure, source, { ...options, patientId }));
+  return { individual, summary: summaryReport(measure, individual, options) };
+}
+
+/** Population codes an individual report counts the subject in */
+function countedIn(report) {
+  return report.group[0].population.filter(p => p.count > 0).map(p => p.code.coding[0].code);
+}
+
+function printReports({ individual, summary }) {
+  console.log(`${summary.measure}, ${summary.period.start} to ${summary.period.end} (${individual.length} patient(s))\n`);
+  for (const report of individual) {
+    const counted = countedIn(report);
+    console.log(`  ${counted.includes('numerator') ? '✓' : ' '} ${report.subject.reference.slice('Patient/'.length)}: ${counted.join(', ') || 'not in the initial population'}`);
+  }
+  console.log('');
+  const group = summary.group[0];
+  for (const population of group.population) {
+    console.log(`  ${population.code.coding[0].display}: ${population.count}`);
+  }
+  console.log(`  Score: ${group.measureScore ? group.measureScore.value.toFixed(3) : 'none (empty denominator)'}`);
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const sources = [];
+  const options = {};
+  let groupPath;
+  let reportType = 'summary';
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--period-start') options.periodStart = args[++i];
+    else if (arg === '--period-end') options.periodEnd = args[++i];
+    else if (arg === '--group') groupPath = args[++i];
+    else if (arg === '--report-type') reportType = args[++i];
+    else if (arg === '--json') json = true;
+    else if (arg.startsWith('--')) {
+      console.error(`Unknown option: ${arg}`);
+      process.exit(1);
+    } else sources.push(arg);
+  }
+
+  if (!sources.length || !(reportType in REPORT_TYPES)) {
+    console.error('Usage: node src/measure-evaluate.js <case-id|case-dir|bundle.json>... --period-start YYYY-MM-DD --period-end YYYY-MM-DD');
+    console.error('       [--group <Group json>] [--report-type summary|subject-list|individual] [--json]');
+    process.exit(1);
+  }
+  if (!existsSync(defaultMeasurePath)) {
+    console.error(`✗ No Measure at ${defaultMeasurePath}; run 'npm run generate:measure' first`);
+    process.exit(1);
+  }
+
+  try {
+    const measure = JSON.parse(readFileSync(defaultMeasurePath, 'utf-8'));
+    const resources = sources.flatMap(source => loadResources(source));
+    const patientIds = groupPath
+      ? groupMembers(JSON.parse(readFileSync(groupPath, 'utf-8')))
+      : resources.filter(r => r.resourceType === 'Patient').map(r => r.id);
+    const subjects = patientIds.map(patientId => ({ source: resources, patientId }));
+    const result = evaluateMeasure(measure, subjects, { ...options, subjectList: reportType === 'subject-list' });
+    if (!json) printReports(result);
+    else if (reportType !== 'individual') console.log(JSON.stringify(result.summary, null, 2));
+    else console.log(JSON.stringify(result.individual.length === 1 ? result.individual[0] : result.individual, null, 2));
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  evaluateMeasure, individualReport, summaryReport, measurePopulations, groupMembers, measurementPeriod,
+} from './measure-evaluate.js';
+import { buildMeasure, MEASURE_URL } from './generate-measure.js';
+import { loadResources } from './fhir-extractor.js';
+import { loadKnowledgeArtifacts } from './plan-apply.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const cms125Dir = resolve(__dirname, '../reference/cms125');
+const library = JSON.parse(readFileSync(resolve(__dirname, '../input/resources/library/Library-BreastCancerScreening.json'), 'utf-8'));
+
+const [measure] = loadKnowledgeArtifacts().measures;
+const period = { periodStart: '2025-01-01', periodEnd: '2025-12-31' };
+
+function patient(id, overrides = {}) {
+  return { resourceType: 'Patient', id, gender: 'female', birthDate: '1970-06-15', ...overrides };
+}
+
+function mammogram(patientId, date) {
+  return {
+    resourceType: 'Observation',
+    id: `${patientId}-mammogram`,
+    status: 'final',
+    category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'imaging' }] }],
+    code: { coding: [{ system: 'http://loinc.org', code: '24606-6' }] },
+    subject: { reference: `Patient/${patientId}` },
+    effectiveDateTime: date,
+  };
+}
+
+function mastectomy(patientId) {
+  return {
+    resourceType: 'Condition',
+    id: `${patientId}-mastectomy`,
+    clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }] },
+    code: { coding: [{ system: 'http://snomed.info/sct', code: '428529004' }] },
+    subject: { reference: `Patient/${patientId}` },
+  };
+}
+
+/** Population code → count of a MeasureReport */
+function counts(report) {
+  return Object.fromEntries(report.group[0].population.map(p => [p.code.coding[0].code, p.count]));
+}
+
+describe('buildMeasure', () => {
+  it('is the committed Measure, scored on the Library\'s population defines', () => {
+    expect(buildMeasure(library, { date: measure.date })).toEqual(measure);
+    expect(measure.url).toBe(MEASURE_URL);
+    expect(measurePopulations(measure).map(p => p.define))
+      .toEqual(['Initial Population', 'Denominator', 'Denominator Exclusion', 'Numerator']);
+  });
+
+  it('rejects criteria that are not single boolean outputs', () => {
+    const parameter = library.parameter.filter(p => p.name !== 'Numerator');
+    expect(() => buildMeasure({ ...library, parameter })).toThrow(/no output "Numerator"/);
+    const listed = library.parameter.map(p => (p.name === 'Numerator' ? { ...p, max: '*' } : p));
+    expect(() => buildMeasure({ ...library, parameter: listed })).toThrow(/"Numerator" must be a single boolean/);
+  });
+});
+
+describe('individualReport', () => {
+  it('counts a screened woman in every population but the exclusion', () => {
+    const report = individualReport(measure, [patient('p1'), mammogram('p1', '2024-03-01')], period);
+    expect(report).toMatchObject({
+      resourceType: 'MeasureReport',
+      type: 'individual',
+      measure: `${MEASURE_URL}|${measure.version}`,
+      subject: { reference: 'Patient/p1' },
+      period: { start: '2025-01-01', end: '2025-12-31' },
+    });
+    expect(counts(report)).toEqual({ 'initial-population': 1, denominator: 1, 'denominator-exclusion': 0, numerator: 1 });
+    expect(report.group[0].measureScore).toEqual({ value: 1 });
+  });
+
+  it('evaluates as of the end of the measurement period', () => {
+    const source = [patient('p1'), mammogram('p1', '2024-03-01')];
+    expect(counts(individualReport(measure, source, { periodStart: '2026-01-01', periodEnd: '2026-12-31' })).numerator).toBe(0);
+    const young = [patient('p2', { birthDate: '1986-01-01' })];
+    expect(counts(individualReport(measure, young, period))['initial-population']).toBe(0);
+    expect(counts(individualReport(measure, young, { periodStart: '2026-01-01', periodEnd: '2026-01-01' }))['initial-population']).toBe(1);
+  });
+
+  it('leaves mammograms after the end of the measurement period out of the numerator', () => {
+    const source = [patient('p1'), mammogram('p1', '2025-06-01')];
+    const report = individualReport(measure, source, { periodStart: '2023-01-01', periodEnd: '2023-12-31' });
+    expect(counts(report)).toEqual({ 'initial-population': 1, denominator: 1, 'denominator-exclusion': 0, numerator: 0 });
+    expect(report.group[0].measureScore).toEqual({ value: 0 });
+    const onPeriodEnd = [patient('p1'), mammogram('p1', '2023-12-31')];
+    expect(counts(individualReport(measure, onPeriodEnd, { periodStart: '2023-01-01', periodEnd: '2023-12-31' })).numerator).toBe(1);
+  });
+
+  it('keeps excluded patients out of the numerator and the score', () => {
+    const report = individualReport(measure, [patient('p1'), mammogram('p1', '2024-03-01'), mastectomy('p1')], period);
+    expect(counts(report)).toEqual({ 'initial-population': 1, denominator: 1, 'denominator-exclusion': 1, numerator: 0 });
+    expect(report.group[0].measureScore).toBeUndefined();
+    expect(counts(individualReport(measure, [patient('p1', { gender: 'male' }), mastectomy('p1')], period)))
+      .toEqual({ 'initial-population': 0, denominator: 0, 'denominator-exclusion': 0, numerator: 0 });
+  });
+
+  it('requires a valid measurement period', () => {
+    expect(() => individualReport(measure, [patient('p1')], { periodStart: '2025-01-01' })).toThrow(/both periodStart and periodEnd/);
+    expect(() => measurementPeriod({ periodStart: '2025-12-31', periodEnd: '2025-01-01' })).toThrow(/is after periodEnd/);
+    expect(() => measurementPeriod({ periodStart: '2025', periodEnd: '2025-12-31' })).toThrow(/Invalid period boundary/);
+  });
+});
+
+describe('summaryReport', () => {
+  const subjects = [
+    { source: [patient('screened'), mammogram('screened', '2025-02-01')] },
+    { source: [patient('due')] },
+    { source: [patient('excluded'), mastectomy('excluded')] },
+    { source: [patient('male', { gender: 'male' })] },
+  ];
+
+  it('sums the individual reports and scores numerator over denominator less exclusions', () => {
+    const { individual, summary } = evaluateMeasure(measure, subjects, period);
+    expect(individual.map(report => report.subject.reference))
+      .toEqual(['Patient/screened', 'Patient/due', 'Patient/excluded', 'Patient/male']);
+    expect(summary).toMatchObject({ type: 'summary', period: { start: '2025-01-01', end: '2025-12-31' } });
+    expect(summary.subject).toBeUndefined();
+    expect(counts(summary)).toEqual({ 'initial-population': 3, denominator: 3, 'denominator-exclusion': 1, numerator: 1 });
+    expect(summary.group[0].measureScore).toEqual({ value: 0.5 });
+    expect(summary.contained).toBeUndefined();
+  });
+
+  it('lists the subjects of each population in a subject-list report', () => {
+    const { individual } = evaluateMeasure(measure, subjects, period);
+    const report = summaryReport(measure, individual, { ...period, subjectList: true });
+    expect(report.type).toBe('subject-list');
+    const numerator = report.group[0].population.find(p => p.code.coding[0].code === 'numerator');
+    expect(numerator.subjectResults).toEqual({ reference: '#numerator-subjects' });
+    expect(report.contained.find(list => list.id === 'numerator-subjects').entry).toEqual([{ item: { reference: 'Patient/screened' } }]);
+    expect(report.contained.find(list => list.id === 'initial-population-subjects').entry).toHaveLength(3);
+  });
+
+  it('omits the score when nobody is left in the denominator', () => {
+    const { summary } = evaluateMeasure(measure, [subjects[3]], period);
+    expect(summary.group[0].measureScore).toBeUndefined();
+  });
+});
+
+describe('reference/cms125 Group', () => {
+  it('evaluates the Group\'s members from the test Bundles as of 2024-01-01', () => {
+    const group = JSON.parse(readFileSync(join(cms125Dir, 'Group-BreastCancerScreeningCDS.json'), 'utf-8'));
+    const members = groupMembers(group);
+    expect(members).toHaveLength(13);
+    const resources = readdirSync(cms125Dir).filter(f => /^tests-.*-bundle\.json$/.test(f))
+      .flatMap(f => loadResources(join(cms125Dir, f)));
+    const { individual, summary } = evaluateMeasure(
+      measure,
+      members.map(patientId => ({ source: resources, patientId })),
+      { periodStart: '2023-01-01', periodEnd: '2024-01-01' },
+    );
+    const inInitialPopulation = individual.filter(report => counts(report)['initial-population']).map(report => report.subject.reference);
+    expect(inInitialPopulation).toContain('Patient/bcs-just-old-enough');
+    expect(inInitialPopulation).toContain('Patient/bcs-just-young-enough');
+    expect(inInitialPopulation).not.toContain('Patient/bcs-too-old');
+    expect(inInitialPopulation).not.toContain('Patient/bcs-too-young');
+    expect(inInitialPopulation).not.toContain('Patient/bcs-male');
+    expect(individual.filter(report => counts(report).numerator).map(report => report.subject.reference))
+      .toEqual(['Patient/bcs-up-to-date']);
+    expect(individual.filter(report => counts(report)['denominator-exclusion']).map(report => report.subject.reference))
+      .toEqual(['Patient/bcs-breast-cancer']);
+    expect(counts(summary)).toEqual({ 'initial-population': 10, denominator: 10, 'denominator-exclusion': 1, numerator: 1 });
+    expect(summary.group[0].measureScore.value).toBeCloseTo(1 / 9);
+  });
+});
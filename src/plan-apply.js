@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * PlanDefinition/$apply in JavaScript for the breast cancer screening
+ * PlanDefinition (see generate-plandefinition.js).
+ *
+ * The Library's defines are computed in-process by fhir-extractor.js; each
+ * action whose applicability conditions (CQL identifiers) are all true becomes
+ * a RequestGroup action, and its ActivityDefinition a contained ServiceRequest
+ * proposal. The FHIR server wraps the RequestGroup in a CarePlan, as R4
+ * $apply returns.
+ *
+ * Usage: node src/plan-apply.js bcs-recommend-57yo-female
+ *        node src/plan-apply.js path/to/bundle.json --as-of 2025-12-26
+ *        node src/plan-apply.js --all   (check every generated case's expectedActions)
+ *
+ * Options:
+ *   --as-of <date>   Evaluation date, the CQL "AsOf" parameter (default: the
+ *                    case's as-of date, else AS_OF_DATE, else today in AS_OF_TZ)
+ *   --care-plan      Print the CarePlan instead of the RequestGroup
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { extractScreeningFacts, loadResources, toDateString } from './fhir-extractor.js';
+import { resolveEvaluationDate } from './evaluation-date.js';
+import { canonical } from './generate-plandefinition.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const resourcesDir = resolve(__dirname, '../input/resources');
+const generatedDir = resolve(__dirname, '../tests/generated');
+const SUPPORTED_LIBRARY = 'BreastCancerScreening';
+const CQL_IDENTIFIER = ['text/cql-identifier', 'text/cql.identifier'];
+
+/** Every JSON resource of a type in input/resources/<type lowercased> */
+function readArtifacts(type, dir) {
+  const typeDir = join(dir, type.toLowerCase());
+  if (!existsSync(typeDir)) return [];
+  return readdirSync(typeDir).filter(f => f.endsWith('.json')).sort()
+    .map(f => JSON.parse(readFileSync(join(typeDir, f), 'utf-8')))
+    .filter(r => r.resourceType === type);
+}
+
+/** The repo's PlanDefinitions, ActivityDefinitions and Measures: { planDefinitions, activityDefinitions, measures } */
+export function loadKnowledgeArtifacts(dir = resourcesDir) {
+  return {
+    planDefinitions: readArtifacts('PlanDefinition', dir),
+    activityDefinitions: readArtifacts('ActivityDefinition', dir),
+    measures: readArtifacts('Measure', dir),
+  };
+}
+
+/** Find a resource by canonical (url or url|version) */
+function byCanonical(resources, reference) {
+  const [url, version] = reference.split('|');
+  return resources.find(r => r.url === url && (!version || r.version === version)) || null;
+}
+
+/** True when every applicability condition of an action is true in `facts` */
+function isApplicable(action, facts) {
+  return (action.condition || []).filter(c => c.kind === 'applicability').every(({ expression }) => {
+    if (!CQL_IDENTIFIER.includes(expression?.language)) {
+      throw new Error(`Action ${action.id}: condition language ${expression?.language} is not supported (use text/cql-identifier)`);
+    }
+    if (!(expression.expression in facts)) {
+      throw new Error(`Action ${action.id}: condition "${expression.expression}" is not a define of ${SUPPORTED_LIBRARY}`);
+    }
+    return facts[expression.expression] === true;
+  });
+}
+
+/** ServiceRequest proposal from an ActivityDefinition, for the patient */
+function serviceRequestFor(activityDefinition, id, patientId, asOf) {
+  if (activityDefinition.kind !== 'ServiceRequest') {
+    throw new Error(`ActivityDefinition/${activityDefinition.id}: kind ${activityDefinition.kind} is not supported (only ServiceRequest)`);
+  }
+  const request = {
+    resourceType: 'ServiceRequest',
+    id,
+    meta: activityDefinition.profile ? { profile: [activityDefinition.profile] } : undefined,
+    instantiatesCanonical: [canonical(activityDefinition)],
+    status: 'draft',
+    intent: activityDefinition.intent || 'proposal',
+    priority: activityDefinition.priority,
+    doNotPerform: activityDefinition.doNotPerform,
+    code: activityDefinition.code,
+    subject: { reference: `Patient/${patientId}` },
+    authoredOn: asOf,
+  };
+  return Object.fromEntries(Object.entries(request).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Apply a PlanDefinition to one patient's resources. `source` is anything
+ * loadResources accepts (Bundle, resource list, case id or directory).
+ * Options: activityDefinitions (default: the repo's), patientId, asOf,
+ * valueSets. Returns a RequestGroup whose actions are the applicable ones,
+ * each pointing at a contained ServiceRequest.
+ */
+export function applyPlanDefinition(planDefinition, source, options = {}) {
+  const libraries = planDefinition.library || [];
+  if (!libraries.some(reference => reference.split('|')[0].endsWith(`/Library/${SUPPORTED_LIBRARY}`))) {
+    throw new Error(`$apply is only implemented for PlanDefinitions over ${SUPPORTED_LIBRARY}, not ${libraries.join(', ') || 'no library'}`);
+  }
+
+  const asOf = toDateString(options.asOf);
+  const facts = extractScreeningFacts(loadResources(source), { patientId: options.patientId, asOf, valueSets: options.valueSets });
+  const patientId = facts.PatientId;
+  const activityDefinitions = options.activityDefinitions || loadKnowledgeArtifacts().activityDefinitions;
+
+  const contained = [];
+  const applyActions = (actions = []) => actions.filter(action => isApplicable(action, facts)).map(action => {
+    const applied = { id: action.id, title: action.title, description: action.description };
+    if (action.definitionCanonical) {
+      const activityDefinition = byCanonical(activityDefinitions, action.definitionCanonical);
+      if (!activityDefinition) throw new Error(`Action ${action.id}: ActivityDefinition ${action.definitionCanonical} is not known`);
+      const request = serviceRequestFor(activityDefinition, `${action.id}-request`, patientId, asOf);
+      contained.push(request);
+      applied.resource = { reference: `#${request.id}` };
+    }
+    const children = applyActions(action.action);
+    if (children.length) applied.action = children;
+    return Object.fromEntries(Object.entries(applied).filter(([, value]) => value !== undefined));
+  });
+  const actions = applyActions(planDefinition.action);
+
+  return {
+    resourceType: 'RequestGroup',
+    id: `${planDefinition.id}-${patientId}`,
+    ...(contained.length ? { contained } : {}),
+    instantiatesCanonical: [canonical(planDefinition)],
+    status: 'draft',
+    intent: 'proposal',
+    subject: { reference: `Patient/${patientId}` },
+    authoredOn: asOf,
+    ...(actions.length ? { action: actions } : {}),
+  };
+}
+
+/**
+ * Wrap a RequestGroup in the CarePlan R4 $apply returns. Contained resources
+ * cannot nest, so the RequestGroup and its ServiceRequests sit side by side.
+ */
+export function toCarePlan(requestGroup) {
+  const { contained = [], ...group } = requestGroup;
+  return {
+    resourceType: 'CarePlan',
+    id: group.id,
+    contained: [group, ...contained],
+    instantiatesCanonical: group.instantiatesCanonical,
+    status: 'draft',
+    intent: 'proposal',
+    subject: group.subject,
+    created: group.authoredOn,
+    activity: [{ reference: { reference: `#${group.id}` } }],
+  };
+}
+
+/** Ids of the (top-level) actions a RequestGroup, or a CarePlan from $apply, proposes */
+export function proposedActions(result) {
+  const group = result?.resourceType === 'CarePlan'
+    ? result.contained?.find(r => r.resourceType === 'RequestGroup')
+    : result;
+  return (group?.action || []).map(action => action.id);
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const sources = [];
+  let asOf;
+  let all = false;
+  let carePlan = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--all') all = true;
+    else if (arg === '--as-of') asOf = args[++i];
+    else if (arg === '--care-plan') carePlan = true;
+    else if (arg.startsWith('--')) {
+      console.error(`Unknown option: ${arg}`);
+      process.exit(1);
+    } else sources.push(arg);
+  }
+
+  if (!all && !sources.length) {
+    console.error('Usage: node src/plan-apply.js <case-id|case-dir|bundle.json> [--as-of YYYY-MM-DD] [--care-plan]');
+    console.error('       node src/plan-apply.js --all [--as-of YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  const { planDefinitions, activityDefinitions } = loadKnowledgeArtifacts();
+  const planDefinition = planDefinitions[0];
+  if (!planDefinition) {
+    console.error(`✗ No PlanDefinition under ${resourcesDir}; run 'npm run generate:plandefinition' first`);
+    process.exit(1);
+  }
+
+  if (!all) {
+    try {
+      const evaluationDate = resolveEvaluationDate({ asOf }).asOf;
+      const results = sources.map(source => {
+        const requestGroup = applyPlanDefinition(planDefinition, source, { activityDefinitions, asOf: evaluationDate });
+        return carePlan ? toCarePlan(requestGroup) : requestGroup;
+      });
+      console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+    } catch (error) {
+      console.error(`✗ ${error.message}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  let failed = 0;
+  const caseIds = readdirSync(generatedDir).filter(f => existsSync(join(generatedDir, f, '_metadata.json'))).sort();
+  for (const caseId of caseIds) {
+    const metadata = JSON.parse(readFileSync(join(generatedDir, caseId, '_metadata.json'), 'utf-8'));
+    if (!metadata.expectedActions) continue;
+    try {
+      const evaluationDate = asOf || metadata.asOf || resolveEvaluationDate().asOf;
+      const actual = proposedActions(applyPlanDefinition(planDefinition, caseId, { activityDefinitions, asOf: evaluationDate }));
+      const passed = JSON.stringify([...actual].sort()) === JSON.stringify([...metadata.expectedActions].sort());
+      if (!passed) failed++;
+      console.log(`${passed ? '✓' : '✗'} ${caseId}: ${JSON.stringify(actual)}${passed ? '' : ` (expected ${JSON.stringify(metadata.expectedActions)})`}`);
+    } catch (error) {
+      failed++;
+      console.log(`✗ ${caseId}: ${error.message}`);
+    }
+  }
+  process.exit(failed ? 1 : 0);
+}
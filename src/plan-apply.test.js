@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { applyPlanDefinition, toCarePlan, proposedActions, loadKnowledgeArtifacts } from './plan-apply.js';
+import { buildPlanDefinition, buildActivityDefinition, SCREENING_ACTION_ID } from './generate-plandefinition.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const generatedDir = resolve(__dirname, '../tests/generated');
+const library = JSON.parse(readFileSync(resolve(__dirname, '../input/resources/library/Library-BreastCancerScreening.json'), 'utf-8'));
+
+const { planDefinitions, activityDefinitions } = loadKnowledgeArtifacts();
+const [planDefinition] = planDefinitions;
+
+const caseIds = readdirSync(generatedDir).filter(f => existsSync(join(generatedDir, f, '_metadata.json')));
+
+const patient = {
+  resourceType: 'Patient',
+  id: 'p1',
+  name: [{ given: ['Jane'], family: 'Doe' }],
+  gender: 'female',
+  birthDate: '1970-06-15',
+};
+
+describe('applyPlanDefinition against generated cases', () => {
+  for (const caseId of caseIds) {
+    const metadata = JSON.parse(readFileSync(join(generatedDir, caseId, '_metadata.json'), 'utf-8'));
+    if (!metadata.expectedActions) continue;
+    it(caseId, () => {
+      const requestGroup = applyPlanDefinition(planDefinition, caseId, { activityDefinitions, asOf: metadata.asOf });
+      expect(proposedActions(requestGroup)).toEqual(metadata.expectedActions);
+    });
+  }
+});
+
+describe('PlanDefinition and ActivityDefinition', () => {
+  it('match what the generator produces from the Library', () => {
+    const activityDefinition = buildActivityDefinition({ date: activityDefinitions[0].date });
+    expect(activityDefinition).toEqual(activityDefinitions[0]);
+    expect(buildPlanDefinition(library, activityDefinition, { date: planDefinition.date })).toEqual(planDefinition);
+  });
+
+  it('is an ECA rule conditioned on RecommendMammogram', () => {
+    expect(planDefinition.type.coding[0].code).toBe('eca-rule');
+    expect(planDefinition.library).toEqual(['http://example.org/fhir/Library/BreastCancerScreening|0.0.1']);
+    expect(planDefinition.action[0].condition).toEqual([{
+      kind: 'applicability',
+      expression: { language: 'text/cql-identifier', expression: 'RecommendMammogram' },
+    }]);
+  });
+
+  it('rejects applicability conditions that are not single booleans', () => {
+    const activityDefinition = activityDefinitions[0];
+    expect(() => buildPlanDefinition(library, activityDefinition, { condition: 'QualifyingMammograms' }))
+      .toThrow('Applicability condition "QualifyingMammograms" must be a single boolean, but Library BreastCancerScreening declares Observation[]');
+    expect(() => buildPlanDefinition(library, activityDefinition, { condition: 'Nope' })).toThrow(/has no output "Nope"/);
+  });
+});
+
+describe('applyPlanDefinition', () => {
+  it('proposes a contained ServiceRequest when the condition holds', () => {
+    const requestGroup = applyPlanDefinition(planDefinition, [patient], { activityDefinitions, asOf: '2026-01-01' });
+    expect(requestGroup.subject).toEqual({ reference: 'Patient/p1' });
+    expect(requestGroup.action).toEqual([expect.objectContaining({
+      id: SCREENING_ACTION_ID,
+      resource: { reference: `#${SCREENING_ACTION_ID}-request` },
+    })]);
+    expect(requestGroup.contained).toEqual([expect.objectContaining({
+      resourceType: 'ServiceRequest',
+      id: `${SCREENING_ACTION_ID}-request`,
+      status: 'draft',
+      intent: 'proposal',
+      code: activityDefinitions[0].code,
+      subject: { reference: 'Patient/p1' },
+      instantiatesCanonical: ['http://example.org/fhir/ActivityDefinition/ScreeningMammogramOrder|0.0.1'],
+    })]);
+  });
+
+  it('proposes nothing when the condition is false', () => {
+    const requestGroup = applyPlanDefinition(planDefinition, [{ ...patient, gender: 'male' }], { activityDefinitions, asOf: '2026-01-01' });
+    expect(requestGroup.action).toBeUndefined();
+    expect(requestGroup.contained).toBeUndefined();
+    expect(proposedActions(requestGroup)).toEqual([]);
+  });
+
+  it('wraps the RequestGroup in a CarePlan without nesting contained resources', () => {
+    const carePlan = toCarePlan(applyPlanDefinition(planDefinition, [patient], { activityDefinitions, asOf: '2026-01-01' }));
+    expect(carePlan.contained.map(r => r.resourceType)).toEqual(['RequestGroup', 'ServiceRequest']);
+    expect(carePlan.contained[0].contained).toBeUndefined();
+    expect(carePlan.activity).toEqual([{ reference: { reference: `#${carePlan.contained[0].id}` } }]);
+    expect(proposedActions(carePlan)).toEqual([SCREENING_ACTION_ID]);
+  });
+
+  it('rejects conditions it cannot evaluate', () => {
+    const fhirpath = {
+      ...planDefinition,
+      action: [{ id: 'a', condition: [{ kind: 'applicability', expression: { language: 'text/fhirpath', expression: 'true' } }] }],
+    };
+    expect(() => applyPlanDefinition(fhirpath, [patient], { activityDefinitions }))
+      .toThrow('Action a: condition language text/fhirpath is not supported (use text/cql-identifier)');
+    expect(() => applyPlanDefinition({ ...planDefinition, library: ['http://example.org/fhir/Library/Other'] }, [patient]))
+      .toThrow(/only implemented for PlanDefinitions over BreastCancerScreening/);
+  });
+});
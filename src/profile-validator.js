@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * Offline QICore 6.0.0 conformance check for generated test resources.
+ *
+ * Each resource is checked against the profiles in its meta.profile: required
+ * elements and cardinality, required bindings (status and the like), subject
+ * reference targets, and, for profiles the CQL retrieves, that the code is in
+ * one of the ValueSets of those retrieves (an error: the library would
+ * silently ignore the resource, so the case would not test what it claims).
+ * Only the profiles this repo's cases use are encoded below; resources
+ * claiming any other profile get an informational issue.
+ *
+ * Results are one OperationOutcome per resource, like a server's $validate.
+ *
+ * Usage: node src/profile-validator.js bcs-recommend-57yo-female
+ *        node src/profile-validator.js --all
+ *        node src/profile-validator.js --all --json   (print the OperationOutcomes)
+ *
+ * Exits non-zero when any resource has an error.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { loadValueSets, getValueSet, conceptInValueSet } from './terminology.js';
+import { readValueSetDeclarations } from './fhir-extractor.js';
+
+const generatedDir = resolve(process.cwd(), 'tests/generated');
+const cqlPath = resolve(fileURLToPath(import.meta.url), '../../input/cql/BreastCancerScreening.cql');
+const QICORE = 'http://hl7.org/fhir/us/qicore/StructureDefinition/';
+
+const OBSERVATION_STATUS = ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'];
+const CONDITION_CLINICAL = {
+  system: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+  codes: ['active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved'],
+};
+const CONDITION_VERIFICATION = {
+  system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+  codes: ['unconfirmed', 'provisional', 'differential', 'confirmed', 'refuted', 'entered-in-error'],
+};
+const PROBLEM_OR_HEALTH_CONCERN = [
+  'http://terminology.hl7.org/CodeSystem/condition-category|problem-list-item',
+  'http://hl7.org/fhir/us/core/CodeSystem/condition-category|health-concern',
+];
+
+const hasCoding = (concept, system, code) => (concept?.coding || []).some(c => c.system === system && c.code === code);
+
+/**
+ * Encoded QICore profiles: element rules keyed by path (`[x]` for choice
+ * elements; a dotted path applies per repetition of its parent) and invariants.
+ */
+export const PROFILES = {
+  [`${QICORE}qicore-patient`]: {
+    resourceType: 'Patient',
+    elements: {
+      'identifier': { min: 1, max: '*' },
+      'identifier.system': { min: 1, max: 1 },
+      'identifier.value': { min: 1, max: 1 },
+      'name': { min: 1, max: '*' },
+      'gender': { min: 1, max: 1, binding: { codes: ['male', 'female', 'other', 'unknown'] } },
+      'birthDate': { min: 0, max: 1 },
+    },
+    invariants: [
+      {
+        key: 'us-core-6',
+        severity: 'error',
+        human: 'Either Patient.name.given and/or Patient.name.family SHALL be present or a Data Absent Reason Extension SHALL be present',
+        test: (patient) => (patient.name || []).every(name => name.family || name.given?.length || name.extension?.length),
+      },
+    ],
+  },
+  [`${QICORE}qicore-observation-clinical-result`]: {
+    resourceType: 'Observation',
+    elements: {
+      'status': { min: 1, max: 1, binding: { codes: OBSERVATION_STATUS } },
+      'category': { min: 1, max: '*' },
+      'code': { min: 1, max: 1 },
+      'subject': { min: 1, max: 1, targets: ['Patient'] },
+      'effective[x]': { min: 0, max: 1 },
+      'value[x]': { min: 0, max: 1 },
+    },
+    invariants: [],
+  },
+  [`${QICORE}qicore-condition-problems-health-concerns`]: {
+    resourceType: 'Condition',
+    elements: {
+      'clinicalStatus': { min: 0, max: 1, binding: CONDITION_CLINICAL },
+      'verificationStatus': { min: 0, max: 1, binding: CONDITION_VERIFICATION },
+      'category': { min: 1, max: '*' },
+      'code': { min: 1, max: 1 },
+      'subject': { min: 1, max: 1, targets: ['Patient'] },
+      'onset[x]': { min: 0, max: 1 },
+      'abatement[x]': { min: 0, max: 1 },
+    },
+    invariants: [
+      {
+        key: 'qicore-cat-1',
+        severity: 'error',
+        human: 'Condition.category SHALL include problem-list-item or health-concern',
+        test: (condition) => (condition.category || []).some(concept => PROBLEM_OR_HEALTH_CONCERN
+          .some(key => hasCoding(concept, ...key.split('|')))),
+      },
+      {
+        key: 'con-3',
+        severity: 'warning',
+        human: 'Condition.clinicalStatus SHALL be present if verificationStatus is not entered-in-error and category is problem-list-item',
+        test: (condition) => condition.clinicalStatus
+          || hasCoding(condition.verificationStatus, CONDITION_VERIFICATION.system, 'entered-in-error')
+          || !(condition.category || []).some(c => hasCoding(c, 'http://terminology.hl7.org/CodeSystem/condition-category', 'problem-list-item')),
+      },
+      {
+        key: 'con-5',
+        severity: 'error',
+        human: 'Condition.clinicalStatus SHALL NOT be present if verification Status is entered-in-error',
+        test: (condition) => !(condition.clinicalStatus
+          && hasCoding(condition.verificationStatus, CONDITION_VERIFICATION.system, 'entered-in-error')),
+      },
+    ],
+  },
+};
+
+/** Profile name used in CQL retrieves (ObservationClinicalResult) → profile url */
+function profileUrlForType(type) {
+  return `${QICORE}qicore-${type.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+}
+
+/**
+ * Map of profile url → ValueSet names the CQL library retrieves it with, from
+ * retrieves such as [ObservationClinicalResult: "Mammography"]
+ */
+export function readRetrieves(path = cqlPath) {
+  const retrieves = new Map();
+  for (const match of readFileSync(path, 'utf-8').matchAll(/\[\s*(\w+)\s*:\s*"([^"]+)"\s*\]/g)) {
+    const url = profileUrlForType(match[1]);
+    retrieves.set(url, [...new Set([...(retrieves.get(url) || []), match[2]])]);
+  }
+  return retrieves;
+}
+
+/** Present values of an element, as a list (choice elements match any type suffix) */
+function elementValues(parent, name) {
+  if (name.endsWith('[x]')) {
+    const base = name.slice(0, -3);
+    return Object.keys(parent)
+      .filter(key => key.startsWith(base) && /^[A-Z]/.test(key.slice(base.length)))
+      .map(key => ({ key, value: parent[key] }));
+  }
+  return name in parent && parent[name] !== null ? [{ key: name, value: parent[name] }] : [];
+}
+
+/** Check one element rule, reporting through `issue` */
+function checkElement(resource, path, rule, issue) {
+  const segments = path.split('.');
+  const name = segments.pop();
+
+  let parents = [{ value: resource, expression: resource.resourceType }];
+  for (const segment of segments) {
+    parents = parents.flatMap(({ value, expression }) => {
+      const child = value[segment];
+      if (child === undefined || child === null) return [];
+      return Array.isArray(child)
+        ? child.map((item, i) => ({ value: item, expression: `${expression}.${segment}[${i}]` }))
+        : [{ value: child, expression: `${expression}.${segment}` }];
+    });
+  }
+
+  for (const parent of parents) {
+    const present = elementValues(parent.value, name);
+    const expression = `${parent.expression}.${name}`;
+    if (name.endsWith('[x]') && present.length > 1) {
+      issue('error', 'structure', `${expression}: only one type is allowed, found ${present.map(p => p.key).join(', ')}`, expression);
+      continue;
+    }
+    const value = present[0]?.value;
+    const items = value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+    if (items.length < rule.min) {
+      issue('error', 'required', `${expression}: minimum required = ${rule.min}, but only found ${items.length}`, expression);
+    }
+    if (value !== undefined && rule.max === '*' && !Array.isArray(value)) {
+      issue('error', 'structure', `${expression} must be an array`, expression);
+    }
+    if (value !== undefined && rule.max === 1 && Array.isArray(value)) {
+      issue('error', 'structure', `${expression}: max allowed = 1, but found an array of ${value.length}`, expression);
+    }
+
+    for (const item of items) {
+      if (rule.binding) checkBinding(item, rule.binding, expression, issue);
+      if (rule.targets && typeof item?.reference === 'string') {
+        const type = item.reference.split('/')[0];
+        if (!rule.targets.includes(type)) {
+          issue('error', 'structure', `${expression}: reference to ${type} is not allowed (expected ${rule.targets.join(' | ')})`, expression);
+        }
+      }
+    }
+  }
+}
+
+/** Required binding for a code or CodeableConcept */
+function checkBinding(value, binding, expression, issue) {
+  if (typeof value === 'string') {
+    if (!binding.codes.includes(value)) {
+      issue('error', 'code-invalid', `${expression}: "${value}" is not one of ${binding.codes.join(' | ')}`, expression);
+    }
+    return;
+  }
+  const codings = value?.coding || [];
+  if (!codings.some(c => c.system === binding.system && binding.codes.includes(c.code))) {
+    const found = codings.map(c => `${c.system}|${c.code}`).join(', ') || 'no coding';
+    issue('error', 'code-invalid', `${expression}: ${found} is not in ${binding.system} (${binding.codes.join(' | ')})`, expression);
+  }
+}
+
+/**
+ * The code-invalid issue of a resource whose code is in none of the ValueSets
+ * the CQL retrieves its profiles with, or null. The case validator reports it
+ * at the YAML line of the code. Options as for validateResource.
+ */
+export function checkRetrievedCode(resource, options = {}) {
+  const retrieves = options.retrieves || readRetrieves();
+  const retrieved = [...new Set((resource.meta?.profile || []).flatMap(url => retrieves.get(url.split('|')[0]) || []))];
+  if (!retrieved.length || !resource.code) return null;
+
+  const declarations = options.declarations || readValueSetDeclarations();
+  const valueSets = options.valueSets || loadValueSets();
+  const inAny = retrieved.some(name => {
+    const valueSet = declarations[name] && getValueSet(declarations[name], valueSets);
+    return valueSet && conceptInValueSet(resource.code, valueSet);
+  });
+  if (inAny) return null;
+
+  const type = resource.resourceType;
+  const codes = (resource.code.coding || []).map(c => `${c.system}|${c.code}`).join(', ') || 'no coding';
+  return {
+    severity: 'error',
+    code: 'code-invalid',
+    diagnostics: `${type}.code ${codes} is in none of the CQL ValueSets retrieved for this profile (${retrieved.map(n => `"${n}"`).join(', ')}); the library will not see this resource`,
+    expression: [`${type}.code`],
+  };
+}
+
+/**
+ * Validate one resource. Returns an OperationOutcome; a resource without
+ * issues gets a single informational "no issues" entry, as HAPI reports it.
+ * Options: valueSets, declarations (CQL valueset name → url), retrieves
+ * (from readRetrieves).
+ */
+export function validateResource(resource, options = {}) {
+  const issues = [];
+  const issue = (severity, code, diagnostics, expression) => issues.push({
+    severity,
+    code,
+    diagnostics,
+    ...(expression ? { expression: [expression] } : {}),
+  });
+
+  const type = resource.resourceType || 'Resource';
+  const profiles = resource.meta?.profile || [];
+  if (profiles.length === 0) {
+    issue('warning', 'informational', `${type}/${resource.id} declares no meta.profile; nothing to check against`);
+  }
+
+  for (const url of profiles) {
+    const profile = PROFILES[url.split('|')[0]];
+    if (!profile) {
+      issue('information', 'not-supported', `Profile ${url} is not known to the local checker; skipped`, `${type}.meta.profile`);
+      continue;
+    }
+    if (profile.resourceType !== type) {
+      issue('error', 'structure', `Profile ${url} applies to ${profile.resourceType}, not ${type}`, `${type}.meta.profile`);
+      continue;
+    }
+    for (const [path, rule] of Object.entries(profile.elements)) {
+      checkElement(resource, path, rule, issue);
+    }
+    for (const invariant of profile.invariants) {
+      if (!invariant.test(resource)) {
+        issue(invariant.severity, 'invariant', `Constraint failed: ${invariant.key}: '${invariant.human}'`, type);
+      }
+    }
+  }
+
+  const codeIssue = checkRetrievedCode(resource, options);
+  if (codeIssue) issues.push(codeIssue);
+
+  if (issues.length === 0) {
+    issue('information', 'informational', 'No issues detected during validation');
+  }
+  return { resourceType: 'OperationOutcome', issue: issues };
+}
+
+/** True if an OperationOutcome has an error or fatal issue */
+export function hasErrors(outcome) {
+  return outcome.issue.some(i => i.severity === 'error' || i.severity === 'fatal');
+}
+
+/**
+ * Validate every resource of a generated case. Returns
+ * [{ resourceType, id, outcome }] in _metadata.json order.
+ */
+export function validateCase(caseDir, options = {}) {
+  const metadata = JSON.parse(readFileSync(resolve(caseDir, '_metadata.json'), 'utf-8'));
+  const shared = {
+    retrieves: options.retrieves || readRetrieves(),
+    declarations: options.declarations || readValueSetDeclarations(),
+    valueSets: options.valueSets || loadValueSets(),
+  };
+  return metadata.resources.map(({ type, id }) => {
+    const resource = JSON.parse(readFileSync(resolve(caseDir, type, `${id}.json`), 'utf-8'));
+    return { resourceType: type, id, outcome: validateResource(resource, shared) };
+  });
+}
+
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const positional = args.filter(arg => arg !== '--json');
+
+  if (positional.length === 0) {
+    console.error('Usage: node src/profile-validator.js <case-id> [--json]');
+    console.error('       node src/profile-validator.js --all [--json]');
+    process.exit(1);
+  }
+
+  const caseIds = positional[0] === '--all'
+    ? readdirSync(generatedDir).filter(f => existsSync(resolve(generatedDir, f, '_metadata.json'))).sort()
+    : positional;
+
+  const report = {};
+  let errors = 0;
+  for (const caseId of caseIds) {
+    const caseDir = resolve(generatedDir, caseId);
+    if (!existsSync(resolve(caseDir, '_metadata.json'))) {
+      console.error(`Test case not found: ${caseId}. Run 'npm run test:generate' first.`);
+      process.exit(1);
+    }
+    const results = validateCase(caseDir);
+    report[caseId] = results;
+    errors += results.filter(r => hasErrors(r.outcome)).length;
+
+    if (json) continue;
+    for (const { resourceType, id, outcome } of results) {
+      const problems = outcome.issue.filter(i => i.severity !== 'information');
+      console.log(`${hasErrors(outcome) ? '✗' : '✓'} ${caseId} ${resourceType}/${id}`);
+      for (const i of problems) console.log(`    ${i.severity}: ${i.diagnostics}`);
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`\n${errors === 0 ? 'All resources conform' : `${errors} resource(s) with errors`}`);
+  }
+  process.exit(errors > 0 ? 1 : 0);
+}
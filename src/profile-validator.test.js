@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { validateResource, hasErrors, readRetrieves } from './profile-validator.js';
+
+const QICORE = 'http://hl7.org/fhir/us/qicore/StructureDefinition/';
+
+const observation = (overrides = {}) => ({
+  resourceType: 'Observation',
+  id: 'obs',
+  meta: { profile: [`${QICORE}qicore-observation-clinical-result`] },
+  status: 'final',
+  category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'imaging' }] }],
+  code: { coding: [{ system: 'http://loinc.org', code: '24606-6' }] },
+  subject: { reference: 'Patient/p' },
+  effectiveDateTime: '2024-01-01',
+  ...overrides,
+});
+
+const diagnostics = (outcome) => outcome.issue.map(i => `${i.severity}: ${i.diagnostics}`);
+
+describe('profile validator', () => {
+  it('reads the profiles and ValueSets of the CQL retrieves', () => {
+    const retrieves = readRetrieves();
+    expect(retrieves.get(`${QICORE}qicore-observation-clinical-result`)).toEqual(['Mammography']);
+    expect(retrieves.get(`${QICORE}qicore-condition-problems-health-concerns`)).toContain('History of bilateral mastectomy');
+  });
+
+  it('reports a conforming resource as an informational OperationOutcome', () => {
+    const outcome = validateResource(observation());
+    expect(outcome).toEqual({
+      resourceType: 'OperationOutcome',
+      issue: [{ severity: 'information', code: 'informational', diagnostics: 'No issues detected during validation' }],
+    });
+    expect(hasErrors(outcome)).toBe(false);
+  });
+
+  it('checks required elements, cardinality, bindings and reference targets', () => {
+    const { category, ...withoutCategory } = observation({
+      status: 'done',
+      subject: { reference: 'Group/g' },
+      effectiveDateTime: '2024-01-01',
+      effectivePeriod: { start: '2024-01-01' },
+      code: [{ coding: [] }],
+    });
+    const outcome = validateResource(withoutCategory);
+    expect(hasErrors(outcome)).toBe(true);
+    expect(diagnostics(outcome)).toEqual(expect.arrayContaining([
+      'error: Observation.status: "done" is not one of registered | preliminary | final | amended | corrected | cancelled | entered-in-error | unknown',
+      'error: Observation.category: minimum required = 1, but only found 0',
+      'error: Observation.code: max allowed = 1, but found an array of 1',
+      'error: Observation.subject: reference to Group is not allowed (expected Patient)',
+      'error: Observation.effective[x]: only one type is allowed, found effectiveDateTime, effectivePeriod',
+    ]));
+    expect(outcome.issue.find(i => i.code === 'required').expression).toEqual(['Observation.category']);
+  });
+
+  it('rejects a code outside every ValueSet the CQL retrieves the profile with', () => {
+    const outcome = validateResource(observation({ code: { coding: [{ system: 'http://loinc.org', code: '1234-5' }] } }));
+    expect(hasErrors(outcome)).toBe(true);
+    expect(diagnostics(outcome)[0]).toMatch(/^error: Observation\.code http:\/\/loinc\.org\|1234-5 is in none of the CQL ValueSets .*"Mammography"/);
+  });
+
+  it('checks Condition invariants and Patient identifiers', () => {
+    const condition = validateResource({
+      resourceType: 'Condition',
+      id: 'c',
+      meta: { profile: [`${QICORE}qicore-condition-problems-health-concerns`] },
+      clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'current' }] },
+      category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'encounter-diagnosis' }] }],
+      code: { coding: [{ system: 'http://snomed.info/sct', code: '254837009' }] },
+      subject: { reference: 'Patient/p' },
+    });
+    expect(diagnostics(condition)).toEqual([
+      'error: Condition.clinicalStatus: http://terminology.hl7.org/CodeSystem/condition-clinical|current is not in http://terminology.hl7.org/CodeSystem/condition-clinical (active | recurrence | relapse | inactive | remission | resolved)',
+      "error: Constraint failed: qicore-cat-1: 'Condition.category SHALL include problem-list-item or health-concern'",
+    ]);
+
+    const patient = validateResource({
+      resourceType: 'Patient',
+      id: 'p',
+      meta: { profile: [`${QICORE}qicore-patient`] },
+      identifier: [{ value: 'x' }],
+      name: [{ use: 'official' }],
+      gender: 'female',
+    });
+    expect(diagnostics(patient)).toEqual([
+      'error: Patient.identifier[0].system: minimum required = 1, but only found 0',
+      "error: Constraint failed: us-core-6: 'Either Patient.name.given and/or Patient.name.family SHALL be present or a Data Absent Reason Extension SHALL be present'",
+    ]);
+  });
+
+  it('skips profiles it does not know', () => {
+    const outcome = validateResource({ resourceType: 'Procedure', id: 'x', meta: { profile: [`${QICORE}qicore-procedure`] } });
+    expect(outcome.issue).toEqual([expect.objectContaining({ severity: 'information', code: 'not-supported' })]);
+  });
+});
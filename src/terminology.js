@@ -0,0 +1,231 @@
+/**
+ * Local terminology: ValueSets loaded from input/resources/vocabulary/valueset.
+ *
+ * Membership is answered from the ValueSet's expansion when it has one, and
+ * otherwise from the concepts enumerated in compose.include (filters and
+ * nested value set references are not expanded).
+ *
+ * On top of the loaded ValueSets this module answers the terminology
+ * operations the test tooling needs without a terminology server: $expand
+ * (expandValueSet), $validate-code (validateCode) and $lookup (lookupCode),
+ * plus pickCode for choosing a member when generating test data. ValueSets
+ * can be found by canonical url, id, name, title or CQL valueset declaration
+ * name (findValueSet).
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const valueSetDir = resolve(__dirname, '../input/resources/vocabulary/valueset');
+
+const cache = new Map();
+
+/** Recursively list ValueSet JSON files under a directory */
+function listJsonFiles(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listJsonFiles(path));
+    else if (entry.name.endsWith('.json')) files.push(path);
+  }
+  return files;
+}
+
+/** Flatten expansion.contains (which may nest) into a list of codings */
+function flattenContains(contains = []) {
+  const codings = [];
+  for (const item of contains) {
+    if (item.code) codings.push({ system: item.system, code: item.code, display: item.display });
+    if (item.contains) codings.push(...flattenContains(item.contains));
+  }
+  return codings;
+}
+
+/** Codings of a ValueSet, from its expansion or its enumerated compose concepts */
+export function getValueSetCodes(valueSet) {
+  if (valueSet.expansion?.contains) {
+    return flattenContains(valueSet.expansion.contains);
+  }
+  const codings = [];
+  for (const include of valueSet.compose?.include || []) {
+    for (const concept of include.concept || []) {
+      codings.push({ system: include.system, code: concept.code, display: concept.display });
+    }
+  }
+  return codings;
+}
+
+/** Index a ValueSet resource for membership checks */
+export function indexValueSet(resource) {
+  const codes = getValueSetCodes(resource);
+  return {
+    url: resource.url,
+    id: resource.id,
+    name: resource.name,
+    title: resource.title,
+    codes,
+    keys: new Set(codes.map(c => `${c.system}|${c.code}`)),
+  };
+}
+
+/**
+ * Load every ValueSet under a directory (default: the repo's vocabulary folder).
+ * Returns a Map of canonical url → { url, id, name, title, codes, keys, file },
+ * where keys is a Set of "system|code" strings. Results are cached per directory.
+ */
+export function loadValueSets(dir = valueSetDir) {
+  const root = resolve(dir);
+  if (cache.has(root)) return cache.get(root);
+
+  const valueSets = new Map();
+  if (existsSync(root)) {
+    for (const file of listJsonFiles(root)) {
+      const resource = JSON.parse(readFileSync(file, 'utf-8'));
+      if (resource.resourceType !== 'ValueSet' || !resource.url) continue;
+      valueSets.set(resource.url, { ...indexValueSet(resource), file });
+    }
+  }
+
+  cache.set(root, valueSets);
+  return valueSets;
+}
+
+/** Look up a loaded ValueSet by canonical url (a trailing |version is ignored) */
+export function getValueSet(url, valueSets = loadValueSets()) {
+  return valueSets.get(url.split('|')[0]) || null;
+}
+
+/** True if the coding is a member of the ValueSet */
+export function codingInValueSet(coding, valueSet) {
+  return !!coding?.code && valueSet.keys.has(`${coding.system}|${coding.code}`);
+}
+
+/** True if any coding of the CodeableConcept is a member of the ValueSet (CQL `in`) */
+export function conceptInValueSet(concept, valueSet) {
+  return (concept?.coding || []).some(coding => codingInValueSet(coding, valueSet));
+}
+
+/**
+ * Find a loaded ValueSet by canonical url, CQL valueset declaration name
+ * (`declarations` maps names to urls, see readValueSetDeclarations), id, name
+ * or title. Returns null when there is none.
+ */
+export function findValueSet(reference, { valueSets = loadValueSets(), declarations = {} } = {}) {
+  if (typeof reference !== 'string' || !reference) return null;
+  const declared = declarations[reference];
+  if (declared) return getValueSet(declared, valueSets);
+  const byUrl = getValueSet(reference, valueSets);
+  if (byUrl) return byUrl;
+  return [...valueSets.values()].find(vs => vs.id === reference)
+    || [...valueSets.values()].find(vs => vs.name === reference || vs.title === reference)
+    || null;
+}
+
+/**
+ * $expand: a ValueSet resource whose expansion lists the members, optionally
+ * narrowed by a case-insensitive `filter` on code or display and paged with
+ * `offset` and `count`
+ */
+export function expandValueSet(valueSet, { filter, offset = 0, count } = {}) {
+  const needle = filter?.toLowerCase();
+  const matches = needle
+    ? valueSet.codes.filter(c => c.code.toLowerCase().includes(needle) || c.display?.toLowerCase().includes(needle))
+    : valueSet.codes;
+  const page = matches.slice(offset, count === undefined ? undefined : offset + count);
+  return {
+    resourceType: 'ValueSet',
+    id: valueSet.id,
+    url: valueSet.url,
+    name: valueSet.name,
+    title: valueSet.title,
+    status: 'active',
+    expansion: {
+      timestamp: new Date().toISOString(),
+      total: matches.length,
+      offset,
+      ...(filter ? { parameter: [{ name: 'filter', valueString: filter }] } : {}),
+      contains: page.map(({ system, code, display }) => ({ system, code, ...(display ? { display } : {}) })),
+    },
+  };
+}
+
+/**
+ * $validate-code: whether a code (with optional system and display) is in the
+ * ValueSet. Returns { result, message?, display? }; a display that does not
+ * match the member's is invalid.
+ */
+export function validateCode(valueSet, { system, code, display } = {}) {
+  const label = valueSet.title || valueSet.name || valueSet.url;
+  const member = valueSet.codes.find(c => c.code === code && (!system || c.system === system));
+  if (!member) {
+    return { result: false, message: `${system ? `${system}|` : ''}${code} is not in the ValueSet "${label}"` };
+  }
+  if (display && member.display && display.toLowerCase() !== member.display.toLowerCase()) {
+    return {
+      result: false,
+      display: member.display,
+      message: `${member.system}|${code} is in "${label}", but its display is "${member.display}", not "${display}"`,
+    };
+  }
+  return { result: true, ...(member.display ? { display: member.display } : {}) };
+}
+
+/**
+ * $lookup over the loaded ValueSets (there are no local CodeSystems): the
+ * display of a code and the ValueSets containing it, or null when no loaded
+ * ValueSet has it. Without a system the code must be unambiguous.
+ */
+export function lookupCode({ system, code }, valueSets = loadValueSets()) {
+  const found = [...valueSets.values()].flatMap(vs => vs.codes
+    .filter(c => c.code === code && (!system || c.system === system))
+    .map(c => ({ ...c, valueSet: vs.url })));
+  if (!found.length) return null;
+
+  const systems = [...new Set(found.map(c => c.system))];
+  if (systems.length > 1) {
+    throw new Error(`Code ${code} is ambiguous; give its system (${systems.join(', ')})`);
+  }
+  return {
+    system: systems[0],
+    code,
+    display: found.find(c => c.display)?.display,
+    valueSets: [...new Set(found.map(c => c.valueSet))],
+  };
+}
+
+/** 32-bit FNV-1a hash, so "random" picks are stable for the same seed */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (const char of text) {
+    h ^= char.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Pick one member of a ValueSet as a Coding. `pick` is 'first' (default),
+ * 'last', 'random' (chosen by hashing `seed`, so the same seed always yields
+ * the same code) or a zero-based index; `system` limits the candidates.
+ */
+export function pickCode(valueSet, { pick = 'first', system, seed = '' } = {}) {
+  const label = valueSet.title || valueSet.name || valueSet.url;
+  const candidates = system ? valueSet.codes.filter(c => c.system === system) : valueSet.codes;
+  if (!candidates.length) {
+    throw new Error(`ValueSet "${label}" has no ${system ? `${system} ` : ''}codes to pick from`);
+  }
+
+  let index;
+  if (pick === 'first') index = 0;
+  else if (pick === 'last') index = candidates.length - 1;
+  else if (pick === 'random') index = hash(`${valueSet.url}|${seed}`) % candidates.length;
+  else if (Number.isInteger(pick) && pick >= 0 && pick < candidates.length) index = pick;
+  else {
+    throw new Error(`Invalid pick ${JSON.stringify(pick)} for ValueSet "${label}" (first, last, random or 0-${candidates.length - 1})`);
+  }
+
+  const { system: codeSystem, code, display } = candidates[index];
+  return { system: codeSystem, code, ...(display ? { display } : {}) };
+}
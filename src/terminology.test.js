@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  loadValueSets, findValueSet, expandValueSet, validateCode, lookupCode, pickCode, indexValueSet,
+} from './terminology.js';
+import { readValueSetDeclarations } from './fhir-extractor.js';
+
+const MAMMOGRAPHY = 'http://cts.nlm.nih.gov/fhir/ValueSet/2.16.840.1.113883.3.464.1003.108.12.1018';
+const declarations = readValueSetDeclarations();
+
+const sample = indexValueSet({
+  resourceType: 'ValueSet',
+  url: 'http://example.org/ValueSet/sample',
+  title: 'Sample',
+  compose: {
+    include: [
+      { system: 'http://loinc.org', concept: [{ code: '1-1', display: 'One' }, { code: '2-2', display: 'Two' }] },
+      { system: 'http://snomed.info/sct', concept: [{ code: '3', display: 'Three' }] },
+    ],
+  },
+});
+
+describe('terminology', () => {
+  it('finds ValueSets by CQL declaration name, url, id and title', () => {
+    const byName = findValueSet('Mammography', { declarations });
+    expect(byName.url).toBe(MAMMOGRAPHY);
+    expect(findValueSet(`${MAMMOGRAPHY}|20240101`)).toBe(byName);
+    expect(findValueSet('2.16.840.1.113883.3.464.1003.108.12.1018')).toBe(byName);
+    expect(findValueSet('Breast Cancer ICD-10', { declarations }).url).toMatch(/1116\.185$/);
+    expect(findValueSet('No Such ValueSet', { declarations })).toBeNull();
+  });
+
+  it('expands with a filter and paging', () => {
+    const page = expandValueSet(sample, { filter: 't', offset: 1, count: 1 });
+    expect(page.expansion.total).toBe(2);
+    expect(page.expansion.offset).toBe(1);
+    expect(page.expansion.contains).toEqual([{ system: 'http://snomed.info/sct', code: '3', display: 'Three' }]);
+    expect(expandValueSet(sample).expansion.contains).toHaveLength(3);
+  });
+
+  it('validates codes, systems and displays', () => {
+    expect(validateCode(sample, { system: 'http://loinc.org', code: '1-1' })).toEqual({ result: true, display: 'One' });
+    expect(validateCode(sample, { code: '3' }).result).toBe(true);
+    expect(validateCode(sample, { system: 'http://snomed.info/sct', code: '1-1' }))
+      .toEqual({ result: false, message: 'http://snomed.info/sct|1-1 is not in the ValueSet "Sample"' });
+    expect(validateCode(sample, { code: '2-2', display: 'Deux' }).message).toMatch(/its display is "Two", not "Deux"/);
+  });
+
+  it('looks codes up across the loaded ValueSets', () => {
+    expect(lookupCode({ system: 'http://loinc.org', code: '24606-6' })).toEqual({
+      system: 'http://loinc.org',
+      code: '24606-6',
+      display: 'MG Breast Screening',
+      valueSets: [MAMMOGRAPHY],
+    });
+    expect(lookupCode({ code: 'not-a-code' })).toBeNull();
+
+    const valueSets = new Map([...loadValueSets(), [sample.url, sample]]);
+    expect(lookupCode({ code: '3' }, valueSets).system).toBe('http://snomed.info/sct');
+  });
+
+  it('picks members first, last, by index or stably at random', () => {
+    expect(pickCode(sample)).toEqual({ system: 'http://loinc.org', code: '1-1', display: 'One' });
+    expect(pickCode(sample, { pick: 'last' }).code).toBe('3');
+    expect(pickCode(sample, { pick: 1 }).code).toBe('2-2');
+    expect(pickCode(sample, { system: 'http://snomed.info/sct' }).code).toBe('3');
+    expect(pickCode(sample, { pick: 'random', seed: 'case-a' })).toEqual(pickCode(sample, { pick: 'random', seed: 'case-a' }));
+    expect(() => pickCode(sample, { pick: 5 })).toThrow('Invalid pick 5 for ValueSet "Sample" (first, last, random or 0-2)');
+    expect(() => pickCode(sample, { system: 'http://hl7.org/fhir/sid/icd-10-cm' })).toThrow(/has no http:\/\/hl7.org\/fhir\/sid\/icd-10-cm codes/);
+  });
+});
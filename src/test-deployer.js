@@ -2,100 +2,173 @@
 /**
  * Deploys generated FHIR test resources to HAPI server.
  *
+ * The resources are sent as one FHIR transaction Bundle of PUTs (one per case,
+ * or a single Bundle for --all), so a deployment either fully succeeds or
+ * leaves the server unchanged. Each case's resources are first checked
+ * offline against their QICore profiles (see profile-validator.js); nothing is
+ * sent when any of them has errors.
+ *
  * Usage: node src/test-deployer.js bcs-recommend-57yo-female
  *        node src/test-deployer.js --all
+ *        node src/test-deployer.js --all --out reports/bundle.json   (write the Bundle instead of sending it)
+ *
+ * Options:
+ *   --out <file>         Write the transaction Bundle to a file instead of sending it
+ *   --skip-validation    Deploy without the QICore profile check
  *
- * Environment: HAPI_BASE_URL (default: http://localhost:8080/fhir)
+ * Environment: HAPI_BASE_URL (default: http://localhost:8080/fhir), plus the
+ * authentication, timeout and retry settings described in fhir-client.js
  */
 
-import { readFileSync, readdirSync, existsSync } from 'fs';
-import { resolve } from 'path';
+import { readFileSync, readdirSync, existsSync, writeFileSync, mkdirSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { validateCase, hasErrors } from './profile-validator.js';
+import { createFhirClient } from './fhir-client.js';
 
-const HAPI_BASE_URL = process.env.HAPI_BASE_URL || 'http://localhost:8080/fhir';
 const generatedDir = resolve(process.cwd(), 'tests/generated');
 
 /**
- * Deploy a single resource to HAPI
+ * Load a generated test case: its metadata and resources (read from the case
+ * directory, so the case can be moved after generation)
  */
-async function deployResource(resourcePath) {
-  const resource = JSON.parse(readFileSync(resourcePath, 'utf-8'));
-  const resourceType = resource.resourceType;
-  const resourceId = resource.id;
-
-  const url = `${HAPI_BASE_URL}/${resourceType}/${resourceId}`;
-
-  const response = await fetch(url, {
-    method: 'PUT',
-    headers: {
-      'Content-Type': 'application/fhir+json',
-      'Accept': 'application/fhir+json'
-    },
-    body: JSON.stringify(resource)
-  });
+export function loadTestCase(caseId, dir = generatedDir) {
+  const caseDir = resolve(dir, caseId);
+  const metadataPath = resolve(caseDir, '_metadata.json');
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to deploy ${resourceType}/${resourceId}: ${response.status} ${error}`);
+  if (!existsSync(metadataPath)) {
+    throw new Error(`Test case not found: ${caseId}. Run 'npm run test:generate' first.`);
   }
 
-  return { resourceType, resourceId, status: response.status };
+  const metadata = JSON.parse(readFileSync(metadataPath, 'utf-8'));
+  const resources = metadata.resources.map(({ type, id }) => JSON.parse(readFileSync(resolve(caseDir, type, `${id}.json`), 'utf-8')));
+  return { caseId, caseDir, metadata, resources };
 }
 
 /**
- * Deploy all resources for a test case
+ * Build a transaction Bundle that PUTs every resource of the given cases.
+ * Patients come first so the Bundle reads top-down.
  */
-async function deployTestCase(caseId) {
-  const caseDir = resolve(generatedDir, caseId);
-  const metadataPath = resolve(caseDir, '_metadata.json');
+export function buildTransactionBundle(cases, baseUrl) {
+  const resources = cases.flatMap(testCase => testCase.resources);
+  const ordered = [
+    ...resources.filter(r => r.resourceType === 'Patient'),
+    ...resources.filter(r => r.resourceType !== 'Patient'),
+  ];
+  return {
+    resourceType: 'Bundle',
+    type: 'transaction',
+    entry: ordered.map(resource => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      request: { method: 'PUT', url: `${resource.resourceType}/${resource.id}` },
+    })),
+  };
+}
 
-  if (!existsSync(metadataPath)) {
-    throw new Error(`Test case not found: ${caseId}. Run 'npm run test:generate' first.`);
+/**
+ * Check every resource against its QICore profiles. Returns the number of
+ * resources with errors, printing them; the deploy is refused unless it is 0.
+ */
+export function validateCases(cases) {
+  let invalid = 0;
+  for (const { caseId, caseDir } of cases) {
+    for (const { resourceType, id, outcome } of validateCase(caseDir)) {
+      if (!hasErrors(outcome)) continue;
+      invalid++;
+      console.error(`  ✗ ${caseId} ${resourceType}/${id} does not conform:`);
+      for (const issue of outcome.issue.filter(i => i.severity === 'error' || i.severity === 'fatal')) {
+        console.error(`      ${issue.diagnostics}`);
+      }
+    }
   }
+  return invalid;
+}
 
-  const metadata = JSON.parse(readFileSync(metadataPath, 'utf-8'));
-
-  console.log(`Deploying: ${caseId}`);
-  console.log(`  Description: ${metadata.description}`);
-
-  const results = [];
-  for (const res of metadata.resources) {
-    const result = await deployResource(res.path);
-    console.log(`  ${result.resourceType}/${result.resourceId} → ${result.status}`);
-    results.push(result);
+/**
+ * What a failed transaction left on the server. Only an HTTP error answered
+ * with an OperationOutcome shows the server rejected the transaction; after a
+ * network error or timeout it may or may not have been applied.
+ */
+export function describeDeployFailure(err, teardownCommand) {
+  if (err.status >= 400 && err.outcome) {
+    return 'The transaction was rejected as a whole; no resources were changed.';
   }
+  return `The outcome of the transaction is unknown; some or all resources may have been written. Run '${teardownCommand}' to remove them.`;
+}
 
-  return { caseId, resources: results };
+/**
+ * Submit one transaction and report each entry's outcome
+ */
+async function deployBundle(client, bundle, label) {
+  console.log(`Deploying: ${label} (${bundle.entry.length} resource(s) in one transaction)`);
+  const response = await client.transaction(bundle);
+  bundle.entry.forEach((entry, i) => {
+    console.log(`  ${entry.request.url} → ${response.entry?.[i]?.response?.status ?? 'no response entry'}`);
+  });
 }
 
 // Main
-const args = process.argv.slice(2);
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const positional = [];
+  let outFile = null;
+  let skipValidation = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') outFile = args[++i];
+    else if (args[i] === '--skip-validation') skipValidation = true;
+    else positional.push(args[i]);
+  }
 
-if (args.length === 0) {
-  console.error('Usage: node src/test-deployer.js <case-id>');
-  console.error('       node src/test-deployer.js --all');
-  console.error(`\nHAPI server: ${HAPI_BASE_URL}`);
-  process.exit(1);
-}
+  const client = createFhirClient();
 
-console.log(`HAPI server: ${HAPI_BASE_URL}\n`);
+  if (positional.length === 0) {
+    console.error('Usage: node src/test-deployer.js <case-id> [--out <file>] [--skip-validation]');
+    console.error('       node src/test-deployer.js --all [--out <file>] [--skip-validation]');
+    console.error(`\nHAPI server: ${client.baseUrl}`);
+    process.exit(1);
+  }
 
-let casesToDeploy = [];
+  const caseIds = positional[0] === '--all'
+    ? readdirSync(generatedDir).filter(f => existsSync(resolve(generatedDir, f, '_metadata.json')))
+    : [positional[0]];
 
-if (args[0] === '--all') {
-  casesToDeploy = readdirSync(generatedDir)
-    .filter(f => existsSync(resolve(generatedDir, f, '_metadata.json')));
-} else {
-  casesToDeploy = [args[0]];
-}
+  let cases;
+  try {
+    cases = caseIds.map(caseId => loadTestCase(caseId));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!skipValidation) {
+    const invalid = validateCases(cases);
+    if (invalid) {
+      console.error(`\n${invalid} resource(s) failed profile validation (see npm run test:validate); nothing deployed`);
+      process.exit(1);
+    }
+  }
+
+  const bundle = buildTransactionBundle(cases, client.baseUrl);
+  const label = positional[0] === '--all' ? `${cases.length} case(s)` : caseIds[0];
 
-for (const caseId of casesToDeploy) {
+  if (outFile) {
+    mkdirSync(dirname(resolve(outFile)), { recursive: true });
+    writeFileSync(outFile, JSON.stringify(bundle, null, 2));
+    console.log(`Wrote transaction Bundle for ${label} (${bundle.entry.length} resource(s)) to ${outFile}`);
+    process.exit(0);
+  }
+
+  console.log(`HAPI server: ${client.baseUrl}\n`);
   try {
-    await deployTestCase(caseId);
-    console.log('');
+    await deployBundle(client, bundle, label);
   } catch (err) {
-    console.error(`Error deploying ${caseId}: ${err.message}`);
+    console.error(`Error deploying ${label}: ${err.message}`);
+    const teardown = positional[0] === '--all' ? 'npm run test:teardown' : `npm run test:teardown:one -- ${caseIds[0]}`;
+    console.error(describeDeployFailure(err, teardown));
     process.exit(1);
   }
-}
 
-console.log('Deploy complete.');
+  console.log('\nDeploy complete.');
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { cpSync, mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { loadTestCase, buildTransactionBundle, describeDeployFailure, validateCases } from './test-deployer.js';
+import { FhirClientError } from './fhir-client.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const generatedDir = resolve(__dirname, '../tests/generated');
+
+describe('test deployer', () => {
+  let dir;
+  afterEach(() => {
+    vi.restoreAllMocks();
+    if (dir) rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('loads a case from its own directory', () => {
+    const testCase = loadTestCase('bcs-mammo-2y-exactly', generatedDir);
+    expect(testCase.resources.map(r => `${r.resourceType}/${r.id}`))
+      .toEqual(['Patient/bcs-mammo-2y-exactly', 'Observation/bcs-mammo-2y-exactly-obs']);
+    expect(() => loadTestCase('no-such-case', generatedDir)).toThrow(/Test case not found: no-such-case/);
+  });
+
+  it('builds one transaction Bundle of PUTs, Patients first', () => {
+    const cases = ['bcs-mammo-2y-exactly', 'bcs-male-no-recommend'].map(id => loadTestCase(id, generatedDir));
+    const bundle = buildTransactionBundle(cases, 'http://fhir.test/fhir');
+
+    expect(bundle.type).toBe('transaction');
+    expect(bundle.entry.map(e => e.request)).toEqual([
+      { method: 'PUT', url: 'Patient/bcs-mammo-2y-exactly' },
+      { method: 'PUT', url: 'Patient/bcs-male-no-recommend' },
+      { method: 'PUT', url: 'Observation/bcs-mammo-2y-exactly-obs' },
+    ]);
+    expect(bundle.entry[0].fullUrl).toBe('http://fhir.test/fhir/Patient/bcs-mammo-2y-exactly');
+    expect(bundle.entry[2].resource.subject.reference).toBe('Patient/bcs-mammo-2y-exactly');
+  });
+
+  it('blocks the deploy of a resource whose code the CQL would not retrieve', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    dir = mkdtempSync(join(tmpdir(), 'deploy-'));
+    cpSync(resolve(generatedDir, 'bcs-mammo-2y-exactly'), join(dir, 'bcs-mammo-2y-exactly'), { recursive: true });
+    expect(validateCases([loadTestCase('bcs-mammo-2y-exactly', dir)])).toBe(0);
+
+    const obsPath = join(dir, 'bcs-mammo-2y-exactly', 'Observation', 'bcs-mammo-2y-exactly-obs.json');
+    const observation = JSON.parse(readFileSync(obsPath, 'utf-8'));
+    observation.code = { coding: [{ system: 'http://loinc.org', code: '1234-5' }] };
+    writeFileSync(obsPath, JSON.stringify(observation));
+    expect(validateCases([loadTestCase('bcs-mammo-2y-exactly', dir)])).toBe(1);
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/in none of the CQL ValueSets/));
+  });
+
+  it('reports a rollback only when the server answered with an OperationOutcome', () => {
+    const outcome = { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'invalid' }] };
+    expect(describeDeployFailure(new FhirClientError('rejected', { status: 422, outcome }), 'npm run test:teardown'))
+      .toMatch(/rejected as a whole; no resources were changed/);
+    for (const err of [
+      new FhirClientError('timed out', { status: null }),
+      new FhirClientError('bad gateway', { status: 502, body: '<html>' }),
+    ]) {
+      const message = describeDeployFailure(err, 'npm run test:teardown');
+      expect(message).toMatch(/outcome of the transaction is unknown/);
+      expect(message).toContain("Run 'npm run test:teardown'");
+    }
+  });
+});
@@ -1,86 +1,144 @@
 #!/usr/bin/env node
 /**
  * Generates FHIR resources from YAML test case definitions.
- * Supports dynamic date functions like $fn: yearsAgo
+ * Supports dynamic date functions like $fn: yearsAgo, resolved relative to an
+ * explicit as-of date that is recorded in each case's _metadata.json.
+ *
+ * Codings can be drawn from the local ValueSets instead of being hard-coded
+ * (see terminology.js); ValueSets are named as in the CQL valueset
+ * declarations, or by url, name or title:
+ *   - $vs: Breast Cancer ICD-10          first member (pick: first | last | random | <index>,
+ *     pick: random                       random being stable per case; system: limits the codes)
+ *   - $code: http://loinc.org|24606-6    this code, checked against the ValueSet and given
+ *     in: Mammography                    its display (without `in`, looked up in all ValueSets)
+ *
+ * Resources may extend a template from tests/templates/ with `$template: <name>`
+ * and override any of its fields. Every resource gets the common and
+ * case-specific lifecycle tags, and non-Patient resources without a subject
+ * get a reference to the case's Patient.
+ *
+ * Cases are validated before anything is written (see case-validator.js): a
+ * missing or duplicate id, unknown $fn, $vs/$code directives that do not
+ * resolve, codes outside the ValueSets the CQL retrieves the resource's
+ * profile with, `expected` keys that are not CQL defines, `expectedActions`
+ * that are not PlanDefinition actions, lifecycle tags for another case (or
+ * resources that still lack their own after injection) or references to
+ * Patients outside the case fail with file:line errors.
+ *
+ * `expectedActions` lists the PlanDefinition actions $apply should propose
+ * for the case ([] for none); it is copied to _metadata.json with `expected`.
  *
  * Usage: node src/test-generator.js tests/cases/bcs-recommend-57yo-female.yaml
  *        node src/test-generator.js --all  (processes all YAML in tests/cases/)
+ *        node src/test-generator.js --all --as-of 2025-12-26 --tz Pacific/Honolulu
+ *
+ * Environment:
+ *   AS_OF_DATE (default: today in AS_OF_TZ)
+ *   AS_OF_TZ (default: the system time zone)
  */
 
 import { readFileSync, writeFileSync, readdirSync, mkdirSync } from 'fs';
-import { resolve, dirname, basename } from 'path';
+import { resolve, dirname, basename, relative } from 'path';
+import { fileURLToPath } from 'url';
 import { parse as parseYaml } from 'yaml';
+import { resolveEvaluationDate, shiftDate } from './evaluation-date.js';
+import { parseTestCase, validateTestCase, CaseValidationError, formatIssue } from './case-validator.js';
+import { readDefinitions, readValueSetDeclarations } from './fhir-extractor.js';
+import { loadValueSets, findValueSet, validateCode, lookupCode, pickCode } from './terminology.js';
+import { readRetrieves, checkRetrievedCode } from './profile-validator.js';
+import { loadKnowledgeArtifacts } from './plan-apply.js';
 
 const casesDir = resolve(process.cwd(), 'tests/cases');
+const templatesDir = resolve(process.cwd(), 'tests/templates');
 const outputDir = resolve(process.cwd(), 'tests/generated');
+const TAG_SYSTEM = 'http://example.org/test-lifecycle';
+const COMMON_TAG_CODE = 'bcs-test';
 
 /**
- * Date function handlers
+ * Date function handlers, resolved relative to the as-of date (YYYY-MM-DD)
  */
-const dateFunctions = {
-  yearsAgo: (params) => {
-    const date = new Date();
-    date.setFullYear(date.getFullYear() - params.years);
-    // offsetDays: negative = older, positive = more recent
-    // Default -1 for birthDate edge case (ensures birthday has passed)
-    const offsetDays = params.offsetDays ?? -1;
-    date.setDate(date.getDate() + offsetDays);
-    // Format in local time (not UTC) to match server timezone
-    const yyyy = date.getFullYear();
-    const mm = String(date.getMonth() + 1).padStart(2, '0');
-    const dd = String(date.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
-  },
-  daysAgo: (params) => {
-    const date = new Date();
-    date.setDate(date.getDate() - params.days);
-    // Format in local time (not UTC) to match server timezone
-    const yyyy = date.getFullYear();
-    const mm = String(date.getMonth() + 1).padStart(2, '0');
-    const dd = String(date.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
-  },
-  today: () => {
-    const date = new Date();
-    // Format in local time (not UTC) to match server timezone
-    const yyyy = date.getFullYear();
-    const mm = String(date.getMonth() + 1).padStart(2, '0');
-    const dd = String(date.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
-  },
-  monthsAgo: (params) => {
-    const date = new Date();
-    date.setMonth(date.getMonth() - params.months);
-    // Format in local time (not UTC) to match server timezone
-    const yyyy = date.getFullYear();
-    const mm = String(date.getMonth() + 1).padStart(2, '0');
-    const dd = String(date.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
-  }
+export const dateFunctions = {
+  // offsetDays: negative = older, positive = more recent
+  // Default -1 for birthDate edge case (ensures birthday has passed)
+  yearsAgo: (params, asOf) => shiftDate(asOf, { years: -params.years, days: params.offsetDays ?? -1 }),
+  daysAgo: (params, asOf) => shiftDate(asOf, { days: -params.days }),
+  today: (params, asOf) => asOf,
+  monthsAgo: (params, asOf) => shiftDate(asOf, { months: -params.months })
 };
 
 /**
- * Recursively process an object, evaluating $fn date functions
+ * The ValueSets, CQL valueset declarations (name → url) and retrieves
+ * (profile url → ValueSet names) that code directives and checks use
+ */
+export function loadTerminology(cqlPath) {
+  return {
+    valueSets: loadValueSets(),
+    declarations: readValueSetDeclarations(cqlPath),
+    retrieves: readRetrieves(cqlPath),
+  };
+}
+
+/**
+ * Resolve a $vs or $code directive to a Coding. Context: terminology (from
+ * loadTerminology) and caseId, which seeds `pick: random`.
+ */
+export function resolveCodeDirective(directive, context = {}) {
+  const terminology = context.terminology || loadTerminology();
+  const valueSetNamed = (name) => {
+    const valueSet = findValueSet(name, terminology);
+    if (!valueSet) throw new Error(`Unknown ValueSet "${name}" (not a CQL valueset name or a local ValueSet)`);
+    return valueSet;
+  };
+
+  if ('$vs' in directive) {
+    return pickCode(valueSetNamed(directive.$vs), { pick: directive.pick, system: directive.system, seed: context.caseId });
+  }
+
+  const text = String(directive.$code);
+  const separator = text.lastIndexOf('|');
+  const system = separator >= 0 ? text.slice(0, separator) : undefined;
+  const code = text.slice(separator + 1);
+
+  if (directive.in !== undefined) {
+    const valueSet = valueSetNamed(directive.in);
+    const result = validateCode(valueSet, { system, code, display: directive.display });
+    if (!result.result) throw new Error(result.message);
+    const member = valueSet.codes.find(c => c.code === code && (!system || c.system === system));
+    return { system: member.system, code, ...(result.display ? { display: result.display } : {}) };
+  }
+
+  const found = lookupCode({ system, code }, terminology.valueSets);
+  if (!found) throw new Error(`Code ${text} is in no local ValueSet; add \`in: <ValueSet>\` or use a member code`);
+  return { system: found.system, code, ...(found.display ? { display: found.display } : {}) };
+}
+
+/**
+ * Recursively process an object, evaluating $fn date functions and $vs/$code
+ * code directives. Context: see resolveCodeDirective.
  */
-function processValue(value) {
+export function processValue(value, asOf, context = {}) {
   if (value === null || value === undefined) {
     return value;
   }
 
   if (Array.isArray(value)) {
-    return value.map(processValue);
+    return value.map(item => processValue(item, asOf, context));
   }
 
   if (typeof value === 'object') {
     // Check if this is a $fn directive
-    if (value.$fn && dateFunctions[value.$fn]) {
-      return dateFunctions[value.$fn](value);
+    if ('$fn' in value) {
+      if (!Object.hasOwn(dateFunctions, value.$fn)) throw new Error(`Unknown $fn "${value.$fn}"`);
+      return dateFunctions[value.$fn](value, asOf);
+    }
+    if ('$vs' in value || '$code' in value) {
+      return resolveCodeDirective(value, context);
     }
 
     // Otherwise recurse into object
     const result = {};
     for (const [key, val] of Object.entries(value)) {
-      result[key] = processValue(val);
+      result[key] = processValue(val, asOf, context);
     }
     return result;
   }
@@ -88,12 +146,175 @@ function processValue(value) {
   return value;
 }
 
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge `override` onto `base`. Objects merge key by key (keeping the
+ * base's key order); arrays and scalars in the override replace the base.
+ */
+function mergeDeep(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = key in base ? mergeDeep(base[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Load a template from tests/templates/<name>.yaml, expanding the templates
+ * it extends or embeds
+ */
+function loadTemplate(name, dir, chain = []) {
+  if (chain.includes(name)) {
+    throw new Error(`Circular template inheritance: ${[...chain, name].join(' → ')}`);
+  }
+  const path = resolve(dir, `${name}.yaml`);
+  let template;
+  try {
+    template = parseYaml(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`Unknown template "${name}" (no ${path})`);
+    throw err;
+  }
+  return expandTemplates(template, dir, [...chain, name]);
+}
+
+/**
+ * Expand every `$template: <name>` object in a value: the object's other
+ * fields are merged over the named template. Works for whole resources and
+ * for fragments such as a single extension.
+ */
+export function expandTemplates(value, dir = templatesDir, chain = []) {
+  if (Array.isArray(value)) return value.map(item => expandTemplates(item, dir, chain));
+  if (!isPlainObject(value)) return value;
+  const { $template, ...fields } = value;
+  const expanded = Object.fromEntries(Object.entries(fields).map(([key, val]) => [key, expandTemplates(val, dir, chain)]));
+  return $template ? mergeDeep(loadTemplate($template, dir, chain), expanded) : expanded;
+}
+
+/**
+ * Replace {{caseId}} placeholders in every string of a value
+ */
+function fillPlaceholders(value, vars) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+  if (Array.isArray(value)) return value.map(item => fillPlaceholders(item, vars));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, fillPlaceholders(val, vars)]));
+  }
+  return value;
+}
+
+/**
+ * Return a copy of `object` with `key` set, placed right after `afterKey`
+ * when that key exists (so generated JSON keeps FHIR element order)
+ */
+function insertAfter(object, afterKey, key, value) {
+  if (!(afterKey in object)) return { ...object, [key]: value };
+  const result = {};
+  for (const [k, v] of Object.entries(object)) {
+    if (k !== key) result[k] = v;
+    if (k === afterKey) result[key] = value;
+  }
+  return result;
+}
+
 /**
- * Process a single YAML test case file
+ * Add the common and case-specific lifecycle tags unless already present
  */
-function processTestCase(yamlPath) {
-  const yamlContent = readFileSync(yamlPath, 'utf-8');
-  const testCase = parseYaml(yamlContent);
+function withLifecycleTags(resource, caseId) {
+  const meta = resource.meta || {};
+  const tags = [...(meta.tag || [])];
+  for (const code of [COMMON_TAG_CODE, caseId]) {
+    if (!tags.some(t => t.system === TAG_SYSTEM && t.code === code)) {
+      tags.push({ system: TAG_SYSTEM, code });
+    }
+  }
+  return insertAfter(resource, 'id', 'meta', { ...meta, tag: tags });
+}
+
+/**
+ * Expand templates and inject lifecycle tags and Patient subject references
+ * for every resource of a parsed test case (date functions are not resolved)
+ */
+export function buildResources(testCase, options = {}) {
+  const dir = options.templatesDir || templatesDir;
+  const caseId = testCase.id;
+
+  const expanded = (testCase.resources || [])
+    .map(resource => fillPlaceholders(expandTemplates(resource, dir), { caseId }))
+    .map(resource => withLifecycleTags(resource, caseId));
+
+  const patients = expanded.filter(r => r.resourceType === 'Patient');
+  if (patients.length !== 1) return expanded;
+
+  const subject = { reference: `Patient/${patients[0].id}` };
+  return expanded.map(resource => (resource.resourceType === 'Patient' || resource.subject || resource.patient
+    ? resource
+    : insertAfter(resource, 'code', 'subject', subject)));
+}
+
+/**
+ * Map of case id → YAML file for every case in a directory, skipping `exclude`
+ * (used to detect duplicate ids)
+ */
+export function indexCaseIds(dir = casesDir, exclude) {
+  const index = new Map();
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.yaml') || f.endsWith('.yml'))) {
+    const path = resolve(dir, file);
+    if (path === (exclude && resolve(exclude))) continue;
+    let id;
+    try {
+      id = parseYaml(readFileSync(path, 'utf-8'))?.id;
+    } catch {
+      continue;
+    }
+    if (typeof id === 'string' && !index.has(id)) index.set(id, path);
+  }
+  return index;
+}
+
+/** Ids of the actions (at any depth) of the repo's PlanDefinitions */
+function planActionIds() {
+  const ids = (actions = []) => actions.flatMap(action => [action.id, ...ids(action.action)]);
+  return new Set(loadKnowledgeArtifacts().planDefinitions.flatMap(plan => ids(plan.action)));
+}
+
+/**
+ * Parse and validate a YAML test case file. Returns { testCase, issues }.
+ * Options: otherCases (id → file of the other cases), cqlPath, templatesDir,
+ * terminology (from loadTerminology).
+ */
+export function validateTestCaseFile(yamlPath, options = {}) {
+  const parsed = parseTestCase(yamlPath, readFileSync(yamlPath, 'utf-8'));
+  const terminology = options.terminology || loadTerminology(options.cqlPath);
+  const issues = validateTestCase(parsed, {
+    definitions: readDefinitions(options.cqlPath),
+    actions: planActionIds(),
+    functions: Object.keys(dateFunctions),
+    otherCases: options.otherCases,
+    build: (testCase) => buildResources(testCase, options),
+    resolveCode: (directive, caseId) => resolveCodeDirective(directive, { terminology, caseId }),
+    checkCode: (resource) => checkRetrievedCode(resource, terminology),
+  });
+  return { testCase: parsed.testCase, issues };
+}
+
+/**
+ * Process a single YAML test case file. `evaluation` is the { asOf, timeZone }
+ * from resolveEvaluationDate that $fn dates are resolved against; options are
+ * as for validateTestCaseFile, which sees the same templates. Throws a
+ * CaseValidationError, before writing anything, when the case is invalid.
+ */
+export function processTestCase(yamlPath, evaluation = resolveEvaluationDate(), options = {}) {
+  const otherCases = options.otherCases || indexCaseIds(dirname(resolve(yamlPath)), yamlPath);
+  const terminology = options.terminology || loadTerminology(options.cqlPath);
+  const { testCase, issues } = validateTestCaseFile(yamlPath, { ...options, otherCases, terminology });
+  if (issues.length) throw new CaseValidationError(issues);
 
   const caseId = testCase.id;
   const caseOutputDir = resolve(outputDir, caseId);
@@ -103,8 +324,8 @@ function processTestCase(yamlPath) {
 
   // Process each resource
   const generatedResources = [];
-  for (const resource of testCase.resources) {
-    const processed = processValue(resource);
+  for (const resource of buildResources(testCase, options)) {
+    const processed = processValue(resource, evaluation.asOf, { terminology, caseId });
     const resourceType = processed.resourceType;
     const resourceId = processed.id;
 
@@ -117,7 +338,9 @@ function processTestCase(yamlPath) {
     generatedResources.push({
       type: resourceType,
       id: resourceId,
-      path: resourcePath
+      // Relative to the working directory (the repo root under npm), so the
+      // committed metadata does not depend on where the repo was checked out
+      path: relative(process.cwd(), resourcePath)
     });
   }
 
@@ -128,7 +351,10 @@ function processTestCase(yamlPath) {
     description: testCase.description,
     tags: testCase.tags,
     expected: testCase.expected,
+    ...(testCase.expectedActions ? { expectedActions: testCase.expectedActions } : {}),
     resources: generatedResources,
+    asOf: evaluation.asOf,
+    timeZone: evaluation.timeZone,
     generatedAt: new Date().toISOString()
   }, null, 2));
 
@@ -140,38 +366,67 @@ function processTestCase(yamlPath) {
 }
 
 // Main
-const args = process.argv.slice(2);
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const options = {};
+  const positional = [];
 
-if (args.length === 0) {
-  console.error('Usage: node src/test-generator.js <yaml-file>');
-  console.error('       node src/test-generator.js --all');
-  process.exit(1);
-}
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--as-of') options.asOf = args[++i];
+    else if (args[i] === '--tz') options.timeZone = args[++i];
+    else positional.push(args[i]);
+  }
+
+  if (positional.length === 0) {
+    console.error('Usage: node src/test-generator.js <yaml-file> [--as-of YYYY-MM-DD] [--tz <time-zone>]');
+    console.error('       node src/test-generator.js --all [--as-of YYYY-MM-DD] [--tz <time-zone>]');
+    process.exit(1);
+  }
+
+  let evaluation;
+  try {
+    evaluation = resolveEvaluationDate(options);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  console.log(`As of: ${evaluation.asOf} (${evaluation.timeZone})\n`);
 
-mkdirSync(outputDir, { recursive: true });
+  mkdirSync(outputDir, { recursive: true });
 
-let filesToProcess = [];
+  let filesToProcess = [];
 
-if (args[0] === '--all') {
-  filesToProcess = readdirSync(casesDir)
-    .filter(f => f.endsWith('.yaml') || f.endsWith('.yml'))
-    .map(f => resolve(casesDir, f));
-} else {
-  // Accept either a full path or just a case ID
-  let inputPath = args[0];
-  if (!inputPath.endsWith('.yaml') && !inputPath.endsWith('.yml')) {
-    // Assume it's a case ID, look in cases directory
-    inputPath = resolve(casesDir, `${inputPath}.yaml`);
+  if (positional[0] === '--all') {
+    filesToProcess = readdirSync(casesDir)
+      .filter(f => f.endsWith('.yaml') || f.endsWith('.yml'))
+      .map(f => resolve(casesDir, f));
   } else {
-    inputPath = resolve(inputPath);
+    // Accept either a full path or just a case ID
+    let inputPath = positional[0];
+    if (!inputPath.endsWith('.yaml') && !inputPath.endsWith('.yml')) {
+      // Assume it's a case ID, look in cases directory
+      inputPath = resolve(casesDir, `${inputPath}.yaml`);
+    } else {
+      inputPath = resolve(inputPath);
+    }
+    filesToProcess = [inputPath];
   }
-  filesToProcess = [inputPath];
-}
 
-for (const yamlPath of filesToProcess) {
-  const result = processTestCase(yamlPath);
-  console.log(`Generated: ${result.id}`);
-  for (const res of result.resources) {
-    console.log(`  ${res.type}/${res.id} → ${res.path}`);
+  // Validate every case before generating any of them
+  const otherCases = new Map(filesToProcess.map(yamlPath => [yamlPath, indexCaseIds(casesDir, yamlPath)]));
+  const terminology = loadTerminology();
+  const issues = filesToProcess.flatMap(yamlPath => validateTestCaseFile(yamlPath, { otherCases: otherCases.get(yamlPath), terminology }).issues);
+  if (issues.length) {
+    for (const issue of issues) console.error(`✗ ${formatIssue(issue)}`);
+    console.error(`\n${issues.length} validation error(s); nothing generated`);
+    process.exit(1);
+  }
+
+  for (const yamlPath of filesToProcess) {
+    const result = processTestCase(yamlPath, evaluation, { otherCases: otherCases.get(yamlPath), terminology });
+    console.log(`Generated: ${result.id}`);
+    for (const res of result.resources) {
+      console.log(`  ${res.type}/${res.id} → ${res.path}`);
+    }
   }
 }
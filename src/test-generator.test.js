@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { processValue, buildResources } from './test-generator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+describe('processValue', () => {
+  it('resolves $fn directives relative to the as-of date', () => {
+    const resource = {
+      birthDate: { $fn: 'yearsAgo', years: 40, offsetDays: 0 },
+      deceasedBoolean: false,
+      effectiveDateTime: { $fn: 'daysAgo', days: 730 },
+      extension: [{ valueDate: { $fn: 'today' } }, { valueDate: { $fn: 'monthsAgo', months: 6 } }],
+    };
+    expect(processValue(resource, '2025-12-26')).toEqual({
+      birthDate: '1985-12-26',
+      deceasedBoolean: false,
+      effectiveDateTime: '2023-12-27',
+      extension: [{ valueDate: '2025-12-26' }, { valueDate: '2025-06-26' }],
+    });
+  });
+
+  it('defaults yearsAgo to one day past the birthday', () => {
+    expect(processValue({ $fn: 'yearsAgo', years: 57 }, '2025-12-26')).toBe('1968-12-25');
+  });
+
+  it('rejects unknown $fn directives instead of passing them through', () => {
+    expect(() => processValue({ birthDate: { $fn: 'yearAgo', years: 3 } }, '2025-12-26')).toThrow('Unknown $fn "yearAgo"');
+  });
+
+  it('resolves $vs and $code directives to Codings from the local ValueSets', () => {
+    const code = {
+      coding: [
+        { $vs: 'Breast Cancer ICD-10' },
+        { $code: 'http://loinc.org|24606-6', in: 'Mammography' },
+        { $code: '24606-6' },
+      ],
+    };
+    expect(processValue({ code }, '2025-12-26', { caseId: 'bcs-x' })).toEqual({
+      code: {
+        coding: [
+          { system: 'http://hl7.org/fhir/sid/icd-10-cm', code: 'C50.011', display: 'Malignant neoplasm of nipple and areola, right female breast' },
+          { system: 'http://loinc.org', code: '24606-6', display: 'MG Breast Screening' },
+          { system: 'http://loinc.org', code: '24606-6', display: 'MG Breast Screening' },
+        ],
+      },
+    });
+
+    const random = { $vs: 'Breast Cancer ICD-10', pick: 'random' };
+    expect(processValue(random, '2025-12-26', { caseId: 'bcs-x' })).toEqual(processValue(random, '2025-12-26', { caseId: 'bcs-x' }));
+    expect(() => processValue({ $code: '24606-6', in: 'Breast Cancer SNOMED' }, '2025-12-26')).toThrow('24606-6 is not in the ValueSet "Breast Cancer"');
+  });
+});
+
+describe('buildResources', () => {
+  const templatesDir = resolve(__dirname, '../tests/templates');
+  const lifecycleTag = (code) => ({ system: 'http://example.org/test-lifecycle', code });
+
+  it('expands templates, overrides fields and fills {{caseId}}', () => {
+    const [patient] = buildResources({
+      id: 'case-1',
+      resources: [{
+        $template: 'qicore-patient',
+        extension: [{ $template: 'us-core-race/asian' }],
+        gender: 'female',
+      }],
+    }, { templatesDir });
+
+    expect(patient.id).toBe('case-1');
+    expect(patient.identifier[0].value).toBe('case-1');
+    expect(patient.meta.profile).toEqual(['http://hl7.org/fhir/us/qicore/StructureDefinition/qicore-patient']);
+    expect(patient.extension).toHaveLength(1);
+    expect(patient.extension[0].extension[0].valueCoding.display).toBe('Asian');
+    expect(patient.name).toEqual([{ family: 'TestPatient' }]);
+    expect(Object.keys(patient).slice(0, 3)).toEqual(['resourceType', 'id', 'meta']);
+  });
+
+  it('injects lifecycle tags once and the Patient subject reference', () => {
+    const [patient, observation] = buildResources({
+      id: 'case-2',
+      resources: [
+        { resourceType: 'Patient', id: 'p', meta: { tag: [lifecycleTag('bcs-test')] } },
+        { $template: 'mammogram-observation', effectiveDateTime: '2025-01-01' },
+      ],
+    }, { templatesDir });
+
+    expect(patient.meta.tag).toEqual([lifecycleTag('bcs-test'), lifecycleTag('case-2')]);
+    expect(observation.id).toBe('case-2-obs');
+    expect(observation.meta.tag).toEqual([lifecycleTag('bcs-test'), lifecycleTag('case-2')]);
+    expect(observation.subject).toEqual({ reference: 'Patient/p' });
+    expect(Object.keys(observation).slice(-3)).toEqual(['code', 'subject', 'effectiveDateTime']);
+  });
+
+  it('rejects unknown and circular templates', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'templates-'));
+    writeFileSync(join(dir, 'a.yaml'), '$template: b\n');
+    writeFileSync(join(dir, 'b.yaml'), '$template: a\n');
+
+    expect(() => buildResources({ id: 'x', resources: [{ $template: 'missing' }] }, { templatesDir: dir }))
+      .toThrow(/Unknown template "missing"/);
+    expect(() => buildResources({ id: 'x', resources: [{ $template: 'a' }] }, { templatesDir: dir }))
+      .toThrow(/Circular template inheritance: a → b → a/);
+    rmSync(dir, { recursive: true });
+  });
+});
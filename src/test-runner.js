@@ -1,26 +1,46 @@
 #!/usr/bin/env node
 /**
  * Runs CQL $evaluate against deployed test cases and compares to expected results.
+ * Cases generated with an as-of date are evaluated with it as the AsOf parameter.
+ * Cases with `expectedActions` also run PlanDefinition/$apply and compare the
+ * actions the returned CarePlan proposes.
  *
  * Usage: node src/test-runner.js bcs-recommend-57yo-female
  *        node src/test-runner.js --all
+ *        node src/test-runner.js --all --tag boundary-test --exclude-tag positive-case
+ *        node src/test-runner.js --all --junit reports/junit.xml --json reports/results.json
+ *
+ * Options:
+ *   --tag <tag>           Only run cases carrying this tag (repeatable; any match selects)
+ *   --exclude-tag <tag>   Skip cases carrying this tag (repeatable)
+ *   --concurrency <n>     Number of $evaluate calls in flight at once (default: 1)
+ *   --junit <file>        Write a JUnit XML report
+ *   --json <file>         Write a JSON report with timings and full actual values
  *
  * Environment:
- *   HAPI_BASE_URL (default: http://localhost:8080/fhir)
+ *   HAPI_BASE_URL (default: http://localhost:8080/fhir), plus the authentication,
+ *     timeout and retry settings described in fhir-client.js
  *   LIBRARY_ID (default: BreastCancerScreening)
+ *   PLAN_DEFINITION_ID (default: BreastCancerScreeningRecommendation)
+ *   TEST_CONCURRENCY (default: 1)
  */
 
-import { readFileSync, readdirSync, existsSync } from 'fs';
-import { resolve } from 'path';
+import { readFileSync, readdirSync, existsSync, writeFileSync, mkdirSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createFhirClient } from './fhir-client.js';
+import { proposedActions } from './plan-apply.js';
 
-const HAPI_BASE_URL = process.env.HAPI_BASE_URL || 'http://localhost:8080/fhir';
+const client = createFhirClient();
+const HAPI_BASE_URL = client.baseUrl;
 const LIBRARY_ID = process.env.LIBRARY_ID || 'BreastCancerScreening';
+const PLAN_DEFINITION_ID = process.env.PLAN_DEFINITION_ID || 'BreastCancerScreeningRecommendation';
 const generatedDir = resolve(process.cwd(), 'tests/generated');
 
 /**
  * Extract parameter values from FHIR Parameters response
  */
-function parseParameters(parameters) {
+export function parseParameters(parameters) {
   const result = {};
   for (const param of parameters.parameter || []) {
     const name = param.name;
@@ -48,7 +68,7 @@ function parseParameters(parameters) {
 /**
  * Compare actual vs expected, return differences
  */
-function compareResults(actual, expected) {
+export function compareResults(actual, expected) {
   const failures = [];
   for (const [key, expectedValue] of Object.entries(expected)) {
     const actualValue = actual[key];
@@ -60,96 +80,299 @@ function compareResults(actual, expected) {
 }
 
 /**
- * Run $evaluate for a test case
+ * Load _metadata.json for a test case
  */
-async function runTestCase(caseId) {
-  const caseDir = resolve(generatedDir, caseId);
-  const metadataPath = resolve(caseDir, '_metadata.json');
-
+function loadMetadata(caseId) {
+  const metadataPath = resolve(generatedDir, caseId, '_metadata.json');
   if (!existsSync(metadataPath)) {
     throw new Error(`Test case not found: ${caseId}. Run 'npm run test:generate' first.`);
   }
+  return JSON.parse(readFileSync(metadataPath, 'utf-8'));
+}
 
-  const metadata = JSON.parse(readFileSync(metadataPath, 'utf-8'));
+/**
+ * Keep cases carrying any of `tags` (when given) and none of `excludeTags`
+ */
+export function filterByTags(cases, { tags = [], excludeTags = [] } = {}) {
+  return cases.filter(({ metadata }) => {
+    const caseTags = metadata.tags || [];
+    if (tags.length && !tags.some(tag => caseTags.includes(tag))) return false;
+    return !excludeTags.some(tag => caseTags.includes(tag));
+  });
+}
 
-  // Find the Patient resource
-  const patientRes = metadata.resources.find(r => r.type === 'Patient');
-  if (!patientRes) {
-    throw new Error(`No Patient resource in test case: ${caseId}`);
-  }
+/**
+ * Compare the actions $apply proposed with a case's expectedActions (order
+ * does not matter); returns a failure or null
+ */
+export function compareActions(actual, expected) {
+  const sorted = (actions) => [...actions].sort();
+  return JSON.stringify(sorted(actual)) === JSON.stringify(sorted(expected))
+    ? null
+    : { key: '$apply actions', expected, actual };
+}
+
+/**
+ * Call Library/$evaluate for a patient. With an as-of date the call is a POST
+ * whose CQL parameters set AsOf, so the library evaluates as of that date
+ * instead of the server's Today().
+ */
+async function evaluate(patientId, asOf) {
+  return invoke(`Library/${LIBRARY_ID}/$evaluate`, patientId, asOf);
+}
 
-  const patientId = patientRes.id;
-  const url = `${HAPI_BASE_URL}/Library/${LIBRARY_ID}/$evaluate?subject=Patient/${patientId}`;
+/** Call PlanDefinition/$apply for a patient, with AsOf as for $evaluate */
+async function apply(patientId, asOf) {
+  return invoke(`PlanDefinition/${PLAN_DEFINITION_ID}/$apply`, patientId, asOf);
+}
 
-  console.log(`Testing: ${caseId}`);
-  console.log(`  ${metadata.description}`);
-  console.log(`  Patient: ${patientId}`);
+/** Invoke a CQL-backed operation for a patient, passing AsOf when given */
+async function invoke(path, patientId, asOf) {
+  if (!asOf) {
+    return client.request('GET', path, { query: { subject: `Patient/${patientId}` } });
+  }
 
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Accept': 'application/fhir+json'
+  return client.request('POST', path, {
+    body: {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'subject', valueString: `Patient/${patientId}` },
+        {
+          name: 'parameters',
+          resource: {
+            resourceType: 'Parameters',
+            parameter: [{ name: 'AsOf', valueDate: asOf }]
+          }
+        }
+      ]
     }
   });
+}
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`$evaluate failed: ${response.status} ${error}`);
+/**
+ * Run $evaluate for a test case. Never throws: request failures are
+ * returned as { error } so they can be reported alongside assertion failures.
+ */
+async function runTestCase({ caseId, metadata }) {
+  const started = Date.now();
+  const result = {
+    caseId,
+    description: metadata.description,
+    tags: metadata.tags || [],
+    expected: metadata.expected,
+    expectedActions: metadata.expectedActions,
+    passed: false,
+  };
+
+  try {
+    // Find the Patient resource
+    const patientRes = metadata.resources.find(r => r.type === 'Patient');
+    if (!patientRes) {
+      throw new Error(`No Patient resource in test case: ${caseId}`);
+    }
+
+    result.patientId = patientRes.id;
+    result.asOf = metadata.asOf || null;
+    const { body: parameters } = await evaluate(patientRes.id, metadata.asOf);
+    result.actual = parseParameters(parameters);
+    result.failures = compareResults(result.actual, metadata.expected);
+    if (metadata.expectedActions) {
+      const { body: carePlan } = await apply(patientRes.id, metadata.asOf);
+      result.actions = proposedActions(carePlan);
+      const failure = compareActions(result.actions, metadata.expectedActions);
+      if (failure) result.failures.push(failure);
+    }
+    result.passed = result.failures.length === 0;
+  } catch (err) {
+    result.error = err.message;
   }
 
-  const parameters = await response.json();
-  const actual = parseParameters(parameters);
-  const failures = compareResults(actual, metadata.expected);
+  result.durationMs = Date.now() - started;
+  return result;
+}
 
-  if (failures.length === 0) {
-    console.log(`  ✓ PASS`);
-    return { caseId, passed: true, actual };
+function printResult(result) {
+  console.log(`Testing: ${result.caseId}`);
+  console.log(`  ${result.description}`);
+  if (result.patientId) console.log(`  Patient: ${result.patientId}`);
+  if (result.asOf) console.log(`  As of: ${result.asOf}`);
+
+  if (result.error) {
+    console.log(`  ✗ ERROR (${result.durationMs}ms)`);
+    console.log(`    ${result.error}`);
+  } else if (result.passed) {
+    console.log(`  ✓ PASS (${result.durationMs}ms)`);
   } else {
-    console.log(`  ✗ FAIL`);
-    for (const f of failures) {
+    console.log(`  ✗ FAIL (${result.durationMs}ms)`);
+    for (const f of result.failures) {
       console.log(`    ${f.key}: expected ${JSON.stringify(f.expected)}, got ${JSON.stringify(f.actual)}`);
     }
-    return { caseId, passed: false, failures, actual };
   }
+  console.log('');
 }
 
-// Main
-const args = process.argv.slice(2);
+/**
+ * Run cases with at most `concurrency` requests in flight. Results keep the
+ * order of `cases`; `onResult` is called as each case finishes.
+ */
+export async function runTestCases(cases, { concurrency = 1, run = runTestCase, onResult } = {}) {
+  const results = new Array(cases.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < cases.length) {
+      const index = next++;
+      results[index] = await run(cases[index]);
+      onResult?.(results[index]);
+    }
+  };
 
-if (args.length === 0) {
-  console.error('Usage: node src/test-runner.js <case-id>');
-  console.error('       node src/test-runner.js --all');
-  console.error(`\nHAPI server: ${HAPI_BASE_URL}`);
-  console.error(`Library: ${LIBRARY_ID}`);
-  process.exit(1);
+  await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), cases.length) }, worker));
+  return results;
 }
 
-console.log(`HAPI server: ${HAPI_BASE_URL}`);
-console.log(`Library: ${LIBRARY_ID}\n`);
+/**
+ * Summarize results: passed, failed (assertion failures) and errors (requests that failed)
+ */
+export function summarize(results, durationMs) {
+  return {
+    total: results.length,
+    passed: results.filter(r => r.passed).length,
+    failed: results.filter(r => !r.passed && !r.error).length,
+    errors: results.filter(r => r.error).length,
+    durationMs,
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render results as JUnit XML (one testsuite, one testcase per test case)
+ */
+export function buildJUnitReport(results, summary, { timestamp = new Date().toISOString() } = {}) {
+  const seconds = (ms) => (ms / 1000).toFixed(3);
+  const suiteName = `${LIBRARY_ID} $evaluate`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(suiteName)}" tests="${summary.total}" failures="${summary.failed}" errors="${summary.errors}" time="${seconds(summary.durationMs)}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${summary.total}" failures="${summary.failed}" errors="${summary.errors}" time="${seconds(summary.durationMs)}" timestamp="${escapeXml(timestamp)}">`,
+  ];
 
-let casesToRun = [];
+  for (const result of results) {
+    lines.push(`    <testcase classname="${escapeXml(LIBRARY_ID)}" name="${escapeXml(result.caseId)}" time="${seconds(result.durationMs)}">`);
+    if (result.error) {
+      lines.push(`      <error message="${escapeXml(result.error)}" type="EvaluateError"/>`);
+    } else if (!result.passed) {
+      const details = result.failures
+        .map(f => `${f.key}: expected ${JSON.stringify(f.expected)}, got ${JSON.stringify(f.actual)}`);
+      lines.push(`      <failure message="${escapeXml(`${details.length} value(s) differ`)}" type="AssertionError">${escapeXml(details.join('\n'))}</failure>`);
+    }
+    if (result.actual) {
+      lines.push(`      <system-out>${escapeXml(JSON.stringify({ tags: result.tags, actual: result.actual, actions: result.actions }, null, 2))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>', '</testsuites>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Build the JSON report
+ */
+export function buildJsonReport(results, summary, { timestamp = new Date().toISOString() } = {}) {
+  return {
+    timestamp,
+    server: HAPI_BASE_URL,
+    library: LIBRARY_ID,
+    summary,
+    cases: results,
+  };
+}
 
-if (args[0] === '--all') {
-  casesToRun = readdirSync(generatedDir)
-    .filter(f => existsSync(resolve(generatedDir, f, '_metadata.json')));
-} else {
-  casesToRun = [args[0]];
+function writeReport(path, content) {
+  const target = resolve(path);
+  mkdirSync(dirname(target), { recursive: true });
+  writeFileSync(target, content);
+  console.log(`Report written to ${target}`);
 }
 
-let passed = 0;
-let failed = 0;
+// Main
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const tags = [];
+  const excludeTags = [];
+  let all = false;
+  let caseId = null;
+  let concurrency = Number(process.env.TEST_CONCURRENCY || 1);
+  let junitPath = null;
+  let jsonPath = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--all') all = true;
+    else if (arg === '--tag') tags.push(args[++i]);
+    else if (arg === '--exclude-tag') excludeTags.push(args[++i]);
+    else if (arg === '--concurrency') concurrency = Number(args[++i]);
+    else if (arg === '--junit') junitPath = args[++i];
+    else if (arg === '--json') jsonPath = args[++i];
+    else if (arg.startsWith('--')) {
+      console.error(`Unknown option: ${arg}`);
+      process.exit(1);
+    } else caseId = arg;
+  }
+
+  if (!all && !caseId) {
+    console.error('Usage: node src/test-runner.js <case-id>');
+    console.error('       node src/test-runner.js --all [--tag <tag>] [--exclude-tag <tag>] [--concurrency <n>]');
+    console.error('                                     [--junit <file>] [--json <file>]');
+    console.error(`\nHAPI server: ${HAPI_BASE_URL}`);
+    console.error(`Library: ${LIBRARY_ID}`);
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(`Invalid concurrency: ${concurrency} (expected a positive integer)`);
+    process.exit(1);
+  }
+
+  console.log(`HAPI server: ${HAPI_BASE_URL}`);
+  console.log(`Library: ${LIBRARY_ID}`);
+  if (concurrency > 1) console.log(`Concurrency: ${concurrency}`);
+  console.log('');
 
-for (const caseId of casesToRun) {
+  const caseIds = all
+    ? readdirSync(generatedDir).filter(f => existsSync(resolve(generatedDir, f, '_metadata.json')))
+    : [caseId];
+
+  let cases;
   try {
-    const result = await runTestCase(caseId);
-    if (result.passed) passed++;
-    else failed++;
-    console.log('');
+    cases = filterByTags(caseIds.map(id => ({ caseId: id, metadata: loadMetadata(id) })), { tags, excludeTags });
   } catch (err) {
-    console.error(`Error running ${caseId}: ${err.message}`);
-    failed++;
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (tags.length || excludeTags.length) {
+    console.log(`Selected ${cases.length} of ${caseIds.length} case(s) by tag\n`);
   }
-}
 
-console.log(`Results: ${passed} passed, ${failed} failed`);
-process.exit(failed > 0 ? 1 : 0);
+  const timestamp = new Date().toISOString();
+  const started = Date.now();
+  const results = await runTestCases(cases, { concurrency, onResult: printResult });
+  const summary = summarize(results, Date.now() - started);
+
+  console.log(`Results: ${summary.passed} passed, ${summary.failed + summary.errors} failed (${summary.durationMs}ms)`);
+
+  if (junitPath) writeReport(junitPath, buildJUnitReport(results, summary, { timestamp }));
+  if (jsonPath) writeReport(jsonPath, JSON.stringify(buildJsonReport(results, summary, { timestamp }), null, 2));
+
+  process.exit(summary.failed + summary.errors > 0 ? 1 : 0);
+}
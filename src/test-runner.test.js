@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { filterByTags, runTestCases, summarize, buildJUnitReport, parseParameters, compareActions } from './test-runner.js';
+
+function testCase(caseId, tags) {
+  return { caseId, metadata: { id: caseId, tags } };
+}
+
+describe('filterByTags', () => {
+  const cases = [
+    testCase('a', ['positive-case', 'boundary-test']),
+    testCase('b', ['negative-case', 'boundary-test']),
+    testCase('c', ['positive-case']),
+  ];
+  const ids = (selected) => selected.map(c => c.caseId);
+
+  it('selects cases carrying any requested tag', () => {
+    expect(ids(filterByTags(cases, { tags: ['boundary-test'] }))).toEqual(['a', 'b']);
+    expect(ids(filterByTags(cases))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('drops cases carrying an excluded tag', () => {
+    expect(ids(filterByTags(cases, { excludeTags: ['positive-case'] }))).toEqual(['b']);
+    expect(ids(filterByTags(cases, { tags: ['boundary-test'], excludeTags: ['negative-case'] }))).toEqual(['a']);
+  });
+});
+
+describe('runTestCases', () => {
+  it('keeps case order and never exceeds the concurrency limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const run = async ({ caseId }) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(done => setTimeout(done, caseId === 'a' ? 20 : 5));
+      inFlight--;
+      return { caseId };
+    };
+
+    const cases = ['a', 'b', 'c', 'd', 'e'].map(id => testCase(id, []));
+    const finished = [];
+    const results = await runTestCases(cases, { concurrency: 2, run, onResult: r => finished.push(r.caseId) });
+
+    expect(results.map(r => r.caseId)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(finished[0]).toBe('b');
+    expect(peak).toBe(2);
+  });
+});
+
+describe('buildJUnitReport', () => {
+  it('reports failures, errors, timings and actual values', () => {
+    const results = [
+      { caseId: 'pass', passed: true, durationMs: 12, tags: [], actual: { RecommendMammogram: true } },
+      {
+        caseId: 'fail & <check>',
+        passed: false,
+        durationMs: 1500,
+        tags: ['boundary-test'],
+        actual: { RecommendMammogram: false },
+        failures: [{ key: 'RecommendMammogram', expected: true, actual: false }],
+      },
+      { caseId: 'broken', passed: false, durationMs: 3, error: '$evaluate failed: 500' },
+    ];
+    const xml = buildJUnitReport(results, summarize(results, 1515), { timestamp: '2025-12-26T00:00:00Z' });
+
+    expect(xml).toContain('tests="3" failures="1" errors="1" time="1.515"');
+    expect(xml).toContain('<testcase classname="BreastCancerScreening" name="fail &amp; &lt;check&gt;" time="1.500">');
+    expect(xml).toContain('RecommendMammogram: expected true, got false</failure>');
+    expect(xml).toContain('<error message="$evaluate failed: 500" type="EvaluateError"/>');
+    expect(xml).toContain('&quot;RecommendMammogram&quot;: true');
+  });
+});
+
+describe('parseParameters', () => {
+  it('maps absent values to null and empty lists to []', () => {
+    const actual = parseParameters({
+      parameter: [
+        { name: 'AgeInYears', valueInteger: 57 },
+        { name: 'Gender', _valueBoolean: { extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/data-absent-reason' }] } },
+        { name: 'QualifyingMammograms', _valueBoolean: { extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/cqf-isEmptyList' }] } },
+      ],
+    });
+    expect(actual).toEqual({ AgeInYears: 57, Gender: null, QualifyingMammograms: [] });
+  });
+});
+
+describe('compareActions', () => {
+  it('compares proposed actions regardless of order', () => {
+    expect(compareActions(['b', 'a'], ['a', 'b'])).toBeNull();
+    expect(compareActions([], [])).toBeNull();
+    expect(compareActions([], ['order-screening-mammogram'])).toEqual({
+      key: '$apply actions',
+      expected: ['order-screening-mammogram'],
+      actual: [],
+    });
+  });
+});
@@ -5,53 +5,38 @@
  * Usage: node src/test-teardown.js bcs-recommend-57yo-female   (single case by specific tag)
  *        node src/test-teardown.js --all                       (all cases by common tag)
  *
- * Environment: HAPI_BASE_URL (default: http://localhost:8080/fhir)
+ * Environment: HAPI_BASE_URL (default: http://localhost:8080/fhir), plus the
+ * authentication, timeout and retry settings described in fhir-client.js
  */
 
 import { readFileSync, readdirSync, existsSync } from 'fs';
 import { resolve } from 'path';
+import { createFhirClient } from './fhir-client.js';
 
-const HAPI_BASE_URL = process.env.HAPI_BASE_URL || 'http://localhost:8080/fhir';
+const client = createFhirClient();
+const HAPI_BASE_URL = client.baseUrl;
 const TAG_SYSTEM = 'http://example.org/test-lifecycle';
 const COMMON_TAG_CODE = 'bcs-test';  // Used for --all teardown
+// Written by the mock EMR's actions under the patient's tags (not in _metadata.json)
+const EMR_RESOURCE_TYPES = ['ServiceRequest', 'Observation'];
 const generatedDir = resolve(process.cwd(), 'tests/generated');
 
 /**
  * Delete resources by tag
  */
 async function deleteByTag(resourceType, tagCode) {
-  // First, search for resources with this tag
-  // Encode the entire system|code value together
-  const tagValue = `${TAG_SYSTEM}|${tagCode}`;
-  const searchUrl = `${HAPI_BASE_URL}/${resourceType}?_tag=${encodeURIComponent(tagValue)}`;
-
-  const searchResponse = await fetch(searchUrl, {
-    method: 'GET',
-    headers: { 'Accept': 'application/fhir+json' }
-  });
-
-  if (!searchResponse.ok) {
-    throw new Error(`Search failed: ${searchResponse.status}`);
-  }
-
-  const bundle = await searchResponse.json();
-  const entries = bundle.entry || [];
+  // Collect every page before deleting: deleting while paging shifts the
+  // offsets of later pages and skips resources
+  const resources = await client.searchAll(resourceType, { _tag: `${TAG_SYSTEM}|${tagCode}` });
 
   let deleted = 0;
-  for (const entry of entries) {
-    const resource = entry.resource;
-    const deleteUrl = `${HAPI_BASE_URL}/${resource.resourceType}/${resource.id}`;
-
-    const deleteResponse = await fetch(deleteUrl, {
-      method: 'DELETE',
-      headers: { 'Accept': 'application/fhir+json' }
-    });
-
-    if (deleteResponse.ok || deleteResponse.status === 204) {
+  for (const resource of resources) {
+    try {
+      await client.delete(resource.resourceType, resource.id);
       console.log(`  Deleted: ${resource.resourceType}/${resource.id}`);
       deleted++;
-    } else {
-      console.log(`  Failed to delete: ${resource.resourceType}/${resource.id} (${deleteResponse.status})`);
+    } catch (err) {
+      console.log(`  Failed to delete: ${resource.resourceType}/${resource.id} (${err.status ?? err.message})`);
     }
   }
 
@@ -73,8 +58,8 @@ async function teardownTestCase(caseId) {
 
   console.log(`Tearing down: ${caseId}`);
 
-  // Get unique resource types from metadata
-  const resourceTypes = [...new Set(metadata.resources.map(r => r.type))];
+  // Resource types from metadata, after those the mock EMR may have added
+  const resourceTypes = [...new Set([...EMR_RESOURCE_TYPES, ...metadata.resources.map(r => r.type)])];
 
   let totalDeleted = 0;
   for (const resourceType of resourceTypes) {
@@ -108,7 +93,7 @@ if (args[0] === '--all') {
   console.log(`Tearing down ALL test resources with tag: ${COMMON_TAG_CODE}\n`);
 
   // Resource types that might have test data (order matters: delete dependents before Patient)
-  const resourceTypes = ['Observation', 'Procedure', 'Condition', 'Patient'];
+  const resourceTypes = ['ServiceRequest', 'Observation', 'Procedure', 'Condition', 'Patient', 'Practitioner'];
 
   for (const resourceType of resourceTypes) {
     const deleted = await deleteByTag(resourceType, COMMON_TAG_CODE);